@@ -11,6 +11,14 @@ function App() {
   const [currentAction, setCurrentAction] = useState(null);
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState(null);
+  // "running", "pausing", "paused" or null when no task is in progress
+  const [taskStatus, setTaskStatus] = useState(null);
+  // Tool calls waiting for the user's approval
+  const [pendingApprovals, setPendingApprovals] = useState([]);
+  // Token usage and cost of the session so far
+  const [sessionUsage, setSessionUsage] = useState(null);
+  // Plan of the running task, when planning is enabled
+  const [plan, setPlan] = useState(null);
 
   // Initialize session on component mount
   useEffect(() => {
@@ -41,11 +49,11 @@ function App() {
   useEffect(() => {
     let intervalId = null;
     
-    if (currentAction && currentAction.type !== 'complete') {
+    if (sessionId && currentAction && currentAction.type !== 'complete') {
       // Set up interval to refresh screenshot
       intervalId = setInterval(async () => {
         try {
-          const screenshotUrl = await AgentAPI.getScreenshot();
+          const screenshotUrl = await AgentAPI.getScreenshot(sessionId);
           setScreenshotUrl(screenshotUrl);
         } catch (error) {
           console.warn('Error refreshing screenshot:', error);
@@ -58,7 +66,7 @@ function App() {
         clearInterval(intervalId);
       }
     };
-  }, [currentAction]);
+  }, [currentAction, sessionId]);
 
   // Handle sending messages to the agent
   const handleSendMessage = async (instruction) => {
@@ -68,26 +76,45 @@ function App() {
 
     setIsLoading(true);
     setError(null);
+    setTaskStatus('running');
     
     // Reset state for new conversation
     setParsedElements([]);
     setCurrentAction(null);
+    setPlan(null);
     
     // Collect all assistant messages to return
     const assistantMessages = [];
     
+    // Screenshots come from the browser owned by this session
+    let activeSessionId = sessionId;
+    
     try {
-      // Process instruction with streaming
-      await AgentAPI.processInstructionStream(
+      // Process instruction over the session's WebSocket, which survives dropped connections
+      await AgentAPI.processInstructionSocket(
         instruction, 
         sessionId,
         async (message) => {
           switch (message.type) {
             case 'session':
               // Update session ID if a new one was created
+              activeSessionId = message.sessionId;
               setSessionId(message.sessionId);
               break;
               
+            case 'reasoning':
+              // Model reasoning arrives in many small pieces; keep one section per reasoning block
+              if (assistantMessages[assistantMessages.length - 1]?.type === 'reasoning') {
+                assistantMessages[assistantMessages.length - 1].content += message.content;
+              } else {
+                assistantMessages.push({
+                  role: 'assistant',
+                  content: message.content,
+                  type: 'reasoning'
+                });
+              }
+              break;
+              
             case 'assistant':
               // Handle thinking/reasoning messages
               assistantMessages.push({
@@ -117,7 +144,7 @@ function App() {
               // Special handling for certain tools
               if (message.tool === 'browser.screenshot') {
                 try {
-                  const screenshotUrl = await AgentAPI.getScreenshot();
+                  const screenshotUrl = await AgentAPI.getScreenshot(activeSessionId);
                   setScreenshotUrl(screenshotUrl);
                 } catch (error) {
                   console.error('Error getting screenshot:', error);
@@ -155,13 +182,114 @@ function App() {
               assistantMessages.push({
                 role: 'assistant',
                 content: message.content,
-                type: 'response'
+                type: 'response',
+                verification: message.verification
               });
               
               // Clear current action
               setCurrentAction(null);
               break;
               
+            case 'approvalRequired':
+              setPendingApprovals(prev => [...prev, message.approval]);
+              setCurrentAction({
+                type: message.approval.tool,
+                params: message.approval.params,
+                description: `Waiting for approval: ${message.approval.tool}`
+              });
+              break;
+              
+            case 'approvalResolved':
+              setPendingApprovals(prev => prev.filter(approval => approval.id !== message.approvalId));
+              break;
+              
+            case 'usage':
+              setSessionUsage(message.session);
+              break;
+              
+            case 'plan':
+              setPlan(message.plan);
+              break;
+              
+            case 'verification':
+              // Only answers sent back for more work are shown; the final verdict is attached to the response
+              if (message.verification.status === 'failed') {
+                assistantMessages.push({
+                  role: 'assistant',
+                  content: message.verification.feedback || 'The answer does not complete the instruction yet.',
+                  type: 'verification'
+                });
+              }
+              break;
+              
+            case 'toolError':
+              // A failed tool call is not fatal: the agent retries it or works around it
+              assistantMessages.push({
+                role: 'assistant',
+                content: message.retry
+                  ? `${message.tool} failed (${message.error.type}), retrying: ${message.error.message}`
+                  : `${message.tool} failed (${message.error.type}): ${message.error.message}`,
+                type: 'toolError'
+              });
+              break;
+              
+            case 'subAgentStarted':
+              assistantMessages.push({
+                role: 'assistant',
+                content: `Delegated to ${message.subAgent.sessionId}: ${message.subAgent.task}`,
+                type: 'subAgent'
+              });
+              break;
+              
+            case 'subAgentEvent':
+              // Only the sub-agent's actions are shown; its report arrives with subAgentFinished
+              if (message.event.type === 'toolCall') {
+                assistantMessages.push({
+                  role: 'assistant',
+                  content: `[${message.subAgent.sessionId}] Using tool: ${message.event.tool} with parameters: ${JSON.stringify(message.event.params)}`,
+                  type: 'action'
+                });
+              }
+              break;
+              
+            case 'subAgentFinished':
+              assistantMessages.push({
+                role: 'assistant',
+                content: `${message.subAgent.sessionId} ${message.status}: ${message.result || message.stopReason?.message || 'no report'}`,
+                type: 'subAgent'
+              });
+              break;
+              
+            case 'usageLimit':
+              assistantMessages.push({
+                role: 'assistant',
+                content: message.message,
+                type: 'error'
+              });
+              break;
+
+            case 'stopped':
+              // The complete event that follows carries the reason as its content
+              setCurrentAction(null);
+              break;
+
+            case 'paused':
+              setTaskStatus('paused');
+              break;
+              
+            case 'resumed':
+              setTaskStatus('running');
+              break;
+              
+            case 'cancelled':
+              assistantMessages.push({
+                role: 'assistant',
+                content: message.content,
+                type: 'error'
+              });
+              setCurrentAction(null);
+              break;
+              
             case 'error':
               // Handle errors
               assistantMessages.push({
@@ -181,7 +309,7 @@ function App() {
       
       // Get final screenshot if not already captured
       try {
-        const screenshotUrl = await AgentAPI.getScreenshot();
+        const screenshotUrl = await AgentAPI.getScreenshot(activeSessionId);
         setScreenshotUrl(screenshotUrl);
       } catch (error) {
         console.warn('Error getting final screenshot:', error);
@@ -193,6 +321,43 @@ function App() {
       throw error;
     } finally {
       setIsLoading(false);
+      setTaskStatus(null);
+      setPendingApprovals([]);
+    }
+  };
+
+  // Send the user's decision on a tool call waiting for approval
+  const handleResolveApproval = async (approvalId, decision) => {
+    try {
+      await AgentAPI.resolveApproval(sessionId, approvalId, decision);
+    } catch (error) {
+      setError(error.message);
+      throw error;
+    }
+  };
+
+  // Save the user's edits to the plan
+  const handleUpdatePlan = async (steps) => {
+    const result = await AgentAPI.updatePlan(sessionId, steps);
+    setPlan(result.plan);
+  };
+
+  // Let the agent start on the reviewed plan
+  const handleConfirmPlan = async () => {
+    const result = await AgentAPI.confirmPlan(sessionId);
+    setPlan(result.plan);
+  };
+
+  // Pause, resume or cancel the running task
+  const handleTaskControl = async (action) => {
+    try {
+      await AgentAPI.controlTask(sessionId, action);
+      if (action === 'pause') {
+        // The agent stops before its next step and reports it with a "paused" event
+        setTaskStatus('pausing');
+      }
+    } catch (error) {
+      setError(error.message);
     }
   };
 
@@ -217,11 +382,37 @@ function App() {
         <h1>IntelliBrowse</h1>
         <p>Autonomous AI Web Agent</p>
         {sessionId && <div className="session-badge">Session: {sessionId}</div>}
+        {sessionUsage && (
+          <div className="usage-badge">
+            {sessionUsage.totalTokens.toLocaleString()} tokens · ${sessionUsage.cost.toFixed(4)}
+            {sessionUsage.unpricedCalls > 0 && ' + unpriced calls'}
+          </div>
+        )}
       </header>
       
       <main className="app-body">
         <div className="chat-panel">
-          <ChatInterface onSendMessage={handleSendMessage} />
+          {taskStatus && (
+            <div className="task-controls">
+              <span className="task-status">
+                {taskStatus === 'running' ? 'Agent is working' : taskStatus === 'pausing' ? 'Pausing after the current step...' : 'Paused'}
+              </span>
+              {taskStatus === 'paused' ? (
+                <button onClick={() => handleTaskControl('resume')}>Resume</button>
+              ) : (
+                <button onClick={() => handleTaskControl('pause')} disabled={taskStatus === 'pausing'}>Pause</button>
+              )}
+              <button className="cancel" onClick={() => handleTaskControl('cancel')}>Stop</button>
+            </div>
+          )}
+          <ChatInterface
+            onSendMessage={handleSendMessage}
+            pendingApprovals={pendingApprovals}
+            onResolveApproval={handleResolveApproval}
+            plan={plan}
+            onUpdatePlan={handleUpdatePlan}
+            onConfirmPlan={handleConfirmPlan}
+          />
         </div>
         
         <div className="browser-panel">
@@ -1,7 +1,164 @@
 import React, { useState, useEffect, useRef } from 'react';
 import '../styles/ChatInterface.css';
 
-const ChatInterface = ({ onSendMessage }) => {
+// Card asking the user to approve, reject or edit a sensitive tool call
+const ApprovalCard = ({ approval, onResolve }) => {
+  const [isEditing, setIsEditing] = useState(false);
+  const [paramsText, setParamsText] = useState(JSON.stringify(approval.params, null, 2));
+  const [error, setError] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const submit = async (decision) => {
+    setError(null);
+    
+    let params;
+    if (decision === 'edit') {
+      try {
+        params = JSON.parse(paramsText);
+      } catch (e) {
+        setError('Parameters must be valid JSON');
+        return;
+      }
+    }
+    
+    setIsSubmitting(true);
+    try {
+      await onResolve(approval.id, { decision, params });
+    } catch (e) {
+      setError(e.message);
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="message assistant approval">
+      <div className="avatar assistant">✋</div>
+      <div className="message-content approval-card">
+        <div className="message-type">Approval required</div>
+        <div className="approval-reason">{approval.reason}</div>
+        {approval.subAgent && <div className="approval-sub-agent">Requested by sub-agent {approval.subAgent.sessionId}</div>}
+        <div className="approval-tool">{approval.tool}</div>
+        {isEditing ? (
+          <textarea
+            className="approval-params"
+            value={paramsText}
+            onChange={(e) => setParamsText(e.target.value)}
+            rows={Math.min(10, paramsText.split('\n').length + 1)}
+          />
+        ) : (
+          <pre className="approval-params">{JSON.stringify(approval.params, null, 2)}</pre>
+        )}
+        {error && <div className="approval-error">{error}</div>}
+        <div className="approval-actions">
+          {isEditing ? (
+            <button onClick={() => submit('edit')} disabled={isSubmitting}>Run with changes</button>
+          ) : (
+            <button onClick={() => submit('approve')} disabled={isSubmitting}>Approve</button>
+          )}
+          <button onClick={() => setIsEditing(!isEditing)} disabled={isSubmitting}>
+            {isEditing ? 'Cancel edit' : 'Edit'}
+          </button>
+          <button className="reject" onClick={() => submit('reject')} disabled={isSubmitting}>Reject</button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// Card showing the task plan; steps that are not done can be edited, reordered, added or removed
+const PlanCard = ({ plan, onUpdate, onConfirm }) => {
+  const [isEditing, setIsEditing] = useState(false);
+  const [draft, setDraft] = useState(plan.steps);
+  const [error, setError] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  // Follow the agent's progress unless the user is editing
+  useEffect(() => {
+    if (!isEditing) {
+      setDraft(plan.steps);
+    }
+  }, [plan, isEditing]);
+
+  const updateStep = (index, description) => {
+    setDraft(prev => prev.map((step, i) => (i === index ? { ...step, description } : step)));
+  };
+
+  const moveStep = (index, offset) => {
+    setDraft(prev => {
+      const steps = [...prev];
+      const [step] = steps.splice(index, 1);
+      steps.splice(index + offset, 0, step);
+      return steps;
+    });
+  };
+
+  const run = async (action) => {
+    setError(null);
+    setIsSubmitting(true);
+    try {
+      await action();
+      setIsEditing(false);
+    } catch (e) {
+      setError(e.message);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const save = () => run(() => onUpdate(draft.map(({ id, description }) => ({ id, description }))));
+
+  return (
+    <div className="message assistant plan">
+      <div className="avatar assistant">📋</div>
+      <div className="message-content plan-card">
+        <div className="message-type">
+          Plan{plan.replans > 0 && ` (revised ${plan.replans}x)`}
+          {plan.awaitingReview && ' · waiting for your review'}
+        </div>
+        <ol className="plan-steps">
+          {draft.map((step, index) => (
+            <li key={step.id ?? `new-${index}`} className={`plan-step ${step.status || 'pending'}`}>
+              {isEditing && step.status !== 'done' ? (
+                <>
+                  <input
+                    type="text"
+                    value={step.description}
+                    onChange={(e) => updateStep(index, e.target.value)}
+                  />
+                  <button onClick={() => moveStep(index, -1)} disabled={index === 0}>↑</button>
+                  <button onClick={() => moveStep(index, 1)} disabled={index === draft.length - 1}>↓</button>
+                  <button onClick={() => setDraft(prev => prev.filter((_, i) => i !== index))}>✕</button>
+                </>
+              ) : (
+                <>
+                  <span className="plan-step-status">{step.status || 'pending'}</span>
+                  <span>{step.description}</span>
+                </>
+              )}
+            </li>
+          ))}
+        </ol>
+        {error && <div className="approval-error">{error}</div>}
+        <div className="approval-actions">
+          {isEditing ? (
+            <>
+              <button onClick={() => setDraft(prev => [...prev, { description: '' }])} disabled={isSubmitting}>Add step</button>
+              <button onClick={save} disabled={isSubmitting}>Save</button>
+              <button onClick={() => setIsEditing(false)} disabled={isSubmitting}>Cancel edit</button>
+            </>
+          ) : (
+            <button onClick={() => setIsEditing(true)} disabled={isSubmitting}>Edit</button>
+          )}
+          {plan.awaitingReview && !isEditing && (
+            <button onClick={() => run(onConfirm)} disabled={isSubmitting}>Start</button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const ChatInterface = ({ onSendMessage, pendingApprovals = [], onResolveApproval, plan, onUpdatePlan, onConfirmPlan }) => {
   const [messages, setMessages] = useState([]);
   const [input, setInput] = useState('');
   const [isLoading, setIsLoading] = useState(false);
@@ -14,7 +171,7 @@ const ChatInterface = ({ onSendMessage }) => {
 
   useEffect(() => {
     scrollToBottom();
-  }, [messages]);
+  }, [messages, pendingApprovals, plan]);
 
   const handleSendMessage = async () => {
     if (!input.trim() || isLoading) return;
@@ -101,7 +258,17 @@ const ChatInterface = ({ onSendMessage }) => {
       
       case 'assistant':
         // Different rendering based on message type
-        if (message.type === 'thought') {
+        if (message.type === 'reasoning') {
+          return (
+            <div key={index} className={messageClass}>
+              <div className="avatar assistant">💭</div>
+              <details className="message-content reasoning-details">
+                <summary className="message-type">Reasoning</summary>
+                <div className="reasoning-text">{message.content.trim()}</div>
+              </details>
+            </div>
+          );
+        } else if (message.type === 'thought') {
           return (
             <div key={index} className={messageClass}>
               <div className="avatar assistant">🤔</div>
@@ -121,6 +288,36 @@ const ChatInterface = ({ onSendMessage }) => {
               </div>
             </div>
           );
+        } else if (message.type === 'verification') {
+          return (
+            <div key={index} className={messageClass}>
+              <div className="avatar assistant">🔎</div>
+              <div className="message-content">
+                <div className="message-type">Answer not complete</div>
+                <div>{message.content}</div>
+              </div>
+            </div>
+          );
+        } else if (message.type === 'toolError') {
+          return (
+            <div key={index} className={messageClass}>
+              <div className="avatar assistant">⚠️</div>
+              <div className="message-content">
+                <div className="message-type">Tool error</div>
+                <div>{message.content}</div>
+              </div>
+            </div>
+          );
+        } else if (message.type === 'subAgent') {
+          return (
+            <div key={index} className={messageClass}>
+              <div className="avatar assistant">🧭</div>
+              <div className="message-content">
+                <div className="message-type">Sub-agent</div>
+                <div>{message.content}</div>
+              </div>
+            </div>
+          );
         } else if (message.type === 'error') {
           return (
             <div key={index} className={messageClass}>
@@ -135,7 +332,16 @@ const ChatInterface = ({ onSendMessage }) => {
           return (
             <div key={index} className={messageClass}>
               <div className="avatar assistant">IntelliBrowse</div>
-              <div className="message-content">{message.content}</div>
+              <div className="message-content">
+                {message.content}
+                {message.verification && (
+                  <div className={`verification-badge ${message.verification.status}`}>
+                    {message.verification.status === 'passed' ? 'Verified' :
+                      message.verification.status === 'failed' ? 'Not verified as complete' : 'Unverified'}
+                    {message.verification.confidence !== null && ` · confidence ${Math.round(message.verification.confidence * 100)}%`}
+                  </div>
+                )}
+              </div>
             </div>
           );
         }
@@ -181,6 +387,12 @@ const ChatInterface = ({ onSendMessage }) => {
           messages.map((message, index) => renderMessage(message, index))
         )}
         
+        {plan && <PlanCard plan={plan} onUpdate={onUpdatePlan} onConfirm={onConfirmPlan} />}
+        
+        {pendingApprovals.map(approval => (
+          <ApprovalCard key={approval.id} approval={approval} onResolve={onResolveApproval} />
+        ))}
+        
         {isLoading && (
           <div className="message assistant loading">
             <div className="avatar assistant">IntelliBrowse</div>
@@ -3,6 +3,163 @@
  */
 
 const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001/api';
+const WS_BASE_URL = API_BASE_URL.replace(/^http/, 'ws');
+
+// Reconnect delays double from the first to the last
+const RECONNECT_DELAY_MS = 1000;
+const MAX_RECONNECT_DELAY_MS = 30000;
+
+// Events that end a task
+const TASK_END_EVENTS = ['complete', 'cancelled', 'error'];
+
+// sessionId -> open AgentSocket
+const sockets = new Map();
+
+/**
+ * WebSocket connection to an agent session
+ * Reconnects when the connection drops and asks the server to replay the events after the last one
+ * received, so listeners see every event once and in order.
+ */
+export class AgentSocket {
+  /**
+   * @param {string} sessionId - Session ID
+   */
+  constructor(sessionId) {
+    this.sessionId = sessionId;
+    this.lastSeq = 0;
+    this.listeners = new Set();
+    // Messages waiting for the connection, and sent messages waiting for their reply (id -> { resolve, reject })
+    this.outbox = [];
+    this.replies = new Map();
+    this.nextId = 1;
+    this.connected = false;
+    this.closed = false;
+    this.attempts = 0;
+    this.reconnectTimer = null;
+    
+    this.open();
+  }
+  
+  /**
+   * Open the connection, resuming after the last event received
+   */
+  open() {
+    const query = new URLSearchParams({ sessionId: this.sessionId, lastSeq: String(this.lastSeq) });
+    this.socket = new WebSocket(`${WS_BASE_URL}/agent/ws?${query}`);
+    this.socket.onmessage = (event) => {
+      try {
+        this.handleMessage(JSON.parse(event.data));
+      } catch (error) {
+        console.warn('Error handling WebSocket message:', error);
+      }
+    };
+    this.socket.onclose = (event) => this.handleClose(event);
+  }
+  
+  /**
+   * Handle a message from the server
+   * @param {Object} message - Parsed message
+   */
+  handleMessage(message) {
+    if (message.type === 'connected') {
+      this.connected = true;
+      this.attempts = 0;
+      if (message.missed > 0) {
+        console.warn(`${message.missed} events of session ${this.sessionId} were no longer kept by the server`);
+      }
+      this.outbox.splice(0).forEach(outgoing => this.socket.send(JSON.stringify(outgoing)));
+      return;
+    }
+    
+    if (message.type === 'reply') {
+      const waiter = this.replies.get(message.id);
+      if (waiter) {
+        this.replies.delete(message.id);
+        waiter.resolve(message);
+      }
+      return;
+    }
+    
+    if (message.seq) {
+      // Already received before a reconnect
+      if (message.seq <= this.lastSeq) {
+        return;
+      }
+      this.lastSeq = message.seq;
+    }
+    this.listeners.forEach(listener => listener(message));
+  }
+  
+  /**
+   * Reconnect after the connection drops, unless it was closed on purpose or the session is gone
+   * @param {CloseEvent} event - Close event
+   */
+  handleClose(event) {
+    this.connected = false;
+    // The server may or may not have handled messages it did not answer
+    this.replies.forEach(waiter => waiter.reject(new Error('Connection lost before the server replied')));
+    this.replies.clear();
+    
+    // 1000: closed normally (also when the session is deleted), 1008: session not found
+    if (this.closed || event.code === 1000 || event.code === 1008) {
+      this.close();
+      return;
+    }
+    
+    const delay = Math.min(RECONNECT_DELAY_MS * 2 ** this.attempts, MAX_RECONNECT_DELAY_MS);
+    this.attempts++;
+    this.reconnectTimer = setTimeout(() => this.open(), delay);
+  }
+  
+  /**
+   * Send a message and wait for the server's reply
+   * @param {string} type - Message type ("instruction", "cancel", "pause", "resume", "approve" or "hint")
+   * @param {Object} [fields] - Message fields
+   * @returns {Promise<Object>} - Reply ({ success, error, ... })
+   */
+  send(type, fields = {}) {
+    if (this.closed) {
+      return Promise.reject(new Error(`Connection to session ${this.sessionId} is closed`));
+    }
+    
+    const message = { ...fields, type, id: this.nextId++ };
+    return new Promise((resolve, reject) => {
+      this.replies.set(message.id, { resolve, reject });
+      if (this.connected) {
+        this.socket.send(JSON.stringify(message));
+      } else {
+        this.outbox.push(message);
+      }
+    });
+  }
+  
+  /**
+   * Listen to the session's events
+   * @param {Function} listener - Called with each event
+   * @returns {Function} - Stops listening
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+  
+  /**
+   * Close the connection for good
+   */
+  close() {
+    this.closed = true;
+    clearTimeout(this.reconnectTimer);
+    this.outbox.splice(0);
+    this.replies.forEach(waiter => waiter.reject(new Error(`Connection to session ${this.sessionId} is closed`)));
+    this.replies.clear();
+    if (this.socket.readyState === WebSocket.CONNECTING || this.socket.readyState === WebSocket.OPEN) {
+      this.socket.close(1000);
+    }
+    if (sockets.get(this.sessionId) === this) {
+      sockets.delete(this.sessionId);
+    }
+  }
+}
 
 export class AgentAPI {
   /**
@@ -88,24 +245,35 @@ export class AgentAPI {
       // Handle SSE
       const reader = response.body.getReader();
       const decoder = new TextDecoder();
+      // An event can be split across chunks, so only complete events (ended by a blank line) are parsed
+      let buffer = '';
+      
+      const handleEvent = (event) => {
+        const data = event
+          .split('\n')
+          .filter(line => line.startsWith('data: '))
+          .map(line => line.substring(6))
+          .join('\n');
+        if (!data) {
+          return;
+        }
+        
+        try {
+          onMessage(JSON.parse(data));
+        } catch (e) {
+          console.warn('Error parsing SSE message:', e);
+        }
+      };
       
       while (true) {
         const { done, value } = await reader.read();
-        if (done) break;
+        buffer += done ? decoder.decode() : decoder.decode(value, { stream: true });
         
-        const chunk = decoder.decode(value, { stream: true });
-        const lines = chunk.split('\n\n');
+        const events = buffer.split('\n\n');
+        buffer = done ? '' : events.pop();
+        events.forEach(handleEvent);
         
-        for (const line of lines) {
-          if (line.startsWith('data: ')) {
-            try {
-              const data = JSON.parse(line.substring(6));
-              onMessage(data);
-            } catch (e) {
-              console.warn('Error parsing SSE message:', e);
-            }
-          }
-        }
+        if (done) break;
       }
     } catch (error) {
       console.error('Error processing instruction stream:', error);
@@ -114,12 +282,71 @@ export class AgentAPI {
   }
   
   /**
-   * Get the current screenshot
+   * Get the WebSocket connection of a session, opening it on first use
+   * @param {string} sessionId - Session ID
+   * @returns {AgentSocket} - Connection
+   */
+  static connectSession(sessionId) {
+    if (!sockets.has(sessionId)) {
+      sockets.set(sessionId, new AgentSocket(sessionId));
+    }
+    return sockets.get(sessionId);
+  }
+  
+  /**
+   * Process a user instruction over the session's WebSocket
+   * Unlike processInstructionStream, a dropped connection does not lose the task: the socket reconnects
+   * and the events that were missed are replayed
+   * @param {string} instruction - User instruction
+   * @param {string} sessionId - Session ID
+   * @param {Function} onMessage - Callback for received messages
+   * @returns {Promise<void>} - Resolves when the task has ended
+   */
+  static async processInstructionSocket(instruction, sessionId, onMessage) {
+    const socket = this.connectSession(sessionId);
+    let unsubscribe = () => {};
+    
+    try {
+      await new Promise((resolve, reject) => {
+        // Events from before the instruction (replayed history) are not part of this task
+        let started = false;
+        unsubscribe = socket.subscribe(message => {
+          if (!started) {
+            return;
+          }
+          onMessage(message);
+          if (TASK_END_EVENTS.includes(message.type)) {
+            resolve();
+          } else if (message.type === 'sessionClosed') {
+            reject(new Error(`Session ${sessionId} was closed`));
+          }
+        });
+        
+        socket.send('instruction', { instruction })
+          .then(reply => {
+            if (!reply.success) {
+              throw new Error(reply.error);
+            }
+            started = true;
+          })
+          .catch(reject);
+      });
+    } catch (error) {
+      console.error('Error processing instruction over WebSocket:', error);
+      throw error;
+    } finally {
+      unsubscribe();
+    }
+  }
+  
+  /**
+   * Get the current screenshot of a session's browser
+   * @param {string} sessionId - Session ID
    * @returns {Promise<string>} - Screenshot URL
    */
-  static async getScreenshot() {
+  static async getScreenshot(sessionId) {
     try {
-      const response = await fetch(`${API_BASE_URL}/agent/screenshot`);
+      const response = await fetch(`${API_BASE_URL}/agent/screenshot?sessionId=${encodeURIComponent(sessionId)}`);
       
       if (!response.ok) {
         throw new Error(`Failed to get screenshot: ${response.status} ${response.statusText}`);
@@ -153,12 +380,145 @@ export class AgentAPI {
     }
   }
   
+  /**
+   * Send a task control action (cancel, pause or resume) to a session
+   * @param {string} sessionId - Session ID
+   * @param {string} action - "cancel", "pause" or "resume"
+   * @returns {Promise<Object>} - Task state after the action
+   */
+  static async controlTask(sessionId, action) {
+    try {
+      const response = await fetch(`${API_BASE_URL}/agent/session/${sessionId}/${action}`, {
+        method: 'POST'
+      });
+      const data = await response.json();
+      
+      if (!response.ok) {
+        throw new Error(data.error || `Failed to ${action} task: ${response.status} ${response.statusText}`);
+      }
+      
+      return data.task;
+    } catch (error) {
+      console.error(`Error sending ${action} to task:`, error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Cancel the task running in a session
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<Object>} - Task state
+   */
+  static async cancelTask(sessionId) {
+    return this.controlTask(sessionId, 'cancel');
+  }
+  
+  /**
+   * Pause the task running in a session
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<Object>} - Task state
+   */
+  static async pauseTask(sessionId) {
+    return this.controlTask(sessionId, 'pause');
+  }
+  
+  /**
+   * Resume a paused task
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<Object>} - Task state
+   */
+  static async resumeTask(sessionId) {
+    return this.controlTask(sessionId, 'resume');
+  }
+  
+  /**
+   * Approve, reject or edit a tool call waiting for approval
+   * @param {string} sessionId - Session ID
+   * @param {string} approvalId - Approval ID from the approvalRequired event
+   * @param {Object} decision - { decision: "approve" | "reject" | "edit", params, reason }
+   * @returns {Promise<Object>} - Result
+   */
+  static async resolveApproval(sessionId, approvalId, decision) {
+    try {
+      const response = await fetch(`${API_BASE_URL}/agent/session/${sessionId}/approvals/${approvalId}`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(decision)
+      });
+      const data = await response.json();
+      
+      if (!response.ok) {
+        throw new Error(data.error || `Failed to resolve approval: ${response.status} ${response.statusText}`);
+      }
+      
+      return data;
+    } catch (error) {
+      console.error('Error resolving approval:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Edit the plan of the running task
+   * @param {string} sessionId - Session ID
+   * @param {Array<Object>} steps - Steps in their new order ({ id, description } or { description } for new steps)
+   * @returns {Promise<Object>} - Result with the updated plan
+   */
+  static async updatePlan(sessionId, steps) {
+    try {
+      const response = await fetch(`${API_BASE_URL}/agent/session/${sessionId}/plan`, {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ steps })
+      });
+      const data = await response.json();
+      
+      if (!response.ok) {
+        throw new Error(data.error || `Failed to update plan: ${response.status} ${response.statusText}`);
+      }
+      
+      return data;
+    } catch (error) {
+      console.error('Error updating plan:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Confirm a plan waiting for review so the task starts
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<Object>} - Result with the plan
+   */
+  static async confirmPlan(sessionId) {
+    try {
+      const response = await fetch(`${API_BASE_URL}/agent/session/${sessionId}/plan/confirm`, {
+        method: 'POST'
+      });
+      const data = await response.json();
+      
+      if (!response.ok) {
+        throw new Error(data.error || `Failed to confirm plan: ${response.status} ${response.statusText}`);
+      }
+      
+      return data;
+    } catch (error) {
+      console.error('Error confirming plan:', error);
+      throw error;
+    }
+  }
+  
   /**
    * Clean up a session
    * @param {string} sessionId - Session ID
    * @returns {Promise<void>}
    */
   static async cleanupSession(sessionId) {
+    sockets.get(sessionId)?.close();
+    
     try {
       const response = await fetch(`${API_BASE_URL}/agent/session/${sessionId}`, {
         method: 'DELETE'
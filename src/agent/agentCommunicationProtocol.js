@@ -2,22 +2,170 @@
  * Agent Communication Protocol (ACP)
  * Handles communication between the user, agent, and tools
  * Implements a ReAct pattern for reasoning and action
+ *
+ * Supports two tool-calling modes:
+ * - "native": tools are sent as JSON schemas and the model replies with structured `tool_calls`
+ * - "react": tools are described in the prompt and parsed from "Action:" lines (for models without function calling)
  */
 
 import dotenv from 'dotenv';
+import { ToolRegistry } from './toolRegistry.js';
+import { ConversationMemory } from './conversationMemory.js';
+import { ContextManager } from './contextManager.js';
+import { ApprovalPolicy } from './approvalPolicy.js';
+import { ModelRouter, pickLLMSelection } from './modelRouter.js';
+import { UsageTracker } from './usageTracker.js';
+import { ReasoningParser, splitReasoning, joinReasoning } from './reasoningParser.js';
+import { TaskPlan, parsePlan } from './taskPlan.js';
+import { AnswerVerifier } from './answerVerifier.js';
+import { OutputSchema } from './outputSchema.js';
+import { LoopGuard } from './loopGuard.js';
+import { ToolError, ToolRetryPolicy, classifyToolError } from './toolErrors.js';
 
 dotenv.config();
 
+export const TOOL_CALLING_MODES = ['native', 'react'];
+
+export const APPROVAL_DECISIONS = ['approve', 'reject', 'edit'];
+
+/**
+ * Check whether a tool observation reports a failure
+ * @param {string} observation - Tool observation
+ * @returns {boolean} - True for error observations
+ */
+function isErrorObservation(observation) {
+  return typeof observation === 'string' && observation.startsWith('Error');
+}
+
+/**
+ * Copy history messages for a model request, without the tags the agent keeps on them (hint)
+ * Every request built from the message history goes through this
+ * @param {Array<Object>} messages - History messages
+ * @returns {Array<Object>} - Messages for the request
+ */
+function toRequestMessages(messages) {
+  return messages.map(({ hint, ...message }) => message);
+}
+
+/**
+ * Settle with a promise, or reject as soon as the signal aborts
+ * The underlying work is not stopped; its result is discarded
+ * @param {Promise} promise - Work to wait for
+ * @param {AbortSignal} [signal] - Cancellation signal
+ * @returns {Promise} - Result of the work
+ */
+function abortable(promise, signal) {
+  if (!signal) {
+    return promise;
+  }
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(new Error('Task cancelled'));
+    if (signal.aborted) {
+      onAbort();
+      return;
+    }
+
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise
+      .then(resolve, reject)
+      .finally(() => signal.removeEventListener('abort', onAbort));
+  });
+}
+
 export class AgentCommunicationProtocol {
-  constructor(fireworksClient, toolRegistry) {
-    if (!fireworksClient) {
-      throw new Error('FireworksClient is required for AgentCommunicationProtocol');
+  constructor(llmClient, toolRegistry, options = {}) {
+    if (!llmClient) {
+      throw new Error('An LLM client is required for AgentCommunicationProtocol');
     }
     
-    this.fireworksClient = fireworksClient;
-    this.toolRegistry = toolRegistry || {};
+    this.llmClient = llmClient;
+    this.toolRegistry = toolRegistry || new ToolRegistry();
+    this.toolCallingMode = options.toolCallingMode || process.env.TOOL_CALLING_MODE || 'native';
+    // Extra context passed to every tool handler alongside the session ID
+    this.toolContext = options.toolContext || {};
+
+    if (!TOOL_CALLING_MODES.includes(this.toolCallingMode)) {
+      throw new Error(`Unknown tool calling mode "${this.toolCallingMode}". Expected one of: ${TOOL_CALLING_MODES.join(', ')}`);
+    }
+
     this.messageHistory = [];
     this.sessionId = this.generateSessionId();
+    this.createdAt = new Date().toISOString();
+    // (agent) => void, persists the session; called between steps and when a task ends
+    this.persist = options.persist || null;
+    
+    // Previous turns of this session, replayed according to the memory policy
+    this.memory = new ConversationMemory({
+      ...options.memory,
+      summarize: (turns, previousSummary) => this.summarizeTurns(turns, previousSummary)
+    });
+    this.taskStartIndex = 0;
+    
+    // Keeps the prompt within the session's token budget
+    this.contextManager = new ContextManager(options.context);
+    
+    // Control state of the current (or last) task: cancellation and pause/resume
+    this.task = null;
+    
+    // Tool calls matching the approval policy wait for a human decision
+    this.approvalPolicy = new ApprovalPolicy(options.approval);
+    // Async (sessionId) => URL of the session's current page, for domain rules
+    this.getPageUrl = options.getPageUrl || null;
+    // Async (sessionId) => { url, title } of the session's current page, for answer verification
+    this.getPageInfo = options.getPageInfo || null;
+    this.pendingApprovals = new Map();
+    
+    // Events raised while a tool runs (e.g. approval requests), relayed by the streaming loop
+    this.taskEvents = [];
+    this.taskEventWaiter = null;
+    
+    // Provider and model for this session's completions; unset fields use the LLM client's defaults
+    this.llm = pickLLMSelection(options.llm);
+    // Provider, model and parameters for each phase of a task
+    this.modelRouter = new ModelRouter(options.routing);
+    
+    // Token usage and cost of every model call, with optional session spend limits
+    this.usageTracker = new UsageTracker(options.usage);
+    
+    // Optional planning phase: a numbered plan written before acting, optionally reviewed by the user
+    this.planning = {
+      enabled: options.planning?.enabled ?? process.env.PLANNING === 'true',
+      review: options.planning?.review ?? process.env.PLAN_REVIEW === 'true',
+      maxSteps: options.planning?.maxSteps || 8,
+      maxReplans: options.planning?.maxReplans ?? 2
+    };
+    
+    // Optional check of proposed final answers before they are returned
+    this.answerVerifier = new AnswerVerifier(options.verification);
+    
+    // Transient tool failures (missing elements, failed navigations) are retried before the model sees them
+    this.toolRetryPolicy = new ToolRetryPolicy(options.toolRetries);
+    
+    // Independent tool calls of one step run concurrently, up to this many at a time
+    this.toolConcurrency = options.toolConcurrency ?? parseInt(process.env.TOOL_CONCURRENCY ?? '4', 10);
+    if (!Number.isInteger(this.toolConcurrency) || this.toolConcurrency < 1) {
+      throw new Error('Tool concurrency must be a positive integer');
+    }
+
+    // Sub-agents run delegated subtasks with their own history, browser and turn budget
+    this.depth = options.depth ?? 0;
+    this.parentSessionId = options.parentSessionId || null;
+    // (options) => AgentCommunicationProtocol for a child session; delegation is unavailable without it
+    this.createSubAgent = options.createSubAgent || null;
+    // Async (sessionId) => void, frees what a finished child session holds (its browser)
+    this.releaseSubAgent = options.releaseSubAgent || null;
+    this.delegation = {
+      maxDepth: options.delegation?.maxDepth ?? parseInt(process.env.DELEGATION_MAX_DEPTH ?? '1', 10),
+      maxTurns: options.delegation?.maxTurns ?? parseInt(process.env.DELEGATION_MAX_TURNS ?? '10', 10)
+    };
+    if (!Number.isInteger(this.delegation.maxDepth) || this.delegation.maxDepth < 0) {
+      throw new Error('Delegation maxDepth must be a non-negative integer');
+    }
+    if (!Number.isInteger(this.delegation.maxTurns) || this.delegation.maxTurns < 1) {
+      throw new Error('Delegation maxTurns must be a positive integer');
+    }
+    this.subAgents = [];
   }
 
   /**
@@ -31,27 +179,138 @@ export class AgentCommunicationProtocol {
   /**
    * Process a user instruction and start the agent loop
    * @param {string} instruction - User instruction
-   * @returns {Promise<string>} - Final response
+   * @param {Object} options - Processing options
+   * @param {boolean} [options.newTask] - Forget previous turns and start a fresh task
+   * @param {Object} [options.llm] - Provider and model for this instruction only
+   * @param {Object} [options.output] - Structured result to return next to the answer ({ schema } or { template })
+   * @param {Object} [options.limits] - Loop limits for this instruction (see LoopGuard)
+   * @returns {Promise<string>} - Final response (the structured result is in getTaskInfo().result)
    */
-  async processUserInstruction(instruction) {
+  async processUserInstruction(instruction, { newTask = false, llm, output, limits } = {}) {
     if (!instruction || typeof instruction !== 'string') {
       throw new Error('Instruction must be a non-empty string');
     }
 
-    // Initialize conversation with system prompt and user instruction
+    const interrupted = this.getInterruptedTask();
+    this.beginTaskControl({ llm, output, limits });
+    try {
+      // An interrupted task that is not resumed keeps its turn in memory, like a cancelled one
+      if (interrupted) {
+        this.finishTask(interrupted.instruction, '');
+      }
+      await this.startTask(instruction, { newTask });
+
+      // Start the reasoning-action loop
+      let response = '';
+      try {
+        response = await this.continueConversation();
+        return response;
+      } finally {
+        this.finishTask(instruction, response);
+      }
+    } finally {
+      this.endTaskControl();
+    }
+  }
+
+  /**
+   * Initialize the conversation for a new instruction
+   * Previous turns are carried over according to the memory policy
+   * @param {string} instruction - User instruction
+   * @param {Object} options - Task options
+   * @param {boolean} [options.newTask] - Forget previous turns and start a fresh task
+   * @returns {Promise<void>}
+   */
+  async startTask(instruction, { newTask = false } = {}) {
+    if (newTask) {
+      this.resetConversation();
+    }
+
+    const context = await this.memory.buildContext();
+
     this.messageHistory = [
       {
         role: "system",
         content: this.getSystemPrompt()
       },
+      ...context,
       {
         role: "user",
         content: instruction
       }
     ];
+    this.taskStartIndex = this.messageHistory.length - 1;
+    this.task.instruction = instruction;
+  }
+
+  /**
+   * Record the messages of the current instruction in memory
+   * @param {string} instruction - User instruction
+   * @param {string} response - Final response (empty if the task was interrupted)
+   */
+  finishTask(instruction, response) {
+    const messages = this.messageHistory.slice(this.taskStartIndex);
+    
+    // An interrupted turn may end with tool calls that never got results; the API rejects
+    // unanswered tool calls, so drop them before the turn is replayed
+    const lastToolCallIndex = messages.findLastIndex(msg => msg.role === 'assistant' && msg.tool_calls);
+    if (lastToolCallIndex >= 0) {
+      const answered = messages.slice(lastToolCallIndex + 1).filter(msg => msg.role === 'tool').length;
+      if (answered < messages[lastToolCallIndex].tool_calls.length) {
+        messages.splice(lastToolCallIndex);
+      }
+    }
+    
+    this.memory.addTurn({
+      instruction,
+      messages,
+      response
+    });
+  }
+
+  /**
+   * Forget previous turns so the next instruction starts a fresh task
+   */
+  resetConversation() {
+    this.memory.clear();
+    this.messageHistory = [];
+    this.taskStartIndex = 0;
+  }
+
+  /**
+   * Summarize previous turns for the "summary" memory policy
+   * @param {Array<Object>} turns - Turns to summarize
+   * @param {string} previousSummary - Summary of even earlier turns
+   * @returns {Promise<string>} - Updated summary
+   */
+  async summarizeTurns(turns, previousSummary) {
+    const transcript = turns
+      .map(turn => {
+        const tools = turn.messages
+          .flatMap(msg => msg.tool_calls ? msg.tool_calls.map(call => call.function?.name) : [])
+          .filter(Boolean);
+        return `User: ${turn.instruction}\n` +
+          (tools.length > 0 ? `Tools used: ${tools.join(', ')}\n` : '') +
+          `Agent: ${(turn.response || '(no answer)').slice(0, 2000)}`;
+      })
+      .join('\n\n');
+
+    const request = {
+      ...this.getCompletionOptions('summarizer'),
+      messages: [
+        {
+          role: "user",
+          content: `Update the summary of a conversation between a user and a web agent. Keep facts, URLs, ` +
+            `results and open questions the agent may need for follow-up instructions. Reply with the summary only.\n\n` +
+            `Current summary:\n${previousSummary || '(none)'}\n\nNew turns:\n${transcript}`
+        }
+      ]
+    };
+    const response = await this.llmClient.createChatCompletion(request);
+    const summary = response.choices?.[0]?.message?.content?.trim() || '';
+    this.recordUsage('summarizer', request, { model: response.model, usage: response.usage, content: summary, step: 0 });
 
-    // Start the reasoning-action loop
-    return this.continueConversation();
+    return summary;
   }
 
   /**
@@ -59,14 +318,17 @@ export class AgentCommunicationProtocol {
    * @returns {string} - System prompt
    */
   getSystemPrompt() {
-    // Define available tools in the format expected by the model
-    const toolDescriptions = Object.entries(this.toolRegistry)
-      .map(([name, tool]) => {
-        // Extract function documentation if available
-        const docs = tool.toString().match(/\/\*\*([\s\S]*?)\*\//)?.[1] || '';
-        return `Tool: ${name}\nDescription: ${docs.replace(/\*/g, '').trim()}`;
-      })
-      .join('\n\n');
+    if (this.toolCallingMode === 'native') {
+      return `You are IntelliBrowse, an autonomous web agent. You perform web tasks by breaking them into steps.
+Reason about what to do, call the available tools, and observe their results before deciding on the next step.
+
+Call tools using the function-calling interface; never write tool calls as plain text.
+When several calls do not depend on each other's results (e.g. reading several documents), make them in the same step.
+When you have completed the task, respond without calling a tool and give a clear summary of what you found or accomplished.`;
+    }
+
+    // Describe available tools from their registered schemas
+    const toolDescriptions = this.toolRegistry.describeTools();
 
     return `You are IntelliBrowse, an autonomous web agent. You perform web tasks by breaking them into steps.
 Follow the ReAct pattern: Reason about what to do, take Actions, observe the results.
@@ -79,6 +341,9 @@ Observation: [Result of the action will appear here]
 Thought: I now know the final answer
 Answer: [Final answer to the user's instruction]
 
+When several actions do not depend on each other's results (e.g. reading several documents), write one
+Action line for each in the same step; their Observations follow in the same order.
+
 Available Tools:
 ${toolDescriptions}
 
@@ -86,233 +351,2075 @@ Always think through your approach before taking actions. Be thorough in your re
 When you have completed the task, respond with a clear summary of what you found or accomplished.`;
   }
 
+  /**
+   * Build the tool definitions sent to the model in native mode
+   * @returns {Array<Object>} - OpenAI-compatible tool definitions
+   */
+  getToolDefinitions() {
+    return this.toolRegistry.getToolDefinitions(name => this.toFunctionName(name));
+  }
+
+  /**
+   * Convert a registry tool name to a function name accepted by the API
+   * Function names may only contain letters, digits, underscores and dashes
+   * @param {string} toolName - Registry tool name (e.g. "browser.open")
+   * @returns {string} - Function name (e.g. "browser_open")
+   */
+  toFunctionName(toolName) {
+    return toolName.replace(/[^a-zA-Z0-9_-]/g, '_');
+  }
+
+  /**
+   * Resolve a function name returned by the model back to a registry tool name
+   * @param {string} functionName - Function name from a tool call
+   * @returns {string} - Registry tool name (or the input if no tool matches)
+   */
+  fromFunctionName(functionName) {
+    if (this.toolRegistry.has(functionName)) {
+      return functionName;
+    }
+
+    return this.toolRegistry.names()
+      .find(name => this.toFunctionName(name) === functionName) || functionName;
+  }
+
+  /**
+   * Decide which model role takes the next step of the current task
+   * The first step and the step after a failed tool call are planning; everything else is routine
+   * @returns {string} - "planner" or "actor"
+   */
+  getStepRole() {
+    const taskMessages = this.messageHistory.slice(this.taskStartIndex);
+    if (!taskMessages.some(msg => msg.role === 'assistant')) {
+      // With an explicit plan, the planning is already done
+      return this.task?.plan ? 'actor' : 'planner';
+    }
+
+    // Hints from the user do not change whose turn it is: the step follows the message before them
+    const lastMessage = taskMessages.filter(msg => !msg.hint).pop();
+    if (lastMessage.role === 'user' && !this.contextManager.isObservation(lastMessage)) {
+      // Feedback from a failed answer verification: the approach needs rethinking
+      return 'planner';
+    }
+    const lastObservation = this.contextManager.isObservation(lastMessage)
+      ? lastMessage.content.replace(/^Observation: /, '')
+      : '';
+
+    return isErrorObservation(lastObservation) ? 'planner' : 'actor';
+  }
+
+  /**
+   * Build the chat completion request for the next turn
+   * @param {string} [role] - Model role taking the step (defaults to getStepRole())
+   * @returns {Object} - Chat completion options
+   */
+  buildCompletionRequest(role = this.getStepRole()) {
+    const request = {
+      ...this.getCompletionOptions(role),
+      messages: this.addTaskContextToPrompt(this.messageHistory)
+    };
+
+    if (this.toolCallingMode === 'native') {
+      request.tools = this.getToolDefinitions();
+      request.tool_choice = 'auto';
+    } else {
+      request.stop = ["Observation:"];
+    }
+
+    return request;
+  }
+
   /**
    * Continue the conversation loop
    * @returns {Promise<string>} - Result of the conversation
    */
-  async continueConversation(maxTurns = 15) {
-    let turns = 0;
+  async continueConversation() {
+    // A resumed task continues counting from its last completed step
+    let turns = this.task.step;
     let finalResponse = null;
 
-    while (!finalResponse && turns < maxTurns) {
+    try {
+      await this.createPlan();
+    } catch (error) {
+      if (!this.isTaskCancelled()) {
+        throw error;
+      }
+    }
+
+    while (!finalResponse) {
+      this.saveCheckpoint();
+      if (await this.checkpoint()) {
+        break;
+      }
+      if (this.checkUsageLimits()) {
+        finalResponse = this.task.limitReached.message;
+        break;
+      }
+      if (this.checkLoopLimits(turns)) {
+        break;
+      }
+      this.applyUserHints();
+      await this.advancePlan();
       turns++;
+      this.task.step = turns;
       
       // Generate model response
-      const response = await this.fireworksClient.createChatCompletion({
-        model: "accounts/fireworks/models/deepseek-r1",
-        messages: this.messageHistory,
-        max_tokens: 4096,
-        temperature: 0.2,
-        reasoning_effort: "high",
-        stop: ["Observation:"]
-      });
+      this.ensureContextBudget();
+      const stepRole = this.getStepRole();
+      const request = this.buildCompletionRequest(stepRole);
+      let response;
+      try {
+        response = await this.llmClient.createChatCompletion({
+          ...request,
+          signal: this.getTaskSignal()
+        });
+      } catch (error) {
+        if (this.isTaskCancelled()) {
+          break;
+        }
+        throw error;
+      }
 
-      const modelResponse = response.choices[0].message.content;
+      const message = response.choices[0].message;
+      // Only the visible answer is parsed for actions; reasoning never triggers a tool call
+      const { reasoning, content: modelResponse } = this.splitModelOutput(message);
+      this.recordUsage(stepRole, request, { model: response.model, usage: response.usage, content: reasoning + modelResponse });
+      this.notePlanReply(modelResponse);
       
       // Add assistant response to history
-      this.messageHistory.push({
-        role: "assistant",
-        content: modelResponse
-      });
+      this.messageHistory.push(this.buildAssistantMessage(modelResponse, message.tool_calls, reasoning));
       
       // Check for tool calls in model response
-      const toolCall = this.parseToolCall(modelResponse);
+      const toolCalls = this.extractToolCalls(modelResponse, message.tool_calls);
       
-      if (toolCall) {
-        // Execute the tool and get observation
-        const observation = await this.executeToolCall(toolCall);
+      if (toolCalls.length > 0) {
+        if (await this.checkpoint()) {
+          break;
+        }
         
-        // Add observation to history
-        this.messageHistory.push({
-          role: "user",
-          content: `Observation: ${observation}`
-        });
+        // Execute the tools (independent calls concurrently) and add the observations in call order
+        const results = await this.executeToolCalls(toolCalls);
+        for (const { toolCall, observation } of results) {
+          this.messageHistory.push(this.buildObservationMessage(toolCall, observation));
+          this.notePlanObservation(observation);
+        }
+        if (this.task.stopReason || await this.checkPageChange()) {
+          break;
+        }
       } else {
-        // If no tool call, this is the final response
-        finalResponse = modelResponse;
+        // If no tool call, this is the proposed final response
+        if (await this.rejectAnswer(modelResponse)) {
+          continue;
+        }
+        this.completePlanStep();
+        finalResponse = await this.structureAnswer(await this.composeFinalAnswer(modelResponse, stepRole));
+        this.task.stopReason = { reason: 'answer' };
       }
     }
 
-    // If we hit max turns, return the last assistant message
-    if (!finalResponse) {
-      const lastAssistantMessage = this.messageHistory
-        .filter(msg => msg.role === 'assistant')
-        .pop();
-      
-      finalResponse = lastAssistantMessage ? 
-        lastAssistantMessage.content + "\n\n[Note: Maximum conversation turns reached]" : 
-        "Maximum conversation turns reached without a final answer.";
+    if (this.isTaskCancelled()) {
+      return 'Task cancelled.';
     }
 
-    return finalResponse;
+    return finalResponse || this.buildStoppedResponse();
   }
 
   /**
-   * Process a stream of messages from the model
-   * @returns {AsyncGenerator} - Generator yielding responses
+   * Build the response of a task that a limit stopped before an answer: the last assistant message
+   * with the reason
+   * @returns {string} - Response
    */
-  async *processInstructionStream(instruction) {
-    if (!instruction || typeof instruction !== 'string') {
-      throw new Error('Instruction must be a non-empty string');
+  buildStoppedResponse() {
+    const lastAssistantMessage = this.messageHistory
+      .slice(this.taskStartIndex)
+      .filter(msg => msg.role === 'assistant' && msg.content)
+      .pop();
+    const { message } = this.task.stopReason;
+
+    return lastAssistantMessage ?
+      `${splitReasoning(lastAssistantMessage.content).content}\n\n[Note: ${message}]` :
+      message;
+  }
+
+  /**
+   * Have the answer model write the final answer when it differs from the model that finished the task
+   * If the call fails, the draft is kept as the final answer
+   * @param {string} draft - Reply of the step that ended the loop
+   * @param {string} stepRole - Role of that step
+   * @returns {Promise<string>} - Final answer
+   */
+  async composeFinalAnswer(draft, stepRole) {
+    const answerSelection = this.getLLMSelection('answer');
+    const stepSelection = this.getLLMSelection(stepRole);
+    if (answerSelection.provider === stepSelection.provider && answerSelection.model === stepSelection.model) {
+      return draft;
     }
 
-    // Initialize conversation with system prompt and user instruction
-    this.messageHistory = [
-      {
-        role: "system",
-        content: this.getSystemPrompt()
-      },
-      {
-        role: "user",
-        content: instruction
+    try {
+      const request = {
+        ...this.getCompletionOptions('answer'),
+        messages: [
+          ...this.addTaskContextToPrompt(this.messageHistory.slice(0, -1)),
+          {
+            role: "user",
+            content: "All steps are done. Write the final answer to my instruction based on the results above. Do not call any more tools."
+          }
+        ]
+      };
+      const response = await this.llmClient.createChatCompletion({
+        ...request,
+        signal: this.getTaskSignal()
+      });
+
+      const message = response.choices?.[0]?.message || {};
+      const { reasoning, content: answer } = this.splitModelOutput(message);
+      this.recordUsage('answer', request, { model: response.model, usage: response.usage, content: reasoning + answer });
+      if (!answer) {
+        return draft;
       }
-    ];
 
-    // Maximum number of turns to prevent infinite loops
-    const maxTurns = 15;
-    let turns = 0;
+      this.messageHistory[this.messageHistory.length - 1] = this.buildAssistantMessage(answer, null, reasoning);
+      return answer;
+    } catch (error) {
+      if (!this.isTaskCancelled()) {
+        console.error('Error writing the final answer, keeping the draft:', error);
+      }
+      return draft;
+    }
+  }
 
-    while (turns < maxTurns) {
-      turns++;
-      
-      // Collect the assistant's full response
-      let assistantResponse = '';
-      
-      // Stream the model's response
-      for await (const chunk of this.fireworksClient.createChatCompletionStream({
-        model: "accounts/fireworks/models/deepseek-r1",
-        messages: this.messageHistory,
-        max_tokens: 4096,
-        temperature: 0.2,
-        reasoning_effort: "high",
-        stop: ["Observation:"]
-      })) {
-        if (chunk.choices && chunk.choices[0].delta && chunk.choices[0].delta.content) {
-          const content = chunk.choices[0].delta.content;
-          assistantResponse += content;
-          yield {
-            type: 'assistant',
-            content
-          };
+  /**
+   * Extract the structured result the caller asked for from the final answer
+   * A result that does not match the schema is sent back to the answer model for correction
+   * @param {string} answer - Final answer
+   * @returns {Promise<string>} - Prose part of the answer (the result is kept in the task)
+   */
+  async structureAnswer(answer) {
+    const output = this.task?.output;
+    if (!output) {
+      return answer;
+    }
+
+    const first = output.parse(answer);
+    let parsed = first;
+    for (let retry = 0; !parsed.success && retry < output.maxRetries && !this.isTaskCancelled(); retry++) {
+      parsed = output.parse(await this.requestResultCorrection(parsed.error));
+    }
+
+    if (!parsed.success) {
+      this.task.resultError = `The final answer has no valid result: ${parsed.error}`;
+      return answer;
+    }
+
+    this.task.result = parsed.result;
+    return first.prose || answer;
+  }
+
+  /**
+   * Ask the answer model to correct a result that did not match the requested schema
+   * @param {string} error - Why the last result was rejected
+   * @returns {Promise<string>} - Corrected reply (empty if the call failed)
+   */
+  async requestResultCorrection(error) {
+    const request = {
+      ...this.getCompletionOptions('answer'),
+      messages: [
+        ...toRequestMessages(this.messageHistory),
+        {
+          role: "user",
+          content: this.task.output.buildCorrection(error)
         }
-      }
-      
-      // Add assistant response to history
-      this.messageHistory.push({
-        role: "assistant",
-        content: assistantResponse
+      ]
+    };
+
+    try {
+      const response = await this.llmClient.createChatCompletion({
+        ...request,
+        signal: this.getTaskSignal()
       });
-      
-      // Check for tool calls in assistant response
-      const toolCall = this.parseToolCall(assistantResponse);
-      
-      if (toolCall) {
-        try {
-          // Execute the tool
-          yield {
-            type: 'toolCall',
-            tool: toolCall.toolName,
-            params: toolCall.params
-          };
-          
-          const observation = await this.executeToolCall(toolCall);
-          
-          // Add observation to history
-          this.messageHistory.push({
-            role: "user",
-            content: `Observation: ${observation}`
-          });
-          
-          yield {
-            type: 'observation',
-            content: observation
-          };
-        } catch (error) {
-          // Handle tool execution error
-          const errorMsg = `Error executing tool ${toolCall.toolName}: ${error.message}`;
-          
-          this.messageHistory.push({
-            role: "user",
-            content: `Observation: ${errorMsg}`
-          });
-          
-          yield {
-            type: 'error',
-            content: errorMsg
-          };
-        }
-      } else {
-        // If no tool call, this is the final response
-        yield {
-          type: 'complete',
-          content: assistantResponse
-        };
-        break;
+      const { reasoning, content } = this.splitModelOutput(response.choices?.[0]?.message || {});
+      this.recordUsage('answer', request, { model: response.model, usage: response.usage, content: reasoning + content });
+      return content;
+    } catch (correctionError) {
+      if (!this.isTaskCancelled()) {
+        console.error('Error correcting the structured result:', correctionError);
       }
+      return '';
     }
+  }
 
-    if (turns >= maxTurns) {
-      yield {
-        type: 'error',
-        content: 'Maximum conversation turns reached.'
-      };
+  /**
+   * Build the complete event of a streamed task, with the verdict and result when they were requested
+   * @param {string} content - Final response
+   * @returns {Object} - Complete event
+   */
+  buildCompleteEvent(content) {
+    return {
+      type: 'complete',
+      content,
+      ...(this.task.verification && { verification: this.task.verification }),
+      ...(this.task.output && { result: this.task.result, resultError: this.task.resultError }),
+      stopReason: this.task.stopReason
+    };
+  }
+
+  /**
+   * Verify a proposed final answer and send the agent back to work if the instruction is not complete
+   * @param {string} answer - Proposed final answer
+   * @returns {Promise<boolean>} - True if the agent should continue instead of answering
+   */
+  async rejectAnswer(answer) {
+    if (!this.answerVerifier.config.enabled) {
+      return false;
     }
+
+    this.task.verifiedAnswers++;
+    const { retry, ...verification } = this.answerVerifier.judge(await this.requestVerdict(answer), this.task.verifiedAnswers);
+    this.task.verification = verification;
+    this.emitTaskEvent({
+      type: 'verification',
+      verification
+    });
+
+    if (!retry || this.isTaskCancelled()) {
+      return false;
+    }
+
+    this.messageHistory.push({
+      role: "user",
+      content: this.answerVerifier.buildFeedback(verification)
+    });
+    return true;
   }
 
   /**
-   * Parse a tool call from the model's response
-   * @param {string} response - Model response text
-   * @returns {Object|null} - Parsed tool call or null
+   * Ask the verifier model whether a proposed answer completes the instruction
+   * The verifier sees the instruction, the answer, the current page and the latest tool results
+   * @param {string} answer - Proposed final answer
+   * @returns {Promise<Object|null>} - Verdict, or null if none could be obtained
    */
-  parseToolCall(response) {
-    // Extract tool call from response text using regex
-    // Format: "Action: tool_name(param1="value1", param2="value2")"
-    const actionMatch = response.match(/Action:\s*(\w+(\.\w+)?)\(([^)]*)\)/);
-    if (!actionMatch) return null;
-    
-    const toolName = actionMatch[1];
-    const paramsString = actionMatch[3];
-    
-    // Parse parameters
-    const params = {};
-    // Use regex to handle nested quotes properly
-    const paramMatches = paramsString.matchAll(/(\w+)="((?:[^"\\]|\\.)*)"/g);
-    for (const match of paramMatches) {
-      // Unescape any escaped quotes in the parameter values
-      params[match[1]] = match[2].replace(/\\"/g, '"');
+  async requestVerdict(answer) {
+    const taskMessages = this.messageHistory.slice(this.taskStartIndex);
+    const observations = taskMessages
+      .filter(msg => this.contextManager.isObservation(msg))
+      .slice(-3)
+      .map(msg => msg.content.replace(/^Observation: /, ''));
+    const page = this.getPageInfo
+      ? await this.getPageInfo(this.sessionId).catch(() => null)
+      : null;
+
+    const request = {
+      ...this.getCompletionOptions('verifier'),
+      messages: this.answerVerifier.buildMessages({
+        instruction: taskMessages[0].content,
+        answer,
+        page,
+        observations
+      })
+    };
+
+    try {
+      const response = await this.llmClient.createChatCompletion({
+        ...request,
+        signal: this.getTaskSignal()
+      });
+      const { reasoning, content } = this.splitModelOutput(response.choices?.[0]?.message || {});
+      this.recordUsage('verifier', request, { model: response.model, usage: response.usage, content: reasoning + content });
+
+      return this.answerVerifier.parseVerdict(content);
+    } catch (error) {
+      if (!this.isTaskCancelled()) {
+        console.error('Error verifying the answer, accepting it unverified:', error);
+      }
+      return null;
     }
-    
-    return { toolName, params };
   }
 
   /**
-   * Execute a tool call and return the observation
-   * @param {Object} toolCall - Tool call object
-   * @returns {Promise<string>} - Tool execution result
+   * Process a stream of messages from the model
+   * @param {string} instruction - User instruction
+   * @param {Object} options - Processing options
+   * @param {boolean} [options.newTask] - Forget previous turns and start a fresh task
+   * @param {Object} [options.llm] - Provider and model for this instruction only
+   * @param {Object} [options.output] - Structured result to return in the complete event ({ schema } or { template })
+   * @param {Object} [options.limits] - Loop limits for this instruction (see LoopGuard)
+   * @returns {AsyncGenerator} - Generator yielding responses
    */
-  async executeToolCall({ toolName, params }) {
-    // Look up the tool in the registry
-    const tool = this.toolRegistry[toolName];
-    if (!tool) {
-      return `Error: Tool "${toolName}" not found. Available tools are: ${Object.keys(this.toolRegistry).join(', ')}`;
+  async *processInstructionStream(instruction, { newTask = false, llm, output, limits } = {}) {
+    if (!instruction || typeof instruction !== 'string') {
+      throw new Error('Instruction must be a non-empty string');
     }
-    
+
+    const interrupted = this.getInterruptedTask();
+    this.beginTaskControl({ llm, output, limits });
     try {
-      // Execute the tool with parameters
-      const result = await tool(params);
-      return typeof result === 'object' ? JSON.stringify(result) : String(result);
-    } catch (error) {
-      console.error(`Error executing tool ${toolName}:`, error);
-      return `Error executing tool ${toolName}: ${error.message}`;
+      // An interrupted task that is not resumed keeps its turn in memory, like a cancelled one
+      if (interrupted) {
+        this.finishTask(interrupted.instruction, '');
+      }
+      await this.startTask(instruction, { newTask });
+
+      try {
+        yield* this.runInstructionStream();
+      } finally {
+        // Also runs when the consumer stops early, so interrupted turns stay in memory
+        this.finishStreamedTask(instruction);
+      }
+    } finally {
+      this.endTaskControl();
     }
   }
 
   /**
-   * Get the current conversation history
-   * @returns {Array} - Message history
+   * Record a streamed task in memory, with its last reply as the response if it ended on an answer
+   * @param {string} instruction - User instruction
    */
-  getMessageHistory() {
-    return [...this.messageHistory];
+  finishStreamedTask(instruction) {
+    const lastAssistantMessage = this.messageHistory
+      .slice(this.taskStartIndex)
+      .filter(msg => msg.role === 'assistant')
+      .pop();
+    this.finishTask(instruction, lastAssistantMessage && !lastAssistantMessage.tool_calls ? splitReasoning(lastAssistantMessage.content).content : '');
+  }
+
+  /**
+   * Run the streaming reasoning-action loop for the current task
+   * @returns {AsyncGenerator} - Generator yielding responses
+   */
+  async *runInstructionStream() {
+    let turns = this.task.step;
+
+    try {
+      yield* this.relayTaskEvents(this.createPlan());
+    } catch (error) {
+      if (!this.isTaskCancelled()) {
+        throw error;
+      }
+      yield* this.streamCheckpoint();
+      return;
+    }
+
+    while (true) {
+      this.saveCheckpoint();
+      if (yield* this.streamCheckpoint()) {
+        return;
+      }
+      if (this.checkUsageLimits()) {
+        yield* this.flushTaskEvents();
+        yield this.buildCompleteEvent(this.task.limitReached.message);
+        return;
+      }
+      if (this.checkLoopLimits(turns)) {
+        yield* this.flushTaskEvents();
+        yield this.buildCompleteEvent(this.buildStoppedResponse());
+        return;
+      }
+      this.applyUserHints();
+      yield* this.relayTaskEvents(this.advancePlan());
+      turns++;
+      this.task.step = turns;
+      
+      // Collect the assistant's full response, with its reasoning kept apart
+      let assistantResponse = '';
+      let assistantReasoning = '';
+      // Same handling as splitReasoning: the template may have opened the <think> block in the prompt
+      const reasoningParser = new ReasoningParser({ awaitFirstTag: true });
+      const toStreamEvent = (segment) => {
+        if (segment.type === 'reasoning') {
+          assistantReasoning += segment.text;
+          return { type: 'reasoning', content: segment.text };
+        }
+        assistantResponse += segment.text;
+        return { type: 'assistant', content: segment.text };
+      };
+      const toolCallDeltas = [];
+      let usage = null;
+      let model = null;
+      
+      // Stream the model's response
+      this.ensureContextBudget();
+      const stepRole = this.getStepRole();
+      const request = this.buildCompletionRequest(stepRole);
+      try {
+        for await (const chunk of this.llmClient.createChatCompletionStream({
+          ...request,
+          signal: this.getTaskSignal()
+        })) {
+          // Usage usually arrives with the last chunk, which may have no choices
+          usage = chunk.usage || usage;
+          model = chunk.model || model;
+          
+          const delta = chunk.choices?.[0]?.delta;
+          if (!delta) {
+            continue;
+          }
+
+          // Some servers return reasoning in a separate field instead of <think> tags
+          if (delta.reasoning_content) {
+            assistantReasoning += delta.reasoning_content;
+            yield {
+              type: 'reasoning',
+              content: delta.reasoning_content
+            };
+          }
+
+          if (delta.content) {
+            for (const segment of reasoningParser.push(delta.content)) {
+              yield toStreamEvent(segment);
+            }
+          }
+
+          if (delta.tool_calls) {
+            this.mergeToolCallDeltas(toolCallDeltas, delta.tool_calls);
+          }
+        }
+
+        for (const segment of reasoningParser.flush()) {
+          yield toStreamEvent(segment);
+        }
+      } catch (error) {
+        if (this.isTaskCancelled()) {
+          yield* this.streamCheckpoint();
+          return;
+        }
+        throw error;
+      }
+      
+      if (assistantReasoning) {
+        assistantResponse = assistantResponse.trim();
+      }
+      
+      this.recordUsage(stepRole, request, { model, usage, content: assistantReasoning + assistantResponse });
+      this.notePlanReply(assistantResponse);
+      yield* this.flushTaskEvents();
+      
+      const nativeToolCalls = toolCallDeltas.filter(Boolean);
+
+      // Add assistant response to history
+      this.messageHistory.push(this.buildAssistantMessage(assistantResponse, nativeToolCalls, assistantReasoning));
+      
+      // Check for tool calls in assistant response
+      const toolCalls = this.extractToolCalls(assistantResponse, nativeToolCalls);
+      
+      if (toolCalls.length > 0) {
+        if (yield* this.streamCheckpoint()) {
+          return;
+        }
+        
+        // Each call is streamed as a toolCall/observation pair while it runs
+        const results = yield* this.relayTaskEvents(this.executeToolCalls(toolCalls));
+        for (const { toolCall, observation } of results) {
+          this.messageHistory.push(this.buildObservationMessage(toolCall, observation));
+          this.notePlanObservation(observation);
+        }
+        yield* this.flushTaskEvents();
+        if (this.task.stopReason || (yield* this.relayTaskEvents(this.checkPageChange()))) {
+          yield* this.flushTaskEvents();
+          yield this.buildCompleteEvent(this.buildStoppedResponse());
+          return;
+        }
+      } else {
+        // If no tool call, this is the proposed final response
+        if (yield* this.relayTaskEvents(this.rejectAnswer(assistantResponse))) {
+          continue;
+        }
+        this.completePlanStep();
+        const finalResponse = await this.structureAnswer(await this.composeFinalAnswer(assistantResponse, stepRole));
+        yield* this.flushTaskEvents();
+        if (yield* this.streamCheckpoint()) {
+          return;
+        }
+        this.task.stopReason = { reason: 'answer' };
+        yield this.buildCompleteEvent(finalResponse);
+        return;
+      }
+    }
+  }
+
+  /**
+   * Start tracking a new task so it can be cancelled, paused and resumed
+   * @param {Object} [options] - Task options
+   * @param {Object} [options.llm] - Provider and model overriding the session's for this task
+   * @param {Object} [options.output] - Structured result to return next to the answer
+   * @param {Object} [options.limits] - Loop limits for this task
+   * @throws {Error} If the session is already running a task
+   */
+  beginTaskControl({ llm, output, limits } = {}) {
+    if (this.isTaskActive()) {
+      throw new Error(`Session ${this.sessionId} is already running a task`);
+    }
+    const outputSchema = output ? new OutputSchema(output) : null;
+    const loopGuard = new LoopGuard(limits || {});
+
+    this.task = {
+      status: 'running',
+      startedAt: new Date().toISOString(),
+      endedAt: null,
+      controller: new AbortController(),
+      resumeWaiters: [],
+      llm: pickLLMSelection(llm),
+      step: 0,
+      limitReached: null,
+      plan: null,
+      planReview: null,
+      planVersionEmitted: 0,
+      verification: null,
+      verifiedAnswers: 0,
+      output: outputSchema,
+      outputRequest: output || null,
+      limits: limits || null,
+      result: null,
+      resultError: null,
+      loopGuard,
+      stopReason: null,
+      // Hints the user sent while the task runs, added to the conversation before the next step
+      hints: []
+    };
+    this.taskEvents = [];
+    this.usageTracker.startTask();
+  }
+
+  /**
+   * Mark the current task as ended
+   */
+  endTaskControl() {
+    if (!this.task) {
+      return;
+    }
+
+    this.task.status = this.isTaskCancelled() ? 'cancelled' : 'finished';
+    if (this.isTaskCancelled()) {
+      this.task.stopReason = { reason: 'cancelled', message: 'Task cancelled.' };
+    }
+    this.task.endedAt = new Date().toISOString();
+    this.releaseResumeWaiters();
+    this.pendingApprovals.clear();
+    this.saveCheckpoint();
+  }
+
+  /**
+   * Wait while the task is paused
+   * Called between steps, so a pause takes effect once the current model call or tool finishes
+   * @returns {Promise<boolean>} - True if the task was cancelled
+   */
+  async checkpoint() {
+    if (!this.task) {
+      return false;
+    }
+
+    while (this.task.status === 'paused') {
+      await new Promise(resolve => this.task.resumeWaiters.push(resolve));
+    }
+
+    return this.isTaskCancelled();
+  }
+
+  /**
+   * Streaming variant of checkpoint() that reports pauses and cancellation as events
+   * @returns {AsyncGenerator} - Generator yielding control events; returns true if the task was cancelled
+   */
+  async *streamCheckpoint() {
+    if (this.task?.status === 'paused') {
+      yield {
+        type: 'paused'
+      };
+
+      if (!(await this.checkpoint())) {
+        yield {
+          type: 'resumed'
+        };
+      }
+    }
+
+    if (this.isTaskCancelled()) {
+      yield {
+        type: 'cancelled',
+        content: 'Task cancelled.'
+      };
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Cancel the running task
+   * Aborts the in-flight model request and signals the in-flight tool call to stop; the task ends once
+   * the call has settled
+   * @returns {boolean} - False if no task is running
+   */
+  cancelTask() {
+    if (!this.isTaskActive() || this.isTaskCancelled()) {
+      return false;
+    }
+
+    this.task.controller.abort();
+    this.task.status = 'running';
+    this.releaseResumeWaiters();
+    this.pendingApprovals.clear();
+    return true;
+  }
+
+  /**
+   * Give the running task a hint from the user, e.g. to correct its course
+   * The hint is added to the conversation before the next step, so the current step finishes first
+   * @param {string} text - Hint
+   * @returns {boolean} - False if no task is running
+   */
+  addUserHint(text) {
+    if (!this.isTaskActive() || this.isTaskCancelled()) {
+      return false;
+    }
+
+    this.task.hints.push(text);
+    return true;
+  }
+
+  /**
+   * Add the hints the user sent since the last step to the conversation
+   */
+  applyUserHints() {
+    while (this.task.hints.length > 0) {
+      const hint = this.task.hints.shift();
+      this.messageHistory.push({
+        role: "user",
+        content: `Hint from the user while you work on the task: ${hint}`,
+        hint: true
+      });
+      this.emitTaskEvent({
+        type: 'userHint',
+        content: hint
+      });
+    }
+  }
+
+  /**
+   * Pause the running task before its next step
+   * @returns {boolean} - False if no task is running or it is already paused
+   */
+  pauseTask() {
+    if (!this.isTaskActive() || this.task.status === 'paused' || this.isTaskCancelled()) {
+      return false;
+    }
+
+    this.task.status = 'paused';
+    this.getRunningSubAgents().forEach(child => child.pauseTask());
+    return true;
+  }
+
+  /**
+   * Resume a paused task with the same history
+   * @returns {boolean} - False if the task is not paused
+   */
+  resumeTask() {
+    if (!this.isTaskActive() || this.task.status !== 'paused') {
+      return false;
+    }
+
+    this.task.status = 'running';
+    this.releaseResumeWaiters();
+    this.getRunningSubAgents().forEach(child => child.resumeTask());
+    return true;
+  }
+
+  /**
+   * Wake up a loop waiting in checkpoint()
+   */
+  releaseResumeWaiters() {
+    const waiters = this.task.resumeWaiters.splice(0);
+    waiters.forEach(resolve => resolve());
+  }
+
+  /**
+   * Check whether a task is running or paused
+   * @returns {boolean} - True while a task is in progress
+   */
+  isTaskActive() {
+    return Boolean(this.task) && ['running', 'paused'].includes(this.task.status);
+  }
+
+  /**
+   * Check whether the current task has been cancelled
+   * @returns {boolean} - True once cancelTask() was called
+   */
+  isTaskCancelled() {
+    return Boolean(this.task?.controller.signal.aborted);
+  }
+
+  /**
+   * Get the cancellation signal of the current task
+   * @returns {AbortSignal|undefined} - Signal, or undefined outside a task
+   */
+  getTaskSignal() {
+    return this.isTaskActive() ? this.task.controller.signal : undefined;
+  }
+
+  /**
+   * Get the provider and model for a completion
+   * A selection made for the running task takes precedence over the role's route, which takes precedence over the session's
+   * @param {string} [role] - Model role; without one only the session and task selections apply
+   * @returns {Object} - { provider?, model? } passed to the LLM client
+   */
+  getLLMSelection(role) {
+    return pickLLMSelection(role ? this.getCompletionOptions(role) : {
+      ...this.llm,
+      ...(this.isTaskActive() ? this.task.llm : {})
+    });
+  }
+
+  /**
+   * Get the request parameters, provider and model for a role
+   * @param {string} role - Model role
+   * @returns {Object} - Completion options
+   */
+  getCompletionOptions(role) {
+    return this.modelRouter.resolve(role, this.llm, this.isTaskActive() ? this.task.llm : {});
+  }
+
+  /**
+   * Get the state of the current (or last) task
+   * "interrupted" is a task that was running when the session was saved and the server restarted
+   * @returns {Object} - { status: "idle" | "running" | "paused" | "finished" | "cancelled" | "interrupted", startedAt, endedAt, step, ... }
+   */
+  getTaskInfo() {
+    if (!this.task) {
+      return { status: 'idle', startedAt: null, endedAt: null };
+    }
+
+    return {
+      status: this.task.status,
+      startedAt: this.task.startedAt,
+      endedAt: this.task.endedAt,
+      step: this.task.step,
+      pendingApprovals: this.getPendingApprovals(),
+      limitReached: this.task.limitReached,
+      plan: this.task.plan ? this.task.plan.getInfo() : null,
+      verification: this.task.verification,
+      result: this.task.result,
+      resultError: this.task.resultError,
+      stopReason: this.task.stopReason,
+      loop: this.task.loopGuard.getInfo()
+    };
+  }
+
+  /**
+   * Hand the session to the persistence hook
+   * Called between steps, when the history holds only completed steps, and when a task ends
+   */
+  saveCheckpoint() {
+    if (this.persist) {
+      this.persist(this);
+    }
+  }
+
+  /**
+   * Get the session state that survives a restart: history, memory, usage and the current task
+   * Pending approvals are not kept; a resumed step asks again
+   * @returns {Object} - Plain JSON state for restoreState()
+   */
+  exportState() {
+    const { session, task: taskUsage } = this.usageTracker.getInfo();
+    const task = this.task && {
+      status: this.task.status,
+      startedAt: this.task.startedAt,
+      endedAt: this.task.endedAt,
+      instruction: this.task.instruction,
+      step: this.task.step,
+      llm: this.task.llm,
+      output: this.task.outputRequest,
+      limits: this.task.limits,
+      plan: this.task.plan ? this.task.plan.getInfo() : null,
+      limitReached: this.task.limitReached,
+      verification: this.task.verification,
+      verifiedAnswers: this.task.verifiedAnswers,
+      result: this.task.result,
+      resultError: this.task.resultError,
+      stopReason: this.task.stopReason
+    };
+
+    return {
+      sessionId: this.sessionId,
+      createdAt: this.createdAt,
+      messageHistory: this.getMessageHistory(),
+      taskStartIndex: this.taskStartIndex,
+      memory: this.memory.exportState(),
+      usage: { session, task: taskUsage },
+      task
+    };
+  }
+
+  /**
+   * Load a state saved by exportState() into this agent
+   * A task that was running or paused when it was saved becomes "interrupted"
+   * @param {Object} state - Saved state
+   */
+  restoreState(state) {
+    this.sessionId = state.sessionId;
+    this.createdAt = state.createdAt;
+    this.messageHistory = state.messageHistory.map(msg => ({ ...msg }));
+    this.taskStartIndex = state.taskStartIndex;
+    this.memory.restoreState(state.memory);
+    this.usageTracker.restoreTotals(state.usage);
+    this.task = null;
+
+    if (state.task) {
+      const { status, output, limits, plan, ...task } = state.task;
+      this.task = {
+        ...task,
+        status: ['running', 'paused'].includes(status) ? 'interrupted' : status,
+        controller: new AbortController(),
+        resumeWaiters: [],
+        plan: plan ? TaskPlan.fromInfo(plan) : null,
+        planReview: null,
+        planVersionEmitted: 0,
+        output: output ? new OutputSchema(output) : null,
+        outputRequest: output,
+        limits,
+        loopGuard: new LoopGuard(limits || {})
+      };
+    }
+  }
+
+  /**
+   * Get the task cut off by a restart, if it has not been resumed or replaced yet
+   * @returns {Object|null} - Interrupted task
+   */
+  getInterruptedTask() {
+    return this.task?.status === 'interrupted' ? this.task : null;
+  }
+
+  /**
+   * Start the interrupted task again from its last completed step, with its options, plan and usage
+   * @returns {string} - Instruction of the task
+   * @throws {Error} If the session has no interrupted task
+   */
+  beginResumedTask() {
+    const interrupted = this.getInterruptedTask();
+    if (!interrupted) {
+      throw new Error(`Session ${this.sessionId} has no interrupted task to resume`);
+    }
+
+    const usage = this.usageTracker.getInfo();
+    this.beginTaskControl({ llm: interrupted.llm, output: interrupted.outputRequest, limits: interrupted.limits });
+    this.usageTracker.restoreTotals(usage);
+    Object.assign(this.task, {
+      startedAt: interrupted.startedAt,
+      instruction: interrupted.instruction,
+      step: interrupted.step,
+      plan: interrupted.plan,
+      verification: interrupted.verification,
+      verifiedAnswers: interrupted.verifiedAnswers
+    });
+
+    return interrupted.instruction;
+  }
+
+  /**
+   * Continue an interrupted task from its last completed step
+   * @returns {Promise<string>} - Final response
+   * @throws {Error} If the session has no interrupted task
+   */
+  async resumeInterruptedTask() {
+    const instruction = this.beginResumedTask();
+    try {
+      let response = '';
+      try {
+        response = await this.continueConversation();
+        return response;
+      } finally {
+        this.finishTask(instruction, response);
+      }
+    } finally {
+      this.endTaskControl();
+    }
+  }
+
+  /**
+   * Streaming variant of resumeInterruptedTask()
+   * @returns {AsyncGenerator} - Generator yielding responses
+   * @throws {Error} If the session has no interrupted task
+   */
+  async *resumeInterruptedTaskStream() {
+    const instruction = this.beginResumedTask();
+    try {
+      try {
+        yield* this.runInstructionStream();
+      } finally {
+        this.finishStreamedTask(instruction);
+      }
+    } finally {
+      this.endTaskControl();
+    }
+  }
+
+  /**
+   * Write the plan for the current task, and wait for the user's review if required
+   * Without a usable plan the agent acts without one
+   * @returns {Promise<void>}
+   */
+  async createPlan() {
+    if (!this.planning.enabled) {
+      return;
+    }
+
+    // A resumed task keeps its plan, and waits again if the plan was still under review
+    if (!this.task.plan) {
+      const steps = await this.requestPlan(
+        `Before acting, write a plan for my instruction as a numbered list of at most ${this.planning.maxSteps} short, ` +
+        `concrete steps. Reply with the plan only; do not call any tools yet.`
+      );
+      if (steps.length === 0) {
+        return;
+      }
+
+      this.task.plan = new TaskPlan(steps);
+      this.task.plan.awaitingReview = this.planning.review;
+    }
+    if (this.task.plan.awaitingReview) {
+      this.emitPlan();
+      await abortable(new Promise(resolve => { this.task.planReview = resolve; }), this.getTaskSignal());
+    }
+    this.emitPlan();
+  }
+
+  /**
+   * Ask the planner model for plan steps
+   * @param {string} prompt - Planning request appended to the conversation
+   * @returns {Promise<Array<string>>} - Step descriptions (empty if planning failed)
+   */
+  async requestPlan(prompt) {
+    const request = {
+      ...this.getCompletionOptions('planner'),
+      messages: [
+        ...toRequestMessages(this.messageHistory),
+        {
+          role: "user",
+          content: prompt
+        }
+      ]
+    };
+
+    try {
+      const response = await this.llmClient.createChatCompletion({
+        ...request,
+        signal: this.getTaskSignal()
+      });
+      const { reasoning, content } = this.splitModelOutput(response.choices?.[0]?.message || {});
+      this.recordUsage('planner', request, { model: response.model, usage: response.usage, content: reasoning + content });
+
+      return parsePlan(content).slice(0, this.planning.maxSteps);
+    } catch (error) {
+      if (!this.isTaskCancelled()) {
+        console.error('Error creating a plan, continuing without one:', error);
+      }
+      return [];
+    }
+  }
+
+  /**
+   * Prepare the plan for the next step: replan after a failed step and start the next pending step
+   * @returns {Promise<void>}
+   */
+  async advancePlan() {
+    const plan = this.task?.plan;
+    if (!plan) {
+      return;
+    }
+
+    if (plan.hasFailedStep() && plan.replans < this.planning.maxReplans) {
+      const steps = await this.requestPlan(
+        `A step of the plan failed. Plan so far:\n${plan.format()}\n\nWrite a revised plan for the remaining work ` +
+        `as a numbered list of at most ${this.planning.maxSteps} steps, leaving out the steps that are done. ` +
+        `Reply with the plan only; do not call any tools yet.`
+      );
+      if (steps.length > 0) {
+        plan.replaceOpenSteps(steps);
+        plan.replans++;
+      }
+    }
+
+    plan.getCurrentStep();
+    this.emitPlan();
+  }
+
+  /**
+   * Apply the progress the agent reported in a reply ("Step 2 done")
+   * @param {string} reply - Visible content of the reply
+   */
+  notePlanReply(reply) {
+    if (this.task?.plan?.applyProgress(reply)) {
+      this.emitPlan();
+    }
+  }
+
+  /**
+   * Mark the running plan step as failed when a tool call fails
+   * @param {string} observation - Tool observation
+   */
+  notePlanObservation(observation) {
+    const plan = this.task?.plan;
+    if (plan && isErrorObservation(observation)) {
+      plan.setStatus(plan.steps.find(step => step.status === 'running'), 'failed');
+      this.emitPlan();
+    }
+  }
+
+  /**
+   * Mark the running plan step as done when the agent gives its final answer
+   */
+  completePlanStep() {
+    const plan = this.task?.plan;
+    if (plan) {
+      plan.setStatus(plan.steps.find(step => step.status === 'running'), 'done');
+      this.emitPlan();
+    }
+  }
+
+  /**
+   * Queue a plan event if the plan changed since the last one
+   */
+  emitPlan() {
+    const plan = this.task?.plan;
+    if (!plan || plan.version === this.task.planVersionEmitted) {
+      return;
+    }
+
+    this.task.planVersionEmitted = plan.version;
+    this.emitTaskEvent({
+      type: 'plan',
+      plan: plan.getInfo()
+    });
+  }
+
+  /**
+   * Add the current plan and the requested result format to the system prompt of a request
+   * @param {Array<Object>} messages - Message history
+   * @returns {Array<Object>} - Messages for the request (the history is not modified)
+   */
+  addTaskContextToPrompt(messages) {
+    messages = toRequestMessages(messages);
+    const sections = [];
+    if (this.task?.plan) {
+      sections.push(`Your plan for the current instruction:\n${this.task.plan.format()}\n\n` +
+        `Work through the steps in order. When you finish a step, write "Step N done"; if a step cannot be ` +
+        `completed, write "Step N failed" and explain why.`);
+    }
+    if (this.task?.output) {
+      sections.push(this.task.output.buildInstructions());
+    }
+    if (sections.length === 0) {
+      return messages;
+    }
+
+    const [systemMessage, ...rest] = messages;
+    return [
+      {
+        ...systemMessage,
+        content: [systemMessage.content, ...sections].join('\n\n')
+      },
+      ...rest
+    ];
+  }
+
+  /**
+   * Replace the steps of the current plan that are not done
+   * @param {Array<string|Object>} steps - Steps in their new order (descriptions or { id, description })
+   * @returns {Object} - { success, plan } or { success: false, error }
+   */
+  updatePlan(steps) {
+    const plan = this.isTaskActive() ? this.task.plan : null;
+    if (!plan) {
+      return { success: false, error: `Session ${this.sessionId} has no plan to edit` };
+    }
+
+    try {
+      plan.update(steps);
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+
+    this.emitPlan();
+    return { success: true, plan: plan.getInfo() };
+  }
+
+  /**
+   * Let the agent start on a plan that is waiting for review
+   * @returns {Object} - { success, plan } or { success: false, error }
+   */
+  confirmPlan() {
+    const plan = this.isTaskActive() ? this.task.plan : null;
+    if (!plan?.awaitingReview) {
+      return { success: false, error: `Session ${this.sessionId} has no plan waiting for review` };
+    }
+
+    plan.awaitingReview = false;
+    plan.version++;
+    const resume = this.task.planReview;
+    this.task.planReview = null;
+    resume();
+
+    return { success: true, plan: plan.getInfo() };
+  }
+
+  /**
+   * Record the usage of a model call and queue a usage event
+   * Falls back to an estimate when the API reports no usage (e.g. streams without a usage chunk)
+   * @param {string} role - Model role of the call
+   * @param {Object} request - Completion request that was sent
+   * @param {Object} result - Call result
+   * @param {string} [result.model] - Model reported by the API
+   * @param {Object} [result.usage] - Usage reported by the API
+   * @param {string} [result.content] - Generated text, used for the estimate
+   * @param {number} [result.step] - Task step (defaults to the current step)
+   */
+  recordUsage(role, request, { model, usage, content = '', step = this.task?.step ?? 0 }) {
+    const selection = pickLLMSelection(request);
+    const resolved = this.llmClient.resolve ? this.llmClient.resolve(selection) : selection;
+
+    const call = this.usageTracker.record({
+      step,
+      role,
+      provider: resolved.provider,
+      model: model || resolved.model,
+      usage: usage || {
+        prompt_tokens: this.contextManager.countTokens(request.messages),
+        completion_tokens: this.contextManager.estimateTokens(content)
+      },
+      estimated: !usage
+    });
+
+    const { session, task } = this.usageTracker.getInfo();
+    const { steps, ...taskTotals } = task || {};
+    this.emitTaskEvent({
+      type: 'usage',
+      call,
+      task: task ? taskTotals : null,
+      session
+    });
+  }
+
+  /**
+   * Stop the task if a session usage limit has been reached
+   * @returns {boolean} - True if a limit was reached
+   */
+  checkUsageLimits() {
+    const limit = this.usageTracker.checkLimits();
+    if (!limit) {
+      return false;
+    }
+
+    this.task.limitReached = limit;
+    this.emitTaskEvent({
+      type: 'usageLimit',
+      ...limit
+    });
+    this.stopTask({ reason: 'usageLimit', limitName: limit.limit, limit: limit.value, used: limit.used, message: limit.message });
+    return true;
+  }
+
+  /**
+   * Record why the task stopped before an answer and tell the client
+   * @param {Object} stop - Stop reason ({ reason, limit, message, ... })
+   */
+  stopTask(stop) {
+    this.task.stopReason = stop;
+    this.emitTaskEvent({
+      type: 'stopped',
+      stopReason: stop
+    });
+  }
+
+  /**
+   * Stop the task if it has taken too many steps or too long
+   * @param {number} turns - Steps already taken
+   * @returns {boolean} - True if the task was stopped
+   */
+  checkLoopLimits(turns) {
+    const stop = this.task.loopGuard.checkStep(turns);
+    if (stop) {
+      this.stopTask(stop);
+    }
+    return Boolean(stop);
+  }
+
+  /**
+   * Stop the task instead of running a tool call over its limits
+   * Calls that failed to parse are not counted; they run into their error instead
+   * @param {Object} toolCall - Parsed tool call
+   * @returns {boolean} - True if the task was stopped
+   */
+  checkToolCallLimits(toolCall) {
+    if (toolCall.error) {
+      return false;
+    }
+    const stop = this.task.loopGuard.checkToolCall(toolCall.toolName, toolCall.params);
+    if (stop) {
+      this.stopTask(stop);
+    }
+    return Boolean(stop);
+  }
+
+  /**
+   * Stop the task if the page has not changed for too many steps
+   * @returns {Promise<boolean>} - True if the task was stopped
+   */
+  async checkPageChange() {
+    if (!this.task.loopGuard.tracksPage() || !this.getPageInfo) {
+      return false;
+    }
+
+    const page = await this.getPageInfo(this.sessionId).catch(() => null);
+    const stop = this.task.loopGuard.notePage(page);
+    if (stop) {
+      this.stopTask(stop);
+    }
+    return Boolean(stop);
+  }
+
+  /**
+   * Get the usage totals of the session and the current (or last) task
+   * @returns {Object} - Usage information
+   */
+  getUsageInfo() {
+    return this.usageTracker.getInfo();
+  }
+
+  /**
+   * Yield the queued task events
+   * @returns {AsyncGenerator} - Generator yielding task events
+   */
+  async *flushTaskEvents() {
+    while (this.taskEvents.length > 0) {
+      yield this.taskEvents.shift();
+    }
+  }
+
+  /**
+   * Queue an event for the streaming loop
+   * @param {Object} event - Stream event
+   */
+  emitTaskEvent(event) {
+    this.taskEvents.push(event);
+
+    if (this.taskEventWaiter) {
+      const wake = this.taskEventWaiter;
+      this.taskEventWaiter = null;
+      wake();
+    }
+  }
+
+  /**
+   * Wait for pending work (a tool execution, a plan review, ...) while relaying the events it raises
+   * @param {Promise} execution - Pending work
+   * @returns {AsyncGenerator} - Generator yielding task events; returns the result of the work
+   */
+  async *relayTaskEvents(execution) {
+    let settled = false;
+    let result;
+    const done = execution.then(value => {
+      settled = true;
+      result = value;
+    });
+
+    while (true) {
+      while (this.taskEvents.length > 0) {
+        yield this.taskEvents.shift();
+      }
+      if (settled) {
+        return result;
+      }
+
+      await Promise.race([
+        done,
+        new Promise(resolve => { this.taskEventWaiter = resolve; })
+      ]);
+      this.taskEventWaiter = null;
+    }
+  }
+
+  /**
+   * Check a tool call against the approval policy and wait for a decision if needed
+   * @param {string} toolName - Tool name
+   * @param {Object} params - Validated tool arguments
+   * @returns {Promise<Object>} - { approved, params, note, reviewed } where reviewed says the user decided,
+   *   { approved: false, observation } after a rejection, or { approved: false, blocked: true, reason } when a
+   *   rule blocks the call
+   */
+  async approveToolCall(toolName, params) {
+    // The page URL is only looked up for domain rules, so other calls register their approval right away
+    const pageUrl = this.approvalPolicy.needsPageUrl() ? await this.getApprovalPageUrl() : null;
+    const match = this.approvalPolicy.evaluate(toolName, params, { pageUrl });
+    if (!match) {
+      return { approved: true, params };
+    }
+    if (match.action === 'block') {
+      return { approved: false, blocked: true, reason: `Blocked by rule "${match.rule}": ${match.reason}` };
+    }
+
+    const decision = await abortable(this.requestApproval(toolName, params, match), this.getTaskSignal());
+
+    if (decision.decision === 'reject') {
+      return {
+        approved: false,
+        observation: `The user rejected this action${decision.reason ? `: ${decision.reason}` : ''}. Do not retry it; choose another approach or ask the user how to proceed.`
+      };
+    }
+
+    return {
+      approved: true,
+      reviewed: true,
+      params: decision.params,
+      note: decision.decision === 'edit'
+        ? `The user changed the arguments of this call to ${JSON.stringify(decision.params)}.`
+        : ''
+    };
+  }
+
+  /**
+   * Get the URL of the session's page for domain approval rules
+   * @returns {Promise<string|null>} - Page URL, or null if it is unknown
+   */
+  async getApprovalPageUrl() {
+    return this.getPageUrl ? this.getPageUrl(this.sessionId).catch(() => null) : null;
+  }
+
+  /**
+   * Register a pending approval and announce it
+   * @param {string} toolName - Tool name
+   * @param {Object} params - Tool arguments
+   * @param {Object} match - Matching rule ({ rule, reason })
+   * @returns {Promise<Object>} - Decision ({ decision, params, reason })
+   */
+  requestApproval(toolName, params, { rule, reason }) {
+    const approval = {
+      id: `approval-${Date.now()}-${Math.random().toString(36).substring(2, 9)}`,
+      tool: toolName,
+      params,
+      rule,
+      reason,
+      requestedAt: new Date().toISOString()
+    };
+
+    return new Promise(resolve => {
+      this.pendingApprovals.set(approval.id, { approval, resolve });
+      this.emitTaskEvent({
+        type: 'approvalRequired',
+        approval
+      });
+    });
+  }
+
+  /**
+   * Approve, reject or edit a pending tool call
+   * @param {string} approvalId - Approval ID from the approvalRequired event
+   * @param {Object} decision - Decision
+   * @param {string} decision.decision - "approve", "reject" or "edit"
+   * @param {Object} [decision.params] - Replacement arguments ("edit")
+   * @param {string} [decision.reason] - Explanation passed to the model ("reject")
+   * @returns {Object} - { success } or { success: false, error }
+   */
+  resolveApproval(approvalId, { decision, params, reason } = {}) {
+    const pending = this.pendingApprovals.get(approvalId);
+    if (!pending) {
+      // Approvals requested by sub-agents are resolved through the session that delegated to them
+      const child = this.getRunningSubAgents().find(agent => agent.getPendingApprovals().some(approval => approval.id === approvalId));
+      if (child) {
+        return child.resolveApproval(approvalId, { decision, params, reason });
+      }
+      return { success: false, error: `No pending approval ${approvalId}` };
+    }
+
+    if (!APPROVAL_DECISIONS.includes(decision)) {
+      return { success: false, error: `Unknown decision "${decision}". Expected one of: ${APPROVAL_DECISIONS.join(', ')}` };
+    }
+
+    let approvedParams = pending.approval.params;
+    if (decision === 'edit') {
+      const validation = this.toolRegistry.validate(pending.approval.tool, params);
+      if (!validation.success) {
+        return { success: false, error: validation.error };
+      }
+      approvedParams = validation.data;
+    }
+
+    this.pendingApprovals.delete(approvalId);
+    pending.resolve({ decision, params: approvedParams, reason });
+    this.emitTaskEvent({
+      type: 'approvalResolved',
+      approvalId,
+      decision
+    });
+
+    return { success: true };
+  }
+
+  /**
+   * Get the tool calls waiting for approval, including those of running sub-agents
+   * @returns {Array<Object>} - Pending approvals (a sub-agent's carry its subAgent session)
+   */
+  getPendingApprovals() {
+    return [
+      ...[...this.pendingApprovals.values()].map(pending => pending.approval),
+      ...this.getRunningSubAgents().flatMap(child => child.getPendingApprovals().map(approval => ({
+        ...approval,
+        subAgent: approval.subAgent || { sessionId: child.getSessionId(), parentSessionId: this.sessionId, depth: child.depth }
+      })))
+    ];
+  }
+
+  /**
+   * Merge streamed tool call fragments into complete tool calls
+   * Fragments for the same call share an index; name and arguments arrive in pieces. Some servers send
+   * no id, so calls get a generated one that an id in a later fragment replaces: the follow-up request
+   * must pair each tool message with its call
+   * @param {Array<Object>} accumulated - Tool calls collected so far (mutated)
+   * @param {Array<Object>} deltas - Tool call fragments from a stream chunk
+   */
+  mergeToolCallDeltas(accumulated, deltas) {
+    for (const delta of deltas) {
+      const index = delta.index ?? accumulated.length;
+
+      if (!accumulated[index]) {
+        accumulated[index] = {
+          id: `call_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`,
+          type: 'function',
+          function: { name: '', arguments: '' }
+        };
+      }
+
+      const toolCall = accumulated[index];
+      if (delta.id) {
+        toolCall.id = delta.id;
+      }
+      if (delta.function?.name) {
+        toolCall.function.name += delta.function.name;
+      }
+      if (delta.function?.arguments) {
+        toolCall.function.arguments += delta.function.arguments;
+      }
+    }
+  }
+
+  /**
+   * Split a completion message into its reasoning and visible content
+   * @param {Object} message - Completion message
+   * @returns {Object} - { reasoning, content }
+   */
+  splitModelOutput(message) {
+    const { reasoning, content } = splitReasoning(message.content || '');
+
+    return {
+      reasoning: [message.reasoning_content, reasoning].filter(Boolean).join('\n'),
+      content
+    };
+  }
+
+  /**
+   * Build the assistant message stored in history for a model turn
+   * @param {string} content - Text content of the response
+   * @param {Array<Object>} nativeToolCalls - Structured tool calls from the response
+   * @param {string} [reasoning] - Reasoning the model produced before the response
+   * @returns {Object} - Assistant message
+   */
+  buildAssistantMessage(content, nativeToolCalls, reasoning = '') {
+    const message = {
+      role: "assistant",
+      // Reasoning is left out of later prompts unless the context settings keep it
+      content: this.contextManager.config.keepReasoning ? joinReasoning(reasoning, content) : content
+    };
+
+    if (this.toolCallingMode === 'native' && nativeToolCalls && nativeToolCalls.length > 0) {
+      message.tool_calls = nativeToolCalls;
+    }
+
+    return message;
+  }
+
+  /**
+   * Build the message that feeds a tool observation back to the model
+   * @param {Object} toolCall - Tool call the observation belongs to
+   * @param {string} observation - Tool execution result
+   * @returns {Object} - Observation message
+   */
+  buildObservationMessage(toolCall, observation) {
+    // Large observations (HTML, parsed screenshots) are truncated before entering the history
+    const content = this.contextManager.prepareObservation(observation);
+
+    if (toolCall.id) {
+      return {
+        role: "tool",
+        tool_call_id: toolCall.id,
+        content
+      };
+    }
+
+    return {
+      role: "user",
+      content: `Observation: ${content}`
+    };
+  }
+
+  /**
+   * Compact the history so the next prompt fits the session's token budget
+   * @throws {Error} If the current task alone exceeds the budget
+   */
+  ensureContextBudget() {
+    const { messages, protectedIndex, tokens, fits } = this.contextManager.fitToBudget(
+      this.messageHistory,
+      this.taskStartIndex
+    );
+
+    this.messageHistory = messages;
+    this.taskStartIndex = protectedIndex;
+
+    if (!fits) {
+      throw new Error(`Conversation exceeds the context budget (~${tokens} tokens, limit ${this.contextManager.config.maxContextTokens}). Start a new task or raise maxContextTokens for this session.`);
+    }
+  }
+
+  /**
+   * Extract the tool calls requested by a model turn
+   * @param {string} content - Text content of the response
+   * @param {Array<Object>} nativeToolCalls - Structured tool calls from the response
+   * @returns {Array<Object>} - Parsed tool calls ({ id, toolName, params, error })
+   */
+  extractToolCalls(content, nativeToolCalls) {
+    if (this.toolCallingMode === 'native') {
+      return (nativeToolCalls || []).map(toolCall => this.parseNativeToolCall(toolCall));
+    }
+
+    return this.parseToolCalls(content);
+  }
+
+  /**
+   * Parse a structured tool call returned by the model
+   * @param {Object} toolCall - Tool call from the API response
+   * @returns {Object} - Parsed tool call; `error` says why it cannot run when the arguments are not valid JSON
+   */
+  parseNativeToolCall(toolCall) {
+    const toolName = this.fromFunctionName(toolCall.function?.name || '');
+    const rawArguments = toolCall.function?.arguments;
+
+    try {
+      const params = typeof rawArguments === 'string' ?
+        (rawArguments.trim() ? JSON.parse(rawArguments) : {}) :
+        (rawArguments || {});
+
+      return { id: toolCall.id, toolName, params };
+    } catch (error) {
+      return {
+        id: toolCall.id,
+        toolName,
+        params: {},
+        error: `Invalid JSON arguments for tool "${toolName}": ${error.message}`
+      };
+    }
+  }
+
+  /**
+   * Parse a tool call from the model's response
+   * @param {string} response - Model response text
+   * @returns {Object|null} - First parsed tool call or null
+   */
+  parseToolCall(response) {
+    return this.parseToolCalls(response)[0] || null;
+  }
+
+  /**
+   * Parse every tool call from the model's response
+   * Several Action lines in one reply are independent calls of the same step
+   * @param {string} response - Model response text
+   * @returns {Array<Object>} - Parsed tool calls, in order
+   */
+  parseToolCalls(response) {
+    // Extract tool calls from response text using regex
+    // Format: "Action: tool_name(param1="value1", param2="value2")"
+    return [...response.matchAll(/Action:\s*(\w+(\.\w+)?)\(([^)]*)\)/g)].map(actionMatch => {
+      const toolName = actionMatch[1];
+      const paramsString = actionMatch[3];
+      
+      // Parse parameters
+      const params = {};
+      // Use regex to handle nested quotes properly
+      const paramMatches = paramsString.matchAll(/(\w+)="((?:[^"\\]|\\.)*)"/g);
+      for (const match of paramMatches) {
+        // Unescape any escaped quotes in the parameter values
+        params[match[1]] = match[2].replace(/\\"/g, '"');
+      }
+      
+      return { toolName, params };
+    });
+  }
+
+  /**
+   * Run the tool calls of one step
+   * Calls are checked against the loop limits in order and stop at the first one over a limit. Calls on
+   * tools sharing a resource (the session's browser) run one after another in call order; the others run
+   * concurrently, at most toolConcurrency at a time. Each call raises a toolCall event when it starts and
+   * an observation event when it ends.
+   * @param {Array<Object>} toolCalls - Parsed tool calls
+   * @returns {Promise<Array<Object>>} - { toolCall, observation } in call order, for the calls that ran
+   */
+  async executeToolCalls(toolCalls) {
+    const admitted = [];
+    for (const toolCall of toolCalls) {
+      if (this.checkToolCallLimits(toolCall)) {
+        break;
+      }
+      admitted.push(toolCall);
+    }
+
+    // One lane per resource, and one per call on a tool without a resource
+    const lanes = [];
+    const resourceLanes = new Map();
+    admitted.forEach((toolCall, index) => {
+      const resource = this.toolRegistry.get(toolCall.toolName)?.resource;
+      if (!resource) {
+        lanes.push([index]);
+        return;
+      }
+      if (!resourceLanes.has(resource)) {
+        resourceLanes.set(resource, []);
+        lanes.push(resourceLanes.get(resource));
+      }
+      resourceLanes.get(resource).push(index);
+    });
+
+    const results = [];
+    const step = this.task?.step ?? 0;
+    const runLanes = async () => {
+      while (lanes.length > 0) {
+        for (const index of lanes.shift()) {
+          if (this.isTaskCancelled()) {
+            return;
+          }
+          const toolCall = admitted[index];
+          results[index] = { toolCall, observation: await this.runToolCall(toolCall, toolCall.id || `call-${step}-${index + 1}`) };
+        }
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(this.toolConcurrency, lanes.length) }, runLanes));
+
+    return results.filter(Boolean);
+  }
+
+  /**
+   * Run one tool call of a step and announce it
+   * A failed call is not fatal; the agent gets the failure as an observation
+   * @param {Object} toolCall - Parsed tool call
+   * @param {string} callId - ID pairing the call's toolCall and observation events
+   * @returns {Promise<string>} - Observation
+   */
+  async runToolCall(toolCall, callId) {
+    const { toolName, params } = toolCall;
+    this.emitTaskEvent({
+      type: 'toolCall',
+      callId,
+      tool: toolName,
+      params
+    });
+
+    let observation;
+    try {
+      observation = toolCall.error
+        ? this.reportToolError(toolName, params, new ToolError('invalidArguments', toolCall.error))
+        : await this.executeToolCall(toolCall);
+    } catch (error) {
+      observation = this.reportToolError(toolName, params, classifyToolError(error));
+    }
+
+    this.emitTaskEvent({
+      type: 'observation',
+      callId,
+      tool: toolName,
+      content: observation
+    });
+    return observation;
+  }
+
+  /**
+   * Execute a tool call and return the observation
+   * @param {Object} toolCall - Tool call object
+   * @returns {Promise<string>} - Tool execution result
+   */
+  async executeToolCall({ toolName, params }) {
+    this.usageTracker.recordTool(this.task?.step ?? 0, toolName);
+    
+    // Validate the arguments against the tool's schema before running it,
+    // so the model gets a precise description of what to fix
+    const validation = this.toolRegistry.validate(toolName, params);
+    if (!validation.success) {
+      return this.reportToolError(toolName, params, new ToolError('invalidArguments', validation.error));
+    }
+    
+    try {
+      // Sensitive calls wait for a human to approve, reject or edit them
+      const approval = await this.approveToolCall(toolName, validation.data);
+      if (approval.blocked) {
+        return this.reportToolError(toolName, validation.data, new ToolError('blockedByPolicy', approval.reason));
+      }
+      if (!approval.approved) {
+        return approval.observation;
+      }
+
+      const result = await this.runTool(toolName, approval.params, { reviewed: approval.reviewed });
+      const observation = typeof result === 'object' ? JSON.stringify(result) : String(result);
+      return approval.note ? `${approval.note}\n${observation}` : observation;
+    } catch (error) {
+      if (this.isTaskCancelled()) {
+        return `Error executing tool ${toolName}: ${error.message}`;
+      }
+      console.error(`Error executing tool ${toolName}:`, error.cause || error);
+      return this.reportToolError(toolName, validation.data, classifyToolError(error), error.attempts);
+    }
+  }
+
+  /**
+   * Run a tool's handler, retrying the failures the tool lists in retryOn
+   * Before a retry the tool's recover hook may switch to an alternate strategy (other arguments). Alternates
+   * are only used when no approval rule applies to them and the user has not reviewed the call: a reviewed
+   * call is repeated exactly as approved
+   * @param {string} toolName - Tool name
+   * @param {Object} params - Validated tool arguments
+   * @param {Object} [options] - Run options
+   * @param {boolean} [options.reviewed] - Whether the user approved or edited these arguments
+   * @returns {Promise<*>} - Result of the handler
+   * @throws {ToolError} If the call still fails after the retries (attempts holds the number of attempts)
+   */
+  async runTool(toolName, params, { reviewed = false } = {}) {
+    const tool = this.toolRegistry.get(toolName);
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        // Not abandoned on cancel: the handler gets the task's signal and the task waits for it to stop,
+        // so the session (and its browser) is not freed while the call still uses it
+        return await tool.handler(params, this.getToolContext());
+      } catch (error) {
+        const toolError = classifyToolError(error);
+        toolError.retryable = tool.retryOn.includes(toolError.type);
+        const retry = !this.isTaskCancelled() && this.toolRetryPolicy.getRetry(toolError, attempt);
+        if (!retry) {
+          if (attempt > 1) {
+            toolError.message += ` (after ${attempt} attempts)`;
+          }
+          toolError.attempts = attempt;
+          throw toolError;
+        }
+
+        let alternate = reviewed ? null : tool.recover?.(params, toolError, attempt) || null;
+        if (alternate) {
+          const pageUrl = this.approvalPolicy.needsPageUrl() ? await this.getApprovalPageUrl() : null;
+          if (this.approvalPolicy.evaluate(toolName, alternate, { pageUrl })) {
+            alternate = null;
+          }
+        }
+        this.emitTaskEvent(this.buildToolErrorEvent(toolName, params, toolError, {
+          attempt,
+          retry: { delayMs: retry.delayMs, strategy: alternate ? 'alternate' : 'repeat' }
+        }));
+
+        await abortable(new Promise(resolve => setTimeout(resolve, retry.delayMs)), this.getTaskSignal());
+        params = alternate || params;
+      }
+    }
+  }
+
+  /**
+   * Announce a failed tool call and describe it for the model
+   * @param {string} toolName - Tool name
+   * @param {Object} params - Tool arguments
+   * @param {ToolError} toolError - Failure
+   * @param {number} [attempts] - Attempts made
+   * @returns {string} - Observation
+   */
+  reportToolError(toolName, params, toolError, attempts = 1) {
+    this.emitTaskEvent(this.buildToolErrorEvent(toolName, params, toolError, { attempt: attempts }));
+    return toolError.toObservation();
+  }
+
+  /**
+   * Build the event for a failed tool call
+   * Tool errors do not end the task; the agent gets the failure as an observation
+   * @param {string} toolName - Tool name
+   * @param {Object} params - Tool arguments
+   * @param {ToolError} toolError - Failure
+   * @param {Object} details - Attempt details
+   * @param {number} details.attempt - Number of the failed attempt
+   * @param {Object} [details.retry] - { delayMs, strategy } when the call is retried
+   * @returns {Object} - toolError event
+   */
+  buildToolErrorEvent(toolName, params, toolError, { attempt, retry = null }) {
+    return {
+      type: 'toolError',
+      tool: toolName,
+      params,
+      error: toolError.toJSON(),
+      attempt,
+      retry
+    };
+  }
+
+  /**
+   * Build the context passed to tool handlers
+   * Handlers use the session ID to reach resources owned by the session (e.g. its browser)
+   * and the signal to stop their work when the task is cancelled; the task waits for them to settle
+   * @returns {Object} - Tool context
+   */
+  getToolContext() {
+    return {
+      ...this.toolContext,
+      sessionId: this.sessionId,
+      signal: this.getTaskSignal(),
+      delegate: (task, options) => this.delegateTask(task, options)
+    };
+  }
+
+  /**
+   * Run a subtask in a child agent and return its condensed result
+   * The child has its own session (history and browser), a turn budget and what is left of the
+   * session's spend limits. Its events are relayed as subAgentEvent events between subAgentStarted
+   * and subAgentFinished; its approval requests are relayed as they are, so they can be resolved
+   * through this session. Its usage is added to the step that delegated it.
+   * @param {string} task - Subtask description
+   * @param {Object} [options] - Delegation options
+   * @param {number} [options.maxTurns] - Turn budget, capped by delegation.maxTurns
+   * @returns {Promise<Object>} - { success, subAgent, stopReason, result }
+   * @throws {ToolError} If delegation is unavailable, too deep or out of budget
+   */
+  async delegateTask(task, { maxTurns } = {}) {
+    if (!this.createSubAgent) {
+      throw new ToolError('toolFailed', 'Delegation is not available in this session');
+    }
+    if (this.depth >= this.delegation.maxDepth) {
+      throw new ToolError('blockedByPolicy', `Sub-agents cannot delegate further (maximum depth ${this.delegation.maxDepth})`);
+    }
+    const budget = this.usageTracker.getRemainingLimits();
+    if (Object.values(budget).some(left => left !== null && left <= 0)) {
+      throw new ToolError('blockedByPolicy', 'The session has no usage budget left for a sub-agent');
+    }
+
+    const child = this.createSubAgent({
+      parentSessionId: this.sessionId,
+      depth: this.depth + 1,
+      usage: budget
+    });
+    const record = {
+      sessionId: child.getSessionId(),
+      parentSessionId: this.sessionId,
+      depth: this.depth + 1,
+      task,
+      maxTurns: Math.min(maxTurns || this.delegation.maxTurns, this.delegation.maxTurns),
+      step: this.task?.step ?? 0,
+      status: 'running',
+      startedAt: new Date().toISOString(),
+      endedAt: null,
+      stopReason: null,
+      result: null,
+      agent: child
+    };
+    this.subAgents.push(record);
+
+    const subAgent = { sessionId: record.sessionId, parentSessionId: record.parentSessionId, depth: record.depth };
+    this.emitTaskEvent({
+      type: 'subAgentStarted',
+      subAgent: { ...subAgent, task, maxTurns: record.maxTurns }
+    });
+
+    // Cancelling this task cancels the child; pauses are passed on by pauseTask() and resumeTask()
+    const signal = this.getTaskSignal();
+    const cancelChild = () => child.cancelTask();
+    signal?.addEventListener('abort', cancelChild, { once: true });
+
+    try {
+      const instruction = `You are a sub-agent working on one part of a larger task. Complete only this subtask:\n${task}\n\n` +
+        'When you are done, reply with a concise report of what you found or did, including the facts the main agent needs. ' +
+        'If you could not complete the subtask, say what is missing.';
+      for await (const event of child.processInstructionStream(instruction, { limits: { maxTurns: record.maxTurns } })) {
+        if (event.type === 'complete') {
+          record.result = event.content;
+        }
+        if (event.type === 'approvalRequired' || event.type === 'approvalResolved') {
+          this.emitTaskEvent({ ...event, subAgent: event.subAgent || subAgent });
+        } else {
+          this.emitTaskEvent({ type: 'subAgentEvent', subAgent, event });
+        }
+      }
+    } finally {
+      signal?.removeEventListener('abort', cancelChild);
+      const childTask = child.getTaskInfo();
+      record.status = childTask.status === 'cancelled' ? 'cancelled' : record.result === null ? 'failed' : 'finished';
+      record.stopReason = childTask.stopReason;
+      record.endedAt = new Date().toISOString();
+
+      const { steps, ...usage } = child.getUsageInfo().task || {};
+      this.usageTracker.addUsage(record.step, usage);
+      await this.releaseSubAgent?.(record.sessionId).catch(error => {
+        console.error(`Error releasing sub-agent ${record.sessionId}:`, error);
+      });
+
+      this.emitTaskEvent({
+        type: 'subAgentFinished',
+        subAgent,
+        status: record.status,
+        stopReason: record.stopReason,
+        usage,
+        result: record.result
+      });
+    }
+
+    return {
+      success: record.stopReason?.reason === 'answer',
+      subAgent: record.sessionId,
+      stopReason: record.stopReason?.reason || null,
+      result: record.result
+    };
+  }
+
+  /**
+   * Get the sub-agents started by this session, with the ones they started in turn
+   * @returns {Array<Object>} - Sub-agent records ({ sessionId, task, status, stopReason, result, usage, subAgents, ... })
+   */
+  getSubAgentInfo() {
+    return this.subAgents.map(({ agent, ...record }) => {
+      const { steps, ...usage } = agent.getUsageInfo().task || {};
+      return {
+        ...record,
+        usage,
+        subAgents: agent.getSubAgentInfo()
+      };
+    });
+  }
+
+  /**
+   * Get the sub-agents of this session that are still running
+   * @returns {Array<AgentCommunicationProtocol>} - Running child agents
+   */
+  getRunningSubAgents() {
+    return this.subAgents.filter(record => record.status === 'running').map(record => record.agent);
+  }
+
+  /**
+   * Get the current conversation history
+   * @returns {Array} - Message history
+   */
+  getMessageHistory() {
+    return [...this.messageHistory];
+  }
+
+  /**
+   * Get token accounting for the current prompt
+   * @returns {Object} - Context information
+   */
+  getContextInfo() {
+    return this.contextManager.getInfo(this.messageHistory);
+  }
+
+  /**
+   * Get information about the conversation memory
+   * @returns {Object} - Memory information
+   */
+  getMemoryInfo() {
+    return this.memory.getInfo();
   }
 
   /**
@@ -1,39 +1,143 @@
 /**
  * Agent Service
  * Main orchestration service for the IntelliBrowse agent
- * Coordinates between FireworksAI, Browser Automation, and OmniParser
+ * Coordinates between the LLM client, Browser Automation, and OmniParser
  */
 
-import { FireworksClient } from '../services/fireworksClient.js';
-import { BrowserAutomation } from '../services/browserAutomation.js';
+import { LLMClient } from '../services/llmClient.js';
+import { BrowserPool } from '../services/browserPool.js';
 import { OmniParser } from '../services/omniParser.js';
 import { DocumentInliner } from '../services/documentInliner.js';
+import { createSessionStore } from '../services/sessionStore.js';
+import { WebhookNotifier } from '../services/webhookNotifier.js';
 import { AgentCommunicationProtocol } from './agentCommunicationProtocol.js';
+import { ModelRouter, MODEL_ROLES } from './modelRouter.js';
+import { OutputSchema } from './outputSchema.js';
+import { LoopGuard } from './loopGuard.js';
+import { TaskQueue } from './taskQueue.js';
+import { EventLog } from './eventLog.js';
+import { ToolRegistry } from './toolRegistry.js';
+import { z } from 'zod';
 import dotenv from 'dotenv';
 
 dotenv.config();
 
+/**
+ * Alternate strategy for click and type targets that were not found: the second retry looks for the
+ * quoted label alone ('the "Sign in" button' becomes "Sign in"), which matches more loosely
+ * @param {Object} params - Tool arguments
+ * @param {import('./toolErrors.js').ToolError} toolError - Failure of the last attempt
+ * @param {number} attempt - Attempts made so far
+ * @returns {Object|null} - Arguments for the next attempt, or null to retry unchanged
+ */
+function recoverElementDescription(params, toolError, attempt) {
+  const label = params.selector.match(/["'\u201c]([^"'\u201d]+)["'\u201d]/)?.[1];
+  if (toolError.type !== 'elementNotFound' || attempt < 2 || !label || label === params.selector) {
+    return null;
+  }
+  return { ...params, selector: label };
+}
+
 export class AgentService {
   constructor(config = {}) {
     // Initialize core services
-    this.fireworksClient = new FireworksClient({
-      apiKey: config.fireworksApiKey || process.env.FIREWORKS_API_KEY,
+    // "fireworks", "openai-compatible" (vLLM, llama.cpp server, Ollama, ...) or "mock"
+    this.llmClient = new LLMClient({
+      provider: config.llmProvider || process.env.LLM_PROVIDER,
+      model: config.llmModel || process.env.LLM_MODEL,
+      providers: {
+        fireworks: {
+          apiKey: config.fireworksApiKey || process.env.FIREWORKS_API_KEY
+        }
+      }
     });
     
-    this.browserAutomation = new BrowserAutomation({
-      apiKey: config.browserbaseApiKey || process.env.BROWSERBASE_API_KEY,
-      projectId: config.browserbaseProjectId || process.env.BROWSERBASE_PROJECT_ID,
-      openaiApiKey: config.openaiApiKey || process.env.OPENAI_API_KEY,
+    // Document inlining relies on Fireworks' document support
+    this.fireworksClient = this.llmClient.getProvider('fireworks');
+    
+    // Every session gets its own browser from the pool
+    this.browserPool = new BrowserPool({
+      maxBrowsers: config.maxBrowsers || parseInt(process.env.MAX_BROWSERS, 10) || 5,
+      browserConfig: {
+        // "browserbase", "local" (headless Chromium via Playwright) or "mock"
+        backend: config.browserBackend || process.env.BROWSER_BACKEND,
+        apiKey: config.browserbaseApiKey || process.env.BROWSERBASE_API_KEY,
+        projectId: config.browserbaseProjectId || process.env.BROWSERBASE_PROJECT_ID,
+        openaiApiKey: config.openaiApiKey || process.env.OPENAI_API_KEY,
+      }
     });
     
     this.omniParser = new OmniParser({
       apiKey: config.huggingfaceApiKey || process.env.HUGGINGFACE_API_KEY,
     });
     
-    this.documentInliner = new DocumentInliner(this.fireworksClient);
+    // Service-wide routes (MODEL_ROUTES); sessions may override them
+    this.modelRouter = new ModelRouter();
+    Object.values(this.modelRouter.getInfo()).forEach(route => this.validateLLMSelection(route));
+    
+    this.documentInliner = new DocumentInliner(this.fireworksClient, {
+      llmClient: this.llmClient,
+      modelRouter: this.modelRouter
+    });
+    
+    // Agent options ("native" function calling or "react" text parsing)
+    this.config = {
+      toolCallingMode: config.toolCallingMode || process.env.TOOL_CALLING_MODE || 'native',
+      // Save the browser's cookies with the session, so logins survive a restart
+      persistCookies: config.persistCookies ?? process.env.PERSIST_COOKIES === 'true'
+    };
     
     // Store active sessions
     this.sessions = new Map();
+    // Options each session was created with, needed to rebuild it after a restart
+    this.sessionOptions = new Map();
+    
+    // Sessions are saved after every completed step and reloaded on startup ("memory", "file" or "sqlite")
+    this.sessionStore = config.sessionStore || createSessionStore({
+      type: config.sessionStoreType,
+      path: config.sessionStorePath
+    });
+    // sessionId -> last pending write, so the writes of a session are applied in order
+    this.sessionWrites = new Map();
+    // sessionId -> { url, title, cookies } of reloaded sessions whose browser has not been relaunched yet
+    this.savedBrowsers = new Map();
+    this.initializing = null;
+    
+    // Session lifetimes and cap (0 turns a limit off)
+    this.sessionLimits = {
+      // Sessions without requests or task steps for this long are evicted
+      idleTimeoutMs: config.sessionIdleTimeoutMs ?? parseInt(process.env.SESSION_IDLE_TIMEOUT_MS ?? '1800000', 10),
+      // Sessions are evicted this long after their creation, even when in use
+      maxLifetimeMs: config.sessionMaxLifetimeMs ?? parseInt(process.env.SESSION_MAX_LIFETIME_MS ?? '0', 10),
+      // createSession fails with status 429 beyond this many sessions
+      maxSessions: config.maxSessions ?? parseInt(process.env.MAX_SESSIONS ?? '100', 10),
+      // How often expired sessions are looked for
+      evictionIntervalMs: config.sessionEvictionIntervalMs ?? parseInt(process.env.SESSION_EVICTION_INTERVAL_MS ?? '60000', 10)
+    };
+    Object.entries(this.sessionLimits).forEach(([name, value]) => {
+      if (!Number.isInteger(value) || value < 0) {
+        throw new Error(`Session limit ${name} must be a non-negative integer`);
+      }
+    });
+    // sessionId -> time of the session's last request or task step
+    this.sessionActivity = new Map();
+    this.evictionTimer = null;
+    
+    // Background tasks: at most TASK_WORKERS run at once (one per session), the rest wait for a worker
+    // and a free browser; webhooks report the tasks that end
+    this.webhookNotifier = config.webhookNotifier || new WebhookNotifier({ secret: config.webhookSecret });
+    // sessionId -> numbered stream events of the session, replayed to WebSocket clients that reconnect
+    this.eventLogs = new Map();
+    
+    this.taskQueue = new TaskQueue({
+      workers: config.taskWorkers ?? parseInt(process.env.TASK_WORKERS || String(this.browserPool.config.maxBrowsers), 10),
+      retentionMs: config.taskRetentionMs,
+      run: (task) => this.runQueuedTask(task),
+      cancel: (task) => this.sessions.get(task.sessionId)?.cancelTask(),
+      canStart: (task) => this.canStartQueuedTask(task),
+      getProgress: (task) => this.getQueuedTaskProgress(task),
+      notify: ({ webhook, ...task }) => this.webhookNotifier.send(webhook.url, { type: `task.${task.status}`, task })
+    });
     
     // Initialize tool registry
     this.toolRegistry = this.initializeToolRegistry();
@@ -44,71 +148,247 @@ export class AgentService {
 
   /**
    * Initialize the tool registry with all available tools
-   * @returns {Object} - Tool registry mapping tool names to functions
+   * @returns {ToolRegistry} - Registry of tool definitions and handlers
    */
   initializeToolRegistry() {
-    return {
-      // Browser automation tools
-      'browser.open': async (...args) => {
-        // Ensure browser is initialized before calling the method
-        await this.ensureBrowserInitialized();
-        return this.browserAutomation.open(...args);
-      },
-      'browser.search': async (...args) => {
-        await this.ensureBrowserInitialized();
-        return this.browserAutomation.search(...args);
-      },
-      'browser.click': async (...args) => {
-        await this.ensureBrowserInitialized();
-        return this.browserAutomation.click(...args);
-      },
-      'browser.type': async (...args) => {
-        await this.ensureBrowserInitialized();
-        return this.browserAutomation.type(...args);
-      },
-      'browser.screenshot': async (...args) => {
-        await this.ensureBrowserInitialized();
-        return this.browserAutomation.screenshot(...args);
-      },
-      'browser.getHtml': async (...args) => {
-        await this.ensureBrowserInitialized();
-        return this.browserAutomation.getHtml(...args);
+    const registry = new ToolRegistry();
+    
+    // Browser automation tools
+    // They share the session's page, so calls in the same step run one after another
+    registry.register({
+      name: 'browser.open',
+      description: 'Navigate the browser to a URL',
+      parameters: z.object({
+        url: z.string().url().describe('Absolute URL to open')
+      }),
+      returns: '{ success, title, url }',
+      tags: ['browser', 'navigation'],
+      resource: 'browser',
+      handler: async ({ url, waitUntil }, { sessionId, signal }) => {
+        // Each session drives its own isolated browser
+        const browser = await this.getBrowser(sessionId);
+        return browser.open(url, { waitUntil, signal });
       },
-      'browser.extractData': async (...args) => {
-        await this.ensureBrowserInitialized();
-        return this.browserAutomation.extractData(...args);
+      retryOn: ['navigationTimeout', 'network'],
+      // A page that does not finish loading may still be usable once its response arrives
+      recover: (params, toolError) => toolError.type === 'navigationTimeout' ? { ...params, waitUntil: 'commit' } : null
+    });
+    
+    registry.register({
+      name: 'browser.search',
+      description: 'Search the web',
+      parameters: z.object({
+        query: z.string().min(1).describe('Search query')
+      }),
+      returns: '{ success, query, results: [{ title, url, snippet }] }',
+      tags: ['browser', 'navigation'],
+      resource: 'browser',
+      handler: async ({ query }, { sessionId, signal }) => {
+        const browser = await this.getBrowser(sessionId);
+        return browser.search(query, { signal });
       },
-      'browser.observe': async (...args) => {
-        await this.ensureBrowserInitialized();
-        return this.browserAutomation.observe(...args);
+      retryOn: ['navigationTimeout', 'network']
+    });
+    
+    registry.register({
+      name: 'browser.click',
+      description: 'Click on an element described in natural language',
+      parameters: z.object({
+        selector: z.string().min(1).describe('Natural language description of the element to click')
+      }),
+      returns: '{ success, action, target, currentUrl }',
+      tags: ['browser', 'interaction'],
+      resource: 'browser',
+      handler: async ({ selector }, { sessionId, signal }) => {
+        const browser = await this.getBrowser(sessionId);
+        return browser.click(selector, { signal });
       },
-      
-      // OmniParser tools
-      'parser.parseScreenshot': async ({ screenshot }) => {
-        // If screenshot is provided as a string, it's already been taken and is being passed through
-        const screenshotBuffer = screenshot || await this.browserAutomation.screenshot();
-        return this.omniParser.parseScreenshot(screenshotBuffer);
+      // Only a target that was not found is safe to retry: after any other failure the click may have happened
+      retryOn: ['elementNotFound'],
+      recover: recoverElementDescription
+    });
+    
+    registry.register({
+      name: 'browser.type',
+      description: 'Type text into an element described in natural language',
+      parameters: z.object({
+        selector: z.string().min(1).describe('Natural language description of the input element'),
+        text: z.string().describe('Text to type')
+      }),
+      returns: '{ success, action, target, text }',
+      tags: ['browser', 'interaction'],
+      resource: 'browser',
+      handler: async ({ selector, text }, { sessionId, signal }) => {
+        const browser = await this.getBrowser(sessionId);
+        return browser.type(selector, text, { signal });
       },
-      'parser.extractComponentData': async ({ parsedUi, componentType }) => {
+      retryOn: ['elementNotFound'],
+      recover: recoverElementDescription
+    });
+    
+    registry.register({
+      name: 'browser.screenshot',
+      description: 'Take a screenshot of the current page',
+      parameters: z.object({
+        fullPage: z.boolean().default(true).describe('Capture the full scrollable page instead of the viewport')
+      }),
+      returns: 'PNG image buffer',
+      tags: ['browser', 'observation'],
+      resource: 'browser',
+      handler: async ({ fullPage }, { sessionId, signal }) => {
+        const browser = await this.getBrowser(sessionId);
+        return browser.screenshot({ fullPage, signal });
+      }
+    });
+    
+    registry.register({
+      name: 'browser.getHtml',
+      description: 'Get the HTML content of the current page',
+      returns: 'HTML string',
+      tags: ['browser', 'observation'],
+      resource: 'browser',
+      handler: async (params, { sessionId, signal }) => {
+        const browser = await this.getBrowser(sessionId);
+        return browser.getHtml({ signal });
+      }
+    });
+    
+    registry.register({
+      name: 'browser.extractData',
+      description: 'Extract structured data from the current page',
+      parameters: z.object({
+        instruction: z.string().min(1).describe('What data to extract from the page'),
+        schema: z.record(z.any()).optional()
+          .describe('JSON schema describing the data to extract (e.g. {"type":"object","properties":{"price":{"type":"number"}}})')
+      }),
+      returns: 'Object matching the requested schema',
+      tags: ['browser', 'extraction'],
+      resource: 'browser',
+      handler: async ({ instruction, schema }, { sessionId, signal }) => {
+        const browser = await this.getBrowser(sessionId);
+        return browser.extractData({ instruction, schema }, { signal });
+      }
+    });
+    
+    registry.register({
+      name: 'browser.observe',
+      description: 'List the actions that can be performed on the current page',
+      parameters: z.object({
+        query: z.string().optional().describe('Question about the possible actions')
+      }),
+      returns: '{ possibleActions, elements }',
+      tags: ['browser', 'observation'],
+      resource: 'browser',
+      handler: async ({ query }, { sessionId, signal }) => {
+        const browser = await this.getBrowser(sessionId);
+        return browser.observe(query, { signal });
+      }
+    });
+    
+    // OmniParser tools
+    registry.register({
+      name: 'parser.parseScreenshot',
+      description: 'Parse a screenshot of the current page into interactable and text elements',
+      parameters: z.object({
+        screenshot: z.string().optional().describe('Base64-encoded PNG; omit to capture the current page')
+      }),
+      returns: '{ interactableElements, textElements, visualHierarchy }',
+      tags: ['parser', 'observation'],
+      // Takes a screenshot of the session's browser unless one is passed in
+      resource: 'browser',
+      handler: async ({ screenshot }, { sessionId, signal }) => {
+        // If screenshot is provided, it's already been taken and is being passed through
+        let screenshotBuffer = screenshot ? Buffer.from(screenshot, 'base64') : null;
+        if (!screenshotBuffer) {
+          const browser = await this.getBrowser(sessionId);
+          screenshotBuffer = await browser.screenshot({ signal });
+        }
+        return this.omniParser.parseScreenshot(screenshotBuffer, { signal });
+      }
+    });
+    
+    registry.register({
+      name: 'parser.extractComponentData',
+      description: 'Extract a table, form or list from a previously parsed screenshot',
+      parameters: z.object({
+        parsedUi: z.object({
+          interactableElements: z.array(z.any()),
+          textElements: z.array(z.any())
+        }).passthrough().describe('Result of parser.parseScreenshot'),
+        componentType: z.enum(['table', 'form', 'list']).describe('Type of component to extract')
+      }),
+      returns: '{ type, ... } with the extracted component data',
+      tags: ['parser', 'extraction'],
+      handler: async ({ parsedUi, componentType }) => {
         return this.omniParser.extractComponentData(parsedUi, componentType);
-      },
-      
-      // Document inlining tools
-      'document.analyze': async ({ document, question }) => {
-        return this.documentInliner.analyzeDocument(document, question);
-      },
-      'document.analyzeMultiple': async ({ documents, question }) => {
-        return this.documentInliner.analyzeMultipleDocuments(documents, question);
-      },
-      'document.compare': async ({ documentA, documentB, question }) => {
-        return this.documentInliner.compareDocuments(documentA, documentB, question);
       }
-    };
+    });
+    
+    // Document inlining tools
+    registry.register({
+      name: 'document.analyze',
+      description: 'Answer a question about a document or image',
+      parameters: z.object({
+        document: z.string().url().describe('URL of the document'),
+        question: z.string().min(1).describe('Question to answer about the document')
+      }),
+      returns: 'Analysis text',
+      tags: ['document'],
+      handler: async ({ document, question }, { signal }) => {
+        return this.documentInliner.analyzeDocument(document, question, { signal });
+      }
+    });
+    
+    registry.register({
+      name: 'document.analyzeMultiple',
+      description: 'Answer a question about several documents or images',
+      parameters: z.object({
+        documents: z.array(z.string().url()).min(1).describe('URLs of the documents'),
+        question: z.string().min(1).describe('Question to answer about the documents')
+      }),
+      returns: 'Analysis text',
+      tags: ['document'],
+      handler: async ({ documents, question }, { signal }) => {
+        return this.documentInliner.analyzeMultipleDocuments(documents, question, { signal });
+      }
+    });
+    
+    registry.register({
+      name: 'document.compare',
+      description: 'Compare two documents and answer a question about their differences',
+      parameters: z.object({
+        documentA: z.string().url().describe('URL of the first document'),
+        documentB: z.string().url().describe('URL of the second document'),
+        question: z.string().min(1).describe('Question about the comparison')
+      }),
+      returns: 'Comparison text',
+      tags: ['document'],
+      handler: async ({ documentA, documentB, question }, { signal }) => {
+        return this.documentInliner.compareDocuments(documentA, documentB, question, { signal });
+      }
+    });
+    
+    // Delegation: the subtask runs in a child agent with its own browser, history and turn budget
+    registry.register({
+      name: 'agent.delegate',
+      description: 'Hand a self-contained subtask (e.g. researching one item of a list) to a sub-agent with its own browser, and get back its report',
+      parameters: z.object({
+        task: z.string().min(1).describe('Subtask to complete, with everything the sub-agent needs to know'),
+        maxTurns: z.number().int().positive().optional().describe('Step budget of the sub-agent')
+      }),
+      returns: '{ success, subAgent, stopReason, result } where result is the sub-agent\'s report',
+      tags: ['agent'],
+      handler: async ({ task, maxTurns }, { delegate }) => {
+        return delegate(task, { maxTurns });
+      }
+    });
+    
+    return registry;
   }
 
   /**
-   * Initialize all necessary services 
-   * (no longer automatically called at server startup)
+   * Initialize all necessary services: open the session store and reload the saved sessions
+   * Browsers are not launched here; each session launches its own on first use
    * @returns {Promise<void>}
    */
   async initialize() {
@@ -116,77 +396,425 @@ export class AgentService {
       return;
     }
     
-    // No longer initializing browser here
-    // Just mark the service as initialized
+    // Concurrent callers wait for the same initialization
+    if (!this.initializing) {
+      this.initializing = this.restoreSessions().finally(() => {
+        this.initializing = null;
+      });
+    }
+    await this.initializing;
+    
+    this.startEviction();
     this.initialized = true;
     console.log('Agent service initialized without browser (lazy initialization)');
   }
 
   /**
-   * Ensure browser is initialized when needed
+   * Reload the sessions saved in the session store
+   * Tasks that were running when the sessions were saved come back as "interrupted"
    * @returns {Promise<void>}
    */
-  async ensureBrowserInitialized() {
+  async restoreSessions() {
+    await this.sessionStore.initialize();
+    const records = await this.sessionStore.loadAll();
+    
+    let restored = 0;
+    for (const record of records) {
+      try {
+        const agent = this.createAgent(record.options);
+        agent.restoreState(record.state);
+        this.sessions.set(record.sessionId, agent);
+        this.sessionOptions.set(record.sessionId, record.options);
+        // Idle time keeps counting from the last save, so a restart does not extend a session's life
+        this.sessionActivity.set(record.sessionId, Date.parse(record.updatedAt) || Date.now());
+        if (record.browser) {
+          this.savedBrowsers.set(record.sessionId, record.browser);
+        }
+        restored++;
+      } catch (error) {
+        console.error(`Error restoring session ${record.sessionId}:`, error);
+      }
+    }
+    
+    if (records.length > 0) {
+      console.log(`Restored ${restored} of ${records.length} saved sessions`);
+    }
+  }
+
+  /**
+   * Start looking for expired sessions every evictionIntervalMs
+   * Sessions that expired while the server was down are evicted right away
+   */
+  startEviction() {
+    if (this.evictionTimer || this.sessionLimits.evictionIntervalMs === 0) {
+      return;
+    }
+    
+    const evict = () => this.evictSessions().catch(error => console.error('Error evicting sessions:', error));
+    evict();
+    this.evictionTimer = setInterval(evict, this.sessionLimits.evictionIntervalMs);
+    // The timer alone should not keep the process alive
+    this.evictionTimer.unref?.();
+  }
+
+  /**
+   * Evict the sessions that have been idle too long or have outlived their maximum lifetime
+   * Their tasks are cancelled and their browsers closed
+   * @param {number} [now] - Current time in milliseconds
+   * @returns {Promise<Array<Object>>} - Evicted sessions ({ sessionId, reason })
+   */
+  async evictSessions(now = Date.now()) {
+    const expired = [...this.sessions]
+      .map(([sessionId, agent]) => ({ sessionId, expiry: this.getSessionExpiry(sessionId, agent) }))
+      .filter(({ expiry }) => expiry && expiry.at <= now)
+      .map(({ sessionId, expiry }) => ({ sessionId, reason: expiry.reason }));
+    
+    for (const { sessionId, reason } of expired) {
+      console.log(`Evicting session ${sessionId} (${reason})`);
+      await this.cleanupSession(sessionId);
+    }
+    
+    return expired;
+  }
+
+  /**
+   * Get when a session expires
+   * A session whose task is working is never idle; one waiting for an approval or a plan review is
+   * @param {string} sessionId - Session ID
+   * @param {AgentCommunicationProtocol} agent - Session's agent
+   * @returns {Object|null} - { at, reason } with reason "idleTimeout" or "maxLifetime", or null if it never expires
+   */
+  getSessionExpiry(sessionId, agent) {
+    const { idleTimeoutMs, maxLifetimeMs } = this.sessionLimits;
+    const deadlines = [];
+    
+    if (maxLifetimeMs > 0) {
+      deadlines.push({ at: Date.parse(agent.createdAt) + maxLifetimeMs, reason: 'maxLifetime' });
+    }
+    if (idleTimeoutMs > 0 && !this.isSessionBusy(agent)) {
+      deadlines.push({ at: this.getLastActivity(sessionId, agent) + idleTimeoutMs, reason: 'idleTimeout' });
+    }
+    
+    return deadlines.sort((a, b) => a.at - b.at)[0] || null;
+  }
+
+  /**
+   * Check whether a session's task is working, as opposed to idle or waiting for the user
+   * @param {AgentCommunicationProtocol} agent - Session's agent
+   * @returns {boolean} - True if the task is running and not waiting for an approval or plan review
+   */
+  isSessionBusy(agent) {
+    const task = agent.getTaskInfo();
+    return task.status === 'running' && task.pendingApprovals.length === 0 && !task.plan?.awaitingReview;
+  }
+
+  /**
+   * Get the time of a session's last request or task step
+   * @param {string} sessionId - Session ID
+   * @param {AgentCommunicationProtocol} agent - Session's agent
+   * @returns {number} - Time in milliseconds
+   */
+  getLastActivity(sessionId, agent) {
+    return this.sessionActivity.get(sessionId) ?? Date.parse(agent.createdAt);
+  }
+
+  /**
+   * Record activity in a session, restarting its idle time
+   * @param {string} sessionId - Session ID
+   */
+  touchSession(sessionId) {
+    if (this.sessions.has(sessionId)) {
+      this.sessionActivity.set(sessionId, Date.now());
+    }
+  }
+
+  /**
+   * Get the browser for a session, launching it on first use
+   * The browser of a reloaded session is brought back to its last page (and cookies) on first use
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<BrowserAutomation>} - The session's initialized browser
+   */
+  async getBrowser(sessionId) {
     try {
-      if (!this.browserAutomation.initialized) {
-        await this.browserAutomation.initialize();
+      const browser = await this.browserPool.acquire(sessionId);
+      
+      const saved = this.savedBrowsers.get(sessionId);
+      if (saved) {
+        this.savedBrowsers.delete(sessionId);
+        await this.restoreBrowser(browser, saved);
       }
+      
+      return browser;
     } catch (error) {
-      console.error('Error initializing browser automation on demand:', error);
+      console.error(`Error initializing browser automation for ${sessionId}:`, error);
       throw error;
     }
   }
 
   /**
-   * Create a new session
+   * Restore a relaunched browser: cookies first, then the last page
+   * Failures are only logged; the agent can still navigate on its own
+   * @param {BrowserAutomation} browser - Session's browser
+   * @param {Object} saved - Saved browser state ({ url, title, cookies })
+   * @returns {Promise<void>}
+   */
+  async restoreBrowser(browser, { url, cookies }) {
+    try {
+      if (cookies?.length > 0) {
+        await browser.setCookies(cookies);
+      }
+      if (url && /^https?:/.test(url)) {
+        await browser.open(url);
+      }
+    } catch (error) {
+      console.warn(`Could not restore the browser state: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get the browser state saved with a session
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<Object|null>} - { url, title, cookies? }, or null if the session never used a browser
+   */
+  async getBrowserState(sessionId) {
+    if (!this.browserPool.has(sessionId)) {
+      // Not relaunched since the restart: keep what was saved
+      return this.savedBrowsers.get(sessionId) || null;
+    }
+    
+    const browser = await this.browserPool.acquire(sessionId);
+    const { url, title } = await browser.getPageInfo();
+    return {
+      url,
+      title,
+      ...(this.config.persistCookies && { cookies: await browser.getCookies() })
+    };
+  }
+
+  /**
+   * Register a new session and save it
+   * @param {AgentCommunicationProtocol} agent - Session's agent
+   * @param {Object} [options] - Session options the agent was created with
    * @returns {string} - Session ID
+   * @throws {Error} With status 429 if the session limit has been reached
    */
-  createSession() {
-    const agent = new AgentCommunicationProtocol(
-      this.fireworksClient,
-      this.toolRegistry
-    );
+  addSession(agent, options = {}) {
+    const { maxSessions } = this.sessionLimits;
+    if (maxSessions > 0 && this.sessions.size >= maxSessions) {
+      const error = new Error(`Session limit reached (${maxSessions} active sessions). Close a session or try again later.`);
+      error.status = 429;
+      throw error;
+    }
     
     const sessionId = agent.getSessionId();
     this.sessions.set(sessionId, agent);
+    this.sessionOptions.set(sessionId, options);
+    this.sessionActivity.set(sessionId, Date.now());
+    this.persistSession(agent);
     
     return sessionId;
   }
 
+  /**
+   * Save a session to the session store
+   * The state is captured when called (between steps); writes of one session are applied in order
+   * @param {AgentCommunicationProtocol} agent - Session's agent
+   * @returns {Promise<void>} - Resolves when the write is done; failures are logged, not thrown
+   */
+  persistSession(agent) {
+    const sessionId = agent.getSessionId();
+    // Sub-agents and removed sessions are not saved
+    if (this.sessions.get(sessionId) !== agent) {
+      return Promise.resolve();
+    }
+    
+    const state = agent.exportState();
+    const write = (this.sessionWrites.get(sessionId) || Promise.resolve())
+      .then(async () => {
+        if (this.sessions.get(sessionId) !== agent) {
+          return;
+        }
+        await this.sessionStore.save({
+          sessionId,
+          updatedAt: new Date().toISOString(),
+          options: this.sessionOptions.get(sessionId) || {},
+          state,
+          browser: await this.getBrowserState(sessionId)
+        });
+      })
+      .catch(error => console.error(`Error saving session ${sessionId}:`, error))
+      .finally(() => {
+        if (this.sessionWrites.get(sessionId) === write) {
+          this.sessionWrites.delete(sessionId);
+        }
+      });
+    this.sessionWrites.set(sessionId, write);
+    
+    return write;
+  }
+
+  /**
+   * Create an agent bound to the shared services
+   * @param {Object} options - Session options
+   * @param {Object} [options.memory] - Memory policy ({ policy: "full" | "window" | "summary", windowSize })
+   * @param {Object} [options.context] - Context limits ({ maxContextTokens, maxObservationTokens, keepFullObservations })
+   * @param {Object} [options.approval] - Approval policy ({ enabled, rules })
+   * @param {Object} [options.llm] - Provider and model ({ provider, model })
+   * @param {Object} [options.routing] - Routes by model role ({ planner: { provider, model, params }, ... })
+   * @param {Object} [options.usage] - Session usage limits ({ maxCost, maxTokens })
+   * @param {Object} [options.planning] - Planning phase ({ enabled, review, maxSteps, maxReplans })
+   * @param {Object} [options.verification] - Answer verification ({ enabled, maxRetries, minConfidence })
+   * @param {Object} [options.toolRetries] - Retries of transient tool failures ({ maxRetries, retryDelayMs })
+   * @param {number} [options.toolConcurrency] - Independent tool calls of one step run at the same time
+   * @param {Object} [options.delegation] - Sub-agents started by agent.delegate ({ maxDepth, maxTurns })
+   * @param {string} [options.parentSessionId] - Session that delegated to this agent (sub-agents only)
+   * @param {number} [options.depth] - Nesting depth, 0 for top-level sessions
+   * @returns {AgentCommunicationProtocol} - New agent instance
+   */
+  createAgent(options = {}) {
+    this.validateLLMSelection(options.llm);
+    if (options.routing) {
+      ModelRouter.validateRoutes(options.routing);
+      Object.values(options.routing).forEach(route => this.validateLLMSelection(route));
+    }
+    
+    return new AgentCommunicationProtocol(
+      this.llmClient,
+      this.toolRegistry,
+      {
+        toolCallingMode: this.config.toolCallingMode,
+        memory: options.memory,
+        context: options.context,
+        approval: options.approval,
+        llm: options.llm,
+        routing: options.routing,
+        usage: options.usage,
+        planning: options.planning,
+        verification: options.verification,
+        toolRetries: options.toolRetries,
+        toolConcurrency: options.toolConcurrency,
+        delegation: options.delegation,
+        parentSessionId: options.parentSessionId,
+        depth: options.depth,
+        // Sub-agents share the session's options, but nobody can review their plans
+        createSubAgent: (child) => this.createAgent({
+          ...options,
+          ...child,
+          usage: { ...options.usage, ...child.usage },
+          planning: { ...options.planning, review: false }
+        }),
+        // A finished sub-agent's browser is closed right away
+        releaseSubAgent: (childSessionId) => this.browserPool.release(childSessionId),
+        // Sessions are saved between steps, so an interrupted task resumes from its last completed step;
+        // a step is also activity that keeps the session from going idle
+        persist: (agent) => {
+          this.touchSession(agent.getSessionId());
+          // A request that ended may free its session for a queued task
+          if (!agent.isTaskActive()) {
+            this.taskQueue.dispatch();
+          }
+          return this.persistSession(agent);
+        },
+        // Domain approval rules also look at the page the session's browser is on
+        getPageUrl: async (sessionId) => (await this.browserPool.getInfo(sessionId))?.url || null,
+        // Answer verification and the page-change loop limit look at the current page
+        getPageInfo: (sessionId) => this.browserPool.getInfo(sessionId)
+      }
+    );
+  }
+
+  /**
+   * Create a new session
+   * @param {Object} options - Session options (see createAgent)
+   * @returns {string} - Session ID
+   * @throws {Error} With status 429 if the session limit has been reached
+   */
+  createSession(options = {}) {
+    return this.addSession(this.createAgent(options), options);
+  }
+
   /**
    * Process a user instruction using the agent
    * @param {Object} options - Processing options
    * @param {string} options.sessionId - Session ID (optional, creates new session if not provided)
    * @param {string} options.instruction - User instruction
+   * @param {boolean} [options.newTask] - Start a fresh task instead of continuing the conversation
+   * @param {Object} [options.llm] - Provider and model for this instruction ({ provider, model })
+   * @param {Object} [options.output] - Structured result to return next to the answer ({ schema } or { template })
+   * @param {Object} [options.limits] - Loop limits for this instruction (maxTurns, maxDurationMs, maxToolCalls, ...)
+   * @param {boolean} [options.resume] - Continue the session's interrupted task instead (no instruction needed)
    * @returns {Promise<Object>} - Processing result
+   * @throws {Error} If the request is invalid or the session is already running a task
    */
-  async processInstruction({ sessionId, instruction }) {
+  async processInstruction({ sessionId, instruction, newTask = false, llm, output, limits, resume = false }) {
     await this.ensureInitialized();
+    this.assertSessionIdle(sessionId);
+    
+    if (resume) {
+      // The interrupted task keeps the options it was started with
+      const agent = this.getAgent(sessionId);
+      output = agent.getInterruptedTask()?.outputRequest;
+      const response = await agent.resumeInterruptedTask();
+      return this.buildProcessResult(sessionId, agent, response, output);
+    }
     
     if (!instruction) {
       throw new Error('Instruction is required');
     }
+    this.validateLLMSelection(llm);
+    this.validateOutput(output);
+    this.validateLimits(limits);
     
     // Get or create agent for this session
     let agent;
     if (sessionId && this.sessions.has(sessionId)) {
       agent = this.sessions.get(sessionId);
+      this.touchSession(sessionId);
     } else {
-      agent = new AgentCommunicationProtocol(
-        this.fireworksClient,
-        this.toolRegistry
-      );
-      
-      sessionId = agent.getSessionId();
-      this.sessions.set(sessionId, agent);
+      agent = this.createAgent();
+      sessionId = this.addSession(agent);
     }
     
     // Process the instruction
-    const response = await agent.processUserInstruction(instruction);
+    const response = await agent.processUserInstruction(instruction, { newTask, llm, output, limits });
+    
+    return this.buildProcessResult(sessionId, agent, response, output);
+  }
+
+  /**
+   * Check that a session can take a request now
+   * A session is taken while its agent runs a task, and also from the moment the queue starts one of its
+   * tasks until that task's run begins
+   * @param {string} [sessionId] - Session ID (none for a new session)
+   * @throws {Error} If the session is already running a task
+   */
+  assertSessionIdle(sessionId) {
+    if (sessionId && (this.taskQueue.isSessionBusy(sessionId) || this.sessions.get(sessionId)?.isTaskActive())) {
+      throw new Error(`Session ${sessionId} is already running a task`);
+    }
+  }
+
+  /**
+   * Build the response of a processed instruction
+   * @param {string} sessionId - Session ID
+   * @param {AgentCommunicationProtocol} agent - Session's agent
+   * @param {string} response - Final response
+   * @param {Object} [output] - Structured result the instruction asked for
+   * @returns {Object} - Processing result
+   */
+  buildProcessResult(sessionId, agent, response, output) {
+    const task = agent.getTaskInfo();
+    const { steps, ...usage } = agent.getUsageInfo().task;
     
     return {
       sessionId,
-      response
+      response,
+      cancelled: task.status === 'cancelled',
+      limitReached: task.limitReached,
+      stopReason: task.stopReason,
+      verification: task.verification,
+      ...(output && { result: task.result, resultError: task.resultError }),
+      usage
     };
   }
 
@@ -195,27 +823,50 @@ export class AgentService {
    * @param {Object} options - Processing options
    * @param {string} options.sessionId - Session ID (optional, creates new session if not provided)
    * @param {string} options.instruction - User instruction
+   * @param {boolean} [options.newTask] - Start a fresh task instead of continuing the conversation
+   * @param {Object} [options.llm] - Provider and model for this instruction ({ provider, model })
+   * @param {Object} [options.output] - Structured result to return next to the answer ({ schema } or { template })
+   * @param {Object} [options.limits] - Loop limits for this instruction (maxTurns, maxDurationMs, maxToolCalls, ...)
+   * @param {boolean} [options.resume] - Continue the session's interrupted task instead (no instruction needed)
    * @returns {AsyncGenerator} - Generator yielding response chunks
+   * @throws {Error} If the request is invalid or the session is already running a task
    */
-  async *processInstructionStream({ sessionId, instruction }) {
+  async *processInstructionStream(options) {
     await this.ensureInitialized();
+    this.assertSessionIdle(options.sessionId);
+    
+    yield* this.streamInstruction(options);
+  }
+
+  /**
+   * Stream an instruction once the service is initialized (see processInstructionStream)
+   * Every event is also recorded in the session's event log, so WebSocket clients follow the session's
+   * tasks whichever route started them. The agent's task begins on the first next() call, before any
+   * await, so nothing else can take the session in between.
+   * @param {Object} options - Processing options (see processInstructionStream)
+   * @returns {AsyncGenerator} - Generator yielding response chunks
+   */
+  async *streamInstruction({ sessionId, instruction, newTask = false, llm, output, limits, resume = false }) {
+    if (resume) {
+      yield* this.recordEvents(sessionId, this.getAgent(sessionId).resumeInterruptedTaskStream());
+      return;
+    }
     
     if (!instruction) {
       throw new Error('Instruction is required');
     }
+    this.validateLLMSelection(llm);
+    this.validateOutput(output);
+    this.validateLimits(limits);
     
     // Get or create agent for this session
     let agent;
     if (sessionId && this.sessions.has(sessionId)) {
       agent = this.sessions.get(sessionId);
+      this.touchSession(sessionId);
     } else {
-      agent = new AgentCommunicationProtocol(
-        this.fireworksClient,
-        this.toolRegistry
-      );
-      
-      sessionId = agent.getSessionId();
-      this.sessions.set(sessionId, agent);
+      agent = this.createAgent();
+      sessionId = this.addSession(agent);
       
       // Yield session ID as first message
       yield {
@@ -225,35 +876,440 @@ export class AgentService {
     }
     
     // Process the instruction with streaming
-    for await (const chunk of agent.processInstructionStream(instruction)) {
-      yield chunk;
+    yield* this.recordEvents(sessionId, agent.processInstructionStream(instruction, { newTask, llm, output, limits }));
+  }
+
+  /**
+   * Pass a task's events on and record them in the session's event log
+   * A failure is recorded as an error event before it is thrown on
+   * @param {string} sessionId - Session ID
+   * @param {AsyncGenerator} events - Task events
+   * @returns {AsyncGenerator} - Generator yielding the same events
+   */
+  async *recordEvents(sessionId, events) {
+    const log = this.getEventLog(sessionId);
+    try {
+      for await (const event of events) {
+        log.append(event);
+        yield event;
+      }
+    } catch (error) {
+      log.append({ type: 'error', content: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Run a streamed instruction to its end without a consumer (see streamInstruction)
+   * @param {Object} options - Processing options with a sessionId (see processInstructionStream)
+   * @returns {Promise<string>} - Final response
+   */
+  async runStreamedInstruction(options) {
+    let response = '';
+    for await (const event of this.streamInstruction(options)) {
+      if (event.type === 'complete' || event.type === 'cancelled') {
+        response = event.content;
+      }
+    }
+    
+    return response;
+  }
+
+  /**
+   * Get the event log of a session, creating it on first use
+   * @param {string} sessionId - Session ID
+   * @returns {EventLog} - Session's event log
+   * @throws {Error} If the session does not exist
+   */
+  getEventLog(sessionId) {
+    this.getAgent(sessionId);
+    if (!this.eventLogs.has(sessionId)) {
+      this.eventLogs.set(sessionId, new EventLog());
+    }
+    
+    return this.eventLogs.get(sessionId);
+  }
+
+  /**
+   * Start an instruction whose events only go to the session's event log
+   * Unlike processInstructionStream, the task does not depend on a consumer: clients that disconnect
+   * and come back replay what they missed from the log. The service must be initialized, as it is once
+   * a WebSocket session is open; the agent's task has begun when this returns.
+   * @param {Object} options - Processing options with a sessionId (see processInstructionStream)
+   * @returns {Promise<void>} - Resolves when the task has ended; failures are recorded as error events
+   * @throws {Error} If the request is invalid, the session does not exist or is already running a task
+   */
+  startLoggedInstruction(options) {
+    const { sessionId, instruction, llm, output, limits, resume } = options;
+    const agent = this.getAgent(sessionId);
+    
+    this.assertSessionIdle(sessionId);
+    if (resume) {
+      if (!agent.getInterruptedTask()) {
+        throw new Error(`Session ${sessionId} has no interrupted task to resume`);
+      }
+    } else {
+      if (!instruction) {
+        throw new Error('Instruction is required');
+      }
+      this.validateLLMSelection(llm);
+      this.validateOutput(output);
+      this.validateLimits(limits);
+    }
+    
+    return this.runStreamedInstruction(options)
+      .then(() => {}, error => {
+        console.error(`Error processing instruction in session ${sessionId}:`, error);
+      });
+  }
+
+  /**
+   * Queue an instruction to run in the background
+   * A new session is created right away when none is given, so its ID comes back with the task
+   * @param {Object} options - Task options (see processInstruction)
+   * @param {string} [options.webhookUrl] - URL notified with the task when it ends
+   * @returns {Promise<Object>} - Task information
+   * @throws {Error} If the request is invalid, the session does not exist or the session limit is reached
+   */
+  async submitTask({ sessionId, instruction, newTask = false, llm, output, limits, resume = false, webhookUrl }) {
+    await this.ensureInitialized();
+    
+    if (webhookUrl) {
+      await this.webhookNotifier.validate(webhookUrl);
+    }
+    
+    if (resume) {
+      if (!this.getAgent(sessionId).getInterruptedTask()) {
+        throw new Error(`Session ${sessionId} has no interrupted task to resume`);
+      }
+    } else {
+      if (!instruction) {
+        throw new Error('Instruction is required');
+      }
+      this.validateLLMSelection(llm);
+      this.validateOutput(output);
+      this.validateLimits(limits);
+      
+      if (sessionId) {
+        this.getAgent(sessionId);
+      } else {
+        sessionId = this.createSession();
+      }
+    }
+    
+    return this.taskQueue.submit({
+      sessionId,
+      request: { instruction, newTask, llm, output, limits, resume },
+      webhookUrl
+    });
+  }
+
+  /**
+   * Run a task taken from the queue
+   * The queue has already reserved the task's session, so other requests on it are refused meanwhile
+   * @param {Object} task - Queued task ({ sessionId, request, cancelRequested })
+   * @returns {Promise<Object|null>} - Processing result (see processInstruction), or null if the task was
+   * cancelled before its run began
+   */
+  async runQueuedTask(task) {
+    await this.ensureInitialized();
+    // A cancel that arrived before the agent's task began has nothing to stop yet
+    if (task.cancelRequested) {
+      return null;
+    }
+    // The session may have been removed while the task waited
+    const agent = this.getAgent(task.sessionId);
+    // Streamed, so the session's WebSocket clients follow the task too
+    const output = task.request.resume ? agent.getInterruptedTask()?.outputRequest : task.request.output;
+    const response = await this.runStreamedInstruction({ sessionId: task.sessionId, ...task.request });
+    
+    return this.buildProcessResult(task.sessionId, agent, response, output);
+  }
+
+  /**
+   * Check whether a queued task can start now
+   * It waits while its session is busy with another request, and while every browser of the pool is
+   * taken by other sessions
+   * @param {Object} task - Queued task
+   * @returns {boolean} - True if the task can start
+   */
+  canStartQueuedTask(task) {
+    const agent = this.sessions.get(task.sessionId);
+    if (!agent) {
+      // Starts and fails right away
+      return true;
+    }
+    if (agent.isTaskActive()) {
+      return false;
+    }
+    
+    return this.browserPool.has(task.sessionId) || this.browserPool.size < this.browserPool.config.maxBrowsers;
+  }
+
+  /**
+   * Get the progress of a queued task from its session
+   * @param {Object} task - Running or ended task
+   * @returns {Object|null} - { taskStatus, step, plan, pendingApprovals, usage }, or null until the run begins
+   * @throws {Error} If the session no longer exists
+   */
+  getQueuedTaskProgress(task) {
+    const agent = this.sessions.get(task.sessionId);
+    if (!agent) {
+      throw new Error(`Session ${task.sessionId} not found`);
+    }
+    
+    const { status, startedAt, step, plan, pendingApprovals } = agent.getTaskInfo();
+    // Until the run begins, the session still shows its previous task
+    if (!startedAt || Date.parse(startedAt) < Date.parse(task.startedAt)) {
+      return null;
+    }
+    
+    const { calls, totalTokens, cost } = agent.getUsageInfo().task;
+    return {
+      taskStatus: status,
+      step,
+      plan,
+      pendingApprovals: pendingApprovals.length,
+      usage: { calls, totalTokens, cost }
+    };
+  }
+
+  /**
+   * Get a queued task
+   * @param {string} taskId - Task ID
+   * @returns {Object|null} - Task information, or null if it does not exist
+   */
+  getQueuedTask(taskId) {
+    return this.taskQueue.get(taskId);
+  }
+
+  /**
+   * List queued tasks, most recent first
+   * @param {Object} [filter] - { status, sessionId }
+   * @returns {Object} - { tasks, stats }
+   */
+  listQueuedTasks(filter = {}) {
+    return { tasks: this.taskQueue.list(filter), stats: this.taskQueue.getStats() };
+  }
+
+  /**
+   * Cancel a queued or running task
+   * @param {string} taskId - Task ID
+   * @returns {Object|null} - { changed, task }, or null if the task does not exist
+   */
+  cancelQueuedTask(taskId) {
+    return this.taskQueue.cancel(taskId);
+  }
+
+  /**
+   * Check that a provider and model selection can be served
+   * @param {Object} [llm] - Provider and model ({ provider, model })
+   * @throws {Error} If the selection is malformed or the provider is unknown or misconfigured
+   */
+  validateLLMSelection(llm) {
+    if (llm === undefined || llm === null) {
+      return;
     }
+    
+    if (typeof llm !== 'object' || ['provider', 'model'].some(key => llm[key] !== undefined && typeof llm[key] !== 'string')) {
+      throw new Error('llm must be an object with optional string fields provider and model');
+    }
+    
+    if (llm.provider) {
+      this.llmClient.getProvider(llm.provider);
+    }
+  }
+
+  /**
+   * Check a structured output request before any session is created for it
+   * @param {Object} [output] - Requested result ({ schema } or { template })
+   * @throws {Error} If the request is malformed or names an unknown template
+   */
+  validateOutput(output) {
+    if (output !== undefined && output !== null) {
+      new OutputSchema(output);
+    }
+  }
+
+  /**
+   * Check loop limits before any session is created for them
+   * @param {Object} [limits] - Loop limits
+   * @throws {Error} If a limit is malformed
+   */
+  validateLimits(limits) {
+    if (limits !== undefined && limits !== null) {
+      new LoopGuard(limits);
+    }
+  }
+
+  /**
+   * Get the agent of an existing session
+   * @param {string} sessionId - Session ID
+   * @returns {AgentCommunicationProtocol} - Agent
+   * @throws {Error} If the session does not exist
+   */
+  getAgent(sessionId) {
+    if (!sessionId || !this.sessions.has(sessionId)) {
+      throw new Error(`Session ${sessionId} not found`);
+    }
+    
+    this.touchSession(sessionId);
+    return this.sessions.get(sessionId);
+  }
+
+  /**
+   * Cancel the task running in a session
+   * @param {string} sessionId - Session ID
+   * @returns {Object} - { changed, task } where changed is false if no task was running
+   */
+  cancelTask(sessionId) {
+    const agent = this.getAgent(sessionId);
+    return { changed: agent.cancelTask(), task: agent.getTaskInfo() };
+  }
+
+  /**
+   * Pause the task running in a session before its next step
+   * @param {string} sessionId - Session ID
+   * @returns {Object} - { changed, task } where changed is false if no task was running
+   */
+  pauseTask(sessionId) {
+    const agent = this.getAgent(sessionId);
+    return { changed: agent.pauseTask(), task: agent.getTaskInfo() };
   }
 
   /**
-   * Get a screenshot from the current browser session
+   * Resume a paused task
+   * @param {string} sessionId - Session ID
+   * @returns {Object} - { changed, task } where changed is false if the task was not paused
+   */
+  resumeTask(sessionId) {
+    const agent = this.getAgent(sessionId);
+    return { changed: agent.resumeTask(), task: agent.getTaskInfo() };
+  }
+
+  /**
+   * Send a hint to the task running in a session; it reaches the agent before its next step
+   * @param {string} sessionId - Session ID
+   * @param {string} text - Hint
+   * @returns {Object} - { changed, task } where changed is false if no task was running
+   */
+  addUserHint(sessionId, text) {
+    const agent = this.getAgent(sessionId);
+    return { changed: agent.addUserHint(text), task: agent.getTaskInfo() };
+  }
+
+  /**
+   * Approve, reject or edit a tool call waiting for approval
+   * @param {string} sessionId - Session ID
+   * @param {string} approvalId - Approval ID
+   * @param {Object} decision - { decision: "approve" | "reject" | "edit", params, reason }
+   * @returns {Object} - { success } or { success: false, error }
+   */
+  resolveApproval(sessionId, approvalId, decision) {
+    return this.getAgent(sessionId).resolveApproval(approvalId, decision);
+  }
+
+  /**
+   * Edit the plan of the task running in a session
+   * @param {string} sessionId - Session ID
+   * @param {Array<string|Object>} steps - Steps in their new order (descriptions or { id, description })
+   * @returns {Object} - { success, plan } or { success: false, error }
+   */
+  updatePlan(sessionId, steps) {
+    return this.getAgent(sessionId).updatePlan(steps);
+  }
+
+  /**
+   * Start a task whose plan is waiting for review
+   * @param {string} sessionId - Session ID
+   * @returns {Object} - { success, plan } or { success: false, error }
+   */
+  confirmPlan(sessionId) {
+    return this.getAgent(sessionId).confirmPlan();
+  }
+
+  /**
+   * Get a screenshot from a session's browser
+   * @param {string} sessionId - Session ID
    * @returns {Promise<Buffer>} - Screenshot buffer
    */
-  async getScreenshot() {
+  async getScreenshot(sessionId) {
     await this.ensureInitialized();
-    await this.ensureBrowserInitialized();
-    return this.browserAutomation.screenshot();
+    
+    if (!sessionId || !this.sessions.has(sessionId)) {
+      throw new Error(`Session ${sessionId} not found`);
+    }
+    
+    this.touchSession(sessionId);
+    const browser = await this.getBrowser(sessionId);
+    return browser.screenshot();
   }
 
   /**
    * Get information about a session
    * @param {string} sessionId - Session ID
-   * @returns {Object} - Session information
+   * @returns {Promise<Object>} - Session information
    */
-  getSessionInfo(sessionId) {
+  async getSessionInfo(sessionId) {
     if (!sessionId || !this.sessions.has(sessionId)) {
       throw new Error(`Session ${sessionId} not found`);
     }
     
+    this.touchSession(sessionId);
     const agent = this.sessions.get(sessionId);
+    const expiry = this.getSessionExpiry(sessionId, agent);
     return {
       sessionId,
-      messageHistory: agent.getMessageHistory()
+      createdAt: agent.createdAt,
+      lastActiveAt: new Date(this.getLastActivity(sessionId, agent)).toISOString(),
+      expiresAt: expiry && new Date(expiry.at).toISOString(),
+      messageHistory: agent.getMessageHistory(),
+      memory: agent.getMemoryInfo(),
+      context: agent.getContextInfo(),
+      task: agent.getTaskInfo(),
+      llm: this.llmClient.resolve(agent.getLLMSelection()),
+      routing: Object.fromEntries(MODEL_ROLES.map(role => [role, this.llmClient.resolve(agent.getLLMSelection(role))])),
+      usage: agent.getUsageInfo(),
+      subAgents: agent.getSubAgentInfo(),
+      browser: await this.browserPool.getInfo(sessionId)
+    };
+  }
+
+  /**
+   * List the sessions with their age, idle time and resource usage
+   * @returns {Promise<Object>} - { sessions, limits, browsers }
+   */
+  async listSessions() {
+    const now = Date.now();
+    const sessions = await Promise.all([...this.sessions].map(async ([sessionId, agent]) => {
+      const lastActiveAt = this.getLastActivity(sessionId, agent);
+      const expiry = this.getSessionExpiry(sessionId, agent);
+      const { status, startedAt, endedAt } = agent.getTaskInfo();
+      const { calls, totalTokens, cost } = agent.getUsageInfo().session;
+      
+      return {
+        sessionId,
+        createdAt: agent.createdAt,
+        lastActiveAt: new Date(lastActiveAt).toISOString(),
+        ageMs: now - Date.parse(agent.createdAt),
+        idleMs: this.isSessionBusy(agent) ? 0 : now - lastActiveAt,
+        expiresAt: expiry && new Date(expiry.at).toISOString(),
+        task: { status, startedAt, endedAt },
+        resources: {
+          messages: agent.getMessageHistory().length,
+          contextTokens: agent.getContextInfo().estimatedTokens,
+          usage: { calls, totalTokens, cost },
+          runningSubAgents: agent.getRunningSubAgents().length,
+          browser: await this.browserPool.getInfo(sessionId)
+        }
+      };
+    }));
+    
+    const { idleTimeoutMs, maxLifetimeMs, maxSessions } = this.sessionLimits;
+    return {
+      sessions,
+      limits: { idleTimeoutMs, maxLifetimeMs, maxSessions },
+      browsers: { open: this.browserPool.size, max: this.browserPool.config.maxBrowsers }
     };
   }
 
@@ -273,9 +1329,31 @@ export class AgentService {
    * @returns {Promise<void>}
    */
   async cleanupSession(sessionId) {
+    // Queued tasks of the session are dropped
+    this.taskQueue.cancelSession(sessionId);
     if (sessionId && this.sessions.has(sessionId)) {
+      // A running task (and its sub-agents) stops instead of driving a closed browser
+      this.sessions.get(sessionId).cancelTask();
       this.sessions.delete(sessionId);
     }
+    this.sessionOptions.delete(sessionId);
+    this.sessionActivity.delete(sessionId);
+    this.savedBrowsers.delete(sessionId);
+    // Connected clients learn that the session is gone
+    this.eventLogs.get(sessionId)?.append({ type: 'sessionClosed', sessionId });
+    this.eventLogs.delete(sessionId);
+    
+    // Let a write in progress finish so it cannot bring the record back, then forget the session
+    await this.sessionWrites.get(sessionId);
+    if (sessionId) {
+      await this.sessionStore.delete(sessionId);
+    }
+    
+    // Close the session's browser so its context does not outlive the session
+    await this.browserPool.release(sessionId);
+    
+    // The freed browser slot may let a queued task start
+    this.taskQueue.dispatch();
   }
 
   /**
@@ -284,10 +1362,16 @@ export class AgentService {
    */
   async cleanup() {
     try {
-      if (this.browserAutomation.initialized) {
-        await this.browserAutomation.close();
-      }
+      // Saved sessions stay in the store and are reloaded on the next start; tasks still
+      // running are saved as of their last completed step
+      clearInterval(this.evictionTimer);
+      this.evictionTimer = null;
       this.sessions.clear();
+      this.sessionActivity.clear();
+      this.eventLogs.clear();
+      await Promise.all(this.sessionWrites.values());
+      await this.sessionStore.close();
+      await this.browserPool.closeAll();
       this.initialized = false;
       console.log('Agent service cleaned up');
     } catch (error) {
@@ -0,0 +1,144 @@
+/**
+ * Answer Verifier
+ * Checks a proposed final answer against the user's instruction and the latest page state before the
+ * agent returns it, so an answer given too early (a forgotten Action line, giving up) sends the agent
+ * back into the loop with feedback instead of ending the task
+ *
+ * Verdicts:
+ * - "passed": the verifier judged the instruction complete with at least minConfidence
+ * - "failed": the instruction is not complete; the agent retries up to maxRetries times, after which
+ *   the answer is returned with the failed verdict
+ * - "unverified": the verifier could not be reached or gave no usable verdict; the answer is accepted
+ */
+
+const MAX_EVIDENCE_CHARS = 1500;
+
+/**
+ * Shorten text for the verification prompt
+ * @param {string} text - Text to shorten
+ * @param {number} maxChars - Maximum length
+ * @returns {string} - Text, cut with a marker if it was longer
+ */
+function clip(text, maxChars = MAX_EVIDENCE_CHARS) {
+  const value = typeof text === 'string' ? text : JSON.stringify(text);
+  return value.length > maxChars ? `${value.slice(0, maxChars)} [...]` : value;
+}
+
+export class AnswerVerifier {
+  /**
+   * @param {Object} [config] - Verifier configuration
+   * @param {boolean} [config.enabled] - Verify final answers (default VERIFY_ANSWERS)
+   * @param {number} [config.maxRetries] - Times the agent is sent back after a failed verdict
+   * @param {number} [config.minConfidence] - Confidence (0-1) a complete verdict needs to pass
+   */
+  constructor(config = {}) {
+    this.config = {
+      enabled: config.enabled ?? process.env.VERIFY_ANSWERS === 'true',
+      maxRetries: config.maxRetries ?? parseInt(process.env.VERIFY_MAX_RETRIES ?? '2', 10),
+      minConfidence: config.minConfidence ?? parseFloat(process.env.VERIFY_MIN_CONFIDENCE ?? '0.5')
+    };
+
+    const { maxRetries, minConfidence } = this.config;
+    if (!Number.isInteger(maxRetries) || maxRetries < 0) {
+      throw new Error('Verification maxRetries must be a non-negative integer');
+    }
+    if (typeof minConfidence !== 'number' || minConfidence < 0 || minConfidence > 1) {
+      throw new Error('Verification minConfidence must be a number between 0 and 1');
+    }
+  }
+
+  /**
+   * Build the verification request
+   * @param {Object} evidence - What the verifier sees
+   * @param {string} evidence.instruction - User instruction
+   * @param {string} evidence.answer - Proposed final answer
+   * @param {Object} [evidence.page] - Current page ({ url, title })
+   * @param {Array<string>} [evidence.observations] - Latest tool results (extracted content, parsed screenshots)
+   * @returns {Array<Object>} - Messages for the verifier model
+   */
+  buildMessages({ instruction, answer, page, observations = [] }) {
+    const pageState = page?.url
+      ? `URL: ${page.url}${page.title ? `\nTitle: ${page.title}` : ''}`
+      : 'No page is open.';
+    const results = observations.length > 0
+      ? observations.map((observation, index) => `[${index + 1}] ${clip(observation)}`).join('\n\n')
+      : 'No tool results.';
+
+    return [
+      {
+        role: "system",
+        content: `You check whether a web agent has completed the user's instruction. Judge only from the evidence given: ` +
+          `the current page and the latest tool results. An answer that only describes what the agent would do next, ` +
+          `gives up, or states facts the evidence does not support is not complete.\n\n` +
+          `Reply with JSON only: {"complete": true or false, "confidence": number from 0 to 1, ` +
+          `"feedback": "what is missing or wrong, and what to do next (empty if complete)"}`
+      },
+      {
+        role: "user",
+        content: `Instruction:\n${instruction}\n\nProposed answer:\n${answer}\n\nCurrent page:\n${pageState}\n\n` +
+          `Latest tool results:\n${results}`
+      }
+    ];
+  }
+
+  /**
+   * Read the verdict from the verifier's reply
+   * @param {string} text - Verifier reply
+   * @returns {Object|null} - { complete, confidence, feedback }, or null if the reply has no usable verdict
+   */
+  parseVerdict(text) {
+    const json = (text || '').match(/\{[\s\S]*\}/)?.[0];
+    if (!json) {
+      return null;
+    }
+
+    let verdict;
+    try {
+      verdict = JSON.parse(json);
+    } catch (error) {
+      return null;
+    }
+    if (typeof verdict?.complete !== 'boolean') {
+      return null;
+    }
+
+    const confidence = Number(verdict.confidence);
+    return {
+      complete: verdict.complete,
+      confidence: Number.isFinite(confidence) ? Math.min(1, Math.max(0, confidence)) : null,
+      feedback: typeof verdict.feedback === 'string' ? verdict.feedback.trim() : ''
+    };
+  }
+
+  /**
+   * Turn a verdict into a verification result
+   * @param {Object|null} verdict - Parsed verdict
+   * @param {number} attempt - Number of answers verified in this task, including this one
+   * @returns {Object} - { status, confidence, feedback, attempt, retry }
+   */
+  judge(verdict, attempt) {
+    if (!verdict) {
+      return { status: 'unverified', confidence: null, feedback: '', attempt, retry: false };
+    }
+
+    // A complete verdict without a confidence counts as confident
+    const passed = verdict.complete && (verdict.confidence ?? 1) >= this.config.minConfidence;
+    return {
+      status: passed ? 'passed' : 'failed',
+      confidence: verdict.confidence,
+      feedback: verdict.feedback,
+      attempt,
+      retry: !passed && attempt <= this.config.maxRetries
+    };
+  }
+
+  /**
+   * Build the message that sends the agent back to work after a failed verdict
+   * @param {Object} result - Verification result
+   * @returns {string} - Feedback for the agent
+   */
+  buildFeedback(result) {
+    return `Your answer does not complete my instruction yet.${result.feedback ? ` ${result.feedback}` : ''}\n` +
+      `Continue working on the instruction with the available tools, then give the final answer.`;
+  }
+}
@@ -0,0 +1,216 @@
+/**
+ * Approval Policy
+ * Decides which tool calls need a human's approval before they run
+ *
+ * A rule matches when every condition it sets holds:
+ * - `tools`: tool names the rule applies to ("browser.*" matches every browser tool)
+ * - `targetPatterns`: regular expressions matched against the call's string arguments (selector, text, url, ...)
+ * - `domains`: the target URL or the current page is on one of these domains (subdomains included)
+ * - `formSubmission`: the call looks like it submits a form (clicks a submit-like control or types a trailing newline)
+ * A call needs approval when any rule matches. Rules with `action: "block"` refuse matching calls without
+ * asking anyone, and take precedence over approval rules
+ */
+
+const RULE_ACTIONS = ['approve', 'block'];
+
+// Clicks on controls with these labels usually submit a form
+const SUBMIT_PATTERN = /\b(submit|send|sign ?up|register|place (my )?order|confirm|continue to payment|complete (purchase|order))\b/i;
+
+export const DEFAULT_APPROVAL_RULES = [
+  {
+    name: 'sensitive-action',
+    tools: ['browser.click', 'browser.type'],
+    targetPatterns: ['\\b(buy|purchase|order|pay|checkout|delete|remove|transfer|unsubscribe|cancel (my )?(subscription|account))\\b'],
+    reason: 'The action may buy, delete or transfer something'
+  },
+  {
+    name: 'form-submission',
+    tools: ['browser.click', 'browser.type'],
+    formSubmission: true,
+    reason: 'The action submits a form'
+  }
+];
+
+export class ApprovalPolicy {
+  constructor(config = {}) {
+    this.enabled = config.enabled ?? process.env.APPROVAL_GATES !== 'false';
+    this.rules = (config.rules || ApprovalPolicy.rulesFromEnv() || DEFAULT_APPROVAL_RULES)
+      .map((rule, index) => this.compileRule(rule, index));
+  }
+
+  /**
+   * Read rules from the environment
+   * APPROVAL_RULES replaces the defaults (JSON array of rules); APPROVAL_DOMAINS adds a domain rule
+   * @returns {Array<Object>|null} - Rules, or null to use the defaults
+   */
+  static rulesFromEnv() {
+    let rules = null;
+
+    if (process.env.APPROVAL_RULES) {
+      try {
+        rules = JSON.parse(process.env.APPROVAL_RULES);
+      } catch (error) {
+        throw new Error(`APPROVAL_RULES is not valid JSON: ${error.message}`);
+      }
+    }
+
+    const domains = (process.env.APPROVAL_DOMAINS || '').split(',').map(domain => domain.trim()).filter(Boolean);
+    if (domains.length > 0) {
+      rules = [
+        ...(rules || DEFAULT_APPROVAL_RULES),
+        {
+          name: 'protected-domain',
+          tools: ['browser.open', 'browser.click', 'browser.type'],
+          domains,
+          reason: 'The action targets a protected domain'
+        }
+      ];
+    }
+
+    return rules;
+  }
+
+  /**
+   * Validate a rule and precompile its patterns
+   * @param {Object} rule - Rule definition
+   * @param {number} index - Position of the rule (used as its default name)
+   * @returns {Object} - Compiled rule
+   * @throws {Error} If the rule is invalid
+   */
+  compileRule(rule, index) {
+    if (!rule || typeof rule !== 'object') {
+      throw new Error(`Approval rule ${index} must be an object`);
+    }
+
+    const name = rule.name || `rule-${index + 1}`;
+    const hasCondition = ['tools', 'targetPatterns', 'domains', 'formSubmission'].some(key => rule[key] !== undefined);
+    if (!hasCondition) {
+      throw new Error(`Approval rule "${name}" needs at least one of: tools, targetPatterns, domains, formSubmission`);
+    }
+    const action = rule.action || 'approve';
+    if (!RULE_ACTIONS.includes(action)) {
+      throw new Error(`Approval rule "${name}" has an invalid action "${action}". Expected one of: ${RULE_ACTIONS.join(', ')}`);
+    }
+
+    let targetPatterns;
+    try {
+      targetPatterns = rule.targetPatterns?.map(pattern => new RegExp(pattern, 'i'));
+    } catch (error) {
+      throw new Error(`Approval rule "${name}" has an invalid target pattern: ${error.message}`);
+    }
+
+    return {
+      name,
+      reason: rule.reason || `Matches approval rule "${name}"`,
+      action,
+      tools: rule.tools,
+      targetPatterns,
+      domains: rule.domains?.map(domain => domain.toLowerCase()),
+      formSubmission: rule.formSubmission
+    };
+  }
+
+  /**
+   * Check whether evaluating calls needs the current page URL
+   * @returns {boolean} - True if an active rule restricts domains
+   */
+  needsPageUrl() {
+    return this.enabled && this.rules.some(rule => rule.domains);
+  }
+
+  /**
+   * Decide whether a tool call needs approval
+   * @param {string} toolName - Tool name
+   * @param {Object} params - Validated tool arguments
+   * @param {Object} context - Call context
+   * @param {string} [context.pageUrl] - URL of the session's current page
+   * @returns {Object|null} - { rule, reason, action } of the first matching block rule, else of the first
+   *   matching rule, or null if the call may run
+   */
+  evaluate(toolName, params = {}, { pageUrl } = {}) {
+    if (!this.enabled) {
+      return null;
+    }
+
+    const values = Object.values(params).filter(value => typeof value === 'string');
+    let match = null;
+
+    for (const rule of this.rules) {
+      if (rule.tools && !rule.tools.some(pattern => matchesToolName(pattern, toolName))) {
+        continue;
+      }
+      if (rule.targetPatterns && !rule.targetPatterns.some(pattern => values.some(value => pattern.test(value)))) {
+        continue;
+      }
+      if (rule.domains && !this.matchesDomain(rule.domains, [params.url, pageUrl])) {
+        continue;
+      }
+      if (rule.formSubmission !== undefined && rule.formSubmission !== isFormSubmission(toolName, params)) {
+        continue;
+      }
+
+      if (rule.action === 'block') {
+        return { rule: rule.name, reason: rule.reason, action: rule.action };
+      }
+      match = match || { rule: rule.name, reason: rule.reason, action: rule.action };
+    }
+
+    return match;
+  }
+
+  /**
+   * Check whether any of the URLs is on one of the domains
+   * @param {Array<string>} domains - Domains (lowercase)
+   * @param {Array<string>} urls - Candidate URLs (may contain empty values)
+   * @returns {boolean} - True if a URL matches
+   */
+  matchesDomain(domains, urls) {
+    return urls.filter(Boolean).some(url => {
+      let hostname;
+      try {
+        hostname = new URL(url).hostname.toLowerCase();
+      } catch (error) {
+        return false;
+      }
+
+      return domains.some(domain => hostname === domain || hostname.endsWith(`.${domain}`));
+    });
+  }
+
+  /**
+   * Get the active rules
+   * @returns {Object} - Policy information
+   */
+  getInfo() {
+    return {
+      enabled: this.enabled,
+      rules: this.rules.map(rule => ({ name: rule.name, reason: rule.reason }))
+    };
+  }
+}
+
+/**
+ * Match a tool name against a pattern with an optional trailing wildcard
+ * @param {string} pattern - Tool name or prefix ending in "*"
+ * @param {string} toolName - Tool name
+ * @returns {boolean} - True if the pattern matches
+ */
+function matchesToolName(pattern, toolName) {
+  return pattern.endsWith('*') ? toolName.startsWith(pattern.slice(0, -1)) : pattern === toolName;
+}
+
+/**
+ * Heuristically detect a call that submits a form
+ * @param {string} toolName - Tool name
+ * @param {Object} params - Tool arguments
+ * @returns {boolean} - True for clicks on submit-like controls and text ending in a newline
+ */
+function isFormSubmission(toolName, params) {
+  if (toolName === 'browser.click') {
+    return SUBMIT_PATTERN.test(params.selector || '');
+  }
+  if (toolName === 'browser.type') {
+    return /\n$/.test(params.text || '');
+  }
+  return false;
+}
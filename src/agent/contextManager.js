@@ -0,0 +1,218 @@
+/**
+ * Context Manager
+ * Keeps the agent's message history within the model's context window:
+ * - estimates token usage per message
+ * - truncates large tool observations before they enter the history
+ * - keeps only the most recent observations in full and compacts older ones
+ * - enforces a per-session token budget before every model call
+ * - decides whether model reasoning (<think> blocks) stays in the history
+ */
+
+const COMPACTED_PREFIX = '[Compacted observation';
+const TRUNCATION_NOTE = '[... truncated';
+
+// Rough characters-per-token ratio for English text and markup
+const CHARS_PER_TOKEN = 4;
+// Per-message overhead for role and formatting tokens
+const MESSAGE_OVERHEAD_TOKENS = 4;
+
+export class ContextManager {
+  constructor(config = {}) {
+    this.config = {
+      maxContextTokens: config.maxContextTokens || parseInt(process.env.MAX_CONTEXT_TOKENS, 10) || 48000,
+      maxObservationTokens: config.maxObservationTokens || parseInt(process.env.MAX_OBSERVATION_TOKENS, 10) || 4000,
+      keepFullObservations: config.keepFullObservations ?? (parseInt(process.env.KEEP_FULL_OBSERVATIONS, 10) || 3),
+      compactedObservationChars: config.compactedObservationChars || 300,
+      // Reasoning is dropped from later prompts by default; it is long and rarely useful to the next step
+      keepReasoning: config.keepReasoning ?? process.env.KEEP_REASONING === 'true'
+    };
+  }
+
+  /**
+   * Estimate the number of tokens in a text
+   * @param {string} text - Text to measure
+   * @returns {number} - Estimated token count
+   */
+  estimateTokens(text) {
+    if (!text) {
+      return 0;
+    }
+
+    return Math.ceil(String(text).length / CHARS_PER_TOKEN);
+  }
+
+  /**
+   * Estimate the number of tokens a message occupies in the prompt
+   * @param {Object} message - Chat message
+   * @returns {number} - Estimated token count
+   */
+  countMessageTokens(message) {
+    const toolCallTokens = (message.tool_calls || [])
+      .reduce((sum, call) => sum + this.estimateTokens(call.function?.name) + this.estimateTokens(call.function?.arguments), 0);
+
+    return MESSAGE_OVERHEAD_TOKENS + this.estimateTokens(message.content) + toolCallTokens;
+  }
+
+  /**
+   * Estimate the number of tokens in a list of messages
+   * @param {Array<Object>} messages - Chat messages
+   * @returns {number} - Estimated token count
+   */
+  countTokens(messages) {
+    return messages.reduce((sum, message) => sum + this.countMessageTokens(message), 0);
+  }
+
+  /**
+   * Shrink a tool observation so it fits within the observation limit
+   * HTML is reduced to its text content first; anything still too long keeps its beginning and end
+   * @param {string} observation - Tool observation
+   * @returns {string} - Observation ready to store in the history
+   */
+  prepareObservation(observation) {
+    let text = String(observation ?? '');
+    const maxChars = this.config.maxObservationTokens * CHARS_PER_TOKEN;
+
+    if (text.length <= maxChars) {
+      return text;
+    }
+
+    if (/^\s*(<!DOCTYPE html|<html)/i.test(text)) {
+      text = this.htmlToText(text);
+      if (text.length <= maxChars) {
+        return text;
+      }
+    }
+
+    const headChars = Math.floor(maxChars * 0.8);
+    const tailChars = maxChars - headChars;
+    const omitted = text.length - headChars - tailChars;
+
+    return `${text.slice(0, headChars)}\n${TRUNCATION_NOTE} ${omitted} characters (~${Math.ceil(omitted / CHARS_PER_TOKEN)} tokens) ...]\n${text.slice(-tailChars)}`;
+  }
+
+  /**
+   * Reduce an HTML document to its title and visible text
+   * @param {string} html - HTML document
+   * @returns {string} - Text content
+   */
+  htmlToText(html) {
+    const title = html.match(/<title[^>]*>([\s\S]*?)<\/title>/i)?.[1]?.trim();
+    const body = html
+      .replace(/<(script|style|noscript|svg|head)[^>]*>[\s\S]*?<\/\1>/gi, ' ')
+      .replace(/<br\s*\/?>|<\/(p|div|li|h[1-6]|tr|section|article)>/gi, '\n')
+      .replace(/<[^>]+>/g, ' ')
+      .replace(/&nbsp;/g, ' ')
+      .replace(/&amp;/g, '&')
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/[ \t]+/g, ' ')
+      .replace(/\n\s*\n+/g, '\n')
+      .trim();
+
+    return `[HTML converted to text]${title ? `\nTitle: ${title}` : ''}\n${body}`;
+  }
+
+  /**
+   * Check whether a message carries a tool observation
+   * @param {Object} message - Chat message
+   * @returns {boolean} - True for tool results and ReAct "Observation:" messages
+   */
+  isObservation(message) {
+    return message.role === 'tool' ||
+      (message.role === 'user' && typeof message.content === 'string' && message.content.startsWith('Observation:'));
+  }
+
+  /**
+   * Replace an observation message with a compacted copy
+   * @param {Object} message - Observation message
+   * @returns {Object} - Compacted message (the original is not modified)
+   */
+  compactMessage(message) {
+    const prefix = message.role === 'user' ? 'Observation: ' : '';
+    const content = message.content.slice(prefix.length);
+
+    if (content.startsWith(COMPACTED_PREFIX) || content.length <= this.config.compactedObservationChars) {
+      return message;
+    }
+
+    const preview = content.slice(0, this.config.compactedObservationChars).replace(/\s+/g, ' ');
+
+    return {
+      ...message,
+      content: `${prefix}${COMPACTED_PREFIX}, originally ~${this.estimateTokens(content)} tokens; repeat the tool call if you need it again] ${preview}...`
+    };
+  }
+
+  /**
+   * Compact all but the most recent observations
+   * @param {Array<Object>} messages - Message history
+   * @param {number} keep - Number of recent observations to keep in full
+   * @returns {Array<Object>} - New message list
+   */
+  compact(messages, keep = this.config.keepFullObservations) {
+    const observationIndexes = messages
+      .map((message, index) => (this.isObservation(message) ? index : -1))
+      .filter(index => index >= 0);
+    const toCompact = new Set(observationIndexes.slice(0, Math.max(0, observationIndexes.length - keep)));
+
+    return messages.map((message, index) => (toCompact.has(index) ? this.compactMessage(message) : message));
+  }
+
+  /**
+   * Fit a message history into the token budget
+   * Older observations are compacted first, then the oldest messages before `protectedIndex`
+   * (replayed turns from earlier instructions) are dropped, then every observation is compacted
+   * @param {Array<Object>} messages - Message history; index 0 is the system prompt
+   * @param {number} protectedIndex - Index of the first message of the current task
+   * @returns {Object} - { messages, protectedIndex, tokens, fits }
+   */
+  fitToBudget(messages, protectedIndex = 1) {
+    const budget = this.config.maxContextTokens;
+    let fitted = this.compact(messages);
+    let start = protectedIndex;
+
+    // Drop replayed turns from the oldest, never leaving a tool result without its call
+    while (this.countTokens(fitted) > budget && start > 1) {
+      fitted.splice(1, 1);
+      start--;
+      while (start > 1 && fitted[1]?.role === 'tool') {
+        fitted.splice(1, 1);
+        start--;
+      }
+    }
+
+    if (this.countTokens(fitted) > budget) {
+      fitted = this.compact(fitted, 0);
+    }
+
+    const tokens = this.countTokens(fitted);
+
+    return {
+      messages: fitted,
+      protectedIndex: start,
+      tokens,
+      fits: tokens <= budget
+    };
+  }
+
+  /**
+   * Get the token accounting for a message history
+   * @param {Array<Object>} messages - Message history
+   * @returns {Object} - Token usage information
+   */
+  getInfo(messages) {
+    return {
+      estimatedTokens: this.countTokens(messages),
+      maxContextTokens: this.config.maxContextTokens,
+      maxObservationTokens: this.config.maxObservationTokens,
+      keepFullObservations: this.config.keepFullObservations,
+      keepReasoning: this.config.keepReasoning,
+      compactedObservations: messages.filter(message =>
+        this.isObservation(message) && message.content.replace(/^Observation: /, '').startsWith(COMPACTED_PREFIX)).length,
+      messages: messages.map(message => ({
+        role: message.role,
+        tokens: this.countMessageTokens(message)
+      }))
+    };
+  }
+}
@@ -0,0 +1,152 @@
+/**
+ * Conversation Memory
+ * Keeps the completed turns (instruction, intermediate messages, final response) of a session
+ * and decides which of them are replayed to the model for the next instruction
+ *
+ * Policies:
+ * - "full": every previous turn is replayed verbatim
+ * - "window": only the most recent `windowSize` turns are replayed
+ * - "summary": the most recent `windowSize` turns are replayed, older turns are condensed into a summary
+ */
+
+export const MEMORY_POLICIES = ['full', 'window', 'summary'];
+
+export class ConversationMemory {
+  constructor(config = {}) {
+    this.policy = config.policy || process.env.MEMORY_POLICY || 'full';
+    this.windowSize = config.windowSize || parseInt(process.env.MEMORY_WINDOW_SIZE, 10) || 3;
+
+    if (!MEMORY_POLICIES.includes(this.policy)) {
+      throw new Error(`Unknown memory policy "${this.policy}". Expected one of: ${MEMORY_POLICIES.join(', ')}`);
+    }
+
+    // Async (turns, previousSummary) => summary text, used by the "summary" policy
+    this.summarize = config.summarize || null;
+
+    this.turns = [];
+    this.summary = '';
+    this.summarizedTurns = 0;
+  }
+
+  /**
+   * Record a completed turn
+   * @param {Object} turn - Turn to record
+   * @param {string} turn.instruction - User instruction
+   * @param {Array<Object>} turn.messages - Messages exchanged for the turn, starting with the instruction
+   * @param {string} turn.response - Final response (may be empty if the turn was interrupted)
+   */
+  addTurn({ instruction, messages, response = '' }) {
+    this.turns.push({
+      instruction,
+      messages: [...messages],
+      response,
+      completedAt: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Forget every previous turn so the next instruction starts a fresh task
+   */
+  clear() {
+    this.turns = [];
+    this.summary = '';
+    this.summarizedTurns = 0;
+  }
+
+  /**
+   * Get the recorded turns and summary, e.g. to persist the session
+   * @returns {Object} - { turns, summary, summarizedTurns }
+   */
+  exportState() {
+    return {
+      turns: this.turns.map(turn => ({ ...turn, messages: [...turn.messages] })),
+      summary: this.summary,
+      summarizedTurns: this.summarizedTurns
+    };
+  }
+
+  /**
+   * Replace the recorded turns and summary with ones saved by exportState()
+   * @param {Object} state - { turns, summary, summarizedTurns }
+   */
+  restoreState({ turns = [], summary = '', summarizedTurns = 0 } = {}) {
+    this.turns = turns.map(turn => ({ ...turn, messages: [...turn.messages] }));
+    this.summary = summary;
+    this.summarizedTurns = summarizedTurns;
+  }
+
+  /**
+   * Build the messages that carry previous turns into the next prompt
+   * @returns {Promise<Array<Object>>} - Messages to place between the system prompt and the new instruction
+   */
+  async buildContext() {
+    if (this.policy === 'full') {
+      return this.turns.flatMap(turn => turn.messages);
+    }
+
+    const recentTurns = this.turns.slice(-this.windowSize);
+    const recentMessages = recentTurns.flatMap(turn => turn.messages);
+
+    if (this.policy === 'window') {
+      return recentMessages;
+    }
+
+    // Summarize the turns that fell out of the window since the last summary
+    const olderTurns = this.turns.slice(0, Math.max(0, this.turns.length - this.windowSize));
+    if (olderTurns.length > this.summarizedTurns) {
+      const newlyExpired = olderTurns.slice(this.summarizedTurns);
+      this.summary = await this.summarizeTurns(newlyExpired);
+      this.summarizedTurns = olderTurns.length;
+    }
+
+    if (!this.summary) {
+      return recentMessages;
+    }
+
+    return [
+      {
+        role: "system",
+        content: `Summary of the earlier conversation in this session:\n${this.summary}`
+      },
+      ...recentMessages
+    ];
+  }
+
+  /**
+   * Condense turns into the running summary
+   * Falls back to a plain transcript of instructions and responses if no summarizer is set or it fails
+   * @param {Array<Object>} turns - Turns to add to the summary
+   * @returns {Promise<string>} - Updated summary
+   */
+  async summarizeTurns(turns) {
+    if (this.summarize) {
+      try {
+        const summary = await this.summarize(turns, this.summary);
+        if (summary) {
+          return summary;
+        }
+      } catch (error) {
+        console.error('Error summarizing conversation memory:', error);
+      }
+    }
+
+    const transcript = turns
+      .map(turn => `- User asked: ${turn.instruction}\n  Agent answered: ${(turn.response || '(no answer)').slice(0, 500)}`)
+      .join('\n');
+
+    return [this.summary, transcript].filter(Boolean).join('\n');
+  }
+
+  /**
+   * Get information about the memory state
+   * @returns {Object} - Memory information
+   */
+  getInfo() {
+    return {
+      policy: this.policy,
+      windowSize: this.windowSize,
+      turns: this.turns.length,
+      summarizedTurns: this.summarizedTurns
+    };
+  }
+}
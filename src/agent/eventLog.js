@@ -0,0 +1,76 @@
+/**
+ * Event Log
+ * Numbered record of a session's stream events, so a client that reconnects can replay the events it
+ * missed. Only the last maxEvents events are kept; sequence numbers keep counting across tasks.
+ */
+
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+export class EventLog {
+  /**
+   * @param {Object} [options] - Log options
+   * @param {number} [options.maxEvents] - Events kept for replay (EVENT_REPLAY_LIMIT, default 500)
+   * @throws {Error} If maxEvents is not a positive integer
+   */
+  constructor(options = {}) {
+    this.maxEvents = options.maxEvents ?? parseInt(process.env.EVENT_REPLAY_LIMIT || '500', 10);
+    if (!Number.isInteger(this.maxEvents) || this.maxEvents < 1) {
+      throw new Error('Event replay limit must be a positive integer');
+    }
+
+    this.events = [];
+    this.lastSeq = 0;
+    this.listeners = new Set();
+  }
+
+  /**
+   * Number an event, keep it and pass it to the listeners
+   * @param {Object} event - Stream event ({ type, ... })
+   * @returns {Object} - Event with its sequence number ({ seq, type, ... })
+   */
+  append(event) {
+    const entry = { seq: ++this.lastSeq, ...event };
+    this.events.push(entry);
+    if (this.events.length > this.maxEvents) {
+      this.events.shift();
+    }
+
+    for (const listener of this.listeners) {
+      try {
+        listener(entry);
+      } catch (error) {
+        console.error('Error delivering a session event:', error);
+      }
+    }
+
+    return entry;
+  }
+
+  /**
+   * Get the kept events after a sequence number
+   * @param {number} seq - Last sequence number the client has seen (0 for everything)
+   * @returns {Object} - { events, missed } where missed counts events that are no longer kept
+   */
+  since(seq) {
+    // A number from before a restart (or from another server) starts over
+    const from = seq > this.lastSeq ? 0 : seq;
+    const oldest = this.events.length > 0 ? this.events[0].seq : this.lastSeq + 1;
+
+    return {
+      events: this.events.filter(event => event.seq > from),
+      missed: Math.max(0, oldest - from - 1)
+    };
+  }
+
+  /**
+   * Listen to new events
+   * @param {Function} listener - Called with each appended event
+   * @returns {Function} - Stops listening
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+}
@@ -0,0 +1,221 @@
+/**
+ * Loop Guard
+ * Stopping criteria for the reasoning-action loop of a task, so an agent that runs too long or goes
+ * around in circles is stopped with a clear reason instead of burning turns
+ *
+ * Limits (per task; unset limits fall back to the environment, null disables a limit):
+ * - maxTurns: model steps (MAX_TURNS, default 15)
+ * - maxDurationMs: wall-clock time (MAX_TASK_DURATION_MS); checked between steps and tool calls, so a
+ *   running model call or tool finishes first
+ * - maxToolCalls: calls per tool, keyed by tool name, with "*" for every other tool
+ * - maxRepeats: runs of the same tool with the same arguments (MAX_REPEATED_ACTIONS, default 3)
+ * - maxUnchangedSteps: consecutive steps with tool calls after which the page URL and title are still
+ *   the same (MAX_UNCHANGED_STEPS); off by default because reading tools legitimately leave the page as is
+ */
+
+export const STOP_REASONS = [
+  'answer',
+  'cancelled',
+  'usageLimit',
+  'maxTurns',
+  'maxDuration',
+  'maxToolCalls',
+  'repeatedAction',
+  'noPageChange'
+];
+
+/**
+ * Read an optional limit from the environment
+ * @param {string} name - Environment variable
+ * @param {number|null} fallback - Value when the variable is unset
+ * @returns {number|null} - Limit
+ */
+function envLimit(name, fallback) {
+  const value = process.env[name];
+  return value === undefined || value === '' ? fallback : Number(value);
+}
+
+/**
+ * Build a stable key for a tool call, independent of argument order
+ * @param {string} toolName - Tool name
+ * @param {Object} params - Tool arguments
+ * @returns {string} - Call key
+ */
+function callKey(toolName, params) {
+  const sortKeys = (value) => {
+    if (Array.isArray(value)) {
+      return value.map(sortKeys);
+    }
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.keys(value).sort().map(key => [key, sortKeys(value[key])]));
+    }
+    return value;
+  };
+  return `${toolName}:${JSON.stringify(sortKeys(params || {}))}`;
+}
+
+export class LoopGuard {
+  /**
+   * @param {Object} [limits] - Task limits
+   * @param {number|null} [limits.maxTurns] - Maximum model steps
+   * @param {number|null} [limits.maxDurationMs] - Maximum wall-clock time in milliseconds
+   * @param {Object} [limits.maxToolCalls] - Maximum calls by tool name ("*" for any other tool)
+   * @param {number|null} [limits.maxRepeats] - Maximum runs of the same call
+   * @param {number|null} [limits.maxUnchangedSteps] - Maximum consecutive steps without a page change
+   * @throws {Error} If a limit is not a positive integer
+   */
+  constructor(limits = {}) {
+    if (!limits || typeof limits !== 'object' || Array.isArray(limits)) {
+      throw new Error('Limits must be an object');
+    }
+
+    this.limits = {
+      maxTurns: limits.maxTurns !== undefined ? limits.maxTurns : envLimit('MAX_TURNS', 15),
+      maxDurationMs: limits.maxDurationMs !== undefined ? limits.maxDurationMs : envLimit('MAX_TASK_DURATION_MS', null),
+      maxToolCalls: limits.maxToolCalls || {},
+      maxRepeats: limits.maxRepeats !== undefined ? limits.maxRepeats : envLimit('MAX_REPEATED_ACTIONS', 3),
+      maxUnchangedSteps: limits.maxUnchangedSteps !== undefined ? limits.maxUnchangedSteps : envLimit('MAX_UNCHANGED_STEPS', null)
+    };
+
+    if (typeof this.limits.maxToolCalls !== 'object' || Array.isArray(this.limits.maxToolCalls)) {
+      throw new Error('Limit maxToolCalls must be an object keyed by tool name');
+    }
+    const checks = Object.entries(this.limits)
+      .filter(([name]) => name !== 'maxToolCalls')
+      .concat(Object.entries(this.limits.maxToolCalls).map(([tool, value]) => [`maxToolCalls["${tool}"]`, value]));
+    for (const [name, value] of checks) {
+      if (value !== null && !(Number.isInteger(value) && value > 0)) {
+        throw new Error(`Limit ${name} must be a positive integer or null`);
+      }
+    }
+
+    this.startedAt = Date.now();
+    this.toolCalls = new Map();
+    this.repeats = new Map();
+    this.unchangedSteps = 0;
+    this.lastPage = undefined;
+  }
+
+  /**
+   * Check the limits that apply before a model step
+   * @param {number} turns - Steps already taken
+   * @returns {Object|null} - Stop reason, or null to continue
+   */
+  checkStep(turns) {
+    const { maxTurns } = this.limits;
+    if (maxTurns !== null && turns >= maxTurns) {
+      return {
+        reason: 'maxTurns',
+        limit: maxTurns,
+        message: `Stopped: the task reached its limit of ${maxTurns} step${maxTurns === 1 ? '' : 's'}.`
+      };
+    }
+
+    return this.checkDuration();
+  }
+
+  /**
+   * Check the wall-clock limit
+   * @returns {Object|null} - Stop reason, or null to continue
+   */
+  checkDuration() {
+    const { maxDurationMs } = this.limits;
+    const elapsedMs = Date.now() - this.startedAt;
+    if (maxDurationMs !== null && elapsedMs >= maxDurationMs) {
+      return {
+        reason: 'maxDuration',
+        limit: maxDurationMs,
+        elapsedMs,
+        message: `Stopped: the task ran for ${Math.round(elapsedMs / 1000)}s, over its limit of ${Math.round(maxDurationMs / 1000)}s.`
+      };
+    }
+    return null;
+  }
+
+  /**
+   * Check a tool call against the limits and count it if it may run
+   * @param {string} toolName - Tool name
+   * @param {Object} params - Tool arguments
+   * @returns {Object|null} - Stop reason, or null if the call may run
+   */
+  checkToolCall(toolName, params) {
+    const overTime = this.checkDuration();
+    if (overTime) {
+      return overTime;
+    }
+
+    const { maxToolCalls, maxRepeats } = this.limits;
+    const toolLimit = maxToolCalls[toolName] ?? maxToolCalls['*'] ?? null;
+    const toolCount = this.toolCalls.get(toolName) || 0;
+    if (toolLimit !== null && toolCount >= toolLimit) {
+      return {
+        reason: 'maxToolCalls',
+        tool: toolName,
+        limit: toolLimit,
+        message: `Stopped: ${toolName} reached its limit of ${toolLimit} calls.`
+      };
+    }
+
+    const key = callKey(toolName, params);
+    const repeatCount = this.repeats.get(key) || 0;
+    if (maxRepeats !== null && repeatCount >= maxRepeats) {
+      return {
+        reason: 'repeatedAction',
+        tool: toolName,
+        params,
+        limit: maxRepeats,
+        message: `Stopped: the agent repeated ${toolName} with the same arguments ${repeatCount + 1} times.`
+      };
+    }
+
+    this.toolCalls.set(toolName, toolCount + 1);
+    this.repeats.set(key, repeatCount + 1);
+    return null;
+  }
+
+  /**
+   * Record the page after a step that called tools
+   * @param {Object|null} page - Current page ({ url, title }), or null if unknown
+   * @returns {Object|null} - Stop reason, or null to continue
+   */
+  notePage(page) {
+    const { maxUnchangedSteps } = this.limits;
+    if (maxUnchangedSteps === null || !page) {
+      return null;
+    }
+
+    const fingerprint = `${page.url || ''}\n${page.title || ''}`;
+    this.unchangedSteps = fingerprint === this.lastPage ? this.unchangedSteps + 1 : 0;
+    this.lastPage = fingerprint;
+
+    if (this.unchangedSteps >= maxUnchangedSteps) {
+      return {
+        reason: 'noPageChange',
+        limit: maxUnchangedSteps,
+        url: page.url || null,
+        message: `Stopped: the page did not change for ${this.unchangedSteps} step${this.unchangedSteps === 1 ? '' : 's'}.`
+      };
+    }
+    return null;
+  }
+
+  /**
+   * Check whether page changes are tracked
+   * @returns {boolean} - True if maxUnchangedSteps is set
+   */
+  tracksPage() {
+    return this.limits.maxUnchangedSteps !== null;
+  }
+
+  /**
+   * Get the limits and the counts so far
+   * @returns {Object} - { limits, elapsedMs, toolCalls }
+   */
+  getInfo() {
+    return {
+      limits: { ...this.limits, maxToolCalls: { ...this.limits.maxToolCalls } },
+      elapsedMs: Date.now() - this.startedAt,
+      toolCalls: Object.fromEntries(this.toolCalls)
+    };
+  }
+}
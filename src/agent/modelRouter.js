@@ -0,0 +1,146 @@
+/**
+ * Model Router
+ * Picks the provider, model and sampling parameters for each phase of a task, so cheap fast models
+ * can handle routine steps while the reasoning model is kept for planning and recovery
+ *
+ * Roles:
+ * - "planner": the first step of a task and the step after a failed tool call
+ * - "actor": every other step of the reasoning-action loop
+ * - "summarizer": condensing earlier turns for the "summary" memory policy
+ * - "document": document and image analysis
+ * - "answer": writing the final answer (only called separately when it routes to another model than the step that finished the task)
+ * - "verifier": checking a proposed final answer against the instruction and the page state
+ *
+ * A route sets any of `provider`, `model` and `params` (request parameters such as max_tokens,
+ * temperature or reasoning_effort); unset fields fall back to the session's and the LLM client's defaults
+ */
+
+export const MODEL_ROLES = ['planner', 'actor', 'summarizer', 'document', 'answer', 'verifier'];
+
+const DEFAULT_ROUTES = {
+  planner: { params: { max_tokens: 4096, temperature: 0.2 } },
+  actor: { params: { max_tokens: 4096, temperature: 0.2 } },
+  summarizer: { params: { max_tokens: 1024, temperature: 0.2 } },
+  // Documents are inlined with Fireworks' document transform, so they stay on Fireworks unless routed elsewhere
+  document: { provider: 'fireworks', params: { max_tokens: 4096, temperature: 0.2 } },
+  answer: { params: { max_tokens: 4096, temperature: 0.2 } },
+  verifier: { params: { max_tokens: 1024, temperature: 0 } }
+};
+
+/**
+ * Keep the provider and model fields of an LLM selection
+ * @param {Object} [llm] - Requested selection
+ * @returns {Object} - { provider?, model? } with empty fields left out
+ */
+export function pickLLMSelection(llm = {}) {
+  const selection = {};
+  if (llm?.provider) {
+    selection.provider = llm.provider;
+  }
+  if (llm?.model) {
+    selection.model = llm.model;
+  }
+  return selection;
+}
+
+export class ModelRouter {
+  /**
+   * @param {Object} [routes] - Routes by role, merged over MODEL_ROUTES and the defaults
+   */
+  constructor(routes = {}) {
+    const envRoutes = ModelRouter.routesFromEnv();
+    ModelRouter.validateRoutes(routes);
+
+    this.routes = {};
+    for (const role of MODEL_ROLES) {
+      const layers = [DEFAULT_ROUTES[role], envRoutes[role], routes[role]].filter(Boolean);
+      this.routes[role] = {
+        ...layers.reduce((route, layer) => ({ ...route, ...pickLLMSelection(layer) }), {}),
+        params: layers.reduce((params, layer) => ({ ...params, ...layer.params }), {})
+      };
+    }
+  }
+
+  /**
+   * Read routes from the MODEL_ROUTES environment variable (JSON object keyed by role)
+   * @returns {Object} - Routes by role
+   */
+  static routesFromEnv() {
+    if (!process.env.MODEL_ROUTES) {
+      return {};
+    }
+
+    let routes;
+    try {
+      routes = JSON.parse(process.env.MODEL_ROUTES);
+    } catch (error) {
+      throw new Error(`MODEL_ROUTES is not valid JSON: ${error.message}`);
+    }
+
+    ModelRouter.validateRoutes(routes, 'MODEL_ROUTES');
+    return routes;
+  }
+
+  /**
+   * Check the shape of a routing configuration
+   * @param {Object} routes - Routes by role
+   * @param {string} [source] - Name of the configuration, used in errors
+   * @throws {Error} If a role is unknown or a route is malformed
+   */
+  static validateRoutes(routes, source = 'routing') {
+    if (!routes || typeof routes !== 'object' || Array.isArray(routes)) {
+      throw new Error(`${source} must be an object keyed by role (${MODEL_ROLES.join(', ')})`);
+    }
+
+    for (const [role, route] of Object.entries(routes)) {
+      if (!MODEL_ROLES.includes(role)) {
+        throw new Error(`Unknown model role "${role}" in ${source}. Expected one of: ${MODEL_ROLES.join(', ')}`);
+      }
+      if (!route || typeof route !== 'object' ||
+        ['provider', 'model'].some(key => route[key] !== undefined && typeof route[key] !== 'string') ||
+        (route.params !== undefined && (typeof route.params !== 'object' || Array.isArray(route.params)))) {
+        throw new Error(`The "${role}" route in ${source} must be an object with optional string provider and model and an optional params object`);
+      }
+    }
+  }
+
+  /**
+   * Get the route of a role
+   * @param {string} role - Model role
+   * @returns {Object} - { provider?, model?, params }
+   */
+  getRoute(role) {
+    const route = this.routes[role];
+    if (!route) {
+      throw new Error(`Unknown model role "${role}". Expected one of: ${MODEL_ROLES.join(', ')}`);
+    }
+    return route;
+  }
+
+  /**
+   * Build the completion options for a role
+   * The role's route overrides the base selection; an explicit override (e.g. chosen for a single instruction) wins over both
+   * @param {string} role - Model role
+   * @param {Object} [base] - Default provider and model, e.g. the session's
+   * @param {Object} [override] - Provider and model that take precedence over the route
+   * @returns {Object} - Request parameters plus { provider?, model? } for the LLM client
+   */
+  resolve(role, base = {}, override = {}) {
+    const route = this.getRoute(role);
+
+    return {
+      ...route.params,
+      ...pickLLMSelection(base),
+      ...pickLLMSelection(route),
+      ...pickLLMSelection(override)
+    };
+  }
+
+  /**
+   * Get the configured routes
+   * @returns {Object} - Routes by role
+   */
+  getInfo() {
+    return { ...this.routes };
+  }
+}
@@ -0,0 +1,166 @@
+/**
+ * Output Schema
+ * Lets callers ask for the final answer as a typed JSON result next to the prose answer
+ *
+ * The result shape is a caller-supplied JSON schema or a named template (OUTPUT_TEMPLATES, JSON, adds
+ * to or replaces the defaults). The agent is asked to end its final answer with a ```json block; the
+ * block is validated with zod and the model is asked to correct it when it does not match.
+ */
+
+import { jsonSchemaToZod } from '../utils/jsonSchemaToZod.js';
+
+export const DEFAULT_OUTPUT_TEMPLATES = {
+  summary: {
+    type: 'object',
+    properties: {
+      summary: { type: 'string', description: 'Answer in a few sentences' },
+      keyPoints: { type: 'array', items: { type: 'string' } }
+    },
+    required: ['summary', 'keyPoints']
+  },
+  links: {
+    type: 'object',
+    properties: {
+      links: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            title: { type: 'string' },
+            url: { type: 'string' },
+            description: { type: 'string' }
+          },
+          required: ['title', 'url']
+        }
+      }
+    },
+    required: ['links']
+  },
+  table: {
+    type: 'object',
+    properties: {
+      columns: { type: 'array', items: { type: 'string' } },
+      rows: { type: 'array', items: { type: 'array', items: { type: 'string' } } }
+    },
+    required: ['columns', 'rows']
+  }
+};
+
+/**
+ * Describe the first problems of a failed zod validation
+ * @param {import('zod').ZodError} error - Validation error
+ * @returns {string} - Problems with their paths
+ */
+function describeIssues(error) {
+  return error.issues
+    .slice(0, 5)
+    .map(issue => `${issue.path.length > 0 ? issue.path.join('.') : '(root)'}: ${issue.message}`)
+    .join('; ');
+}
+
+export class OutputSchema {
+  /**
+   * @param {Object} output - Requested output ({ schema } or { template }, with optional maxRetries)
+   * @param {Object} [templates] - Named templates, merged over the defaults and OUTPUT_TEMPLATES
+   * @throws {Error} If the output request is malformed or names an unknown template
+   */
+  constructor(output, templates = {}) {
+    if (!output || typeof output !== 'object' || Array.isArray(output)) {
+      throw new Error('Output must be an object with a "schema" or a "template"');
+    }
+
+    const { schema, template, maxRetries = 2 } = output;
+    if (schema && template) {
+      throw new Error('Output takes either a "schema" or a "template", not both');
+    }
+
+    if (template) {
+      const available = { ...DEFAULT_OUTPUT_TEMPLATES, ...OutputSchema.templatesFromEnv(), ...templates };
+      if (!available[template]) {
+        throw new Error(`Unknown output template "${template}". Expected one of: ${Object.keys(available).join(', ')}`);
+      }
+      this.name = template;
+      this.jsonSchema = available[template];
+    } else if (schema && typeof schema === 'object' && !Array.isArray(schema) && typeof schema.type === 'string') {
+      this.name = 'custom';
+      this.jsonSchema = schema;
+    } else {
+      throw new Error('Output schema must be a JSON schema object with a "type"');
+    }
+
+    if (!Number.isInteger(maxRetries) || maxRetries < 0) {
+      throw new Error('Output maxRetries must be a non-negative integer');
+    }
+
+    this.maxRetries = maxRetries;
+    this.validator = jsonSchemaToZod(this.jsonSchema);
+  }
+
+  /**
+   * Read named templates from the OUTPUT_TEMPLATES environment variable
+   * @returns {Object} - JSON schemas by template name
+   */
+  static templatesFromEnv() {
+    if (!process.env.OUTPUT_TEMPLATES) {
+      return {};
+    }
+
+    try {
+      return JSON.parse(process.env.OUTPUT_TEMPLATES);
+    } catch (error) {
+      throw new Error(`OUTPUT_TEMPLATES is not valid JSON: ${error.message}`);
+    }
+  }
+
+  /**
+   * Instructions added to the prompt so the final answer carries the result
+   * @returns {string} - Format instructions
+   */
+  buildInstructions() {
+    return `When you give the final answer, write it in prose, then end with the result as JSON matching this ` +
+      `JSON schema in a \`\`\`json code block:\n${JSON.stringify(this.jsonSchema, null, 2)}`;
+  }
+
+  /**
+   * Build the request to correct a result that did not match the schema
+   * @param {string} error - Why the last result was rejected
+   * @returns {string} - Correction request
+   */
+  buildCorrection(error) {
+    return `The JSON result in your final answer is invalid: ${error}\n` +
+      `Reply with only the corrected result as JSON matching this JSON schema, in a \`\`\`json code block. ` +
+      `Do not call any tools.\n${JSON.stringify(this.jsonSchema, null, 2)}`;
+  }
+
+  /**
+   * Extract and validate the result from an answer
+   * Uses the last ```json block, or the whole answer if it is JSON
+   * @param {string} answer - Final answer
+   * @returns {Object} - { success, result, prose } or { success: false, error, prose }, where prose is the
+   *   answer without the result (empty if the answer is only JSON)
+   */
+  parse(answer) {
+    const text = answer || '';
+    const blocks = [...text.matchAll(/```(?:json)?\s*\n?([\s\S]*?)```/gi)];
+    const block = blocks[blocks.length - 1];
+    const prose = block ? (text.slice(0, block.index) + text.slice(block.index + block[0].length)).trim() : text.trim();
+
+    let value;
+    try {
+      value = JSON.parse((block ? block[1] : text).trim());
+    } catch (error) {
+      return {
+        success: false,
+        error: block ? `the JSON block does not parse (${error.message})` : 'the answer has no ```json block',
+        prose
+      };
+    }
+
+    const validation = this.validator.safeParse(value);
+    if (!validation.success) {
+      return { success: false, error: `it does not match the schema (${describeIssues(validation.error)})`, prose: block ? prose : '' };
+    }
+
+    return { success: true, result: validation.data, prose: block ? prose : '' };
+  }
+}
@@ -0,0 +1,148 @@
+/**
+ * Reasoning Parser
+ * Separates the reasoning of models such as DeepSeek R1, emitted in <think>...</think> blocks,
+ * from the visible answer, so reasoning is never parsed for actions or shown as the answer
+ */
+
+const OPEN_TAG = '<think>';
+const CLOSE_TAG = '</think>';
+
+/**
+ * Length of the longest prefix of a tag that the text ends with
+ * @param {string} text - Text to check
+ * @param {string} tag - Tag that may be cut off at the end of the text
+ * @returns {number} - Number of trailing characters that may start the tag
+ */
+function partialTagLength(text, tag) {
+  for (let length = Math.min(tag.length - 1, text.length); length > 0; length--) {
+    if (text.endsWith(tag.slice(0, length))) {
+      return length;
+    }
+  }
+  return 0;
+}
+
+export class ReasoningParser {
+  /**
+   * @param {Object} options - Parser options
+   * @param {boolean} options.awaitFirstTag - Hold text back until the first tag; a closing tag seen first
+   *   means the chat template opened the <think> block in the prompt, so the held text was reasoning
+   */
+  constructor({ awaitFirstTag = false } = {}) {
+    this.buffer = '';
+    // null until the first tag decides which side the held text belongs to
+    this.inReasoning = awaitFirstTag ? null : false;
+  }
+
+  /**
+   * Parse the next piece of streamed text
+   * A tag split across pieces is held back until the next piece completes or rules it out
+   * @param {string} text - Streamed text
+   * @returns {Array<Object>} - Segments ({ type: "reasoning" | "content", text }) ready to emit
+   */
+  push(text) {
+    this.buffer += text;
+    const segments = [];
+
+    while (this.buffer) {
+      if (this.inReasoning === null) {
+        const openIndex = this.buffer.indexOf(OPEN_TAG);
+        const closeIndex = this.buffer.indexOf(CLOSE_TAG);
+
+        if (closeIndex >= 0 && (openIndex < 0 || closeIndex < openIndex)) {
+          this.inReasoning = true;
+          continue;
+        }
+        if (openIndex < 0) {
+          break;
+        }
+        this.inReasoning = false;
+        continue;
+      }
+
+      const tag = this.inReasoning ? CLOSE_TAG : OPEN_TAG;
+      const index = this.buffer.indexOf(tag);
+
+      if (index >= 0) {
+        this.addSegment(segments, this.buffer.slice(0, index));
+        this.buffer = this.buffer.slice(index + tag.length);
+        this.inReasoning = !this.inReasoning;
+        continue;
+      }
+
+      const keep = partialTagLength(this.buffer, tag);
+      this.addSegment(segments, this.buffer.slice(0, this.buffer.length - keep));
+      this.buffer = this.buffer.slice(this.buffer.length - keep);
+      break;
+    }
+
+    return segments;
+  }
+
+  /**
+   * Emit whatever is still held back at the end of the stream
+   * An unclosed <think> block (e.g. cut off by max_tokens) stays reasoning, held text without any tag is content
+   * @returns {Array<Object>} - Remaining segments
+   */
+  flush() {
+    const segments = [];
+    if (this.inReasoning === null) {
+      this.inReasoning = false;
+    }
+    this.addSegment(segments, this.buffer);
+    this.buffer = '';
+    return segments;
+  }
+
+  /**
+   * Append text to the segment list, merging it with the previous segment of the same type
+   * @param {Array<Object>} segments - Segments
+   * @param {string} text - Text to add
+   */
+  addSegment(segments, text) {
+    if (!text) {
+      return;
+    }
+
+    const type = this.inReasoning ? 'reasoning' : 'content';
+    const last = segments[segments.length - 1];
+    if (last?.type === type) {
+      last.text += text;
+    } else {
+      segments.push({ type, text });
+    }
+  }
+}
+
+/**
+ * Split a complete model output into reasoning and visible content
+ * Some chat templates open the <think> block in the prompt, so output that starts with a closing tag
+ * is treated as reasoning up to that tag
+ * @param {string} text - Model output
+ * @returns {Object} - { reasoning, content }
+ */
+export function splitReasoning(text) {
+  if (!text) {
+    return { reasoning: '', content: text || '' };
+  }
+
+  const parser = new ReasoningParser({ awaitFirstTag: true });
+  const segments = [...parser.push(text), ...parser.flush()];
+  const reasoning = segments.filter(segment => segment.type === 'reasoning').map(segment => segment.text).join('\n').trim();
+  const content = segments.filter(segment => segment.type === 'content').map(segment => segment.text).join('');
+
+  return {
+    reasoning,
+    content: reasoning ? content.trim() : content
+  };
+}
+
+/**
+ * Format reasoning for a message kept in the history
+ * @param {string} reasoning - Reasoning text
+ * @param {string} content - Visible content
+ * @returns {string} - Content with the reasoning block in front of it
+ */
+export function joinReasoning(reasoning, content) {
+  return reasoning ? `${OPEN_TAG}${reasoning}${CLOSE_TAG}\n${content}` : content;
+}
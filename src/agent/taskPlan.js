@@ -0,0 +1,205 @@
+/**
+ * Task Plan
+ * Numbered plan the agent writes before acting, with the status of each step
+ *
+ * Step statuses: "pending" -> "running" -> "done" | "failed"
+ * The agent reports progress with "Step N done" / "Step N failed" in its replies; a failed step
+ * triggers a replan of the remaining work. Users may edit or reorder the steps that are not done.
+ */
+
+export const PLAN_STEP_STATUSES = ['pending', 'running', 'done', 'failed'];
+
+// "Step 2 done", "step 3 is complete", "Step 1 failed"
+const PROGRESS_PATTERN = /\bstep\s+(\d+)\s+(?:is\s+)?(done|complete|completed|finished|failed)\b/gi;
+
+/**
+ * Parse a plan from model output
+ * Accepts a JSON array of strings or a numbered / bulleted list
+ * @param {string} text - Model output
+ * @returns {Array<string>} - Step descriptions
+ */
+export function parsePlan(text) {
+  const trimmed = (text || '').trim();
+
+  const json = trimmed.match(/\[[\s\S]*\]/)?.[0];
+  if (json) {
+    try {
+      const steps = JSON.parse(json);
+      if (Array.isArray(steps) && steps.every(step => typeof step === 'string')) {
+        return steps.map(step => step.trim()).filter(Boolean);
+      }
+    } catch (error) {
+      // Not JSON; fall back to the list format
+    }
+  }
+
+  return trimmed
+    .split('\n')
+    .map(line => line.match(/^\s*(?:\d+[.)]|[-*•])\s+(.+)$/)?.[1]?.trim())
+    .filter(Boolean);
+}
+
+export class TaskPlan {
+  /**
+   * @param {Array<string>} descriptions - Step descriptions
+   */
+  constructor(descriptions = []) {
+    this.nextId = 1;
+    this.version = 0;
+    this.replans = 0;
+    this.awaitingReview = false;
+    this.steps = [];
+    this.replaceOpenSteps(descriptions);
+  }
+
+  /**
+   * Rebuild a plan from the state returned by getInfo()
+   * @param {Object} info - Plan information ({ version, awaitingReview, replans, steps })
+   * @returns {TaskPlan} - Plan
+   */
+  static fromInfo({ version = 0, awaitingReview = false, replans = 0, steps = [] }) {
+    const plan = new TaskPlan();
+    plan.version = version;
+    plan.awaitingReview = awaitingReview;
+    plan.replans = replans;
+    plan.steps = steps.map(step => ({ ...step }));
+    plan.nextId = Math.max(0, ...plan.steps.map(step => step.id)) + 1;
+    return plan;
+  }
+
+  /**
+   * Create a step
+   * @param {string} description - Step description
+   * @returns {Object} - Pending step
+   */
+  createStep(description) {
+    return { id: this.nextId++, description, status: 'pending' };
+  }
+
+  /**
+   * Replace the steps that are not done, keeping completed work
+   * @param {Array<string>} descriptions - New step descriptions
+   */
+  replaceOpenSteps(descriptions) {
+    this.steps = [
+      ...this.steps.filter(step => step.status === 'done'),
+      ...descriptions.map(description => this.createStep(description))
+    ];
+    this.version++;
+  }
+
+  /**
+   * Apply a user edit: reorder, rewrite, add or remove steps
+   * Steps are given in their new order; entries with the id of an existing step keep its status
+   * @param {Array<string|Object>} steps - Step descriptions or { id, description }
+   * @throws {Error} If the steps are malformed
+   */
+  update(steps) {
+    if (!Array.isArray(steps) || steps.length === 0) {
+      throw new Error('Plan steps must be a non-empty array');
+    }
+
+    const existing = new Map(this.steps.map(step => [step.id, step]));
+    const updated = steps.map((entry, index) => {
+      const description = typeof entry === 'string' ? entry : entry?.description;
+      if (typeof description !== 'string' || !description.trim()) {
+        throw new Error(`Plan step ${index + 1} needs a description`);
+      }
+
+      const previous = entry?.id !== undefined ? existing.get(entry.id) : null;
+      if (entry?.id !== undefined && !previous) {
+        throw new Error(`Unknown plan step id ${entry.id}`);
+      }
+
+      return previous
+        ? { ...previous, description: description.trim() }
+        : this.createStep(description.trim());
+    });
+
+    // A step the user removed or reordered away from is no longer running
+    const running = updated.filter(step => step.status === 'running');
+    running.slice(1).forEach(step => { step.status = 'pending'; });
+
+    this.steps = updated;
+    this.version++;
+  }
+
+  /**
+   * Get the step being worked on, starting the next pending step if none is running
+   * @returns {Object|null} - Current step, or null when every step is done or failed
+   */
+  getCurrentStep() {
+    let current = this.steps.find(step => step.status === 'running');
+    if (!current) {
+      current = this.steps.find(step => step.status === 'pending');
+      if (current) {
+        current.status = 'running';
+        this.version++;
+      }
+    }
+    return current || null;
+  }
+
+  /**
+   * Set the status of a step
+   * @param {Object} step - Step
+   * @param {string} status - New status
+   * @returns {boolean} - True if the status changed
+   */
+  setStatus(step, status) {
+    if (!step || step.status === status) {
+      return false;
+    }
+    step.status = status;
+    this.version++;
+    return true;
+  }
+
+  /**
+   * Apply the progress the agent reported in a reply ("Step 2 done")
+   * Step numbers are positions in the plan as shown to the model
+   * @param {string} text - Agent reply
+   * @returns {boolean} - True if any status changed
+   */
+  applyProgress(text) {
+    let changed = false;
+
+    for (const [, number, outcome] of (text || '').matchAll(PROGRESS_PATTERN)) {
+      const step = this.steps[parseInt(number, 10) - 1];
+      changed = this.setStatus(step, outcome.toLowerCase() === 'failed' ? 'failed' : 'done') || changed;
+    }
+
+    return changed;
+  }
+
+  /**
+   * Check whether the plan has a failed step waiting for a replan
+   * @returns {boolean} - True if a step failed
+   */
+  hasFailedStep() {
+    return this.steps.some(step => step.status === 'failed');
+  }
+
+  /**
+   * Format the plan for the model's prompt
+   * @returns {string} - Numbered plan with statuses
+   */
+  format() {
+    return this.steps
+      .map((step, index) => `${index + 1}. [${step.status}] ${step.description}`)
+      .join('\n');
+  }
+
+  /**
+   * Get the plan state
+   * @returns {Object} - Plan information
+   */
+  getInfo() {
+    return {
+      version: this.version,
+      awaitingReview: this.awaitingReview,
+      replans: this.replans,
+      steps: this.steps.map(step => ({ ...step }))
+    };
+  }
+}
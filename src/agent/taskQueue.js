@@ -0,0 +1,301 @@
+/**
+ * Task Queue
+ * Runs instructions in the background, so clients get a task ID right away instead of holding a request
+ * open for the whole agent run, and poll the task (or wait for its webhook) until it ends.
+ *
+ * At most `workers` tasks run at the same time and only one per session; the rest wait in submission
+ * order. A task also waits while its session cannot start it yet (canStart), e.g. when every browser of
+ * the pool is taken by other sessions.
+ *
+ * Statuses: "queued" -> "running" -> "finished" | "failed" | "cancelled"
+ */
+
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+export const QUEUED_TASK_STATUSES = ['queued', 'running', 'finished', 'failed', 'cancelled'];
+
+export class TaskQueue {
+  /**
+   * @param {Object} options - Queue options
+   * @param {Function} options.run - Runs a task: async (task) => result, where result.cancelled marks a cancelled run;
+   * runs that have not begun their work yet should check task.cancelRequested first
+   * @param {Function} [options.cancel] - Stops a running task: (task) => void
+   * @param {Function} [options.canStart] - False keeps a task queued for now: (task) => boolean
+   * @param {Function} [options.getProgress] - Progress of a running task: (task) => Object
+   * @param {Function} [options.notify] - Called with the task's information when it ends: async (info) => Object
+   * @param {number} [options.workers] - Tasks that run at the same time (TASK_WORKERS, default 5)
+   * @param {number} [options.retentionMs] - How long ended tasks are kept (TASK_RETENTION_MS, default 1 hour)
+   * @throws {Error} If workers or retentionMs is invalid
+   */
+  constructor(options = {}) {
+    this.run = options.run;
+    this.cancelRun = options.cancel || (() => {});
+    this.canStart = options.canStart || (() => true);
+    this.getProgress = options.getProgress || (() => null);
+    this.notify = options.notify || null;
+    this.workers = options.workers ?? parseInt(process.env.TASK_WORKERS || '5', 10);
+    this.retentionMs = options.retentionMs ?? parseInt(process.env.TASK_RETENTION_MS ?? '3600000', 10);
+
+    if (!Number.isInteger(this.workers) || this.workers < 1) {
+      throw new Error('Task workers must be a positive integer');
+    }
+    if (!Number.isInteger(this.retentionMs) || this.retentionMs < 0) {
+      throw new Error('Task retention must be a non-negative integer');
+    }
+
+    // taskId -> task, in submission order
+    this.tasks = new Map();
+    // Sessions with a running task
+    this.busySessions = new Set();
+  }
+
+  /**
+   * Generate a unique task ID
+   * @returns {string} - Task ID
+   */
+  generateTaskId() {
+    return `task-${Date.now()}-${Math.random().toString(36).substring(2, 9)}`;
+  }
+
+  /**
+   * Queue a task and start it if a worker is free
+   * @param {Object} submission - Task to run
+   * @param {string} submission.sessionId - Session the task runs in
+   * @param {Object} submission.request - Instruction and its options, handed to run()
+   * @param {string} [submission.webhookUrl] - URL notified when the task ends
+   * @returns {Object} - Task information
+   */
+  submit({ sessionId, request, webhookUrl = null }) {
+    this.prune();
+
+    const task = {
+      taskId: this.generateTaskId(),
+      sessionId,
+      request,
+      webhookUrl,
+      webhook: null,
+      status: 'queued',
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      endedAt: null,
+      progress: null,
+      result: null,
+      error: null,
+      cancelRequested: false
+    };
+    this.tasks.set(task.taskId, task);
+    this.dispatch();
+
+    return this.getInfo(task);
+  }
+
+  /**
+   * Start queued tasks while workers are free
+   * Called when a task is submitted or ends; owners call it when a session or browser frees up
+   */
+  dispatch() {
+    for (const task of this.tasks.values()) {
+      if (this.busySessions.size >= this.workers) {
+        return;
+      }
+      if (task.status === 'queued' && !this.busySessions.has(task.sessionId) && this.canStart(task)) {
+        this.start(task);
+      }
+    }
+  }
+
+  /**
+   * Run a task and record how it ended
+   * @param {Object} task - Queued task
+   */
+  start(task) {
+    task.status = 'running';
+    task.startedAt = new Date().toISOString();
+    this.busySessions.add(task.sessionId);
+
+    Promise.resolve()
+      .then(() => this.run(task))
+      .then(result => {
+        task.status = result?.cancelled || task.cancelRequested ? 'cancelled' : 'finished';
+        task.result = result ?? null;
+      }, error => {
+        console.error(`Error running task ${task.taskId}:`, error);
+        task.status = task.cancelRequested ? 'cancelled' : 'failed';
+        task.error = error.message;
+      })
+      .then(() => {
+        // The last progress stays readable after the session moves on
+        task.progress = this.readProgress(task);
+        this.busySessions.delete(task.sessionId);
+        this.end(task);
+        this.dispatch();
+      });
+  }
+
+  /**
+   * Mark a task as ended and send its webhook
+   * @param {Object} task - Task that just ended
+   */
+  end(task) {
+    task.endedAt = new Date().toISOString();
+
+    if (task.webhookUrl && this.notify) {
+      task.webhook = { url: task.webhookUrl, status: 'pending' };
+      this.notify(this.getInfo(task))
+        .then(delivery => {
+          task.webhook = { url: task.webhookUrl, ...delivery };
+        })
+        .catch(error => {
+          console.error(`Error sending the webhook of task ${task.taskId}:`, error);
+          task.webhook = { url: task.webhookUrl, status: 'failed', error: error.message };
+        });
+    }
+  }
+
+  /**
+   * Cancel a task: a queued task is dropped, a running one is stopped before its next step
+   * @param {string} taskId - Task ID
+   * @returns {Object|null} - { changed, task } where changed is false if the task had already ended, or null if it does not exist
+   */
+  cancel(taskId) {
+    const task = this.tasks.get(taskId);
+    if (!task) {
+      return null;
+    }
+
+    if (task.status === 'queued') {
+      task.status = 'cancelled';
+      this.end(task);
+      return { changed: true, task: this.getInfo(task) };
+    }
+    if (task.status === 'running' && !task.cancelRequested) {
+      task.cancelRequested = true;
+      this.cancelRun(task);
+      return { changed: true, task: this.getInfo(task) };
+    }
+
+    return { changed: false, task: this.getInfo(task) };
+  }
+
+  /**
+   * Check whether a session has a running task
+   * The session is taken from the moment the task is started, before its run has begun
+   * @param {string} sessionId - Session ID
+   * @returns {boolean} - True while one of the session's tasks is running
+   */
+  isSessionBusy(sessionId) {
+    return this.busySessions.has(sessionId);
+  }
+
+  /**
+   * Cancel every task of a session, e.g. when the session is removed
+   * @param {string} sessionId - Session ID
+   */
+  cancelSession(sessionId) {
+    for (const task of this.tasks.values()) {
+      if (task.sessionId === sessionId) {
+        this.cancel(task.taskId);
+      }
+    }
+  }
+
+  /**
+   * Get a task
+   * @param {string} taskId - Task ID
+   * @returns {Object|null} - Task information, or null if it does not exist (or has been pruned)
+   */
+  get(taskId) {
+    const task = this.tasks.get(taskId);
+    return task ? this.getInfo(task) : null;
+  }
+
+  /**
+   * List tasks, most recent first
+   * @param {Object} [filter] - Filter
+   * @param {string} [filter.status] - Only tasks with this status
+   * @param {string} [filter.sessionId] - Only tasks of this session
+   * @returns {Array<Object>} - Task information
+   */
+  list({ status, sessionId } = {}) {
+    this.prune();
+
+    return [...this.tasks.values()]
+      .filter(task => (!status || task.status === status) && (!sessionId || task.sessionId === sessionId))
+      .reverse()
+      .map(task => this.getInfo(task));
+  }
+
+  /**
+   * Count the tasks by status
+   * @returns {Object} - { queued, running, workers }
+   */
+  getStats() {
+    const tasks = [...this.tasks.values()];
+    return {
+      queued: tasks.filter(task => task.status === 'queued').length,
+      running: tasks.filter(task => task.status === 'running').length,
+      workers: this.workers
+    };
+  }
+
+  /**
+   * Get the public information of a task
+   * @param {Object} task - Task
+   * @returns {Object} - Task information
+   */
+  getInfo(task) {
+    const { instruction, resume } = task.request;
+    return {
+      taskId: task.taskId,
+      sessionId: task.sessionId,
+      status: task.status,
+      instruction: instruction || null,
+      resume: Boolean(resume),
+      createdAt: task.createdAt,
+      startedAt: task.startedAt,
+      endedAt: task.endedAt,
+      position: task.status === 'queued' ? this.getPosition(task) : null,
+      progress: task.status === 'running' ? this.readProgress(task) : task.progress,
+      result: task.result,
+      error: task.error,
+      webhook: task.webhook
+    };
+  }
+
+  /**
+   * Get a queued task's place in the queue
+   * @param {Object} task - Queued task
+   * @returns {number} - 1 for the next task to start
+   */
+  getPosition(task) {
+    const queued = [...this.tasks.values()].filter(other => other.status === 'queued');
+    return queued.indexOf(task) + 1;
+  }
+
+  /**
+   * Read a task's progress, which may fail once its session is gone
+   * @param {Object} task - Task
+   * @returns {Object|null} - Progress
+   */
+  readProgress(task) {
+    try {
+      return this.getProgress(task);
+    } catch (error) {
+      return task.progress;
+    }
+  }
+
+  /**
+   * Forget ended tasks older than retentionMs
+   */
+  prune() {
+    const cutoff = Date.now() - this.retentionMs;
+    for (const [taskId, task] of this.tasks) {
+      if (task.endedAt && Date.parse(task.endedAt) < cutoff) {
+        this.tasks.delete(taskId);
+      }
+    }
+  }
+}
@@ -0,0 +1,164 @@
+/**
+ * Tool Errors
+ * Typed failures of tool calls and the policy for retrying them
+ *
+ * Types:
+ * - invalidArguments: the call names an unknown tool or its arguments do not match the schema
+ * - blockedByPolicy: an approval rule blocks the call outright
+ * - elementNotFound: no element on the page matches the description
+ * - navigationTimeout: a page did not load in time
+ * - network: the page could not be reached (DNS, refused or reset connections)
+ * - timeout: an action on the page timed out
+ * - toolFailed: any other failure
+ *
+ * Whether a failure is retried depends on the tool (its retryOn list): only failures where the call had
+ * no effect should be, such as a missing element for a click (the page may still be rendering) or a failed
+ * navigation for browser.open. The same network error after a click may follow a click that happened, so
+ * the click is not repeated.
+ *
+ * Errors are typed where they are raised (the browser backends throw ToolErrors); anything else is typed
+ * by its class, never by its message, which may quote text written by the model.
+ */
+
+export const TOOL_ERROR_TYPES = {
+  invalidArguments: {
+    hint: 'Fix the arguments and call the tool again.'
+  },
+  blockedByPolicy: {
+    hint: 'Do not retry it; choose another approach or ask the user how to proceed.'
+  },
+  elementNotFound: {
+    hint: 'Look at the page (browser.observe or browser.screenshot) and describe the element differently.'
+  },
+  navigationTimeout: {
+    hint: 'The site may be slow or down; try again later or use another source.'
+  },
+  network: {
+    hint: 'Check the URL, or use another source.'
+  },
+  timeout: {
+    hint: 'Check the page state before repeating the action; it may have taken effect.'
+  },
+  toolFailed: {
+    hint: 'Choose another approach.'
+  }
+};
+
+export class ToolError extends Error {
+  /**
+   * @param {string} type - Error type (a key of TOOL_ERROR_TYPES)
+   * @param {string} message - What went wrong
+   * @param {Object} [options] - Error options
+   * @param {Error} [options.cause] - Original error
+   */
+  constructor(type, message, { cause } = {}) {
+    super(message, { cause });
+    this.name = 'ToolError';
+    this.type = TOOL_ERROR_TYPES[type] ? type : 'toolFailed';
+    // Set by the agent loop from the failing tool's retryOn list
+    this.retryable = false;
+  }
+
+  /**
+   * Describe the error for the model, with a hint on how to continue
+   * Starts with "Error" so the observation counts as a failed step
+   * @returns {string} - Observation
+   */
+  toObservation() {
+    return `Error (${this.type}): ${this.message}\n${TOOL_ERROR_TYPES[this.type].hint}`;
+  }
+
+  /**
+   * Describe the error for clients
+   * @returns {Object} - { type, message, retryable }
+   */
+  toJSON() {
+    return {
+      type: this.type,
+      message: this.message,
+      retryable: this.retryable
+    };
+  }
+}
+
+// Playwright names the error of a page it could not reach at the start of the message, before the URL
+const NAVIGATION_FAILURE_PATTERN = /^(page\.goto: )?net::ERR_[A-Z_]+/;
+
+/**
+ * Turn an error thrown by a tool into a typed error
+ * Layers that wrap an error keep it as the cause, so the type of the original is kept with the outer message
+ * @param {Error} error - Thrown error
+ * @returns {ToolError} - Typed error
+ */
+export function classifyToolError(error) {
+  if (error instanceof ToolError) {
+    return error;
+  }
+
+  const message = error?.message || String(error);
+  let type = 'toolFailed';
+  for (let cause = error; cause; cause = cause.cause) {
+    if (cause instanceof ToolError) {
+      type = cause.type;
+      break;
+    }
+    // Playwright's TimeoutError; navigations that time out are typed by the backends
+    if (cause.name === 'TimeoutError') {
+      type = 'timeout';
+      break;
+    }
+  }
+
+  return new ToolError(type, message, { cause: error });
+}
+
+/**
+ * Type an error thrown by a page navigation (Playwright's page.goto)
+ * @param {Error} error - Thrown error
+ * @returns {Error} - navigationTimeout or network ToolError, or the error itself if it is neither
+ */
+export function toNavigationError(error) {
+  if (error?.name === 'TimeoutError') {
+    return new ToolError('navigationTimeout', error.message, { cause: error });
+  }
+  if (NAVIGATION_FAILURE_PATTERN.test(error?.message || '')) {
+    return new ToolError('network', error.message, { cause: error });
+  }
+  return error;
+}
+
+export class ToolRetryPolicy {
+  /**
+   * @param {Object} [config] - Retry configuration
+   * @param {number} [config.maxRetries] - Retries of a failed call (default TOOL_MAX_RETRIES or 2)
+   * @param {number} [config.retryDelayMs] - Delay before the first retry, doubled for each further one
+   *   (default TOOL_RETRY_DELAY_MS or 1000)
+   * @throws {Error} If a value is not a non-negative integer
+   */
+  constructor(config = {}) {
+    this.config = {
+      maxRetries: config.maxRetries ?? parseInt(process.env.TOOL_MAX_RETRIES ?? '2', 10),
+      retryDelayMs: config.retryDelayMs ?? parseInt(process.env.TOOL_RETRY_DELAY_MS ?? '1000', 10)
+    };
+
+    for (const [name, value] of Object.entries(this.config)) {
+      if (!Number.isInteger(value) || value < 0) {
+        throw new Error(`Tool retry ${name} must be a non-negative integer`);
+      }
+    }
+  }
+
+  /**
+   * Decide whether a failed attempt is retried
+   * @param {ToolError} error - Failure of the attempt (retryable when the tool retries its type)
+   * @param {number} attempt - Attempts made so far (1 after the first failure)
+   * @returns {Object|null} - { delayMs } for a retry, or null to give up
+   */
+  getRetry(error, attempt) {
+    if (!error.retryable || attempt > this.config.maxRetries) {
+      return null;
+    }
+
+    return { delayMs: this.config.retryDelayMs * 2 ** (attempt - 1) };
+  }
+}
@@ -0,0 +1,233 @@
+/**
+ * Tool Registry
+ * Declarative registry of the tools available to the agent
+ * Each tool declares a name, description, zod parameter schema, return shape and tags;
+ * the registry generates prompt descriptions and function definitions from them
+ * and validates arguments before a tool is executed
+ */
+
+import { z } from 'zod';
+import { zodToJsonSchema } from 'zod-to-json-schema';
+import { TOOL_ERROR_TYPES } from './toolErrors.js';
+
+const TOOL_NAME_PATTERN = /^[A-Za-z][\w.-]*$/;
+
+export class ToolRegistry {
+  constructor(tools = []) {
+    this.tools = new Map();
+
+    for (const tool of tools) {
+      this.register(tool);
+    }
+  }
+
+  /**
+   * Register a tool
+   * @param {Object} tool - Tool definition
+   * @param {string} tool.name - Unique tool name (e.g. "browser.open")
+   * @param {string} tool.description - What the tool does, shown to the model
+   * @param {z.ZodObject} [tool.parameters] - Zod schema for the tool arguments
+   * @param {string} [tool.returns] - Description of the value the tool returns
+   * @param {Array<string>} [tool.tags] - Tags used to group and filter tools
+   * @param {string} [tool.resource] - Resource the tool uses exclusively (e.g. "browser"); calls of one step on
+   *   tools sharing a resource run one after another, other calls run concurrently
+   * @param {Function} tool.handler - Async function receiving the validated arguments and the caller's context
+   * @param {Array<string>} [tool.retryOn] - Error types (see TOOL_ERROR_TYPES) after which the call is retried;
+   *   only types where the failed call had no effect belong here
+   * @param {Function} [tool.recover] - Alternate strategy for retries: (params, toolError, attempt) => arguments
+   *   for the next attempt, or null to retry unchanged
+   * @returns {ToolRegistry} - The registry, for chaining
+   */
+  register({ name, description, parameters, returns = '', tags = [], resource = null, handler, retryOn = [], recover }) {
+    if (typeof name !== 'string' || !TOOL_NAME_PATTERN.test(name)) {
+      throw new Error(`Invalid tool name "${name}"`);
+    }
+    if (this.tools.has(name)) {
+      throw new Error(`Tool "${name}" is already registered`);
+    }
+    if (!description || typeof description !== 'string') {
+      throw new Error(`Tool "${name}" requires a description`);
+    }
+    if (typeof handler !== 'function') {
+      throw new Error(`Tool "${name}" requires a handler function`);
+    }
+    if (!Array.isArray(retryOn) || retryOn.some(type => !TOOL_ERROR_TYPES[type])) {
+      throw new Error(`retryOn of tool "${name}" must list error types (${Object.keys(TOOL_ERROR_TYPES).join(', ')})`);
+    }
+    if (recover !== undefined && typeof recover !== 'function') {
+      throw new Error(`Recover hook of tool "${name}" must be a function`);
+    }
+
+    const schema = parameters || z.object({});
+    if (!(schema instanceof z.ZodObject)) {
+      throw new Error(`Parameters for tool "${name}" must be a zod object schema`);
+    }
+
+    this.tools.set(name, {
+      name,
+      description,
+      parameters: schema,
+      returns,
+      tags: [...tags],
+      resource,
+      handler,
+      retryOn: [...retryOn],
+      recover
+    });
+
+    return this;
+  }
+
+  /**
+   * Remove a tool from the registry
+   * @param {string} name - Tool name
+   * @returns {boolean} - Whether the tool was registered
+   */
+  unregister(name) {
+    return this.tools.delete(name);
+  }
+
+  /**
+   * Check whether a tool is registered
+   * @param {string} name - Tool name
+   * @returns {boolean} - True if registered
+   */
+  has(name) {
+    return this.tools.has(name);
+  }
+
+  /**
+   * Get a registered tool
+   * @param {string} name - Tool name
+   * @returns {Object|undefined} - Tool definition
+   */
+  get(name) {
+    return this.tools.get(name);
+  }
+
+  /**
+   * Get the names of all registered tools
+   * @returns {Array<string>} - Tool names
+   */
+  names() {
+    return [...this.tools.keys()];
+  }
+
+  /**
+   * List registered tools, optionally filtered by tag
+   * @param {Object} options - Filter options
+   * @param {Array<string>} [options.tags] - Only include tools carrying at least one of these tags
+   * @returns {Array<Object>} - Tool definitions
+   */
+  list({ tags } = {}) {
+    const tools = [...this.tools.values()];
+    if (!tags || tags.length === 0) {
+      return tools;
+    }
+
+    return tools.filter(tool => tool.tags.some(tag => tags.includes(tag)));
+  }
+
+  /**
+   * Get the JSON schema for a tool's parameters
+   * @param {string} name - Tool name
+   * @returns {Object} - JSON schema
+   */
+  getJsonSchema(name) {
+    const tool = this.tools.get(name);
+    if (!tool) {
+      throw new Error(`Tool "${name}" not found`);
+    }
+
+    return zodToJsonSchema(tool.parameters, { target: 'openApi3', $refStrategy: 'none' });
+  }
+
+  /**
+   * Build OpenAI-compatible function definitions for the registered tools
+   * @param {Function} toFunctionName - Maps a tool name to a function name accepted by the API
+   * @returns {Array<Object>} - Tool definitions
+   */
+  getToolDefinitions(toFunctionName = name => name) {
+    return this.list().map(tool => ({
+      type: 'function',
+      function: {
+        name: toFunctionName(tool.name),
+        description: tool.returns ? `${tool.description}. Returns: ${tool.returns}` : tool.description,
+        parameters: this.getJsonSchema(tool.name)
+      }
+    }));
+  }
+
+  /**
+   * Describe the registered tools for a text prompt
+   * @returns {string} - Tool section of the system prompt
+   */
+  describeTools() {
+    return this.list()
+      .map(tool => {
+        const schema = this.getJsonSchema(tool.name);
+        const required = new Set(schema.required || []);
+        const params = Object.entries(schema.properties || {})
+          .map(([param, definition]) => {
+            const type = definition.enum ? definition.enum.map(value => JSON.stringify(value)).join(' | ') : (definition.type || 'any');
+            const description = definition.description ? ` - ${definition.description}` : '';
+            return `  - ${param} (${type}${required.has(param) ? ', required' : ''})${description}`;
+          });
+
+        return [
+          `Tool: ${tool.name}`,
+          `Description: ${tool.description}`,
+          params.length > 0 ? `Parameters:\n${params.join('\n')}` : 'Parameters: none',
+          tool.returns ? `Returns: ${tool.returns}` : null
+        ].filter(Boolean).join('\n');
+      })
+      .join('\n\n');
+  }
+
+  /**
+   * Validate arguments for a tool
+   * @param {string} name - Tool name
+   * @param {Object} params - Arguments supplied by the model
+   * @returns {Object} - { success: true, data } or { success: false, error }
+   */
+  validate(name, params) {
+    const tool = this.tools.get(name);
+    if (!tool) {
+      return {
+        success: false,
+        error: `Tool "${name}" not found. Available tools are: ${this.names().join(', ')}`
+      };
+    }
+
+    const result = tool.parameters.safeParse(params ?? {});
+    if (result.success) {
+      return { success: true, data: result.data };
+    }
+
+    const issues = result.error.issues
+      .map(issue => `- ${issue.path.length > 0 ? issue.path.join('.') : '(arguments)'}: ${issue.message}`)
+      .join('\n');
+
+    return {
+      success: false,
+      error: `Invalid arguments for tool "${name}":\n${issues}\nExpected parameters: ${JSON.stringify(this.getJsonSchema(name).properties || {})}`
+    };
+  }
+
+  /**
+   * Validate arguments and execute a tool
+   * @param {string} name - Tool name
+   * @param {Object} params - Arguments supplied by the model
+   * @param {Object} [context] - Caller context (e.g. { sessionId })
+   * @returns {Promise<*>} - Tool result
+   * @throws {Error} If the tool is unknown or the arguments are invalid
+   */
+  async execute(name, params, context = {}) {
+    const validation = this.validate(name, params);
+    if (!validation.success) {
+      throw new Error(validation.error);
+    }
+
+    return this.tools.get(name).handler(validation.data, context);
+  }
+}
@@ -0,0 +1,249 @@
+/**
+ * Usage Tracker
+ * Records the token usage of every model call, prices it with a per-model price table and
+ * aggregates it per step, task and session
+ *
+ * Prices are USD per million tokens ({ input, output }); MODEL_PRICES (JSON) adds to or replaces
+ * the defaults. Models are looked up by full name, then by the last path segment
+ * ("accounts/fireworks/models/deepseek-r1" also matches "deepseek-r1"). Calls to unpriced models
+ * count tokens but no cost.
+ *
+ * Optional limits (maxCost in USD, maxTokens) apply to the whole session; the agent stops before
+ * the next model call once one is reached
+ */
+
+export const DEFAULT_MODEL_PRICES = {
+  'accounts/fireworks/models/deepseek-r1': { input: 3, output: 8 },
+  'accounts/fireworks/models/deepseek-v3': { input: 0.9, output: 0.9 },
+  'accounts/fireworks/models/llama-v3p1-8b-instruct': { input: 0.2, output: 0.2 },
+  'accounts/fireworks/models/llama-v3p1-70b-instruct': { input: 0.9, output: 0.9 },
+  mock: { input: 0, output: 0 }
+};
+
+const emptyTotals = () => ({
+  calls: 0,
+  promptTokens: 0,
+  completionTokens: 0,
+  totalTokens: 0,
+  cost: 0,
+  unpricedCalls: 0
+});
+
+export class UsageTracker {
+  /**
+   * @param {Object} [config] - Tracker configuration
+   * @param {number} [config.maxCost] - Session spend limit in USD
+   * @param {number} [config.maxTokens] - Session token limit
+   * @param {Object} [config.prices] - Prices by model, merged over the defaults and MODEL_PRICES
+   */
+  constructor(config = {}) {
+    this.prices = {
+      ...DEFAULT_MODEL_PRICES,
+      ...UsageTracker.pricesFromEnv(),
+      ...config.prices
+    };
+    this.limits = {
+      maxCost: config.maxCost ?? (parseFloat(process.env.MAX_SESSION_COST) || null),
+      maxTokens: config.maxTokens ?? (parseInt(process.env.MAX_SESSION_TOKENS, 10) || null)
+    };
+
+    for (const [name, value] of Object.entries(this.limits)) {
+      if (value !== null && !(typeof value === 'number' && value > 0)) {
+        throw new Error(`Usage limit ${name} must be a positive number`);
+      }
+    }
+
+    this.session = emptyTotals();
+    this.task = null;
+  }
+
+  /**
+   * Read prices from the MODEL_PRICES environment variable
+   * @returns {Object} - Prices by model
+   */
+  static pricesFromEnv() {
+    if (!process.env.MODEL_PRICES) {
+      return {};
+    }
+
+    try {
+      return JSON.parse(process.env.MODEL_PRICES);
+    } catch (error) {
+      throw new Error(`MODEL_PRICES is not valid JSON: ${error.message}`);
+    }
+  }
+
+  /**
+   * Start aggregating a new task
+   */
+  startTask() {
+    this.task = {
+      ...emptyTotals(),
+      steps: []
+    };
+  }
+
+  /**
+   * Replace the totals with ones saved from getInfo(), e.g. when a persisted session is reloaded
+   * @param {Object} totals - { session, task }
+   */
+  restoreTotals({ session, task }) {
+    this.session = { ...emptyTotals(), ...session };
+    this.task = task ? { ...emptyTotals(), ...task, steps: task.steps.map(step => ({ ...step })) } : null;
+  }
+
+  /**
+   * Find the price of a model
+   * @param {string} model - Model name
+   * @returns {Object|null} - { input, output } in USD per million tokens, or null if unpriced
+   */
+  getPrice(model) {
+    if (!model) {
+      return null;
+    }
+
+    return this.prices[model] || this.prices[model.split('/').pop()] || null;
+  }
+
+  /**
+   * Record the usage of a model call
+   * @param {Object} call - Model call
+   * @param {number} call.step - Step of the task the call belongs to (0 for calls outside the loop)
+   * @param {string} call.role - Model role
+   * @param {string} [call.provider] - Provider name
+   * @param {string} [call.model] - Model name
+   * @param {Object} call.usage - { prompt_tokens, completion_tokens, total_tokens } as reported by the API
+   * @param {boolean} [call.estimated] - True if the usage was estimated because the API reported none
+   * @returns {Object} - Recorded call with its cost
+   */
+  record({ step, role, provider, model, usage, estimated = false }) {
+    const promptTokens = Math.round(usage?.prompt_tokens || 0);
+    const completionTokens = Math.round(usage?.completion_tokens || 0);
+    const price = this.getPrice(model);
+    const cost = price
+      ? (promptTokens * price.input + completionTokens * price.output) / 1e6
+      : null;
+
+    const call = {
+      step,
+      role,
+      provider: provider || null,
+      model: model || null,
+      promptTokens,
+      completionTokens,
+      totalTokens: Math.round(usage?.total_tokens || promptTokens + completionTokens),
+      cost,
+      estimated
+    };
+
+    const totals = [this.session, this.task].filter(Boolean);
+    const stepEntry = this.task && this.getStep(step);
+    if (stepEntry) {
+      totals.push(stepEntry);
+    }
+
+    for (const total of totals) {
+      total.calls++;
+      total.promptTokens += call.promptTokens;
+      total.completionTokens += call.completionTokens;
+      total.totalTokens += call.totalTokens;
+      if (cost === null) {
+        total.unpricedCalls++;
+      } else {
+        total.cost += cost;
+      }
+    }
+
+    return call;
+  }
+
+  /**
+   * Get (or create) the totals of a task step
+   * @param {number} step - Step number
+   * @returns {Object} - Step totals
+   */
+  getStep(step) {
+    let entry = this.task.steps.find(candidate => candidate.step === step);
+    if (!entry) {
+      entry = { step, ...emptyTotals(), roles: [], tools: [] };
+      this.task.steps.push(entry);
+    }
+    return entry;
+  }
+
+  /**
+   * Add usage spent on the task's behalf elsewhere, such as a sub-agent's task, to a step
+   * @param {number} step - Step the work belongs to
+   * @param {Object} usage - Totals ({ calls, promptTokens, completionTokens, totalTokens, cost, unpricedCalls })
+   */
+  addUsage(step, usage) {
+    const totals = [this.session, this.task && this.getStep(step), this.task].filter(Boolean);
+    for (const total of totals) {
+      for (const key of Object.keys(emptyTotals())) {
+        total[key] += usage[key] || 0;
+      }
+    }
+  }
+
+  /**
+   * Get what is left of the session limits, e.g. as the budget of a sub-agent
+   * @returns {Object} - { maxCost, maxTokens }, null for limits that are not set
+   */
+  getRemainingLimits() {
+    const { maxCost, maxTokens } = this.limits;
+    return {
+      maxCost: maxCost === null ? null : maxCost - this.session.cost,
+      maxTokens: maxTokens === null ? null : maxTokens - this.session.totalTokens
+    };
+  }
+
+  /**
+   * Attribute a tool call to a task step
+   * @param {number} step - Step number
+   * @param {string} toolName - Tool name
+   */
+  recordTool(step, toolName) {
+    if (this.task) {
+      this.getStep(step).tools.push(toolName);
+    }
+  }
+
+  /**
+   * Check the session limits
+   * @returns {Object|null} - { limit, value, used, message } for the first limit reached, or null
+   */
+  checkLimits() {
+    const { maxCost, maxTokens } = this.limits;
+
+    if (maxCost !== null && this.session.cost >= maxCost) {
+      return {
+        limit: 'maxCost',
+        value: maxCost,
+        used: this.session.cost,
+        message: `Stopped: the session reached its spend limit of $${maxCost} ($${this.session.cost.toFixed(4)} used).`
+      };
+    }
+    if (maxTokens !== null && this.session.totalTokens >= maxTokens) {
+      return {
+        limit: 'maxTokens',
+        value: maxTokens,
+        used: this.session.totalTokens,
+        message: `Stopped: the session reached its limit of ${maxTokens} tokens (${this.session.totalTokens} used).`
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Get the usage totals
+   * @returns {Object} - { session, task, limits }
+   */
+  getInfo() {
+    return {
+      session: { ...this.session },
+      task: this.task ? { ...this.task, steps: this.task.steps.map(step => ({ ...step })) } : null,
+      limits: { ...this.limits }
+    };
+  }
+}
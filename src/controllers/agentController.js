@@ -4,9 +4,52 @@
  */
 
 import { AgentService } from '../agent/agentService.js';
+import { QUEUED_TASK_STATUSES } from '../agent/taskQueue.js';
 
-// Create singleton instance
-const agentService = new AgentService();
+// Create singleton instance (exported so the server can release its resources on shutdown)
+export const agentService = new AgentService();
+
+/**
+ * Apply a task control action (cancel, pause, resume) to a session
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {string} action - Name of the AgentService method
+ * @param {string} conflictMessage - Error returned when the task is not in a state that allows the action
+ */
+function controlTask(req, res, action, conflictMessage) {
+  try {
+    const { sessionId } = req.params;
+    
+    if (!sessionId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Session ID is required'
+      });
+    }
+    
+    const { changed, task } = agentService[action](sessionId);
+    
+    if (!changed) {
+      return res.status(409).json({
+        success: false,
+        error: conflictMessage,
+        task
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      sessionId,
+      task
+    });
+  } catch (error) {
+    console.error(`Error running ${action}:`, error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+}
 
 export const agentController = {
   /**
@@ -20,7 +63,12 @@ export const agentController = {
       await agentService.ensureInitialized();
       
       // Create new session
-      const sessionId = agentService.createSession();
+      const {
+        memory, context, approval, llm, routing, usage, planning, verification, toolRetries, toolConcurrency, delegation
+      } = req.body || {};
+      const sessionId = agentService.createSession({
+        memory, context, approval, llm, routing, usage, planning, verification, toolRetries, toolConcurrency, delegation
+      });
       
       res.status(200).json({
         success: true,
@@ -28,6 +76,29 @@ export const agentController = {
       });
     } catch (error) {
       console.error('Error creating session:', error);
+      // 429 when the session limit has been reached
+      res.status(error.status === 429 ? 429 : 500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  },
+  
+  /**
+   * List the sessions with their age, idle time and resource usage
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  async listSessions(req, res) {
+    try {
+      await agentService.ensureInitialized();
+      
+      res.status(200).json({
+        success: true,
+        ...await agentService.listSessions()
+      });
+    } catch (error) {
+      console.error('Error listing sessions:', error);
       res.status(500).json({
         success: false,
         error: error.message
@@ -42,18 +113,24 @@ export const agentController = {
    */
   async processInstruction(req, res) {
     try {
-      const { sessionId, instruction } = req.body;
+      const { sessionId, instruction, newTask, llm, output, limits, resume } = req.body;
       
-      if (!instruction) {
+      // Resuming an interrupted task needs the session instead of an instruction
+      if (resume ? !sessionId : !instruction) {
         return res.status(400).json({
           success: false,
-          error: 'Instruction is required'
+          error: resume ? 'Session ID is required to resume a task' : 'Instruction is required'
         });
       }
       
       const result = await agentService.processInstruction({
         sessionId,
-        instruction
+        instruction,
+        newTask: Boolean(newTask),
+        llm,
+        output,
+        limits,
+        resume: Boolean(resume)
       });
       
       res.status(200).json({
@@ -62,7 +139,7 @@ export const agentController = {
       });
     } catch (error) {
       console.error('Error processing instruction:', error);
-      res.status(500).json({
+      res.status(error.status === 429 ? 429 : 500).json({
         success: false,
         error: error.message
       });
@@ -76,12 +153,13 @@ export const agentController = {
    */
   async processInstructionStream(req, res) {
     try {
-      const { sessionId, instruction } = req.body;
+      const { sessionId, instruction, newTask, llm, output, limits, resume } = req.body;
       
-      if (!instruction) {
+      // Resuming an interrupted task needs the session instead of an instruction
+      if (resume ? !sessionId : !instruction) {
         return res.status(400).json({
           success: false,
-          error: 'Instruction is required'
+          error: resume ? 'Session ID is required to resume a task' : 'Instruction is required'
         });
       }
       
@@ -92,21 +170,40 @@ export const agentController = {
         'Connection': 'keep-alive'
       });
       
-      // Handle client disconnect
-      req.on('close', () => {
-        console.log('Client closed connection');
+      // Stop the agent when the client disconnects before the task ends
+      let activeSessionId = sessionId;
+      res.on('close', () => {
+        if (res.writableEnded) {
+          return;
+        }
+        
+        console.log('Client closed connection, cancelling task');
+        try {
+          agentService.cancelTask(activeSessionId);
+        } catch (error) {
+          console.error('Error cancelling task after disconnect:', error);
+        }
       });
       
       // Process instruction with streaming
       for await (const chunk of agentService.processInstructionStream({
         sessionId,
-        instruction
+        instruction,
+        newTask: Boolean(newTask),
+        llm,
+        output,
+        limits,
+        resume: Boolean(resume)
       })) {
+        if (chunk.type === 'session') {
+          activeSessionId = chunk.sessionId;
+        }
+        
         // Format as SSE
         res.write(`data: ${JSON.stringify(chunk)}\n\n`);
         
         // If this is the final chunk, end the stream
-        if (chunk.type === 'complete' || chunk.type === 'error') {
+        if (chunk.type === 'complete' || chunk.type === 'error' || chunk.type === 'cancelled') {
           res.end();
           break;
         }
@@ -123,13 +220,327 @@ export const agentController = {
   },
   
   /**
-   * Get a screenshot from the current browser session
+   * Queue an instruction to run in the background and return its task right away
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  async submitTask(req, res) {
+    try {
+      const { sessionId, instruction, newTask, llm, output, limits, resume, webhookUrl } = req.body;
+      
+      if (resume ? !sessionId : !instruction) {
+        return res.status(400).json({
+          success: false,
+          error: resume ? 'Session ID is required to resume a task' : 'Instruction is required'
+        });
+      }
+      
+      const task = await agentService.submitTask({
+        sessionId,
+        instruction,
+        newTask: Boolean(newTask),
+        llm,
+        output,
+        limits,
+        resume: Boolean(resume),
+        webhookUrl
+      });
+      
+      res.status(202).json({
+        success: true,
+        task
+      });
+    } catch (error) {
+      console.error('Error submitting task:', error);
+      res.status(error.status === 429 ? 429 : 500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  },
+  
+  /**
+   * List background tasks
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  listTasks(req, res) {
+    try {
+      const { status, sessionId } = req.query;
+      
+      if (status && !QUEUED_TASK_STATUSES.includes(status)) {
+        return res.status(400).json({
+          success: false,
+          error: `Invalid status "${status}". Expected one of: ${QUEUED_TASK_STATUSES.join(', ')}`
+        });
+      }
+      
+      res.status(200).json({
+        success: true,
+        ...agentService.listQueuedTasks({ status, sessionId })
+      });
+    } catch (error) {
+      console.error('Error listing tasks:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  },
+  
+  /**
+   * Get the status, progress and result of a background task
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  getTask(req, res) {
+    try {
+      const task = agentService.getQueuedTask(req.params.taskId);
+      
+      if (!task) {
+        return res.status(404).json({
+          success: false,
+          error: `Task ${req.params.taskId} not found`
+        });
+      }
+      
+      res.status(200).json({
+        success: true,
+        task
+      });
+    } catch (error) {
+      console.error('Error getting task:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  },
+  
+  /**
+   * Cancel a background task: a queued task is dropped, a running one stops before its next step
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  cancelQueuedTask(req, res) {
+    try {
+      const outcome = agentService.cancelQueuedTask(req.params.taskId);
+      
+      if (!outcome) {
+        return res.status(404).json({
+          success: false,
+          error: `Task ${req.params.taskId} not found`
+        });
+      }
+      if (!outcome.changed) {
+        return res.status(409).json({
+          success: false,
+          error: 'Task has already ended',
+          task: outcome.task
+        });
+      }
+      
+      res.status(200).json({
+        success: true,
+        task: outcome.task
+      });
+    } catch (error) {
+      console.error('Error cancelling task:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  },
+  
+  /**
+   * Cancel the task running in a session
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  cancelTask(req, res) {
+    controlTask(req, res, 'cancelTask', 'No running task to cancel');
+  },
+  
+  /**
+   * Pause the task running in a session
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  pauseTask(req, res) {
+    controlTask(req, res, 'pauseTask', 'No running task to pause');
+  },
+  
+  /**
+   * Resume a paused task
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  resumeTask(req, res) {
+    controlTask(req, res, 'resumeTask', 'No paused task to resume');
+  },
+  
+  /**
+   * Send a hint to the running task of a session
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  addUserHint(req, res) {
+    try {
+      const { sessionId } = req.params;
+      const { text } = req.body || {};
+      
+      if (typeof text !== 'string' || !text.trim()) {
+        return res.status(400).json({
+          success: false,
+          error: 'Hint text is required'
+        });
+      }
+      
+      const { changed, task } = agentService.addUserHint(sessionId, text.trim());
+      
+      if (!changed) {
+        return res.status(409).json({
+          success: false,
+          error: 'No running task to send a hint to',
+          task
+        });
+      }
+      
+      res.status(200).json({
+        success: true,
+        sessionId,
+        task
+      });
+    } catch (error) {
+      console.error('Error sending hint:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  },
+  
+  /**
+   * Approve, reject or edit a tool call waiting for approval
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  resolveApproval(req, res) {
+    try {
+      const { sessionId, approvalId } = req.params;
+      const { decision, params, reason } = req.body || {};
+      
+      if (!decision) {
+        return res.status(400).json({
+          success: false,
+          error: 'Decision is required'
+        });
+      }
+      
+      const result = agentService.resolveApproval(sessionId, approvalId, { decision, params, reason });
+      
+      if (!result.success) {
+        return res.status(400).json(result);
+      }
+      
+      res.status(200).json({
+        success: true,
+        sessionId,
+        approvalId,
+        decision
+      });
+    } catch (error) {
+      console.error('Error resolving approval:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  },
+  
+  /**
+   * Edit the plan of the running task
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  updatePlan(req, res) {
+    try {
+      const { sessionId } = req.params;
+      const { steps } = req.body || {};
+      
+      if (!Array.isArray(steps)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Steps must be an array'
+        });
+      }
+      
+      const result = agentService.updatePlan(sessionId, steps);
+      
+      if (!result.success) {
+        return res.status(400).json(result);
+      }
+      
+      res.status(200).json({
+        success: true,
+        sessionId,
+        plan: result.plan
+      });
+    } catch (error) {
+      console.error('Error updating plan:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  },
+  
+  /**
+   * Confirm a plan waiting for review so the task starts
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  confirmPlan(req, res) {
+    try {
+      const { sessionId } = req.params;
+      const result = agentService.confirmPlan(sessionId);
+      
+      if (!result.success) {
+        return res.status(400).json(result);
+      }
+      
+      res.status(200).json({
+        success: true,
+        sessionId,
+        plan: result.plan
+      });
+    } catch (error) {
+      console.error('Error confirming plan:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  },
+  
+  /**
+   * Get a screenshot from a session's browser
    * @param {Object} req - Express request
    * @param {Object} res - Express response
    */
   async getScreenshot(req, res) {
     try {
-      const screenshot = await agentService.getScreenshot();
+      const { sessionId } = req.query;
+      
+      if (!sessionId) {
+        return res.status(400).json({
+          success: false,
+          error: 'Session ID is required'
+        });
+      }
+      
+      const screenshot = await agentService.getScreenshot(sessionId);
       
       res.setHeader('Content-Type', 'image/png');
       res.setHeader('Content-Length', screenshot.length);
@@ -159,7 +570,7 @@ export const agentController = {
         });
       }
       
-      const sessionInfo = agentService.getSessionInfo(sessionId);
+      const sessionInfo = await agentService.getSessionInfo(sessionId);
       
       res.status(200).json({
         success: true,
@@ -0,0 +1,199 @@
+/**
+ * Agent WebSocket
+ * Bidirectional transport for agent sessions at /api/agent/ws
+ *
+ * The server sends the events of /process/stream, numbered with `seq`, and the client sends
+ * instructions and task control messages over the same connection. Tasks keep running when the
+ * connection drops; a client that reconnects with ?sessionId=...&lastSeq=N gets the events after N
+ * replayed before the live ones.
+ */
+
+import { WebSocketServer, WebSocket } from 'ws';
+import { agentService } from './agentController.js';
+
+// Dead connections (no answer to a ping) are closed after this long
+const HEARTBEAT_INTERVAL_MS = 30000;
+
+/**
+ * Turn the outcome of a task control action into a reply
+ * @param {Object} outcome - { changed, task }
+ * @param {string} conflictMessage - Error when the task is not in a state that allows the action
+ * @returns {Object} - Reply fields
+ */
+function controlResult({ changed, task }, conflictMessage) {
+  return changed ? { success: true, task } : { success: false, error: conflictMessage, task };
+}
+
+// Client messages by type: (service, sessionId, message) => reply fields
+const ACTIONS = {
+  instruction: (service, sessionId, { instruction, newTask, llm, output, limits, resume }) => {
+    service.startLoggedInstruction({
+      sessionId,
+      instruction,
+      newTask: Boolean(newTask),
+      llm,
+      output,
+      limits,
+      resume: Boolean(resume)
+    });
+    return { success: true };
+  },
+  cancel: (service, sessionId) => controlResult(service.cancelTask(sessionId), 'No running task to cancel'),
+  pause: (service, sessionId) => controlResult(service.pauseTask(sessionId), 'No running task to pause'),
+  resume: (service, sessionId) => controlResult(service.resumeTask(sessionId), 'No paused task to resume'),
+  approve: (service, sessionId, { approvalId, decision = 'approve', params, reason }) => {
+    return service.resolveApproval(sessionId, approvalId, { decision, params, reason });
+  },
+  hint: (service, sessionId, { text }) => {
+    if (typeof text !== 'string' || !text.trim()) {
+      return { success: false, error: 'Hint text is required' };
+    }
+    return controlResult(service.addUserHint(sessionId, text.trim()), 'No running task to send a hint to');
+  }
+};
+
+/**
+ * Send a message if the connection is still open
+ * @param {WebSocket} socket - Client connection
+ * @param {Object} message - Message
+ */
+function send(socket, message) {
+  if (socket.readyState === WebSocket.OPEN) {
+    socket.send(JSON.stringify(message));
+  }
+}
+
+/**
+ * Attach the session to a new connection: create or look up the session, replay missed events and
+ * forward new ones
+ * @param {AgentService} service - Agent service
+ * @param {WebSocket} socket - Client connection
+ * @param {URLSearchParams} query - Connection query (sessionId, lastSeq)
+ * @returns {Promise<string|null>} - Session ID, or null if the connection was refused or closed
+ */
+async function openSession(service, socket, query) {
+  await service.ensureInitialized();
+  if (socket.readyState !== WebSocket.OPEN) {
+    return null;
+  }
+
+  let sessionId = query.get('sessionId');
+  try {
+    if (!sessionId) {
+      sessionId = service.createSession();
+    }
+    service.getAgent(sessionId);
+  } catch (error) {
+    send(socket, { type: 'error', content: error.message });
+    // 1013: try again later (session limit), 1008: the request cannot be served
+    socket.close(error.status === 429 ? 1013 : 1008, error.status === 429 ? 'Session limit reached' : 'Session not found');
+    return null;
+  }
+
+  const log = service.getEventLog(sessionId);
+  const { events, missed } = log.since(parseInt(query.get('lastSeq'), 10) || 0);
+
+  send(socket, {
+    type: 'connected',
+    sessionId,
+    lastSeq: log.lastSeq,
+    replayed: events.length,
+    missed,
+    task: service.getAgent(sessionId).getTaskInfo()
+  });
+  events.forEach(event => send(socket, event));
+
+  const unsubscribe = log.subscribe(event => {
+    send(socket, event);
+    if (event.type === 'sessionClosed') {
+      socket.close(1000, 'Session closed');
+    }
+  });
+  socket.on('close', unsubscribe);
+
+  return sessionId;
+}
+
+/**
+ * Answer a client message
+ * @param {AgentService} service - Agent service
+ * @param {WebSocket} socket - Client connection
+ * @param {string} sessionId - Session of the connection
+ * @param {string} data - Raw message
+ */
+function handleMessage(service, socket, sessionId, data) {
+  let message;
+  try {
+    message = JSON.parse(data);
+  } catch (error) {
+    send(socket, { type: 'reply', success: false, error: 'Messages must be JSON objects' });
+    return;
+  }
+
+  const { type, id = null } = message || {};
+  const action = ACTIONS[type];
+  if (!action) {
+    send(socket, {
+      type: 'reply',
+      id,
+      action: type ?? null,
+      success: false,
+      error: `Unknown message type "${type}". Expected one of: ${Object.keys(ACTIONS).join(', ')}`
+    });
+    return;
+  }
+
+  try {
+    send(socket, { type: 'reply', id, action: type, ...action(service, sessionId, message) });
+  } catch (error) {
+    console.error(`Error handling ${type} message:`, error);
+    send(socket, { type: 'reply', id, action: type, success: false, error: error.message });
+  }
+}
+
+/**
+ * Serve agent sessions over WebSocket on an HTTP server
+ * @param {import('http').Server} server - HTTP server of the app
+ * @param {AgentService} [service] - Agent service (defaults to the one behind the HTTP routes)
+ * @returns {WebSocketServer} - WebSocket server
+ */
+export function attachAgentSocket(server, service = agentService) {
+  const wss = new WebSocketServer({ server, path: '/api/agent/ws' });
+
+  wss.on('connection', (socket, req) => {
+    socket.isAlive = true;
+    socket.on('pong', () => {
+      socket.isAlive = true;
+    });
+
+    // Messages that arrive while the session is being looked up wait for it
+    const ready = openSession(service, socket, new URL(req.url, 'http://localhost').searchParams)
+      .catch(error => {
+        console.error('Error opening WebSocket session:', error);
+        socket.close(1011, 'Internal error');
+        return null;
+      });
+
+    socket.on('message', async (data) => {
+      const sessionId = await ready;
+      if (sessionId) {
+        handleMessage(service, socket, sessionId, data.toString());
+      }
+    });
+  });
+
+  const heartbeat = setInterval(() => {
+    for (const socket of wss.clients) {
+      if (!socket.isAlive) {
+        socket.terminate();
+        continue;
+      }
+      socket.isAlive = false;
+      socket.ping();
+    }
+  }, HEARTBEAT_INTERVAL_MS);
+  heartbeat.unref();
+  wss.on('close', () => clearInterval(heartbeat));
+
+  return wss;
+}
@@ -7,7 +7,8 @@ import express from 'express';
 import cors from 'cors';
 import dotenv from 'dotenv';
 import agentRoutes from './routes/agentRoutes.js';
-import { AgentService } from './agent/agentService.js';
+import { agentService } from './controllers/agentController.js';
+import { attachAgentSocket } from './controllers/agentSocket.js';
 
 // Load environment variables
 dotenv.config();
@@ -29,7 +30,11 @@ app.use('/api/agent', agentRoutes);
 
 // Health check
 app.get('/health', (req, res) => {
-  res.status(200).json({ status: 'OK', timestamp: new Date().toISOString() });
+  res.status(200).json({
+    status: 'OK',
+    timestamp: new Date().toISOString(),
+    llm: agentService.llmClient.getMetrics()
+  });
 });
 
 // Global error handler
@@ -41,9 +46,6 @@ app.use((err, req, res, next) => {
   });
 });
 
-// Create agent service instance for cleanup on shutdown
-const agentService = new AgentService();
-
 // Handle graceful shutdown
 const gracefulShutdown = async () => {
   console.log('Shutting down gracefully...');
@@ -61,7 +63,14 @@ const gracefulShutdown = async () => {
 process.on('SIGTERM', gracefulShutdown);
 process.on('SIGINT', gracefulShutdown);
 
-// Start server
-app.listen(PORT, () => {
-  console.log(`IntelliBrowse server running on port ${PORT}`);
-}); 
\ No newline at end of file
+// Reload the saved sessions, then start the server
+agentService.initialize()
+  .catch(error => console.error('Error restoring sessions:', error))
+  .finally(() => {
+    const server = app.listen(PORT, () => {
+      console.log(`IntelliBrowse server running on port ${PORT}`);
+    });
+    
+    // Bidirectional sessions at /api/agent/ws
+    attachAgentSocket(server);
+  }); 
\ No newline at end of file
@@ -10,6 +10,7 @@ const router = express.Router();
 
 // Session management
 router.post('/session', agentController.createSession);
+router.get('/sessions', agentController.listSessions);
 router.get('/session/:sessionId', agentController.getSessionInfo);
 router.delete('/session/:sessionId', agentController.cleanupSession);
 
@@ -17,6 +18,21 @@ router.delete('/session/:sessionId', agentController.cleanupSession);
 router.post('/process', agentController.processInstruction);
 router.post('/process/stream', agentController.processInstructionStream);
 
+// Background tasks
+router.post('/tasks', agentController.submitTask);
+router.get('/tasks', agentController.listTasks);
+router.get('/tasks/:taskId', agentController.getTask);
+router.post('/tasks/:taskId/cancel', agentController.cancelQueuedTask);
+
+// Task control
+router.post('/session/:sessionId/cancel', agentController.cancelTask);
+router.post('/session/:sessionId/pause', agentController.pauseTask);
+router.post('/session/:sessionId/resume', agentController.resumeTask);
+router.post('/session/:sessionId/hint', agentController.addUserHint);
+router.post('/session/:sessionId/approvals/:approvalId', agentController.resolveApproval);
+router.put('/session/:sessionId/plan', agentController.updatePlan);
+router.post('/session/:sessionId/plan/confirm', agentController.confirmPlan);
+
 // Browser interaction
 router.get('/screenshot', agentController.getScreenshot);
 
@@ -1,10 +1,19 @@
 /**
- * Browser automation service using Browserbase Stagehand
+ * Browser automation service
  * Provides methods for navigating and interacting with web pages
+ * The work is delegated to a pluggable backend:
+ * - "browserbase": hosted Browserbase browser driven by Stagehand
+ * - "local": headless Chromium on this machine driven by Playwright
+ * - "mock": canned pages for demos and tests
+ *
+ * Page actions take the task's AbortSignal: a cancelled task's action stops before it starts, a backend
+ * with interrupt() stops the action in flight, and the result of an action that finishes anyway is
+ * discarded. An action's promise settles only once the backend is done with the page.
  */
 
-import { Stagehand } from '@browserbasehq/stagehand';
-import { z } from 'zod';
+import { MockBrowserBackend } from './browserBackends/mockBackend.js';
+import { StagehandBackend } from './browserBackends/stagehandBackend.js';
+import { PlaywrightBackend } from './browserBackends/playwrightBackend.js';
 import dotenv from 'dotenv';
 
 dotenv.config();
@@ -12,6 +21,14 @@ dotenv.config();
 // Check if we should use mock implementation (for demo/testing purposes)
 const USE_MOCK = process.env.USE_MOCK === 'true' || !process.env.BROWSERBASE_API_KEY;
 
+const BACKENDS = {
+  browserbase: StagehandBackend,
+  local: PlaywrightBackend,
+  mock: MockBrowserBackend
+};
+
+export const BROWSER_BACKENDS = Object.keys(BACKENDS);
+
 export class BrowserAutomation {
   constructor(config = {}) {
     this.config = {
@@ -19,16 +36,17 @@ export class BrowserAutomation {
       projectId: config.projectId || process.env.BROWSERBASE_PROJECT_ID,
       openaiApiKey: config.openaiApiKey || process.env.OPENAI_API_KEY,
       modelName: config.modelName || 'gpt-4o',
-      ...config
+      ...config,
+      backend: config.backend || process.env.BROWSER_BACKEND || (USE_MOCK ? 'mock' : 'browserbase')
     };
     
-    this.stagehand = null;
-    this.page = null;
+    const Backend = BACKENDS[this.config.backend];
+    if (!Backend) {
+      throw new Error(`Unknown browser backend "${this.config.backend}". Expected one of: ${BROWSER_BACKENDS.join(', ')}`);
+    }
+
+    this.backend = new Backend(this.config);
     this.initialized = false;
-    
-    // For mock implementation
-    this.mockCurrentUrl = '';
-    this.mockTitle = '';
   }
 
   /**
@@ -41,30 +59,12 @@ export class BrowserAutomation {
     }
 
     try {
-      if (USE_MOCK) {
-        console.log('Using mock browser automation implementation');
-        this.initialized = true;
-        this.mockCurrentUrl = 'https://www.example.com';
-        this.mockTitle = 'Example Domain';
-      } else {
-        this.stagehand = new Stagehand({
-          env: 'BROWSERBASE',
-          apiKey: this.config.apiKey,
-          projectId: this.config.projectId,
-          modelName: this.config.modelName,
-          modelClientOptions: {
-            apiKey: this.config.openaiApiKey,
-          },
-        });
-  
-        await this.stagehand.init();
-        this.page = this.stagehand.page;
-        this.initialized = true;
-      }
-      console.log('Browser automation initialized successfully');
+      await this.backend.initialize();
+      this.initialized = true;
+      console.log(`Browser automation initialized successfully (${this.config.backend} backend)`);
     } catch (error) {
       console.error('Error initializing browser automation:', error);
-      throw new Error(`Failed to initialize browser: ${error.message}`);
+      throw new Error(`Failed to initialize browser: ${error.message}`, { cause: error });
     }
   }
 
@@ -78,49 +78,68 @@ export class BrowserAutomation {
     }
   }
 
+  /**
+   * Run a backend call that a cancellation signal can stop
+   * @param {AbortSignal} [signal] - Cancellation signal
+   * @param {Function} action - Backend call: async () => result
+   * @returns {Promise<*>} - Result of the call
+   * @throws {Error} The signal's reason if it aborted before, during or after the call
+   */
+  async perform(signal, action) {
+    if (!signal) {
+      return action();
+    }
+    signal.throwIfAborted();
+
+    let interrupting = null;
+    const interrupt = () => {
+      interrupting = Promise.resolve(this.backend.interrupt?.()).catch(error => {
+        console.error('Error interrupting browser action:', error);
+      });
+    };
+    signal.addEventListener('abort', interrupt, { once: true });
+
+    try {
+      const result = await action();
+      signal.throwIfAborted();
+      return result;
+    } catch (error) {
+      // An interrupted action fails with whatever the backend reports; the cancellation is the cause
+      signal.throwIfAborted();
+      throw error;
+    } finally {
+      signal.removeEventListener('abort', interrupt);
+      await interrupting;
+    }
+  }
+
   /**
    * Navigate to a URL
    * @param {string} url - URL to navigate to
+   * @param {Object} [options] - Navigation options
+   * @param {string} [options.waitUntil] - Load state to wait for ("load", "domcontentloaded" or "commit")
+   * @param {AbortSignal} [options.signal] - Stops the navigation
    * @returns {Promise<Object>} - Page information
    */
-  async open(url) {
+  async open(url, { signal, ...options } = {}) {
     await this.ensureInitialized();
     
     try {
-      if (USE_MOCK) {
-        this.mockCurrentUrl = url;
-        this.mockTitle = new URL(url).hostname.split('.')[0].charAt(0).toUpperCase() + 
-                         new URL(url).hostname.split('.')[0].slice(1);
-        
-        return {
-          success: true,
-          title: this.mockTitle,
-          url: this.mockCurrentUrl
-        };
-      } else {
-        await this.page.goto(url);
-        
-        const title = await this.page.title();
-        const currentUrl = await this.page.url();
-        
-        return {
-          success: true,
-          title,
-          url: currentUrl
-        };
-      }
+      return await this.perform(signal, () => this.backend.open(url, options));
     } catch (error) {
       console.error(`Error navigating to ${url}:`, error);
-      throw new Error(`Failed to navigate to ${url}: ${error.message}`);
+      throw new Error(`Failed to navigate to ${url}: ${error.message}`, { cause: error });
     }
   }
 
   /**
    * Search for a query on the web
    * @param {string} query - Search query
+   * @param {Object} [options] - Action options
+   * @param {AbortSignal} [options.signal] - Stops the search
    * @returns {Promise<Object>} - Search results
    */
-  async search(query) {
+  async search(query, { signal } = {}) {
     await this.ensureInitialized();
     
     try {
@@ -134,102 +153,28 @@ export class BrowserAutomation {
         }
       }
       
-      if (USE_MOCK) {
-        this.mockCurrentUrl = 'https://www.google.com/search?q=' + encodeURIComponent(query);
-        this.mockTitle = query + ' - Google Search';
-        
-        // Generate mock search results
-        const mockResults = [
-          {
-            title: query + ' - Wikipedia',
-            url: 'https://en.wikipedia.org/wiki/' + query.replace(/\s+/g, '_'),
-            snippet: 'This is a snippet about ' + query + ' from Wikipedia.'
-          },
-          {
-            title: 'The Latest ' + query + ' News',
-            url: 'https://news.example.com/' + query.toLowerCase().replace(/\s+/g, '-'),
-            snippet: 'Get the latest news about ' + query + ' from our trusted sources.'
-          },
-          {
-            title: query + ' - Official Website',
-            url: 'https://www.' + query.toLowerCase().replace(/\s+/g, '') + '.com',
-            snippet: 'The official website for ' + query + '. Learn more about our products and services.'
-          }
-        ];
-        
-        return {
-          success: true,
-          query,
-          results: mockResults
-        };
-      } else {
-        await this.page.goto('https://www.google.com');
-        await this.page.act(`Search for "${query}"`);
-        
-        const results = await this.page.extract({
-          instruction: "Extract the search results with titles and URLs",
-          schema: z.object({
-            results: z.array(z.object({
-              title: z.string(),
-              url: z.string().url().optional(),
-              snippet: z.string().optional(),
-            })),
-          }),
-        });
-        
-        return {
-          success: true,
-          query,
-          results: results.results
-        };
-      }
+      return await this.perform(signal, () => this.backend.search(query));
     } catch (error) {
       console.error(`Error searching for "${query}":`, error);
-      throw new Error(`Failed to search for "${query}": ${error.message}`);
+      throw new Error(`Failed to search for "${query}": ${error.message}`, { cause: error });
     }
   }
 
   /**
    * Click on an element using natural language description
    * @param {string} selector - Natural language description of the element
+   * @param {Object} [options] - Action options
+   * @param {AbortSignal} [options.signal] - Stops the click
    * @returns {Promise<Object>} - Result of the action
    */
-  async click(selector) {
+  async click(selector, { signal } = {}) {
     await this.ensureInitialized();
     
     try {
-      if (USE_MOCK) {
-        // Simulate clicking on a link that changes URL
-        if (selector.toLowerCase().includes('wikipedia')) {
-          this.mockCurrentUrl = 'https://en.wikipedia.org/wiki/Main_Page';
-          this.mockTitle = 'Wikipedia, the free encyclopedia';
-        } else if (selector.toLowerCase().includes('news')) {
-          this.mockCurrentUrl = 'https://news.example.com/';
-          this.mockTitle = 'Example News';
-        } else {
-          // Simulate clicking a button that doesn't change URL
-          console.log(`Mock clicking on "${selector}"`);
-        }
-        
-        return {
-          success: true,
-          action: 'click',
-          target: selector,
-          currentUrl: this.mockCurrentUrl
-        };
-      } else {
-        await this.page.act(`Click on ${selector}`);
-        
-        return {
-          success: true,
-          action: 'click',
-          target: selector,
-          currentUrl: await this.page.url()
-        };
-      }
+      return await this.perform(signal, () => this.backend.click(selector));
     } catch (error) {
       console.error(`Error clicking on "${selector}":`, error);
-      throw new Error(`Failed to click on "${selector}": ${error.message}`);
+      throw new Error(`Failed to click on "${selector}": ${error.message}`, { cause: error });
     }
   }
 
@@ -237,92 +182,37 @@ export class BrowserAutomation {
    * Type text into an element
    * @param {string} selector - Natural language description of the element
    * @param {string} text - Text to type
+   * @param {Object} [options] - Action options
+   * @param {AbortSignal} [options.signal] - Stops the typing
    * @returns {Promise<Object>} - Result of the action
    */
-  async type(selector, text) {
+  async type(selector, text, { signal } = {}) {
     await this.ensureInitialized();
     
     try {
-      if (USE_MOCK) {
-        console.log(`Mock typing "${text}" into ${selector}`);
-        
-        return {
-          success: true,
-          action: 'type',
-          target: selector,
-          text
-        };
-      } else {
-        await this.page.act(`Type "${text}" into ${selector}`);
-        
-        return {
-          success: true,
-          action: 'type',
-          target: selector,
-          text
-        };
-      }
+      return await this.perform(signal, () => this.backend.type(selector, text));
     } catch (error) {
       console.error(`Error typing "${text}" into "${selector}":`, error);
-      throw new Error(`Failed to type text: ${error.message}`);
+      throw new Error(`Failed to type text: ${error.message}`, { cause: error });
     }
   }
 
   /**
    * Take a screenshot of the current page
-   * @param {Object} options - Screenshot options
+   * @param {Object} [options] - Screenshot options
+   * @param {boolean} [options.fullPage] - Capture the full scrollable page (default true)
+   * @param {AbortSignal} [options.signal] - Stops the capture
    * @returns {Promise<Buffer>} - Screenshot buffer
    */
-  async screenshot(options = { fullPage: true }) {
+  async screenshot({ fullPage = true, signal } = {}) {
     await this.ensureInitialized();
     
     try {
-      if (USE_MOCK) {
-        // Generate a simple mock screenshot with text
-        const { createCanvas } = await import('canvas').catch(() => {
-          // If canvas is not available, return a static buffer
-          return {
-            createCanvas: () => null
-          };
-        });
-        
-        if (createCanvas) {
-          const canvas = createCanvas(800, 600);
-          const ctx = canvas.getContext('2d');
-          
-          // Fill background
-          ctx.fillStyle = '#ffffff';
-          ctx.fillRect(0, 0, 800, 600);
-          
-          // Add URL bar
-          ctx.fillStyle = '#f0f0f0';
-          ctx.fillRect(0, 0, 800, 40);
-          
-          // Add URL text
-          ctx.fillStyle = '#000000';
-          ctx.font = '14px Arial';
-          ctx.fillText(this.mockCurrentUrl, 10, 25);
-          
-          // Add page title
-          ctx.font = '20px Arial';
-          ctx.fillText(this.mockTitle, 10, 80);
-          
-          // Add some mock content
-          ctx.font = '16px Arial';
-          ctx.fillText('This is a mock screenshot for: ' + this.mockTitle, 10, 120);
-          
-          return canvas.toBuffer('image/png');
-        } else {
-          // Create a simple 1x1 transparent PNG if canvas is not available
-          return Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=', 'base64');
-        }
-      } else {
-        return await this.page.screenshot({
-          encoding: 'binary',
-          ...options
-        });
-      }
+      return await this.perform(signal, () => this.backend.screenshot({ fullPage }));
     } catch (error) {
+      if (signal?.aborted) {
+        throw error;
+      }
       console.error('Error taking screenshot:', error);
       
       // Return a simple 1x1 transparent PNG on error
@@ -332,111 +222,103 @@ export class BrowserAutomation {
 
   /**
    * Get the HTML content of the current page
+   * @param {Object} [options] - Action options
+   * @param {AbortSignal} [options.signal] - Stops the read
    * @returns {Promise<string>} - HTML content
    */
-  async getHtml() {
+  async getHtml({ signal } = {}) {
     await this.ensureInitialized();
     
     try {
-      if (USE_MOCK) {
-        return `<!DOCTYPE html>
-<html>
-<head>
-  <title>${this.mockTitle}</title>
-</head>
-<body>
-  <h1>${this.mockTitle}</h1>
-  <p>This is a mock page for demonstration purposes.</p>
-  <p>Current URL: ${this.mockCurrentUrl}</p>
-</body>
-</html>`;
-      } else {
-        return await this.page.content();
-      }
+      return await this.perform(signal, () => this.backend.getHtml());
     } catch (error) {
       console.error('Error getting HTML content:', error);
-      throw new Error(`Failed to get HTML content: ${error.message}`);
+      throw new Error(`Failed to get HTML content: ${error.message}`, { cause: error });
     }
   }
 
   /**
    * Extract structured data from the current page
    * @param {Object} options - Extraction options
+   * @param {Object} [actionOptions] - Action options
+   * @param {AbortSignal} [actionOptions.signal] - Stops the extraction
    * @returns {Promise<Object>} - Extracted data
    */
-  async extractData(options) {
+  async extractData(options, { signal } = {}) {
     await this.ensureInitialized();
     
     try {
-      if (USE_MOCK) {
-        // Return mock data based on the current URL
-        if (this.mockCurrentUrl.includes('google.com/search')) {
-          return {
-            results: [
-              { title: 'Mock Result 1', url: 'https://example.com/1', snippet: 'This is the first mock result.' },
-              { title: 'Mock Result 2', url: 'https://example.com/2', snippet: 'This is the second mock result.' },
-              { title: 'Mock Result 3', url: 'https://example.com/3', snippet: 'This is the third mock result.' }
-            ]
-          };
-        } else if (this.mockCurrentUrl.includes('wikipedia.org')) {
-          return {
-            title: 'Wikipedia Article',
-            content: 'This is mock content from a Wikipedia article.',
-            sections: [
-              { title: 'Introduction', content: 'This is the introduction section.' },
-              { title: 'History', content: 'This is the history section.' }
-            ]
-          };
-        } else {
-          return {
-            title: this.mockTitle,
-            url: this.mockCurrentUrl,
-            content: 'Mock extracted content from ' + this.mockTitle
-          };
-        }
-      } else {
-        const { instruction, schema } = options;
-        
-        return await this.page.extract({
-          instruction,
-          schema
-        });
-      }
+      return await this.perform(signal, () => this.backend.extractData(options));
     } catch (error) {
       console.error('Error extracting data:', error);
-      throw new Error(`Failed to extract data: ${error.message}`);
+      throw new Error(`Failed to extract data: ${error.message}`, { cause: error });
     }
   }
 
   /**
    * Get available actions on the current page
    * @param {string} query - Query about possible actions
+   * @param {Object} [options] - Action options
+   * @param {AbortSignal} [options.signal] - Stops the observation
    * @returns {Promise<Object>} - Available actions
    */
-  async observe(query = "What can I do on this page?") {
+  async observe(query = "What can I do on this page?", { signal } = {}) {
     await this.ensureInitialized();
     
     try {
-      if (USE_MOCK) {
-        return {
-          possibleActions: [
-            { action: 'Click on the "About" link', selector: 'About link' },
-            { action: 'Click on the "Contact" link', selector: 'Contact link' },
-            { action: 'Fill out the search form', selector: 'Search form' }
-          ],
-          elements: [
-            { type: 'link', text: 'About', href: '/about' },
-            { type: 'link', text: 'Contact', href: '/contact' },
-            { type: 'input', placeholder: 'Search...', type: 'text' },
-            { type: 'button', text: 'Submit' }
-          ]
-        };
-      } else {
-        return await this.page.observe(query);
-      }
+      return await this.perform(signal, () => this.backend.observe(query));
     } catch (error) {
       console.error('Error observing page:', error);
-      throw new Error(`Failed to observe page: ${error.message}`);
+      throw new Error(`Failed to observe page: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * Get the state of the current page
+   * @returns {Promise<Object>} - { initialized, backend, url, title }
+   */
+  async getPageInfo() {
+    if (!this.initialized) {
+      return { initialized: false, backend: this.config.backend, url: null, title: null };
+    }
+    
+    return {
+      initialized: true,
+      backend: this.config.backend,
+      ...(await this.backend.getPageInfo())
+    };
+  }
+
+  /**
+   * Get the cookies of the browser context, e.g. to keep a session's logins across restarts
+   * @returns {Promise<Array<Object>>} - Cookies ({ name, value, domain, path, expires, ... })
+   */
+  async getCookies() {
+    if (!this.initialized) {
+      return [];
+    }
+
+    try {
+      return await this.backend.getCookies();
+    } catch (error) {
+      console.error('Error getting cookies:', error);
+      throw new Error(`Failed to get cookies: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * Add cookies to the browser context
+   * @param {Array<Object>} cookies - Cookies as returned by getCookies()
+   * @returns {Promise<void>}
+   */
+  async setCookies(cookies) {
+    await this.ensureInitialized();
+
+    try {
+      await this.backend.setCookies(cookies);
+    } catch (error) {
+      console.error('Error setting cookies:', error);
+      throw new Error(`Failed to set cookies: ${error.message}`, { cause: error });
     }
   }
 
@@ -445,14 +327,12 @@ export class BrowserAutomation {
    * @returns {Promise<void>}
    */
   async close() {
-    if (USE_MOCK) {
-      this.initialized = false;
-      console.log('Mock browser closed');
-    } else if (this.stagehand) {
-      await this.stagehand.close();
-      this.initialized = false;
-      this.page = null;
-      console.log('Browser closed');
+    if (!this.initialized) {
+      return;
     }
+
+    await this.backend.close();
+    this.initialized = false;
+    console.log('Browser closed');
   }
 } 
\ No newline at end of file
@@ -0,0 +1,225 @@
+/**
+ * Element resolver
+ * Resolves natural-language element descriptions ("the Sign in button", "Email field")
+ * against the interactive elements of a page using their accessible names,
+ * so local browsers can act on descriptions without a hosted LLM
+ */
+
+// Words that describe the kind of element rather than which one
+const STOP_WORDS = new Set([
+  'a', 'an', 'the', 'on', 'in', 'into', 'to', 'of', 'for', 'with', 'and', 'or', 'at', 'this', 'that',
+  'click', 'element', 'button', 'link', 'field', 'input', 'box', 'textbox', 'area', 'tab', 'icon',
+  'menu', 'item', 'checkbox', 'option', 'dropdown', 'page'
+]);
+
+// Description words that hint at the role of the element
+const ROLE_HINTS = {
+  button: ['button'],
+  link: ['link'],
+  textbox: ['field', 'input', 'box', 'textbox', 'area'],
+  checkbox: ['checkbox'],
+  combobox: ['dropdown', 'select'],
+  tab: ['tab']
+};
+
+const MIN_SCORE = 0.3;
+
+/**
+ * Collect the visible interactive elements of the page and tag them with a reference attribute
+ * Runs inside the page via page.evaluate, so it must not reference anything outside its body
+ * @param {Object} options - Collection options
+ * @param {string} options.attribute - Attribute used to tag elements for later lookup
+ * @param {number} options.limit - Maximum number of elements to collect
+ * @returns {Array<Object>} - Element descriptors
+ */
+export function collectInteractiveElements({ attribute, limit }) {
+  const selector = [
+    'a[href]', 'button', 'input:not([type=hidden])', 'textarea', 'select', 'summary',
+    '[role=button]', '[role=link]', '[role=tab]', '[role=menuitem]', '[role=checkbox]', '[role=radio]',
+    '[role=option]', '[role=combobox]', '[role=searchbox]', '[role=textbox]', '[contenteditable=""]',
+    '[contenteditable=true]', '[onclick]'
+  ].join(', ');
+  const nonTextInputs = ['button', 'submit', 'reset', 'checkbox', 'radio', 'image', 'file', 'range', 'color'];
+
+  const isVisible = (el) => {
+    const rect = el.getBoundingClientRect();
+    const style = window.getComputedStyle(el);
+    return rect.width > 0 && rect.height > 0 && style.visibility !== 'hidden' && style.display !== 'none';
+  };
+
+  document.querySelectorAll(`[${attribute}]`).forEach(el => el.removeAttribute(attribute));
+
+  const elements = [];
+  for (const el of document.querySelectorAll(selector)) {
+    if (elements.length >= limit) {
+      break;
+    }
+    if (!isVisible(el)) {
+      continue;
+    }
+
+    const ref = String(elements.length);
+    el.setAttribute(attribute, ref);
+
+    const tag = el.tagName.toLowerCase();
+    const type = (el.getAttribute('type') || '').toLowerCase();
+    const role = el.getAttribute('role') || '';
+    const labelledBy = (el.getAttribute('aria-labelledby') || '')
+      .split(/\s+/)
+      .map(id => (id && document.getElementById(id)?.innerText) || '')
+      .join(' ')
+      .trim();
+
+    elements.push({
+      ref,
+      tag,
+      role,
+      type,
+      name: el.getAttribute('aria-label') || labelledBy,
+      label: el.labels ? Array.from(el.labels).map(label => label.innerText).join(' ').trim() : '',
+      text: (el.innerText || (nonTextInputs.includes(type) ? el.value : '') || '').trim().slice(0, 200),
+      placeholder: el.getAttribute('placeholder') || '',
+      title: el.getAttribute('title') || el.getAttribute('alt') || el.querySelector('img[alt]')?.getAttribute('alt') || '',
+      nameAttribute: el.getAttribute('name') || el.id || '',
+      href: el.getAttribute('href') || '',
+      editable: tag === 'textarea' ||
+        (tag === 'input' && !nonTextInputs.includes(type)) ||
+        el.isContentEditable ||
+        ['textbox', 'searchbox', 'combobox'].includes(role)
+    });
+  }
+
+  return elements;
+}
+
+/**
+ * Split text into lowercase word tokens
+ * @param {string} text - Text to tokenize
+ * @returns {Array<string>} - Tokens
+ */
+function tokenize(text) {
+  return (text || '').toLowerCase().match(/[a-z0-9]+/g) || [];
+}
+
+/**
+ * Infer the ARIA role of a collected element
+ * @param {Object} element - Element descriptor
+ * @returns {string} - Role
+ */
+export function getElementRole(element) {
+  if (element.role) {
+    return element.role;
+  }
+  if (element.tag === 'a') {
+    return 'link';
+  }
+  if (element.tag === 'button' || ['button', 'submit', 'reset', 'image'].includes(element.type)) {
+    return 'button';
+  }
+  if (element.tag === 'select') {
+    return 'combobox';
+  }
+  if (['checkbox', 'radio'].includes(element.type)) {
+    return element.type;
+  }
+  if (element.editable) {
+    return 'textbox';
+  }
+  return element.tag;
+}
+
+/**
+ * Get the accessible name of a collected element
+ * @param {Object} element - Element descriptor
+ * @returns {string} - Accessible name
+ */
+export function getAccessibleName(element) {
+  return element.name || element.label || element.text || element.placeholder || element.title || element.nameAttribute || '';
+}
+
+/**
+ * Describe an element in the same natural language the resolver accepts
+ * @param {Object} element - Element descriptor
+ * @returns {string} - Description (e.g. '"Sign in" button')
+ */
+export function describeElement(element) {
+  const name = getAccessibleName(element).replace(/\s+/g, ' ').trim();
+  const role = getElementRole(element);
+  return name ? `"${name.slice(0, 80)}" ${role}` : role;
+}
+
+/**
+ * Score how well an element matches a natural-language description
+ * @param {string} description - Element description
+ * @param {Object} element - Element descriptor
+ * @returns {number} - Score (higher is better, 0 means no match)
+ */
+export function scoreElement(description, element) {
+  const descriptionTokens = tokenize(description).filter(token => !STOP_WORDS.has(token));
+  const names = [element.name, element.label, element.text, element.placeholder, element.title, element.nameAttribute]
+    .filter(Boolean)
+    .map(name => name.replace(/\s+/g, ' ').trim().toLowerCase());
+  const elementTokens = new Set(names.flatMap(tokenize));
+
+  let score = 0;
+
+  if (descriptionTokens.length > 0) {
+    const matched = descriptionTokens.filter(token => elementTokens.has(token)).length;
+    score += matched / descriptionTokens.length;
+  }
+
+  // Prefer elements whose name is exactly the quoted (or whole) description
+  const quoted = description.match(/["'“]([^"'”]+)["'”]/)?.[1];
+  const phrase = (quoted || descriptionTokens.join(' ')).toLowerCase().trim();
+  if (phrase.length > 0) {
+    if (names.some(name => name === phrase)) {
+      score += 1;
+    } else if (phrase.length > 2 && names.some(name => name.includes(phrase))) {
+      score += 0.5;
+    }
+  }
+
+  // Small bonus when the description names the element's role
+  const role = getElementRole(element);
+  const words = new Set(tokenize(description));
+  if (score > 0 && (ROLE_HINTS[role] || []).some(word => words.has(word))) {
+    score += 0.25;
+  }
+
+  return score;
+}
+
+/**
+ * Find the element that best matches a description
+ * @param {string} description - Element description
+ * @param {Array<Object>} elements - Element descriptors from collectInteractiveElements
+ * @param {Object} options - Resolution options
+ * @param {boolean} [options.editableOnly] - Only consider elements that accept text
+ * @returns {Object|null} - Best matching element, or null if nothing matches well enough
+ */
+export function resolveElement(description, elements, { editableOnly = false } = {}) {
+  let best = null;
+  let bestScore = 0;
+
+  for (const element of elements) {
+    if (editableOnly && !element.editable) {
+      continue;
+    }
+
+    const score = scoreElement(description, element);
+    if (score > bestScore) {
+      best = element;
+      bestScore = score;
+    }
+  }
+
+  // With a single text field on the page, "the search box" can only mean that one
+  if (!best && editableOnly) {
+    const editable = elements.filter(element => element.editable);
+    if (editable.length === 1) {
+      return editable[0];
+    }
+  }
+
+  return bestScore >= MIN_SCORE ? best : null;
+}
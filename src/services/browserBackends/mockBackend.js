@@ -0,0 +1,268 @@
+/**
+ * Mock browser backend
+ * Simulates browsing with canned pages for demos and tests
+ */
+
+export class MockBrowserBackend {
+  constructor(config = {}) {
+    this.config = config;
+    this.mockCurrentUrl = '';
+    this.mockTitle = '';
+    this.mockCookies = [];
+  }
+
+  /**
+   * Initialize the mock browser
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    console.log('Using mock browser automation implementation');
+    this.mockCurrentUrl = 'https://www.example.com';
+    this.mockTitle = 'Example Domain';
+  }
+
+  /**
+   * Navigate to a URL
+   * @param {string} url - URL to navigate to
+   * @returns {Promise<Object>} - Page information
+   */
+  async open(url) {
+    this.mockCurrentUrl = url;
+    this.mockTitle = new URL(url).hostname.split('.')[0].charAt(0).toUpperCase() +
+                     new URL(url).hostname.split('.')[0].slice(1);
+
+    return {
+      success: true,
+      title: this.mockTitle,
+      url: this.mockCurrentUrl
+    };
+  }
+
+  /**
+   * Search for a query on the web
+   * @param {string} query - Search query
+   * @returns {Promise<Object>} - Search results
+   */
+  async search(query) {
+    this.mockCurrentUrl = 'https://www.google.com/search?q=' + encodeURIComponent(query);
+    this.mockTitle = query + ' - Google Search';
+
+    // Generate mock search results
+    const mockResults = [
+      {
+        title: query + ' - Wikipedia',
+        url: 'https://en.wikipedia.org/wiki/' + query.replace(/\s+/g, '_'),
+        snippet: 'This is a snippet about ' + query + ' from Wikipedia.'
+      },
+      {
+        title: 'The Latest ' + query + ' News',
+        url: 'https://news.example.com/' + query.toLowerCase().replace(/\s+/g, '-'),
+        snippet: 'Get the latest news about ' + query + ' from our trusted sources.'
+      },
+      {
+        title: query + ' - Official Website',
+        url: 'https://www.' + query.toLowerCase().replace(/\s+/g, '') + '.com',
+        snippet: 'The official website for ' + query + '. Learn more about our products and services.'
+      }
+    ];
+
+    return {
+      success: true,
+      query,
+      results: mockResults
+    };
+  }
+
+  /**
+   * Click on an element using natural language description
+   * @param {string} selector - Natural language description of the element
+   * @returns {Promise<Object>} - Result of the action
+   */
+  async click(selector) {
+    // Simulate clicking on a link that changes URL
+    if (selector.toLowerCase().includes('wikipedia')) {
+      this.mockCurrentUrl = 'https://en.wikipedia.org/wiki/Main_Page';
+      this.mockTitle = 'Wikipedia, the free encyclopedia';
+    } else if (selector.toLowerCase().includes('news')) {
+      this.mockCurrentUrl = 'https://news.example.com/';
+      this.mockTitle = 'Example News';
+    } else {
+      // Simulate clicking a button that doesn't change URL
+      console.log(`Mock clicking on "${selector}"`);
+    }
+
+    return {
+      success: true,
+      action: 'click',
+      target: selector,
+      currentUrl: this.mockCurrentUrl
+    };
+  }
+
+  /**
+   * Type text into an element
+   * @param {string} selector - Natural language description of the element
+   * @param {string} text - Text to type
+   * @returns {Promise<Object>} - Result of the action
+   */
+  async type(selector, text) {
+    console.log(`Mock typing "${text}" into ${selector}`);
+
+    return {
+      success: true,
+      action: 'type',
+      target: selector,
+      text
+    };
+  }
+
+  /**
+   * Take a screenshot of the current page
+   * @returns {Promise<Buffer>} - Screenshot buffer
+   */
+  async screenshot() {
+    // Generate a simple mock screenshot with text
+    const { createCanvas } = await import('canvas').catch(() => {
+      // If canvas is not available, return a static buffer
+      return {
+        createCanvas: () => null
+      };
+    });
+
+    const canvas = createCanvas(800, 600);
+    if (!canvas) {
+      // Create a simple 1x1 transparent PNG if canvas is not available
+      return Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=', 'base64');
+    }
+
+    const ctx = canvas.getContext('2d');
+
+    // Fill background
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, 800, 600);
+
+    // Add URL bar
+    ctx.fillStyle = '#f0f0f0';
+    ctx.fillRect(0, 0, 800, 40);
+
+    // Add URL text
+    ctx.fillStyle = '#000000';
+    ctx.font = '14px Arial';
+    ctx.fillText(this.mockCurrentUrl, 10, 25);
+
+    // Add page title
+    ctx.font = '20px Arial';
+    ctx.fillText(this.mockTitle, 10, 80);
+
+    // Add some mock content
+    ctx.font = '16px Arial';
+    ctx.fillText('This is a mock screenshot for: ' + this.mockTitle, 10, 120);
+
+    return canvas.toBuffer('image/png');
+  }
+
+  /**
+   * Get the HTML content of the current page
+   * @returns {Promise<string>} - HTML content
+   */
+  async getHtml() {
+    return `<!DOCTYPE html>
+<html>
+<head>
+  <title>${this.mockTitle}</title>
+</head>
+<body>
+  <h1>${this.mockTitle}</h1>
+  <p>This is a mock page for demonstration purposes.</p>
+  <p>Current URL: ${this.mockCurrentUrl}</p>
+</body>
+</html>`;
+  }
+
+  /**
+   * Extract structured data from the current page
+   * @returns {Promise<Object>} - Extracted data
+   */
+  async extractData() {
+    // Return mock data based on the current URL
+    if (this.mockCurrentUrl.includes('google.com/search')) {
+      return {
+        results: [
+          { title: 'Mock Result 1', url: 'https://example.com/1', snippet: 'This is the first mock result.' },
+          { title: 'Mock Result 2', url: 'https://example.com/2', snippet: 'This is the second mock result.' },
+          { title: 'Mock Result 3', url: 'https://example.com/3', snippet: 'This is the third mock result.' }
+        ]
+      };
+    } else if (this.mockCurrentUrl.includes('wikipedia.org')) {
+      return {
+        title: 'Wikipedia Article',
+        content: 'This is mock content from a Wikipedia article.',
+        sections: [
+          { title: 'Introduction', content: 'This is the introduction section.' },
+          { title: 'History', content: 'This is the history section.' }
+        ]
+      };
+    } else {
+      return {
+        title: this.mockTitle,
+        url: this.mockCurrentUrl,
+        content: 'Mock extracted content from ' + this.mockTitle
+      };
+    }
+  }
+
+  /**
+   * Get available actions on the current page
+   * @returns {Promise<Object>} - Available actions
+   */
+  async observe() {
+    return {
+      possibleActions: [
+        { action: 'Click on the "About" link', selector: 'About link' },
+        { action: 'Click on the "Contact" link', selector: 'Contact link' },
+        { action: 'Fill out the search form', selector: 'Search form' }
+      ],
+      elements: [
+        { type: 'link', text: 'About', href: '/about' },
+        { type: 'link', text: 'Contact', href: '/contact' },
+        { type: 'input', placeholder: 'Search...', type: 'text' },
+        { type: 'button', text: 'Submit' }
+      ]
+    };
+  }
+
+  /**
+   * Get the state of the current page
+   * @returns {Promise<Object>} - { url, title }
+   */
+  async getPageInfo() {
+    return { url: this.mockCurrentUrl, title: this.mockTitle };
+  }
+
+  /**
+   * Get the cookies set on the mock browser
+   * @returns {Promise<Array<Object>>} - Cookies
+   */
+  async getCookies() {
+    return this.mockCookies.map(cookie => ({ ...cookie }));
+  }
+
+  /**
+   * Add cookies to the mock browser, replacing ones with the same name, domain and path
+   * @param {Array<Object>} cookies - Cookies
+   * @returns {Promise<void>}
+   */
+  async setCookies(cookies) {
+    const key = cookie => `${cookie.name}|${cookie.domain}|${cookie.path}`;
+    const added = new Set(cookies.map(key));
+    this.mockCookies = [...this.mockCookies.filter(cookie => !added.has(key(cookie))), ...cookies.map(cookie => ({ ...cookie }))];
+  }
+
+  /**
+   * Close the mock browser
+   * @returns {Promise<void>}
+   */
+  async close() {
+    console.log('Mock browser closed');
+  }
+}
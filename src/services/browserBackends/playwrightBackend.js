@@ -0,0 +1,332 @@
+/**
+ * Local Playwright backend
+ * Drives a headless Chromium on this machine; natural-language click/type targets are
+ * resolved against the page's interactive elements instead of a hosted LLM
+ */
+
+import { ToolError, toNavigationError } from '../../agent/toolErrors.js';
+import {
+  collectInteractiveElements,
+  describeElement,
+  getAccessibleName,
+  getElementRole,
+  resolveElement
+} from './elementResolver.js';
+
+const REF_ATTRIBUTE = 'data-intellibrowse-ref';
+
+export class PlaywrightBackend {
+  constructor(config = {}) {
+    this.config = {
+      headless: config.headless ?? process.env.BROWSER_HEADLESS !== 'false',
+      executablePath: config.executablePath || process.env.CHROMIUM_PATH || undefined,
+      searchUrl: config.searchUrl || process.env.LOCAL_SEARCH_URL || 'https://html.duckduckgo.com/html/?q=',
+      actionTimeout: config.actionTimeout || 10000,
+      navigationTimeout: config.navigationTimeout || 30000,
+      maxElements: config.maxElements || 500,
+      maxTextLength: config.maxTextLength || 5000,
+      viewport: config.viewport || { width: 1280, height: 800 }
+    };
+
+    this.browser = null;
+    this.context = null;
+    this.page = null;
+  }
+
+  /**
+   * Launch Chromium with a fresh browser context
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    let chromium;
+    try {
+      ({ chromium } = await import('playwright'));
+    } catch (error) {
+      throw new Error('The local browser backend requires the "playwright" package and a Chromium build ("npx playwright install chromium")');
+    }
+
+    this.browser = await chromium.launch({
+      headless: this.config.headless,
+      executablePath: this.config.executablePath
+    });
+    this.context = await this.browser.newContext({ viewport: this.config.viewport });
+    await this.openPage();
+  }
+
+  /**
+   * Open a page in the browser context with the configured timeouts
+   * @returns {Promise<void>}
+   */
+  async openPage() {
+    this.page = await this.context.newPage();
+    this.page.setDefaultTimeout(this.config.actionTimeout);
+    this.page.setDefaultNavigationTimeout(this.config.navigationTimeout);
+  }
+
+  /**
+   * Stop the page operation in flight, e.g. a cancelled task's navigation or click
+   * Playwright operations cannot be aborted, so the page is closed, which makes them fail at once, and
+   * replaced by a blank page in the same context: cookies and logins stay, the current page does not
+   * @returns {Promise<void>}
+   */
+  async interrupt() {
+    const page = this.page;
+    if (!page) {
+      return;
+    }
+
+    await page.close();
+    // The browser may have been closed meanwhile
+    if (this.context && this.page === page) {
+      await this.openPage();
+    }
+  }
+
+  /**
+   * Navigate to a URL
+   * @param {string} url - URL to navigate to
+   * @param {Object} [options] - Navigation options
+   * @param {string} [options.waitUntil] - Load state to wait for (default "domcontentloaded")
+   * @returns {Promise<Object>} - Page information
+   */
+  async open(url, { waitUntil = 'domcontentloaded' } = {}) {
+    // Pages that do not load in time or cannot be reached become typed errors the agent may retry
+    await this.page.goto(url, { waitUntil }).catch(error => {
+      throw toNavigationError(error);
+    });
+
+    return {
+      success: true,
+      title: await this.page.title(),
+      url: this.page.url()
+    };
+  }
+
+  /**
+   * Search the web through a search engine's HTML results page
+   * @param {string} query - Search query
+   * @returns {Promise<Object>} - Search results
+   */
+  async search(query) {
+    await this.page.goto(this.config.searchUrl + encodeURIComponent(query), { waitUntil: 'domcontentloaded' }).catch(error => {
+      throw toNavigationError(error);
+    });
+
+    const results = await this.page.evaluate(() => {
+      // DuckDuckGo's HTML endpoint wraps targets in a redirect carrying the real URL in "uddg"
+      const unwrap = (href) => {
+        try {
+          const url = new URL(href, window.location.href);
+          return url.searchParams.get('uddg') || url.href;
+        } catch (error) {
+          return href;
+        }
+      };
+
+      const ddgResults = Array.from(document.querySelectorAll('.result')).map(result => {
+        const link = result.querySelector('.result__a');
+        return link && {
+          title: link.innerText.trim(),
+          url: unwrap(link.getAttribute('href')),
+          snippet: result.querySelector('.result__snippet')?.innerText.trim() || ''
+        };
+      });
+
+      // Generic fallback for other engines: headline links
+      const headlineResults = Array.from(document.querySelectorAll('h2 a[href], h3 a[href]')).map(link => ({
+        title: link.innerText.trim(),
+        url: unwrap(link.getAttribute('href')),
+        snippet: ''
+      }));
+
+      return (ddgResults.filter(Boolean).length > 0 ? ddgResults.filter(Boolean) : headlineResults).slice(0, 10);
+    });
+
+    return {
+      success: true,
+      query,
+      results
+    };
+  }
+
+  /**
+   * Locate the element matching a description
+   * Accepts "css=<selector>" to bypass natural-language resolution
+   * @param {string} description - Natural language description of the element
+   * @param {Object} options - Resolution options
+   * @param {boolean} [options.editableOnly] - Only consider elements that accept text
+   * @returns {Promise<Object>} - { locator, element }
+   * @throws {ToolError} If no element matches (elementNotFound)
+   */
+  async resolve(description, { editableOnly = false } = {}) {
+    if (description.startsWith('css=')) {
+      return { locator: this.page.locator(description.slice(4)).first(), element: null };
+    }
+
+    const elements = await this.page.evaluate(collectInteractiveElements, {
+      attribute: REF_ATTRIBUTE,
+      limit: this.config.maxElements
+    });
+    const element = resolveElement(description, elements, { editableOnly });
+
+    if (!element) {
+      throw new ToolError('elementNotFound', `No ${editableOnly ? 'editable ' : ''}element matching "${description}" found on the page`);
+    }
+
+    return {
+      locator: this.page.locator(`[${REF_ATTRIBUTE}="${element.ref}"]`),
+      element
+    };
+  }
+
+  /**
+   * Click on an element using natural language description
+   * @param {string} selector - Natural language description of the element
+   * @returns {Promise<Object>} - Result of the action
+   */
+  async click(selector) {
+    const { locator, element } = await this.resolve(selector);
+    await locator.click();
+    await this.page.waitForLoadState('domcontentloaded').catch(() => {});
+
+    return {
+      success: true,
+      action: 'click',
+      target: selector,
+      matched: element ? describeElement(element) : selector,
+      currentUrl: this.page.url()
+    };
+  }
+
+  /**
+   * Type text into an element
+   * @param {string} selector - Natural language description of the element
+   * @param {string} text - Text to type
+   * @returns {Promise<Object>} - Result of the action
+   */
+  async type(selector, text) {
+    const { locator, element } = await this.resolve(selector, { editableOnly: true });
+    await locator.fill(text);
+
+    return {
+      success: true,
+      action: 'type',
+      target: selector,
+      matched: element ? describeElement(element) : selector,
+      text
+    };
+  }
+
+  /**
+   * Take a screenshot of the current page
+   * @param {Object} options - Screenshot options
+   * @returns {Promise<Buffer>} - Screenshot buffer
+   */
+  async screenshot(options = {}) {
+    return await this.page.screenshot({ type: 'png', fullPage: options.fullPage });
+  }
+
+  /**
+   * Get the HTML content of the current page
+   * @returns {Promise<string>} - HTML content
+   */
+  async getHtml() {
+    return await this.page.content();
+  }
+
+  /**
+   * Extract the page content the model needs to answer an extraction request
+   * Without an LLM in the browser, the structured fields are selected by the agent from this content
+   * @param {Object} options - Extraction options
+   * @returns {Promise<Object>} - Page content (title, headings, text, links, tables)
+   */
+  async extractData({ instruction } = {}) {
+    const content = await this.page.evaluate((maxTextLength) => {
+      const text = (element) => (element.innerText || '').replace(/\s+/g, ' ').trim();
+
+      return {
+        title: document.title,
+        url: window.location.href,
+        headings: Array.from(document.querySelectorAll('h1, h2, h3')).map(text).filter(Boolean).slice(0, 50),
+        text: text(document.body).slice(0, maxTextLength),
+        links: Array.from(document.querySelectorAll('a[href]'))
+          .map(link => ({ text: text(link), url: link.href }))
+          .filter(link => link.text)
+          .slice(0, 50),
+        tables: Array.from(document.querySelectorAll('table')).slice(0, 5).map(table =>
+          Array.from(table.rows).slice(0, 50).map(row => Array.from(row.cells).map(text))
+        )
+      };
+    }, this.config.maxTextLength);
+
+    return {
+      instruction,
+      ...content
+    };
+  }
+
+  /**
+   * Get available actions on the current page
+   * @returns {Promise<Object>} - Available actions
+   */
+  async observe() {
+    const elements = await this.page.evaluate(collectInteractiveElements, {
+      attribute: REF_ATTRIBUTE,
+      limit: this.config.maxElements
+    });
+    const named = elements.filter(element => getAccessibleName(element));
+
+    return {
+      possibleActions: named.slice(0, 50).map(element => ({
+        action: `${element.editable ? 'Type into' : 'Click on'} the ${describeElement(element)}`,
+        selector: describeElement(element)
+      })),
+      elements: named.slice(0, 100).map(element => ({
+        type: getElementRole(element),
+        text: getAccessibleName(element).slice(0, 100),
+        ...(element.href ? { href: element.href } : {})
+      }))
+    };
+  }
+
+  /**
+   * Get the state of the current page
+   * @returns {Promise<Object>} - { url, title }
+   */
+  async getPageInfo() {
+    return {
+      url: this.page.url(),
+      title: await this.page.title()
+    };
+  }
+
+  /**
+   * Get the cookies of the browser context
+   * @returns {Promise<Array<Object>>} - Cookies
+   */
+  async getCookies() {
+    return this.context.cookies();
+  }
+
+  /**
+   * Add cookies to the browser context
+   * @param {Array<Object>} cookies - Cookies
+   * @returns {Promise<void>}
+   */
+  async setCookies(cookies) {
+    await this.context.addCookies(cookies);
+  }
+
+  /**
+   * Close the browser
+   * @returns {Promise<void>}
+   */
+  async close() {
+    if (this.browser) {
+      await this.browser.close();
+      this.browser = null;
+      this.context = null;
+      this.page = null;
+    }
+  }
+}
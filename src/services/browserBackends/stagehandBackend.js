@@ -0,0 +1,205 @@
+/**
+ * Stagehand browser backend
+ * Drives a hosted Browserbase browser; natural-language actions are resolved by Stagehand's LLM
+ * Actions in flight cannot be interrupted: a cancelled task waits for them and discards their result
+ */
+
+import { Stagehand } from '@browserbasehq/stagehand';
+import { z } from 'zod';
+import { jsonSchemaToZod } from '../../utils/jsonSchemaToZod.js';
+import { toNavigationError } from '../../agent/toolErrors.js';
+
+export class StagehandBackend {
+  constructor(config = {}) {
+    this.config = config;
+    this.stagehand = null;
+    this.page = null;
+  }
+
+  /**
+   * Start a Browserbase session through Stagehand
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    this.stagehand = new Stagehand({
+      env: 'BROWSERBASE',
+      apiKey: this.config.apiKey,
+      projectId: this.config.projectId,
+      modelName: this.config.modelName,
+      modelClientOptions: {
+        apiKey: this.config.openaiApiKey,
+      },
+    });
+
+    await this.stagehand.init();
+    this.page = this.stagehand.page;
+  }
+
+  /**
+   * Navigate to a URL
+   * @param {string} url - URL to navigate to
+   * @param {Object} [options] - Navigation options
+   * @param {string} [options.waitUntil] - Load state to wait for
+   * @returns {Promise<Object>} - Page information
+   */
+  async open(url, { waitUntil } = {}) {
+    await this.page.goto(url, waitUntil ? { waitUntil } : undefined).catch(error => {
+      throw toNavigationError(error);
+    });
+
+    const title = await this.page.title();
+    const currentUrl = await this.page.url();
+
+    return {
+      success: true,
+      title,
+      url: currentUrl
+    };
+  }
+
+  /**
+   * Search for a query on the web
+   * @param {string} query - Search query
+   * @returns {Promise<Object>} - Search results
+   */
+  async search(query) {
+    await this.page.goto('https://www.google.com').catch(error => {
+      throw toNavigationError(error);
+    });
+    await this.page.act(`Search for "${query}"`);
+
+    const results = await this.page.extract({
+      instruction: "Extract the search results with titles and URLs",
+      schema: z.object({
+        results: z.array(z.object({
+          title: z.string(),
+          url: z.string().url().optional(),
+          snippet: z.string().optional(),
+        })),
+      }),
+    });
+
+    return {
+      success: true,
+      query,
+      results: results.results
+    };
+  }
+
+  /**
+   * Click on an element using natural language description
+   * @param {string} selector - Natural language description of the element
+   * @returns {Promise<Object>} - Result of the action
+   */
+  async click(selector) {
+    await this.page.act(`Click on ${selector}`);
+
+    return {
+      success: true,
+      action: 'click',
+      target: selector,
+      currentUrl: await this.page.url()
+    };
+  }
+
+  /**
+   * Type text into an element
+   * @param {string} selector - Natural language description of the element
+   * @param {string} text - Text to type
+   * @returns {Promise<Object>} - Result of the action
+   */
+  async type(selector, text) {
+    await this.page.act(`Type "${text}" into ${selector}`);
+
+    return {
+      success: true,
+      action: 'type',
+      target: selector,
+      text
+    };
+  }
+
+  /**
+   * Take a screenshot of the current page
+   * @param {Object} options - Screenshot options
+   * @returns {Promise<Buffer>} - Screenshot buffer
+   */
+  async screenshot(options) {
+    return await this.page.screenshot({
+      encoding: 'binary',
+      ...options
+    });
+  }
+
+  /**
+   * Get the HTML content of the current page
+   * @returns {Promise<string>} - HTML content
+   */
+  async getHtml() {
+    return await this.page.content();
+  }
+
+  /**
+   * Extract structured data from the current page
+   * @param {Object} options - Extraction options
+   * @returns {Promise<Object>} - Extracted data
+   */
+  async extractData(options) {
+    const { instruction, schema } = options;
+
+    return await this.page.extract({
+      instruction,
+      // Tool calls deliver schemas as JSON schema; Stagehand expects zod
+      schema: schema ? jsonSchemaToZod(schema) : undefined
+    });
+  }
+
+  /**
+   * Get available actions on the current page
+   * @param {string} query - Query about possible actions
+   * @returns {Promise<Object>} - Available actions
+   */
+  async observe(query) {
+    return await this.page.observe(query);
+  }
+
+  /**
+   * Get the state of the current page
+   * @returns {Promise<Object>} - { url, title }
+   */
+  async getPageInfo() {
+    return {
+      url: await this.page.url(),
+      title: await this.page.title()
+    };
+  }
+
+  /**
+   * Get the cookies of the browser context
+   * @returns {Promise<Array<Object>>} - Cookies
+   */
+  async getCookies() {
+    return this.stagehand.context.cookies();
+  }
+
+  /**
+   * Add cookies to the browser context
+   * @param {Array<Object>} cookies - Cookies
+   * @returns {Promise<void>}
+   */
+  async setCookies(cookies) {
+    await this.stagehand.context.addCookies(cookies);
+  }
+
+  /**
+   * Close the Browserbase session
+   * @returns {Promise<void>}
+   */
+  async close() {
+    if (this.stagehand) {
+      await this.stagehand.close();
+      this.stagehand = null;
+      this.page = null;
+    }
+  }
+}
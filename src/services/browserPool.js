@@ -0,0 +1,131 @@
+/**
+ * Browser pool service
+ * Gives every owner (agent session) its own isolated BrowserAutomation instance,
+ * so cookies, storage, tabs and the current URL are never shared between sessions
+ */
+
+import { BrowserAutomation } from './browserAutomation.js';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+export class BrowserPool {
+  constructor(config = {}) {
+    this.config = {
+      maxBrowsers: config.maxBrowsers || parseInt(process.env.MAX_BROWSERS, 10) || 5,
+      browserConfig: config.browserConfig || {},
+      ...config
+    };
+
+    // Allows tests and alternative backends to supply their own browser instances
+    this.createBrowser = config.createBrowser || (() => new BrowserAutomation(this.config.browserConfig));
+
+    // ownerId -> { browser, ready, createdAt, lastUsedAt }
+    this.entries = new Map();
+  }
+
+  /**
+   * Get the initialized browser for an owner, launching one if needed
+   * @param {string} ownerId - Owner (session) ID
+   * @returns {Promise<BrowserAutomation>} - Initialized browser
+   * @throws {Error} If the pool limit has been reached
+   */
+  async acquire(ownerId) {
+    if (!ownerId) {
+      throw new Error('Owner ID is required to acquire a browser');
+    }
+
+    let entry = this.entries.get(ownerId);
+
+    if (!entry) {
+      if (this.entries.size >= this.config.maxBrowsers) {
+        throw new Error(`Browser pool limit reached (${this.config.maxBrowsers} concurrent browsers). Close a session and try again.`);
+      }
+
+      const browser = this.createBrowser();
+      entry = {
+        browser,
+        ready: browser.initialize(),
+        createdAt: Date.now(),
+        lastUsedAt: Date.now()
+      };
+      this.entries.set(ownerId, entry);
+
+      // Free the slot if the browser fails to launch
+      entry.ready.catch(() => {
+        if (this.entries.get(ownerId) === entry) {
+          this.entries.delete(ownerId);
+        }
+      });
+    }
+
+    await entry.ready;
+    entry.lastUsedAt = Date.now();
+
+    return entry.browser;
+  }
+
+  /**
+   * Check whether an owner has a browser
+   * @param {string} ownerId - Owner (session) ID
+   * @returns {boolean} - True if a browser exists for the owner
+   */
+  has(ownerId) {
+    return this.entries.has(ownerId);
+  }
+
+  /**
+   * Get information about an owner's browser
+   * @param {string} ownerId - Owner (session) ID
+   * @returns {Promise<Object|null>} - Browser information, or null if none exists
+   */
+  async getInfo(ownerId) {
+    const entry = this.entries.get(ownerId);
+    if (!entry) {
+      return null;
+    }
+
+    return {
+      createdAt: new Date(entry.createdAt).toISOString(),
+      lastUsedAt: new Date(entry.lastUsedAt).toISOString(),
+      ...(await entry.browser.getPageInfo().catch(() => ({ initialized: false })))
+    };
+  }
+
+  /**
+   * Close and remove an owner's browser
+   * @param {string} ownerId - Owner (session) ID
+   * @returns {Promise<void>}
+   */
+  async release(ownerId) {
+    const entry = this.entries.get(ownerId);
+    if (!entry) {
+      return;
+    }
+
+    this.entries.delete(ownerId);
+
+    try {
+      await entry.ready;
+      await entry.browser.close();
+    } catch (error) {
+      console.error(`Error closing browser for ${ownerId}:`, error);
+    }
+  }
+
+  /**
+   * Close every browser in the pool
+   * @returns {Promise<void>}
+   */
+  async closeAll() {
+    await Promise.all([...this.entries.keys()].map(ownerId => this.release(ownerId)));
+  }
+
+  /**
+   * Number of browsers currently in the pool
+   * @returns {number} - Browser count
+   */
+  get size() {
+    return this.entries.size;
+  }
+}
@@ -3,25 +3,36 @@
  * Specifically designed to work with Fireworks DeepSeek R1 model
  */
 
+import { ModelRouter } from '../agent/modelRouter.js';
 import dotenv from 'dotenv';
 
 dotenv.config();
 
 export class DocumentInliner {
-  constructor(fireworksClient) {
+  /**
+   * @param {FireworksClient} fireworksClient - Client used to inline documents
+   * @param {Object} [options] - Inliner options
+   * @param {Object} [options.llmClient] - Client for the analysis completions (defaults to the Fireworks client)
+   * @param {ModelRouter} [options.modelRouter] - Router providing the "document" route
+   */
+  constructor(fireworksClient, options = {}) {
     if (!fireworksClient) {
       throw new Error('FireworksClient is required for DocumentInliner');
     }
     this.fireworksClient = fireworksClient;
+    this.llmClient = options.llmClient || fireworksClient;
+    this.modelRouter = options.modelRouter || new ModelRouter();
   }
 
   /**
    * Analyze a document or image with DeepSeek R1
    * @param {Buffer|string} document - Document buffer or URL
    * @param {string} question - Question to answer about the document
+   * @param {Object} [options] - Request options
+   * @param {AbortSignal} [options.signal] - Aborts the request
    * @returns {Promise<string>} - AI analysis
    */
-  async analyzeDocument(document, question) {
+  async analyzeDocument(document, question, { signal } = {}) {
     if (!document) {
       throw new Error('Document is required for analysis');
     }
@@ -33,17 +44,16 @@ export class DocumentInliner {
       // Build the prompt
       const prompt = `Analyze this document and answer the following question: ${question}\n\n${documentReference}`;
       
-      // Get completion from Fireworks AI
-      const response = await this.fireworksClient.createChatCompletion({
+      // Get completion from the document model
+      const response = await this.llmClient.createChatCompletion({
+        ...this.getCompletionOptions(),
+        signal,
         messages: [
           {
             role: "user",
             content: prompt
           }
-        ],
-        max_tokens: 4096,
-        temperature: 0.2,
-        reasoning_effort: "high"
+        ]
       });
       
       if (response.choices && response.choices.length > 0) {
@@ -61,9 +71,11 @@ export class DocumentInliner {
    * Analyze multiple documents or images with DeepSeek R1
    * @param {Array<Buffer|string>} documents - Array of document buffers or URLs
    * @param {string} question - Question to answer about the documents
+   * @param {Object} [options] - Request options
+   * @param {AbortSignal} [options.signal] - Aborts the request
    * @returns {Promise<string>} - AI analysis
    */
-  async analyzeMultipleDocuments(documents, question) {
+  async analyzeMultipleDocuments(documents, question, { signal } = {}) {
     if (!Array.isArray(documents) || documents.length === 0) {
       throw new Error('At least one document is required for multi-document analysis');
     }
@@ -75,17 +87,16 @@ export class DocumentInliner {
       // Build the prompt with all documents
       const prompt = `Analyze these documents and answer the following question: ${question}\n\n${documentReferences.join('\n\n')}`;
       
-      // Get completion from Fireworks AI
-      const response = await this.fireworksClient.createChatCompletion({
+      // Get completion from the document model
+      const response = await this.llmClient.createChatCompletion({
+        ...this.getCompletionOptions(),
+        signal,
         messages: [
           {
             role: "user",
             content: prompt
           }
-        ],
-        max_tokens: 4096,
-        temperature: 0.2,
-        reasoning_effort: "high"
+        ]
       });
       
       if (response.choices && response.choices.length > 0) {
@@ -104,9 +115,11 @@ export class DocumentInliner {
    * @param {Buffer|string} documentA - First document buffer or URL
    * @param {Buffer|string} documentB - Second document buffer or URL
    * @param {string} question - Question about the comparison
+   * @param {Object} [options] - Request options
+   * @param {AbortSignal} [options.signal] - Aborts the request
    * @returns {Promise<string>} - AI analysis
    */
-  async compareDocuments(documentA, documentB, question) {
+  async compareDocuments(documentA, documentB, question, { signal } = {}) {
     if (!documentA || !documentB) {
       throw new Error('Both documents are required for comparison');
     }
@@ -121,17 +134,16 @@ export class DocumentInliner {
                     `Document A:\n${documentAReference}\n\n` +
                     `Document B:\n${documentBReference}`;
       
-      // Get completion from Fireworks AI
-      const response = await this.fireworksClient.createChatCompletion({
+      // Get completion from the document model
+      const response = await this.llmClient.createChatCompletion({
+        ...this.getCompletionOptions(),
+        signal,
         messages: [
           {
             role: "user",
             content: prompt
           }
-        ],
-        max_tokens: 4096,
-        temperature: 0.2,
-        reasoning_effort: "high"
+        ]
       });
       
       if (response.choices && response.choices.length > 0) {
@@ -145,6 +157,20 @@ export class DocumentInliner {
     }
   }
 
+  /**
+   * Get the provider, model and parameters of the "document" route
+   * @returns {Object} - Completion options
+   */
+  getCompletionOptions() {
+    const options = this.modelRouter.resolve('document');
+
+    // A bare Fireworks client does not take a provider
+    if (this.llmClient === this.fireworksClient) {
+      delete options.provider;
+    }
+    return options;
+  }
+
   /**
    * Prepare document reference for inlining
    * @param {Buffer|string} document - Document buffer or URL
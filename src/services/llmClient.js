@@ -0,0 +1,119 @@
+/**
+ * LLM client
+ * Routes chat completions to a pluggable provider:
+ * - "fireworks": Fireworks AI (DeepSeek R1 by default)
+ * - "openai-compatible": any OpenAI-compatible server (vLLM, llama.cpp server, Ollama, ...)
+ * - "mock": canned completions for demos and tests
+ * Requests may pick a provider and model; otherwise the client's defaults are used
+ */
+
+import { FireworksClient, USE_MOCK } from './fireworksClient.js';
+import { OpenAICompatibleProvider } from './llmProviders/openAICompatibleProvider.js';
+import { MockProvider } from './llmProviders/mockProvider.js';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const PROVIDERS = {
+  fireworks: FireworksClient,
+  'openai-compatible': OpenAICompatibleProvider,
+  mock: MockProvider
+};
+
+export const LLM_PROVIDERS = Object.keys(PROVIDERS);
+
+export class LLMClient {
+  /**
+   * @param {Object} config - Client configuration
+   * @param {string} [config.provider] - Default provider
+   * @param {string} [config.model] - Default model (overrides the provider's own default)
+   * @param {Object} [config.providers] - Per-provider configuration, keyed by provider name
+   */
+  constructor(config = {}) {
+    this.defaultProvider = config.provider || process.env.LLM_PROVIDER || (USE_MOCK ? 'mock' : 'fireworks');
+    this.defaultModel = config.model || null;
+    this.providerConfig = config.providers || {};
+    this.providers = new Map();
+
+    // Fail at startup rather than on the first request
+    this.getProvider(this.defaultProvider);
+  }
+
+  /**
+   * Get a provider, creating it on first use
+   * @param {string} [name] - Provider name (defaults to the client's provider)
+   * @returns {Object} - Provider instance
+   * @throws {Error} If the provider is unknown or misconfigured
+   */
+  getProvider(name = this.defaultProvider) {
+    if (!this.providers.has(name)) {
+      const Provider = PROVIDERS[name];
+      if (!Provider) {
+        throw new Error(`Unknown LLM provider "${name}". Expected one of: ${LLM_PROVIDERS.join(', ')}`);
+      }
+
+      this.providers.set(name, new Provider(this.providerConfig[name] || {}));
+    }
+
+    return this.providers.get(name);
+  }
+
+  /**
+   * Resolve the provider and model a request will use
+   * @param {Object} [selection] - Requested provider and model
+   * @param {string} [selection.provider] - Provider name
+   * @param {string} [selection.model] - Model name
+   * @returns {Object} - { provider, model }
+   */
+  resolve({ provider, model } = {}) {
+    const name = provider || this.defaultProvider;
+    // The client's default model only applies to its default provider
+    const defaultModel = name === this.defaultProvider ? this.defaultModel : null;
+
+    return {
+      provider: name,
+      model: model || defaultModel || this.getProvider(name).model || null
+    };
+  }
+
+  /**
+   * Get chat completions
+   * @param {Object} options - Chat completion options
+   * @param {string} [options.provider] - Provider to use (not sent to the API)
+   * @returns {Promise<Object>} - Chat completion response
+   */
+  async createChatCompletion({ provider, ...options }) {
+    const selection = this.resolve({ provider, model: options.model });
+
+    return this.getProvider(selection.provider).createChatCompletion({ ...options, model: selection.model });
+  }
+
+  /**
+   * Get chat completions with streaming
+   * @param {Object} options - Chat completion options
+   * @param {string} [options.provider] - Provider to use (not sent to the API)
+   * @returns {AsyncGenerator} - Generator yielding response chunks
+   */
+  async *createChatCompletionStream({ provider, ...options }) {
+    const selection = this.resolve({ provider, model: options.model });
+
+    yield* this.getProvider(selection.provider).createChatCompletionStream({ ...options, model: selection.model });
+  }
+
+  /**
+   * Get request metrics of the providers in use
+   * @returns {Object} - { provider, providers: { [name]: metrics } }
+   */
+  getMetrics() {
+    const providers = {};
+    for (const [name, provider] of this.providers) {
+      providers[name] = provider.getMetrics();
+    }
+
+    return {
+      provider: this.defaultProvider,
+      model: this.resolve().model,
+      providers
+    };
+  }
+}
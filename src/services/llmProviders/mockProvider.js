@@ -0,0 +1,251 @@
+/**
+ * Mock chat completions provider
+ * Answers with canned tool calls based on keywords in the instruction, for demos and tests
+ */
+
+export class MockProvider {
+  constructor(config = {}) {
+    this.name = 'Mock';
+    this.model = config.model || 'mock';
+  }
+
+  /**
+   * Get a mock chat completion
+   * @param {Object} options - Chat completion options
+   * @param {AbortSignal} [options.signal] - Aborts the request
+   * @returns {Promise<Object>} - Chat completion response
+   */
+  async createChatCompletion({ signal, ...options }) {
+    signal?.throwIfAborted();
+    return this.generateMockCompletion(options);
+  }
+
+  /**
+   * Get a mock chat completion with streaming
+   * @param {Object} options - Chat completion options
+   * @param {AbortSignal} [options.signal] - Stops the simulated stream
+   * @returns {AsyncGenerator} - Generator yielding response chunks
+   */
+  async *createChatCompletionStream({ signal, ...options }) {
+    yield* this.generateMockCompletionStream(options, signal);
+  }
+
+  /**
+   * Generate a mock completion response for demo purposes
+   * @param {Object} options - Chat completion options
+   * @returns {Object} - Mock completion response
+   */
+  generateMockCompletion(options) {
+    // Extract the latest user message
+    const userMessage = options.messages.find(m => m.role === 'user')?.content || '';
+    
+    // Generate response based on user message content
+    let responseContent = '';
+    const lastMessage = options.messages[options.messages.length - 1];
+    
+    if (lastMessage?.role === 'user' && /\bplan\b/i.test(lastMessage.content) && /numbered list/i.test(lastMessage.content)) {
+      // Planning requests get a plan instead of an action
+      responseContent = `1. Search the web for the requested information
+2. Open the most relevant result
+3. Summarize the findings`;
+    } else if (userMessage.toLowerCase().includes('search')) {
+      responseContent = `Thought: I need to search for information on the web.
+Action: browser.search(query="artificial intelligence news")`;
+    } else if (userMessage.toLowerCase().includes('navigate') || userMessage.toLowerCase().includes('go to')) {
+      responseContent = `Thought: I need to navigate to a specific website.
+Action: browser.open(url="https://www.example.com")`;
+    } else if (userMessage.toLowerCase().includes('click')) {
+      responseContent = `Thought: I need to click on an element on the page.
+Action: browser.click(selector="Sign in button")`;
+    } else if (userMessage.toLowerCase().includes('type') || userMessage.toLowerCase().includes('enter')) {
+      responseContent = `Thought: I need to enter some text into a field.
+Action: browser.type(selector="Email field", text="example@example.com")`;
+    } else if (userMessage.toLowerCase().includes('screenshot')) {
+      responseContent = `Thought: I need to take a screenshot of the current page.
+Action: browser.screenshot()`;
+    } else {
+      responseContent = `Thought: I need to understand what the user wants me to do.
+I think the user is asking me to perform a web task. Let me break it down into steps.
+
+First, I'll need to search for some information.
+Action: browser.search(query="example search query")`;
+    }
+    
+    // When tools are provided, answer with a structured tool call like a function-calling model would
+    const toolCalls = this.buildMockToolCalls(responseContent, options.tools);
+    const message = toolCalls ? {
+      role: 'assistant',
+      content: responseContent.replace(/\nAction:.*$/s, ''),
+      tool_calls: toolCalls
+    } : {
+      role: 'assistant',
+      content: responseContent
+    };
+    
+    return {
+      id: 'mock-completion-' + Date.now(),
+      object: 'chat.completion',
+      created: Math.floor(Date.now() / 1000),
+      model: options.model || this.model,
+      choices: [
+        {
+          index: 0,
+          message,
+          finish_reason: toolCalls ? 'tool_calls' : 'stop'
+        }
+      ],
+      usage: {
+        prompt_tokens: 100,
+        completion_tokens: Math.ceil(responseContent.length / 4), // Rough approximation
+        total_tokens: 100 + Math.ceil(responseContent.length / 4)
+      }
+    };
+  }
+
+  /**
+   * Generate a mock streaming completion for demo purposes
+   * @param {Object} options - Chat completion options
+   * @param {AbortSignal} [signal] - Stops the simulated stream
+   * @returns {AsyncGenerator} - Generator yielding mock response chunks
+   */
+  async *generateMockCompletionStream(options, signal) {
+    // Extract the latest user message
+    const userMessage = options.messages.find(m => m.role === 'user')?.content || '';
+    
+    // Generate response based on user message content
+    let responseContent = '';
+    
+    if (userMessage.toLowerCase().includes('search')) {
+      responseContent = `Thought: I need to search for information on the web.
+Action: browser.search(query="artificial intelligence news")`;
+    } else if (userMessage.toLowerCase().includes('navigate') || userMessage.toLowerCase().includes('go to')) {
+      responseContent = `Thought: I need to navigate to a specific website.
+Action: browser.open(url="https://www.example.com")`;
+    } else if (userMessage.toLowerCase().includes('click')) {
+      responseContent = `Thought: I need to click on an element on the page.
+Action: browser.click(selector="Sign in button")`;
+    } else if (userMessage.toLowerCase().includes('type') || userMessage.toLowerCase().includes('enter')) {
+      responseContent = `Thought: I need to enter some text into a field.
+Action: browser.type(selector="Email field", text="example@example.com")`;
+    } else if (userMessage.toLowerCase().includes('screenshot')) {
+      responseContent = `Thought: I need to take a screenshot of the current page.
+Action: browser.screenshot()`;
+    } else {
+      responseContent = `Thought: I need to understand what the user wants me to do.
+I think the user is asking me to perform a web task. Let me break it down into steps.
+
+First, I'll need to search for some information.
+Action: browser.search(query="example search query")`;
+    }
+    
+    // When tools are provided, stream the tool call as structured deltas instead of an Action line
+    const toolCalls = this.buildMockToolCalls(responseContent, options.tools);
+    if (toolCalls) {
+      responseContent = responseContent.replace(/\nAction:.*$/s, '');
+    }
+    
+    // Split response into chunks for streaming simulation
+    const chunks = responseContent.split(/(?<=\n)/);
+    
+    for (let i = 0; i < chunks.length; i++) {
+      // Simulate network delay
+      await new Promise(resolve => setTimeout(resolve, 100));
+      signal?.throwIfAborted();
+      
+      yield {
+        id: 'mock-stream-' + Date.now(),
+        object: 'chat.completion.chunk',
+        created: Math.floor(Date.now() / 1000),
+        model: options.model || this.model,
+        choices: [
+          {
+            index: 0,
+            delta: {
+              role: i === 0 ? 'assistant' : undefined,
+              content: chunks[i]
+            },
+            finish_reason: i === chunks.length - 1 && !toolCalls ? 'stop' : null
+          }
+        ]
+      };
+    }
+    
+    if (toolCalls) {
+      yield {
+        id: 'mock-stream-' + Date.now(),
+        object: 'chat.completion.chunk',
+        created: Math.floor(Date.now() / 1000),
+        model: options.model || this.model,
+        choices: [
+          {
+            index: 0,
+            delta: {
+              tool_calls: toolCalls.map((toolCall, index) => ({ index, ...toolCall }))
+            },
+            finish_reason: 'tool_calls'
+          }
+        ]
+      };
+    }
+    
+    // Like the real APIs, report usage in a final chunk without choices
+    yield {
+      id: 'mock-stream-' + Date.now(),
+      object: 'chat.completion.chunk',
+      created: Math.floor(Date.now() / 1000),
+      model: options.model || this.model,
+      choices: [],
+      usage: {
+        prompt_tokens: 100,
+        completion_tokens: Math.ceil(responseContent.length / 4),
+        total_tokens: 100 + Math.ceil(responseContent.length / 4)
+      }
+    };
+  }
+
+  /**
+   * Convert the Action line of a mock response into structured tool calls
+   * @param {string} content - Mock response content
+   * @param {Array<Object>} tools - Tool definitions from the request
+   * @returns {Array<Object>|null} - Tool calls, or null if tools were not requested
+   */
+  buildMockToolCalls(content, tools) {
+    if (!Array.isArray(tools) || tools.length === 0) {
+      return null;
+    }
+    
+    const actionMatch = content.match(/Action:\s*([\w.]+)\(([^)]*)\)/);
+    if (!actionMatch) {
+      return null;
+    }
+    
+    const functionName = actionMatch[1].replace(/[^a-zA-Z0-9_-]/g, '_');
+    if (!tools.some(tool => tool.function?.name === functionName)) {
+      return null;
+    }
+    
+    const args = {};
+    for (const match of actionMatch[2].matchAll(/(\w+)="((?:[^"\\]|\\.)*)"/g)) {
+      args[match[1]] = match[2];
+    }
+    
+    return [
+      {
+        id: 'mock-call-' + Math.random().toString(36).substring(2, 9),
+        type: 'function',
+        function: {
+          name: functionName,
+          arguments: JSON.stringify(args)
+        }
+      }
+    ];
+  }
+
+  /**
+   * Get request metrics (the mock makes no requests)
+   * @returns {null}
+   */
+  getMetrics() {
+    return null;
+  }
+}
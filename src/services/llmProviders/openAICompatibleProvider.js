@@ -0,0 +1,463 @@
+/**
+ * OpenAI-compatible chat completions provider
+ * Works with any server implementing POST /chat/completions (Fireworks, vLLM, llama.cpp server, Ollama, ...)
+ * Adds per-attempt timeouts, retries with backoff, a circuit breaker and incremental SSE streaming
+ */
+
+import fetch from 'node-fetch';
+
+// Rate limits and server errors are worth retrying; other client errors are not
+const RETRYABLE_STATUSES = new Set([408, 429, 500, 502, 503, 504]);
+
+/**
+ * Wait for a delay unless the signal aborts first
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} [signal] - Cancellation signal
+ * @returns {Promise<void>}
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+export class OpenAICompatibleProvider {
+  /**
+   * @param {Object} config - Provider configuration
+   * @param {string} config.baseUrl - API base URL (e.g. "http://localhost:11434/v1")
+   * @param {string} [config.apiKey] - API key, sent as a bearer token when set
+   * @param {string} [config.model] - Default model
+   * @param {string} [config.name] - Name used in errors and logs
+   * @param {Object} [config.defaultParams] - Parameters added to every request
+   * @param {string} [config.envPrefix] - Prefix of the environment variables for timeouts and retries
+   */
+  constructor(config = {}) {
+    const envPrefix = config.envPrefix || 'LLM';
+    const env = (name) => parseInt(process.env[`${envPrefix}_${name}`], 10);
+
+    this.name = config.name || 'OpenAI-compatible';
+    this.apiKey = config.apiKey || process.env.LLM_API_KEY;
+    this.baseUrl = (config.baseUrl || process.env.LLM_BASE_URL || '').replace(/\/+$/, '');
+    this.model = config.model || process.env.LLM_MODEL;
+    this.defaultParams = config.defaultParams || {
+      max_tokens: 4096,
+      temperature: 0.2
+    };
+
+    if (!this.baseUrl) {
+      throw new Error(`The ${this.name} provider requires a base URL (set LLM_BASE_URL, e.g. http://localhost:11434/v1 for Ollama)`);
+    }
+
+    this.retryConfig = {
+      // Per-attempt timeout; for streams it covers the time until the response starts
+      timeout: config.timeout || env('TIMEOUT_MS') || 60000,
+      maxRetries: config.maxRetries ?? (env('MAX_RETRIES') || 3),
+      baseDelay: config.retryBaseDelay || env('RETRY_BASE_MS') || 500,
+      maxDelay: config.retryMaxDelay || env('RETRY_MAX_MS') || 20000,
+      // Consecutive failed requests before the circuit opens, and how long it stays open
+      circuitThreshold: config.circuitThreshold || env('CIRCUIT_THRESHOLD') || 5,
+      circuitCooldown: config.circuitCooldown || env('CIRCUIT_COOLDOWN_MS') || 30000
+    };
+
+    this.circuit = {
+      state: 'closed',
+      consecutiveFailures: 0,
+      openedAt: null,
+      trialInFlight: false
+    };
+
+    this.metrics = {
+      requests: 0,
+      successes: 0,
+      failures: 0,
+      retries: 0,
+      timeouts: 0,
+      circuitOpens: 0,
+      circuitRejections: 0,
+      lastError: null
+    };
+  }
+
+  /**
+   * Build the request body from the caller's options and the provider defaults
+   * @param {Object} options - Chat completion options
+   * @returns {Object} - Request body
+   * @throws {Error} If no model is configured
+   */
+  buildRequestBody(options) {
+    const body = {
+      model: this.model,
+      ...this.defaultParams,
+      ...options
+    };
+
+    if (!body.model) {
+      throw new Error(`No model configured for the ${this.name} provider (set LLM_MODEL or pass a model)`);
+    }
+
+    return body;
+  }
+
+  /**
+   * Get the authentication headers (local servers usually need none)
+   * @returns {Object} - Headers
+   */
+  getAuthHeaders() {
+    return this.apiKey ? { 'Authorization': `Bearer ${this.apiKey}` } : {};
+  }
+
+  /**
+   * Get chat completions
+   * @param {Object} options - Chat completion options
+   * @param {AbortSignal} [options.signal] - Aborts the request (not sent to the API)
+   * @returns {Promise<Object>} - Chat completion response
+   */
+  async createChatCompletion({ signal, ...options }) {
+    try {
+      return await this.requestWithRetry(this.buildRequestBody(options), {
+        signal,
+        read: response => response.json()
+      });
+    } catch (error) {
+      console.error(`Error calling ${this.name} API:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get chat completions with streaming
+   * @param {Object} options - Chat completion options
+   * @param {AbortSignal} [options.signal] - Aborts the request (not sent to the API)
+   * @returns {AsyncGenerator} - Generator yielding response chunks
+   */
+  async *createChatCompletionStream({ signal, ...options }) {
+    try {
+      // Retries only happen before the stream starts; a stream that fails midway is not replayed
+      // Ask for a final usage chunk (servers that report usage by default ignore this)
+      const body = this.buildRequestBody({ stream_options: { include_usage: true }, ...options, stream: true });
+      const response = await this.requestWithRetry(body, {
+        signal,
+        read: response => response
+      });
+
+      // Parse events as the bytes arrive so chunks reach the caller while the model is still generating
+      for await (const event of this.parseEventStream(response.body)) {
+        if (event.data === '[DONE]') {
+          return;
+        }
+
+        let parsed;
+        try {
+          parsed = JSON.parse(event.data);
+        } catch (e) {
+          if (event.event === 'error') {
+            throw new Error(`${this.name} API error: ${event.data}`);
+          }
+          console.warn('Error parsing streaming data:', e);
+          continue;
+        }
+
+        if (event.event === 'error' || parsed.error) {
+          const error = parsed.error || parsed;
+          throw new Error(`${this.name} API error: ${error.message || JSON.stringify(error)}`);
+        }
+
+        yield parsed;
+      }
+    } catch (error) {
+      console.error(`Error streaming from ${this.name} API:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Send a chat completion request with timeouts, retries and the circuit breaker
+   * Network errors, timeouts, 429 and 5xx responses are retried with exponential backoff and
+   * jitter (or after the server's Retry-After); other errors fail immediately
+   * @param {Object} body - Request body
+   * @param {Object} options - Request options
+   * @param {AbortSignal} [options.signal] - Aborts the request and any pending retry
+   * @param {Function} options.read - (response) => result, run within the attempt's timeout
+   * @returns {Promise<*>} - Result of `read`
+   * @throws {Error} If the request fails after all retries or the circuit is open
+   */
+  async requestWithRetry(body, options) {
+    const trial = this.checkCircuit();
+    this.metrics.requests++;
+
+    try {
+      return await this.sendWithRetries(body, options);
+    } finally {
+      // A trial that ended without settling the circuit (aborted, or a non-retryable error) lets the next request try
+      if (trial) {
+        this.circuit.trialInFlight = false;
+      }
+    }
+  }
+
+  /**
+   * Send a request, retrying transient failures (see requestWithRetry)
+   * @param {Object} body - Request body
+   * @param {Object} options - Request options
+   * @param {AbortSignal} [options.signal] - Aborts the request and any pending retry
+   * @param {Function} options.read - (response) => result, run within the attempt's timeout
+   * @returns {Promise<*>} - Result of `read`
+   * @throws {Error} If the request fails after all retries
+   */
+  async sendWithRetries(body, { signal, read }) {
+    const { maxRetries, timeout } = this.retryConfig;
+
+    for (let attempt = 0; ; attempt++) {
+      // Each attempt gets its own timeout, linked to the caller's signal
+      const controller = new AbortController();
+      const onAbort = () => controller.abort(signal.reason);
+      signal?.addEventListener('abort', onAbort, { once: true });
+      let timedOut = false;
+      const timer = setTimeout(() => {
+        timedOut = true;
+        controller.abort();
+      }, timeout);
+
+      let retryable = false;
+      let retryAfter = null;
+      let error;
+
+      try {
+        const response = await fetch(`${this.baseUrl}/chat/completions`, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            ...this.getAuthHeaders()
+          },
+          body: JSON.stringify(body),
+          signal: controller.signal
+        });
+
+        if (response.ok) {
+          const result = await read(response);
+          this.recordSuccess();
+          return result;
+        }
+
+        retryable = RETRYABLE_STATUSES.has(response.status);
+        retryAfter = response.headers.get('retry-after');
+        error = new Error(`${this.name} API error (${response.status}): ${await this.readErrorMessage(response)}`);
+        error.status = response.status;
+      } catch (fetchError) {
+        if (signal?.aborted) {
+          signal.removeEventListener('abort', onAbort);
+          throw fetchError;
+        }
+
+        retryable = true;
+        if (timedOut) {
+          this.metrics.timeouts++;
+          error = new Error(`${this.name} API request timed out after ${timeout}ms`);
+        } else {
+          error = new Error(`${this.name} API request failed: ${fetchError.message}`);
+        }
+      } finally {
+        clearTimeout(timer);
+      }
+      // Kept after a success: a streamed body still reads through this attempt's controller
+      signal?.removeEventListener('abort', onAbort);
+
+      if (!retryable || attempt >= maxRetries) {
+        this.recordFailure(error, retryable);
+        if (retryable && attempt > 0) {
+          error.message += ` (after ${attempt + 1} attempts)`;
+        }
+        throw error;
+      }
+
+      const delay = this.getRetryDelay(attempt, retryAfter);
+      this.metrics.retries++;
+      console.warn(`${error.message}; retrying in ${delay}ms (attempt ${attempt + 2} of ${maxRetries + 1})`);
+      await sleep(delay, signal);
+    }
+  }
+
+  /**
+   * Compute the delay before the next attempt
+   * @param {number} attempt - Index of the attempt that just failed (0-based)
+   * @param {string|null} retryAfter - Retry-After header (seconds or HTTP date)
+   * @returns {number} - Delay in milliseconds
+   */
+  getRetryDelay(attempt, retryAfter) {
+    const { baseDelay, maxDelay } = this.retryConfig;
+
+    if (retryAfter) {
+      const seconds = Number(retryAfter);
+      const ms = Number.isFinite(seconds) ? seconds * 1000 : Date.parse(retryAfter) - Date.now();
+      if (Number.isFinite(ms)) {
+        return Math.min(Math.max(0, ms), maxDelay);
+      }
+    }
+
+    // Exponential backoff with full jitter
+    return Math.round(Math.random() * Math.min(maxDelay, baseDelay * 2 ** attempt));
+  }
+
+  /**
+   * Fail fast while the circuit is open
+   * After the cooldown a single trial request is let through (half-open); other requests fail fast
+   * until the trial settles the circuit
+   * @returns {boolean} - Whether the request is the trial
+   * @throws {Error} If the circuit is open or a trial request is in flight
+   */
+  checkCircuit() {
+    const { state, openedAt, consecutiveFailures, trialInFlight } = this.circuit;
+    if (state === 'closed') {
+      return false;
+    }
+
+    if (state === 'open') {
+      const remaining = openedAt + this.retryConfig.circuitCooldown - Date.now();
+      if (remaining > 0) {
+        this.metrics.circuitRejections++;
+        throw new Error(`${this.name} API is unavailable: ${consecutiveFailures} consecutive requests failed (last error: ${this.metrics.lastError}). Not retrying for another ${Math.ceil(remaining / 1000)}s.`);
+      }
+      this.circuit.state = 'half-open';
+    } else if (trialInFlight) {
+      this.metrics.circuitRejections++;
+      throw new Error(`${this.name} API is unavailable: ${consecutiveFailures} consecutive requests failed (last error: ${this.metrics.lastError}). A trial request is checking whether it is back.`);
+    }
+
+    this.circuit.trialInFlight = true;
+    return true;
+  }
+
+  /**
+   * Close the circuit after a successful request
+   */
+  recordSuccess() {
+    this.metrics.successes++;
+    this.circuit = {
+      state: 'closed',
+      consecutiveFailures: 0,
+      openedAt: null,
+      trialInFlight: false
+    };
+  }
+
+  /**
+   * Count a failed request and open the circuit when the API looks unavailable
+   * @param {Error} error - Final error of the request
+   * @param {boolean} retryable - Whether the failure was transient (only those count towards the circuit)
+   */
+  recordFailure(error, retryable) {
+    this.metrics.failures++;
+    this.metrics.lastError = error.message;
+
+    if (!retryable) {
+      return;
+    }
+
+    this.circuit.consecutiveFailures++;
+    if (this.circuit.state === 'half-open' || this.circuit.consecutiveFailures >= this.retryConfig.circuitThreshold) {
+      if (this.circuit.state !== 'open') {
+        this.metrics.circuitOpens++;
+      }
+      this.circuit.state = 'open';
+      this.circuit.openedAt = Date.now();
+    }
+  }
+
+  /**
+   * Get request, retry and circuit breaker metrics
+   * @returns {Object} - Metrics
+   */
+  getMetrics() {
+    return {
+      ...this.metrics,
+      circuit: { ...this.circuit }
+    };
+  }
+
+  /**
+   * Parse a server-sent event stream incrementally
+   * Events may be split across network chunks (even inside a UTF-8 character); an event is
+   * complete at the first blank line, and its "data:" lines are joined with newlines
+   * @param {AsyncIterable<Buffer|Uint8Array>} body - Response body
+   * @returns {AsyncGenerator} - Generator yielding { event, data } for every event with data
+   */
+  async *parseEventStream(body) {
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    const parseEvent = (block) => {
+      let event = 'message';
+      const data = [];
+
+      for (const line of block.split(/\r\n|\r|\n/)) {
+        // Lines starting with ":" are comments (often used as keep-alives)
+        if (!line || line.startsWith(':')) {
+          continue;
+        }
+
+        const separator = line.indexOf(':');
+        const field = separator >= 0 ? line.slice(0, separator) : line;
+        const value = separator >= 0 ? line.slice(separator + 1).replace(/^ /, '') : '';
+
+        if (field === 'data') {
+          data.push(value);
+        } else if (field === 'event') {
+          event = value;
+        }
+      }
+
+      return data.length > 0 ? { event, data: data.join('\n') } : null;
+    };
+
+    for await (const chunk of body) {
+      buffer += decoder.decode(chunk, { stream: true });
+
+      let boundary;
+      while ((boundary = buffer.search(/\r?\n\r?\n/)) >= 0) {
+        const block = buffer.slice(0, boundary);
+        buffer = buffer.slice(boundary).replace(/^\r?\n\r?\n/, '');
+
+        const event = parseEvent(block);
+        if (event) {
+          yield event;
+        }
+      }
+    }
+
+    // A final event without a trailing blank line
+    buffer += decoder.decode();
+    const event = parseEvent(buffer);
+    if (event) {
+      yield event;
+    }
+  }
+
+  /**
+   * Read the error message of a failed API response
+   * @param {Response} response - Fetch response
+   * @returns {Promise<string>} - Error message
+   */
+  async readErrorMessage(response) {
+    const text = await response.text().catch(() => '');
+
+    try {
+      const body = JSON.parse(text);
+      return body.error?.message || body.message || (typeof body.error === 'string' && body.error) || response.statusText;
+    } catch (e) {
+      return text || response.statusText;
+    }
+  }
+}
@@ -23,9 +23,11 @@ export class OmniParser {
   /**
    * Parse a screenshot into structured UI elements
    * @param {Buffer} screenshot - The screenshot buffer
+   * @param {Object} [options] - Request options
+   * @param {AbortSignal} [options.signal] - Aborts the request
    * @returns {Promise<Object>} - Structured UI data
    */
-  async parseScreenshot(screenshot) {
+  async parseScreenshot(screenshot, { signal } = {}) {
     if (!Buffer.isBuffer(screenshot)) {
       throw new Error('Screenshot must be a buffer');
     }
@@ -44,7 +46,8 @@ export class OmniParser {
         body: formData,
         headers: {
           'Authorization': `Bearer ${this.config.apiKey}`
-        }
+        },
+        signal
       });
       
       if (!response.ok) {
@@ -0,0 +1,41 @@
+/**
+ * Session store
+ * Persists agent sessions so they survive restarts. Every store implements the same interface
+ * (initialize, save, load, loadAll, delete, close) over plain JSON records:
+ * - "memory": kept in the process only (default)
+ * - "file": one JSON file per session in a directory
+ * - "sqlite": a table in a SQLite database (requires the optional "better-sqlite3" package)
+ */
+
+import { MemorySessionStore } from './sessionStores/memoryStore.js';
+import { FileSessionStore } from './sessionStores/fileStore.js';
+import { SqliteSessionStore } from './sessionStores/sqliteStore.js';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const STORES = {
+  memory: MemorySessionStore,
+  file: FileSessionStore,
+  sqlite: SqliteSessionStore
+};
+
+export const SESSION_STORES = Object.keys(STORES);
+
+/**
+ * Create the configured session store
+ * @param {Object} [config] - Store configuration
+ * @param {string} [config.type] - "memory", "file" or "sqlite" (default SESSION_STORE or "memory")
+ * @param {string} [config.path] - Directory (file) or database file (sqlite) (default SESSION_STORE_PATH)
+ * @returns {Object} - Session store
+ * @throws {Error} If the store type is unknown
+ */
+export function createSessionStore(config = {}) {
+  const type = config.type || process.env.SESSION_STORE || 'memory';
+  const Store = STORES[type];
+  if (!Store) {
+    throw new Error(`Unknown session store "${type}". Expected one of: ${SESSION_STORES.join(', ')}`);
+  }
+
+  return new Store({ path: config.path || process.env.SESSION_STORE_PATH || undefined });
+}
@@ -0,0 +1,105 @@
+/**
+ * File session store
+ * Keeps one JSON file per session in a directory. Files are written to a temporary name and
+ * renamed into place, so a crash mid-write leaves the previous version intact.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+// Session IDs become file names, so anything that could escape the directory is refused
+const SESSION_ID_PATTERN = /^[\w-]+$/;
+
+export class FileSessionStore {
+  /**
+   * @param {Object} [config] - Store configuration
+   * @param {string} [config.path] - Directory of the session files (default data/sessions)
+   */
+  constructor(config = {}) {
+    this.directory = path.resolve(config.path || 'data/sessions');
+  }
+
+  /**
+   * Create the directory if needed
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    await fs.mkdir(this.directory, { recursive: true });
+  }
+
+  /**
+   * Get the file of a session
+   * @param {string} sessionId - Session ID
+   * @returns {string} - File path
+   * @throws {Error} If the session ID is not a valid file name
+   */
+  getFile(sessionId) {
+    if (typeof sessionId !== 'string' || !SESSION_ID_PATTERN.test(sessionId)) {
+      throw new Error(`Invalid session ID "${sessionId}"`);
+    }
+    return path.join(this.directory, `${sessionId}.json`);
+  }
+
+  /**
+   * Insert or replace a session record
+   * @param {Object} record - Session record ({ sessionId, ... })
+   * @returns {Promise<void>}
+   */
+  async save(record) {
+    const file = this.getFile(record.sessionId);
+    const temporary = `${file}.${process.pid}.tmp`;
+    await fs.writeFile(temporary, JSON.stringify(record));
+    await fs.rename(temporary, file);
+  }
+
+  /**
+   * Load a session record
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<Object|null>} - Record, or null if none is stored
+   */
+  async load(sessionId) {
+    try {
+      return JSON.parse(await fs.readFile(this.getFile(sessionId), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Load every stored session record
+   * Unreadable files are skipped so one corrupt session does not block the others
+   * @returns {Promise<Array<Object>>} - Records
+   */
+  async loadAll() {
+    const files = (await fs.readdir(this.directory)).filter(file => file.endsWith('.json'));
+    const records = [];
+
+    for (const file of files) {
+      try {
+        records.push(JSON.parse(await fs.readFile(path.join(this.directory, file), 'utf8')));
+      } catch (error) {
+        console.error(`Error reading session file ${file}:`, error);
+      }
+    }
+
+    return records;
+  }
+
+  /**
+   * Remove a session record
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<void>}
+   */
+  async delete(sessionId) {
+    await fs.rm(this.getFile(sessionId), { force: true });
+  }
+
+  /**
+   * Release the store's resources
+   * @returns {Promise<void>}
+   */
+  async close() {}
+}
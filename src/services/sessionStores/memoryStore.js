@@ -0,0 +1,59 @@
+/**
+ * In-memory session store
+ * Keeps session records for the lifetime of the process only (the default; nothing survives a restart)
+ */
+
+export class MemorySessionStore {
+  constructor() {
+    // sessionId -> serialized record, so callers never share objects with the store
+    this.records = new Map();
+  }
+
+  /**
+   * Prepare the store for use
+   * @returns {Promise<void>}
+   */
+  async initialize() {}
+
+  /**
+   * Insert or replace a session record
+   * @param {Object} record - Session record ({ sessionId, ... })
+   * @returns {Promise<void>}
+   */
+  async save(record) {
+    this.records.set(record.sessionId, JSON.stringify(record));
+  }
+
+  /**
+   * Load a session record
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<Object|null>} - Record, or null if none is stored
+   */
+  async load(sessionId) {
+    const data = this.records.get(sessionId);
+    return data ? JSON.parse(data) : null;
+  }
+
+  /**
+   * Load every stored session record
+   * @returns {Promise<Array<Object>>} - Records
+   */
+  async loadAll() {
+    return [...this.records.values()].map(data => JSON.parse(data));
+  }
+
+  /**
+   * Remove a session record
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<void>}
+   */
+  async delete(sessionId) {
+    this.records.delete(sessionId);
+  }
+
+  /**
+   * Release the store's resources
+   * @returns {Promise<void>}
+   */
+  async close() {}
+}
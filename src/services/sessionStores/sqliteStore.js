@@ -0,0 +1,97 @@
+/**
+ * SQLite session store
+ * Keeps session records in one table of a SQLite database (through the optional "better-sqlite3"
+ * package). Each record is stored as a JSON document next to its update time.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+export class SqliteSessionStore {
+  /**
+   * @param {Object} [config] - Store configuration
+   * @param {string} [config.path] - Database file (default data/sessions.db, ":memory:" for a throwaway database)
+   */
+  constructor(config = {}) {
+    this.file = config.path === ':memory:' ? ':memory:' : path.resolve(config.path || 'data/sessions.db');
+    this.db = null;
+  }
+
+  /**
+   * Open the database and create the sessions table if needed
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    if (this.db) {
+      return;
+    }
+
+    let Database;
+    try {
+      ({ default: Database } = await import('better-sqlite3'));
+    } catch (error) {
+      throw new Error('The sqlite session store requires the "better-sqlite3" package ("npm install better-sqlite3")');
+    }
+
+    if (this.file !== ':memory:') {
+      await fs.mkdir(path.dirname(this.file), { recursive: true });
+    }
+    this.db = new Database(this.file);
+    this.db.pragma('journal_mode = WAL');
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS sessions (
+        session_id TEXT PRIMARY KEY,
+        data TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      )
+    `);
+  }
+
+  /**
+   * Insert or replace a session record
+   * @param {Object} record - Session record ({ sessionId, updatedAt, ... })
+   * @returns {Promise<void>}
+   */
+  async save(record) {
+    this.db.prepare(`
+      INSERT INTO sessions (session_id, data, updated_at) VALUES (?, ?, ?)
+      ON CONFLICT (session_id) DO UPDATE SET data = excluded.data, updated_at = excluded.updated_at
+    `).run(record.sessionId, JSON.stringify(record), record.updatedAt || new Date().toISOString());
+  }
+
+  /**
+   * Load a session record
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<Object|null>} - Record, or null if none is stored
+   */
+  async load(sessionId) {
+    const row = this.db.prepare('SELECT data FROM sessions WHERE session_id = ?').get(sessionId);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  /**
+   * Load every stored session record
+   * @returns {Promise<Array<Object>>} - Records, least recently updated first
+   */
+  async loadAll() {
+    return this.db.prepare('SELECT data FROM sessions ORDER BY updated_at').all().map(row => JSON.parse(row.data));
+  }
+
+  /**
+   * Remove a session record
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<void>}
+   */
+  async delete(sessionId) {
+    this.db.prepare('DELETE FROM sessions WHERE session_id = ?').run(sessionId);
+  }
+
+  /**
+   * Close the database
+   * @returns {Promise<void>}
+   */
+  async close() {
+    this.db?.close();
+    this.db = null;
+  }
+}
@@ -0,0 +1,236 @@
+/**
+ * Webhook notifier
+ * Posts JSON events to client URLs. Every payload is signed with HMAC-SHA256 over
+ * "<timestamp>.<body>" using WEBHOOK_SECRET, sent as:
+ * - X-IntelliBrowse-Event: event type
+ * - X-IntelliBrowse-Timestamp: Unix time in seconds (receivers should reject old timestamps)
+ * - X-IntelliBrowse-Signature: "sha256=<hex digest>"
+ * Network errors, 429 and 5xx responses are retried with exponential backoff.
+ *
+ * Webhook URLs come from API clients, so hosts that resolve to loopback, private, link-local or other
+ * non-public addresses are refused, both when a task is submitted and when each request connects.
+ * WEBHOOK_ALLOWED_HOSTS (comma-separated, "*.example.com" for subdomains) limits webhooks to the listed
+ * hosts instead; listed hosts may be internal. Redirects are not followed.
+ */
+
+import crypto from 'crypto';
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+import fetch from 'node-fetch';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Addresses webhooks may not reach unless their host is allowed explicitly
+const NON_PUBLIC_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+  ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([prefix, bits]) => NON_PUBLIC_ADDRESSES.addSubnet(prefix, bits, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([prefix, bits]) => NON_PUBLIC_ADDRESSES.addSubnet(prefix, bits, 'ipv6'));
+
+/**
+ * Check whether an IP address is loopback, private, link-local or otherwise not public
+ * IPv4-mapped IPv6 addresses are checked as the IPv4 address they map to.
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} - True if webhooks may not be sent to the address
+ */
+export function isNonPublicAddress(address) {
+  return NON_PUBLIC_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * Resolve a host for a connection and refuse non-public addresses
+ * Used as the `lookup` of the agents webhook requests connect through, so the address that was
+ * checked is the one connected to.
+ * @param {string} hostname - Host to resolve
+ * @param {Object} options - dns.lookup options
+ * @param {Function} callback - dns.lookup callback
+ */
+function lookupPublicAddress(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      callback(error);
+      return;
+    }
+    const blocked = addresses.find(({ address }) => isNonPublicAddress(address));
+    if (blocked) {
+      callback(new Error(`Webhook host ${hostname} resolves to a non-public address (${blocked.address})`));
+    } else if (options.all) {
+      callback(null, addresses);
+    } else {
+      callback(null, addresses[0].address, addresses[0].family);
+    }
+  });
+}
+
+const publicAgents = {
+  'http:': new http.Agent({ lookup: lookupPublicAddress }),
+  'https:': new https.Agent({ lookup: lookupPublicAddress })
+};
+
+/**
+ * Sign a webhook payload
+ * @param {string} secret - Shared secret
+ * @param {string|number} timestamp - Value of the X-IntelliBrowse-Timestamp header
+ * @param {string} body - Raw request body
+ * @returns {string} - Value of the X-IntelliBrowse-Signature header
+ */
+export function signWebhookPayload(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+/**
+ * Check the signature of a received webhook (for receivers written in JavaScript)
+ * @param {string} secret - Shared secret
+ * @param {string|number} timestamp - Value of the X-IntelliBrowse-Timestamp header
+ * @param {string} body - Raw request body
+ * @param {string} signature - Value of the X-IntelliBrowse-Signature header
+ * @returns {boolean} - True if the signature matches
+ */
+export function verifyWebhookSignature(secret, timestamp, body, signature) {
+  const expected = Buffer.from(signWebhookPayload(secret, timestamp, body));
+  const received = Buffer.from(String(signature || ''));
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+export class WebhookNotifier {
+  /**
+   * @param {Object} [config] - Notifier configuration
+   * @param {string} [config.secret] - Signing secret (WEBHOOK_SECRET)
+   * @param {number} [config.maxAttempts] - Delivery attempts (WEBHOOK_MAX_ATTEMPTS, default 3)
+   * @param {number} [config.retryDelayMs] - Delay before the first retry, doubled for each further retry (default 1000)
+   * @param {number} [config.timeoutMs] - Timeout of one attempt (WEBHOOK_TIMEOUT_MS, default 10000)
+   * @param {Array<string>} [config.allowedHosts] - Only hosts webhooks may be sent to (WEBHOOK_ALLOWED_HOSTS, default any public host)
+   * @param {Function} [config.fetch] - fetch implementation (defaults to node-fetch)
+   * @param {Function} [config.lookup] - Resolves a host to its addresses: async (hostname) => Array<{ address, family }> (defaults to dns.lookup)
+   */
+  constructor(config = {}) {
+    this.secret = config.secret ?? process.env.WEBHOOK_SECRET ?? null;
+    this.maxAttempts = config.maxAttempts ?? parseInt(process.env.WEBHOOK_MAX_ATTEMPTS ?? '3', 10);
+    this.retryDelayMs = config.retryDelayMs ?? 1000;
+    this.timeoutMs = config.timeoutMs ?? parseInt(process.env.WEBHOOK_TIMEOUT_MS ?? '10000', 10);
+    this.allowedHosts = (config.allowedHosts ?? (process.env.WEBHOOK_ALLOWED_HOSTS || '').split(','))
+      .map(host => host.trim().toLowerCase())
+      .filter(Boolean);
+    this.fetch = config.fetch || fetch;
+    this.lookup = config.lookup || (hostname => dns.promises.lookup(hostname, { all: true }));
+  }
+
+  /**
+   * Check whether a host is on the allowlist
+   * @param {string} hostname - Host of a webhook URL
+   * @returns {boolean} - True if the host is listed, directly or by a "*." pattern
+   */
+  isAllowedHost(hostname) {
+    return this.allowedHosts.some(allowed => allowed.startsWith('*.')
+      ? hostname.endsWith(allowed.substring(1))
+      : hostname === allowed);
+  }
+
+  /**
+   * Check that webhooks can be sent to a URL
+   * @param {string} url - Webhook URL
+   * @returns {Promise<void>}
+   * @throws {Error} If no signing secret is configured, the URL is not http(s), its host is not allowed or
+   * it does not resolve to public addresses only
+   */
+  async validate(url) {
+    if (!this.secret) {
+      throw new Error('Webhooks need WEBHOOK_SECRET to sign their payloads');
+    }
+
+    let protocol, hostname;
+    try {
+      ({ protocol, hostname } = new URL(url));
+    } catch (error) {
+      throw new Error(`Invalid webhook URL "${url}"`);
+    }
+    if (!['http:', 'https:'].includes(protocol)) {
+      throw new Error(`Invalid webhook URL "${url}": only http and https are supported`);
+    }
+
+    // IPv6 hosts keep their brackets in URLs
+    hostname = hostname.replace(/^\[(.*)\]$/, '$1').toLowerCase();
+    if (this.allowedHosts.length > 0) {
+      if (!this.isAllowedHost(hostname)) {
+        throw new Error(`Invalid webhook URL "${url}": ${hostname} is not in WEBHOOK_ALLOWED_HOSTS`);
+      }
+      return;
+    }
+
+    let addresses;
+    try {
+      addresses = net.isIP(hostname) ? [{ address: hostname }] : await this.lookup(hostname);
+    } catch (error) {
+      throw new Error(`Invalid webhook URL "${url}": ${hostname} could not be resolved`);
+    }
+    const blocked = addresses.find(({ address }) => isNonPublicAddress(address));
+    if (blocked) {
+      throw new Error(`Invalid webhook URL "${url}": ${hostname} resolves to a non-public address (${blocked.address})`);
+    }
+  }
+
+  /**
+   * Post a signed event to a URL
+   * @param {string} url - Webhook URL
+   * @param {Object} event - Event ({ type, ... })
+   * @returns {Promise<Object>} - { status: "delivered" | "failed", attempts, responseStatus, error }
+   */
+  async send(url, event) {
+    const body = JSON.stringify(event);
+    let responseStatus = null;
+    let lastError = null;
+
+    // The address may have changed since the task was submitted, so it is checked again on connect
+    try {
+      await this.validate(url);
+    } catch (error) {
+      console.warn(`Webhook to ${url} not sent: ${error.message}`);
+      return { status: 'failed', attempts: 0, responseStatus, error: error.message };
+    }
+    const agent = this.allowedHosts.length > 0 ? undefined : ({ protocol }) => publicAgents[protocol];
+
+    for (let attempt = 1; attempt <= this.maxAttempts; attempt++) {
+      if (attempt > 1) {
+        await new Promise(resolve => setTimeout(resolve, this.retryDelayMs * 2 ** (attempt - 2)));
+      }
+
+      // Signed per attempt, so a retry carries a fresh timestamp
+      const timestamp = Math.floor(Date.now() / 1000);
+      try {
+        const response = await this.fetch(url, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            'X-IntelliBrowse-Event': event.type,
+            'X-IntelliBrowse-Timestamp': String(timestamp),
+            'X-IntelliBrowse-Signature': signWebhookPayload(this.secret, timestamp, body)
+          },
+          body,
+          agent,
+          redirect: 'manual',
+          signal: AbortSignal.timeout(this.timeoutMs)
+        });
+        responseStatus = response.status;
+
+        if (response.ok) {
+          return { status: 'delivered', attempts: attempt, responseStatus, error: null };
+        }
+        lastError = `Webhook responded with ${response.status}`;
+        if (response.status !== 429 && response.status < 500) {
+          return { status: 'failed', attempts: attempt, responseStatus, error: lastError };
+        }
+      } catch (error) {
+        lastError = error.message;
+      }
+    }
+
+    console.warn(`Webhook to ${url} failed after ${this.maxAttempts} attempts: ${lastError}`);
+    return { status: 'failed', attempts: this.maxAttempts, responseStatus, error: lastError };
+  }
+}
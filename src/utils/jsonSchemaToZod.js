@@ -0,0 +1,58 @@
+/**
+ * JSON Schema to Zod
+ * Shared by the agent's output schema validation and the browser backends' structured extraction
+ */
+
+import { z } from 'zod';
+
+/**
+ * Convert a JSON schema into the equivalent zod schema
+ * Supports the subset models produce: objects, arrays, enums and primitive types
+ * @param {Object} schema - JSON schema (zod schemas are returned unchanged)
+ * @returns {import('zod').ZodTypeAny} - Zod schema
+ */
+export function jsonSchemaToZod(schema) {
+  if (!schema || typeof schema !== 'object') {
+    return z.any();
+  }
+
+  if (typeof schema.safeParse === 'function') {
+    return schema;
+  }
+
+  let result;
+  if (Array.isArray(schema.enum) && schema.enum.length > 0 && schema.enum.every(value => typeof value === 'string')) {
+    result = z.enum(schema.enum);
+  } else {
+    switch (schema.type) {
+      case 'object': {
+        const required = new Set(schema.required || []);
+        const shape = {};
+        for (const [key, value] of Object.entries(schema.properties || {})) {
+          shape[key] = required.has(key) ? jsonSchemaToZod(value) : jsonSchemaToZod(value).optional();
+        }
+        result = z.object(shape);
+        break;
+      }
+      case 'array':
+        result = z.array(jsonSchemaToZod(schema.items));
+        break;
+      case 'string':
+        result = z.string();
+        break;
+      case 'number':
+        result = z.number();
+        break;
+      case 'integer':
+        result = z.number().int();
+        break;
+      case 'boolean':
+        result = z.boolean();
+        break;
+      default:
+        result = z.any();
+    }
+  }
+
+  return schema.description ? result.describe(schema.description) : result;
+}
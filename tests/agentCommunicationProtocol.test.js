@@ -0,0 +1,330 @@
+/**
+ * Tests for AgentCommunicationProtocol
+ */
+
+import { z } from 'zod';
+import { AgentCommunicationProtocol } from '../src/agent/agentCommunicationProtocol.js';
+import { ToolRegistry } from '../src/agent/toolRegistry.js';
+
+const createToolRegistry = (calls) => new ToolRegistry([
+  {
+    name: 'browser.open',
+    description: 'Navigate the browser to a URL',
+    parameters: z.object({
+      url: z.string().url()
+    }),
+    handler: async (params) => {
+      calls.push(params);
+      return { success: true, url: params.url };
+    }
+  }
+]);
+
+describe('AgentCommunicationProtocol', () => {
+  test('should send tools and execute structured tool calls in native mode', async () => {
+    const calls = [];
+    const requests = [];
+    const responses = [
+      {
+        choices: [{
+          message: {
+            role: 'assistant',
+            content: '',
+            tool_calls: [{
+              id: 'call-1',
+              type: 'function',
+              function: { name: 'browser_open', arguments: '{"url":"https://example.com/?q=(a)"}' }
+            }]
+          }
+        }]
+      },
+      { choices: [{ message: { role: 'assistant', content: 'Done' } }] }
+    ];
+    const client = {
+      createChatCompletion: async (options) => {
+        requests.push(options);
+        return responses.shift();
+      }
+    };
+
+    const agent = new AgentCommunicationProtocol(client, createToolRegistry(calls), { toolCallingMode: 'native' });
+    const result = await agent.processUserInstruction('Open example.com');
+
+    expect(result).toBe('Done');
+    expect(requests[0].tools[0].function.name).toBe('browser_open');
+    expect(requests[0].stop).toBeUndefined();
+    expect(calls).toEqual([{ url: 'https://example.com/?q=(a)' }]);
+
+    const toolMessage = agent.getMessageHistory().find(msg => msg.role === 'tool');
+    expect(toolMessage.tool_call_id).toBe('call-1');
+    expect(JSON.parse(toolMessage.content)).toEqual({ success: true, url: 'https://example.com/?q=(a)' });
+  });
+
+  test('should assemble streamed tool call fragments', async () => {
+    const calls = [];
+    let turn = 0;
+    const client = {
+      createChatCompletionStream: async function* () {
+        turn++;
+        if (turn === 1) {
+          yield { choices: [{ delta: { tool_calls: [{ index: 0, id: 'call-1', function: { name: 'browser_open', arguments: '{"url":' } }] } }] };
+          yield { choices: [{ delta: { tool_calls: [{ index: 0, function: { arguments: '"https://example.com"}' } }] } }] };
+        } else {
+          yield { choices: [{ delta: { content: 'Done' } }] };
+        }
+      }
+    };
+
+    const agent = new AgentCommunicationProtocol(client, createToolRegistry(calls), { toolCallingMode: 'native' });
+    const events = [];
+    for await (const event of agent.processInstructionStream('Open example.com')) {
+      events.push(event);
+    }
+
+    expect(calls).toEqual([{ url: 'https://example.com' }]);
+    expect(events.map(event => event.type)).toEqual(['usage', 'toolCall', 'observation', 'assistant', 'usage', 'complete']);
+    expect(events[1]).toEqual({ type: 'toolCall', callId: 'call-1', tool: 'browser.open', params: { url: 'https://example.com' } });
+  });
+
+  test('should give streamed tool calls without an id a generated one', () => {
+    const agent = new AgentCommunicationProtocol({}, createToolRegistry([]), { toolCallingMode: 'native' });
+    const toolCalls = [];
+    agent.mergeToolCallDeltas(toolCalls, [
+      { index: 0, function: { name: 'browser_open', arguments: '{}' } },
+      { index: 1, function: { name: 'browser_open', arguments: '{}' } }
+    ]);
+    agent.mergeToolCallDeltas(toolCalls, [{ index: 1, id: 'call-2' }]);
+
+    expect(toolCalls[0].id).toMatch(/^call_/);
+    expect(toolCalls[1].id).toBe('call-2');
+  });
+
+  test('should report invalid JSON arguments back to the model', () => {
+    const agent = new AgentCommunicationProtocol({}, createToolRegistry([]), { toolCallingMode: 'native' });
+    const toolCall = agent.parseNativeToolCall({
+      id: 'call-1',
+      function: { name: 'browser_open', arguments: '{"url":' }
+    });
+
+    expect(toolCall.toolName).toBe('browser.open');
+    expect(toolCall.error).toContain('Invalid JSON arguments');
+  });
+
+  test('should parse Action lines in react mode', () => {
+    const agent = new AgentCommunicationProtocol({}, createToolRegistry([]), { toolCallingMode: 'react' });
+
+    expect(agent.parseToolCall('Thought: go\nAction: browser.open(url="https://example.com")')).toEqual({
+      toolName: 'browser.open',
+      params: { url: 'https://example.com' }
+    });
+    expect(agent.buildCompletionRequest().stop).toEqual(['Observation:']);
+  });
+
+  test('should return validation errors as observations without running the tool', async () => {
+    const calls = [];
+    const agent = new AgentCommunicationProtocol({}, createToolRegistry(calls));
+    const observation = await agent.executeToolCall({ toolName: 'browser.open', params: { url: 42 } });
+
+    expect(calls).toHaveLength(0);
+    expect(observation).toContain('Invalid arguments for tool "browser.open"');
+    expect(observation).toContain('- url: Expected string, received number');
+  });
+
+  test('should carry previous turns into follow-up instructions unless a new task is started', async () => {
+    const requests = [];
+    const client = {
+      createChatCompletion: async (options) => {
+        requests.push(options.messages.map(msg => msg.content));
+        return { choices: [{ message: { role: 'assistant', content: `Answer ${requests.length}` } }] };
+      }
+    };
+
+    const agent = new AgentCommunicationProtocol(client, createToolRegistry([]));
+    await agent.processUserInstruction('Search for cats');
+    await agent.processUserInstruction('Now open the second result');
+
+    expect(requests[1].slice(1)).toEqual(['Search for cats', 'Answer 1', 'Now open the second result']);
+
+    await agent.processUserInstruction('Find dogs instead', { newTask: true });
+
+    expect(requests[2].slice(1)).toEqual(['Find dogs instead']);
+    expect(agent.getMemoryInfo().turns).toBe(1);
+  });
+
+  test('should cancel a task by aborting the in-flight model request', async () => {
+    let started;
+    const requestStarted = new Promise(resolve => { started = resolve; });
+    const client = {
+      createChatCompletion: ({ signal }) => new Promise((resolve, reject) => {
+        started();
+        signal.addEventListener('abort', () => reject(new Error('aborted')));
+      })
+    };
+
+    const agent = new AgentCommunicationProtocol(client, createToolRegistry([]));
+    const pending = agent.processUserInstruction('Open example.com');
+    await requestStarted;
+
+    expect(agent.cancelTask()).toBe(true);
+    expect(await pending).toBe('Task cancelled.');
+    expect(agent.getTaskInfo().status).toBe('cancelled');
+    expect(agent.cancelTask()).toBe(false);
+  });
+
+  test('should signal an in-flight tool call to stop and end the task only once it has', async () => {
+    const order = [];
+    let started;
+    const toolStarted = new Promise(resolve => { started = resolve; });
+    let stopTool;
+    const registry = new ToolRegistry([{
+      name: 'browser.open',
+      description: 'Navigate the browser to a URL',
+      parameters: z.object({ url: z.string() }),
+      handler: (params, { signal }) => new Promise((resolve, reject) => {
+        started();
+        signal.addEventListener('abort', () => {
+          stopTool = () => {
+            order.push('tool stopped');
+            reject(new Error('Target page has been closed'));
+          };
+        });
+      })
+    }]);
+    const client = { createChatCompletion: async () => ({ choices: [{ message: { role: 'assistant', content: 'Action: browser.open(url="https://example.com")' } }] }) };
+    const agent = new AgentCommunicationProtocol(client, registry, { toolCallingMode: 'react', approval: { enabled: false } });
+
+    const pending = agent.processUserInstruction('Open example.com').then(response => {
+      order.push('task ended');
+      return response;
+    });
+    await toolStarted;
+
+    expect(agent.cancelTask()).toBe(true);
+    await new Promise(resolve => setImmediate(resolve));
+    // The session stays busy while the browser is still in use
+    expect(agent.isTaskActive()).toBe(true);
+
+    stopTool();
+    expect(await pending).toBe('Task cancelled.');
+    expect(order).toEqual(['tool stopped', 'task ended']);
+  });
+
+  test('should pause between steps and resume with the same history', async () => {
+    let agent;
+    const requests = [];
+    const client = {
+      createChatCompletionStream: async function* (options) {
+        requests.push(options.messages.length);
+        if (requests.length === 1) {
+          yield {
+            choices: [{
+              delta: {
+                tool_calls: [{
+                  index: 0,
+                  id: 'call-1',
+                  function: { name: 'browser_open', arguments: '{"url":"https://example.com"}' }
+                }]
+              }
+            }]
+          };
+        } else {
+          yield { choices: [{ delta: { content: 'Done' } }] };
+        }
+      }
+    };
+    const registry = new ToolRegistry([{
+      name: 'browser.open',
+      description: 'Navigate the browser to a URL',
+      parameters: z.object({ url: z.string() }),
+      handler: async () => {
+        // The operator pauses while the tool is running
+        agent.pauseTask();
+        return { success: true };
+      }
+    }]);
+
+    agent = new AgentCommunicationProtocol(client, registry, { toolCallingMode: 'native' });
+    const events = [];
+    for await (const event of agent.processInstructionStream('Open example.com')) {
+      events.push(event.type);
+      if (event.type === 'paused') {
+        expect(agent.getTaskInfo().status).toBe('paused');
+        agent.resumeTask();
+      }
+    }
+
+    expect(events).toEqual(['usage', 'toolCall', 'observation', 'paused', 'resumed', 'assistant', 'usage', 'complete']);
+    expect(requests).toEqual([2, 4]);
+    expect(agent.getTaskInfo().status).toBe('finished');
+  });
+
+  test('should suspend sensitive tool calls until they are approved', async () => {
+    const clicks = [];
+    let turn = 0;
+    const client = {
+      createChatCompletionStream: async function* () {
+        turn++;
+        if (turn === 1) {
+          yield {
+            choices: [{
+              delta: {
+                tool_calls: [{
+                  index: 0,
+                  id: 'call-1',
+                  function: { name: 'browser_click', arguments: '{"selector":"Buy now button"}' }
+                }]
+              }
+            }]
+          };
+        } else {
+          yield { choices: [{ delta: { content: 'Done' } }] };
+        }
+      }
+    };
+    const registry = new ToolRegistry([{
+      name: 'browser.click',
+      description: 'Click an element',
+      parameters: z.object({ selector: z.string() }),
+      handler: async (params) => {
+        clicks.push(params.selector);
+        return { success: true };
+      }
+    }]);
+
+    const agent = new AgentCommunicationProtocol(client, registry, {
+      toolCallingMode: 'native',
+      approval: { enabled: true }
+    });
+    const events = [];
+    for await (const event of agent.processInstructionStream('Buy the book')) {
+      events.push(event.type);
+      if (event.type === 'approvalRequired') {
+        expect(clicks).toEqual([]);
+        expect(agent.getTaskInfo().pendingApprovals).toHaveLength(1);
+        expect(agent.resolveApproval(event.approval.id, { decision: 'edit', params: {} }).success).toBe(false);
+        expect(agent.resolveApproval(event.approval.id, {
+          decision: 'edit',
+          params: { selector: 'Add to wishlist button' }
+        }).success).toBe(true);
+      }
+    }
+
+    expect(events).toEqual(['usage', 'toolCall', 'approvalRequired', 'approvalResolved', 'observation', 'assistant', 'usage', 'complete']);
+    expect(clicks).toEqual(['Add to wishlist button']);
+    const toolMessage = agent.getMessageHistory().find(msg => msg.role === 'tool');
+    expect(toolMessage.content).toContain('The user changed the arguments');
+  });
+
+  test('should report rejected tool calls to the model without running them', async () => {
+    const agent = new AgentCommunicationProtocol({}, createToolRegistry([]), {
+      approval: { enabled: true, rules: [{ tools: ['browser.open'] }] }
+    });
+    agent.beginTaskControl();
+
+    const pending = agent.executeToolCall({ toolName: 'browser.open', params: { url: 'https://example.com' } });
+    const [approval] = agent.getPendingApprovals();
+    agent.resolveApproval(approval.id, { decision: 'reject', reason: 'not now' });
+
+    expect(await pending).toMatch(/^The user rejected this action: not now/);
+  });
+});
@@ -0,0 +1,207 @@
+/**
+ * Tests for the WebSocket transport, event replay and user hints
+ */
+
+import http from 'http';
+import { WebSocket } from 'ws';
+import { attachAgentSocket } from '../src/controllers/agentSocket.js';
+import { AgentService } from '../src/agent/agentService.js';
+import { AgentCommunicationProtocol } from '../src/agent/agentCommunicationProtocol.js';
+import { EventLog } from '../src/agent/eventLog.js';
+import { MemorySessionStore } from '../src/services/sessionStores/memoryStore.js';
+import { createClient, createRegistry, clickTool, openTool } from './helpers/agentFixtures.js';
+
+// Connection that collects messages and waits for the ones a test expects
+const connect = (port, query = '') => new Promise((resolve, reject) => {
+  const socket = new WebSocket(`ws://localhost:${port}/api/agent/ws${query}`);
+  const messages = [];
+  const waiters = [];
+  socket.on('message', (data) => {
+    messages.push(JSON.parse(data.toString()));
+    waiters.splice(0).forEach(check => check());
+  });
+  socket.waitFor = (predicate) => new Promise(done => {
+    const check = () => {
+      const found = messages.find(predicate);
+      if (found) {
+        done(found);
+      } else {
+        waiters.push(check);
+      }
+    };
+    check();
+  });
+  socket.messages = messages;
+  socket.on('open', () => resolve(socket));
+  socket.on('error', reject);
+});
+
+describe('Agent WebSocket', () => {
+  let service;
+  let server;
+  let port;
+
+  beforeEach(async () => {
+    service = new AgentService({
+      llmProvider: 'mock',
+      browserBackend: 'mock',
+      sessionStore: new MemorySessionStore(),
+      sessionEvictionIntervalMs: 0
+    });
+    server = http.createServer();
+    attachAgentSocket(server, service);
+    await new Promise(resolve => server.listen(0, resolve));
+    port = server.address().port;
+  });
+
+  afterEach(async () => {
+    await new Promise(resolve => server.close(resolve));
+    await service.cleanup();
+  });
+
+  test('should stream numbered events of an instruction and replay them after a reconnect', async () => {
+    const socket = await connect(port);
+    const { sessionId } = await socket.waitFor(message => message.type === 'connected');
+
+    socket.send(JSON.stringify({ type: 'instruction', id: 1, instruction: 'Say hello', limits: { maxTurns: 2 } }));
+    expect(await socket.waitFor(message => message.type === 'reply')).toEqual({ type: 'reply', id: 1, action: 'instruction', success: true });
+    const complete = await socket.waitFor(message => message.type === 'complete');
+    socket.close();
+
+    const events = socket.messages.filter(message => message.seq);
+    expect(events.map(event => event.seq)).toEqual(events.map((event, index) => index + 1));
+    expect(complete.seq).toBe(events.length);
+
+    const reconnected = await connect(port, `?sessionId=${sessionId}&lastSeq=1`);
+    expect(await reconnected.waitFor(message => message.type === 'connected')).toMatchObject({
+      sessionId,
+      lastSeq: events.length,
+      replayed: events.length - 1,
+      missed: 0,
+      task: { status: 'finished' }
+    });
+    await reconnected.waitFor(message => message.type === 'complete');
+    expect(reconnected.messages.filter(message => message.seq)).toEqual(events.slice(1));
+    reconnected.close();
+  });
+
+  test('should send the events of tasks started over HTTP and from the task queue', async () => {
+    const socket = await connect(port);
+    const { sessionId } = await socket.waitFor(message => message.type === 'connected');
+
+    const streamed = [];
+    for await (const event of service.processInstructionStream({ sessionId, instruction: 'Say hello', limits: { maxTurns: 2 } })) {
+      streamed.push(event);
+    }
+    await socket.waitFor(message => message.type === 'complete');
+    expect(socket.messages.filter(message => message.seq).map(({ seq, ...event }) => event)).toEqual(streamed);
+
+    const { taskId } = await service.submitTask({ sessionId, instruction: 'Say hello again', limits: { maxTurns: 2 } });
+    const complete = await socket.waitFor(message => message.type === 'complete' && message.seq > streamed.length);
+    expect(service.getQueuedTask(taskId)).toMatchObject({ status: 'finished', result: { sessionId, response: complete.content } });
+    socket.close();
+  });
+
+  test('should answer control messages and refuse unknown sessions', async () => {
+    const socket = await connect(port);
+    await socket.waitFor(message => message.type === 'connected');
+
+    socket.send(JSON.stringify({ type: 'hint', id: 'h', text: 'Try the second result' }));
+    expect(await socket.waitFor(message => message.id === 'h')).toMatchObject({ success: false, error: 'No running task to send a hint to' });
+    socket.send(JSON.stringify({ type: 'jump', id: 'j' }));
+    expect((await socket.waitFor(message => message.id === 'j')).error).toContain('Unknown message type "jump"');
+    socket.close();
+
+    const refused = await connect(port, '?sessionId=session-unknown');
+    const closed = new Promise(resolve => refused.on('close', resolve));
+    expect(await refused.waitFor(message => message.type === 'error')).toMatchObject({ content: 'Session session-unknown not found' });
+    expect(await closed).toBe(1008);
+  });
+});
+
+describe('EventLog', () => {
+  test('should report events that are no longer kept', () => {
+    const log = new EventLog({ maxEvents: 2 });
+    ['one', 'two', 'three'].forEach(content => log.append({ type: 'assistant', content }));
+
+    expect(log.since(0)).toEqual({ events: [{ seq: 2, type: 'assistant', content: 'two' }, { seq: 3, type: 'assistant', content: 'three' }], missed: 1 });
+    expect(log.since(2)).toEqual({ events: [{ seq: 3, type: 'assistant', content: 'three' }], missed: 0 });
+    // A sequence number from before a restart replays everything that is kept
+    expect(log.since(10).events).toHaveLength(2);
+  });
+});
+
+describe('User hints', () => {
+  test('should add a hint to the conversation before the next step', async () => {
+    const requests = [];
+    const client = createClient(['Action: browser.click(selector="#first")', 'Clicked the second one.'], requests);
+    let agent;
+    const registry = createRegistry(clickTool([], {
+      handler: async () => {
+        agent.addUserHint('Use the second button instead');
+        return { success: true };
+      }
+    }));
+    agent = new AgentCommunicationProtocol(client, registry, { toolCallingMode: 'react', approval: { enabled: false } });
+    const roles = [];
+    const getStepRole = agent.getStepRole.bind(agent);
+    agent.getStepRole = () => {
+      roles.push(getStepRole());
+      return roles[roles.length - 1];
+    };
+
+    const events = [];
+    for await (const event of agent.processInstructionStream('Click the button')) {
+      events.push(event);
+    }
+
+    expect(events.find(event => event.type === 'userHint')).toEqual({ type: 'userHint', content: 'Use the second button instead' });
+    expect(agent.getMessageHistory().find(msg => msg.hint)).toMatchObject({ role: 'user', content: expect.stringContaining('Use the second button instead') });
+    // The step after a hint still acts on the last observation instead of planning anew
+    expect(roles[0]).toBe('planner');
+    expect(roles[roles.length - 1]).toBe('actor');
+    // The tag stays with the agent
+    expect(requests[1].messages.some(msg => 'hint' in msg)).toBe(false);
+    expect(agent.addUserHint('Too late')).toBe(false);
+  });
+
+  test('should keep the hint tag out of replanning and result correction requests', async () => {
+    const requests = [];
+    const client = createClient([
+      '1. Open the page\n2. Read the price',
+      'Action: browser.open(url="https://broken.example.com")',
+      '1. Open the mirror\n2. Read the price',
+      'Step 1 done.\nAction: browser.open(url="https://mirror.example.com")',
+      'Step 2 done. The book costs twelve dollars.\n```json\n{"price": "twelve"}\n```',
+      '```json\n{"price": 12}\n```'
+    ], requests);
+    let agent;
+    const registry = createRegistry(openTool([], {
+      handler: async ({ url }) => {
+        if (url.includes('broken')) {
+          agent.addUserHint('Try the mirror site');
+          throw new Error('Navigation failed');
+        }
+        return { success: true, url };
+      }
+    }));
+    agent = new AgentCommunicationProtocol(client, registry, {
+      toolCallingMode: 'react',
+      approval: { enabled: false },
+      planning: { enabled: true }
+    });
+
+    const response = await agent.processUserInstruction('How much is the book?', {
+      output: { schema: { type: 'object', properties: { price: { type: 'number' } }, required: ['price'] } }
+    });
+
+    expect(response).toBe('Step 2 done. The book costs twelve dollars.');
+    expect(agent.getTaskInfo()).toMatchObject({ result: { price: 12 }, plan: { replans: 1 } });
+    // The replan and the correction both come after the hint
+    expect(requests[2].messages.some(msg => msg.content.includes('Try the mirror site'))).toBe(true);
+    expect(requests[5].messages[requests[5].messages.length - 1].content).toContain('price: Expected number');
+    for (const request of requests) {
+      expect(request.messages.some(msg => 'hint' in msg)).toBe(false);
+    }
+  });
+});
@@ -0,0 +1,106 @@
+/**
+ * Tests for AnswerVerifier and answer verification in the agent loop
+ */
+
+import { AnswerVerifier } from '../src/agent/answerVerifier.js';
+import { AgentCommunicationProtocol } from '../src/agent/agentCommunicationProtocol.js';
+import { createRegistry, extractTool } from './helpers/agentFixtures.js';
+
+// Agent replies come from the first list, verifier replies (requests for the verifier role) from the second
+const createClient = (agentReplies, verdicts, requests = []) => ({
+  createChatCompletion: async (request) => {
+    requests.push(request);
+    const isVerification = request.messages[0].content.startsWith('You check whether');
+    const content = isVerification ? JSON.stringify(verdicts.shift()) : agentReplies.shift();
+    return { choices: [{ message: { role: 'assistant', content } }] };
+  }
+});
+
+describe('AnswerVerifier', () => {
+  test('should parse verdicts and ignore replies without one', () => {
+    const verifier = new AnswerVerifier();
+
+    expect(verifier.parseVerdict('```json\n{"complete": false, "confidence": 1.4, "feedback": " Open the page "}\n```'))
+      .toEqual({ complete: false, confidence: 1, feedback: 'Open the page' });
+    expect(verifier.parseVerdict('Looks good to me')).toBeNull();
+    expect(verifier.parseVerdict('{"confidence": 0.9}')).toBeNull();
+  });
+
+  test('should pass confident complete verdicts and retry the others until out of retries', () => {
+    const verifier = new AnswerVerifier({ maxRetries: 1, minConfidence: 0.7 });
+
+    expect(verifier.judge({ complete: true, confidence: 0.9, feedback: '' }, 1)).toMatchObject({ status: 'passed', retry: false });
+    expect(verifier.judge({ complete: true, confidence: 0.5, feedback: '' }, 1)).toMatchObject({ status: 'failed', retry: true });
+    expect(verifier.judge({ complete: false, confidence: 0.9, feedback: 'No' }, 2)).toMatchObject({ status: 'failed', retry: false });
+    expect(verifier.judge(null, 1)).toMatchObject({ status: 'unverified', retry: false });
+  });
+
+  test('should reject invalid configuration', () => {
+    expect(() => new AnswerVerifier({ maxRetries: -1 })).toThrow('maxRetries');
+    expect(() => new AnswerVerifier({ minConfidence: 2 })).toThrow('minConfidence');
+  });
+});
+
+describe('Answer verification in the agent loop', () => {
+  test('should send the agent back with feedback when the goal is not met', async () => {
+    const calls = [];
+    const requests = [];
+    const client = createClient(
+      [
+        'I will now open the page and read its title.',
+        'Action: browser.extract(instruction="page title")',
+        'The title is Example Domain.'
+      ],
+      [
+        { complete: false, confidence: 0.9, feedback: 'The agent has not read the title yet.' },
+        { complete: true, confidence: 0.8, feedback: '' }
+      ],
+      requests
+    );
+    const agent = new AgentCommunicationProtocol(client, createRegistry(extractTool(calls)), {
+      toolCallingMode: 'react',
+      verification: { enabled: true },
+      getPageInfo: async () => ({ url: 'https://example.com/', title: 'Example Domain' })
+    });
+
+    const response = await agent.processUserInstruction('What is the title of example.com?');
+
+    expect(response).toBe('The title is Example Domain.');
+    expect(calls).toEqual(['page title']);
+    expect(agent.getTaskInfo().verification).toEqual({ status: 'passed', confidence: 0.8, feedback: '', attempt: 2 });
+
+    // The second check sees the page and the extracted content
+    const lastCheck = requests[requests.length - 1].messages[1].content;
+    expect(lastCheck).toContain('URL: https://example.com/');
+    expect(lastCheck).toContain('{"title":"Example Domain"}');
+    expect(agent.getMessageHistory().some(msg => msg.role === 'user' && msg.content.includes('has not read the title yet'))).toBe(true);
+  });
+
+  test('should attach the verdict to the complete event and accept unverifiable answers', async () => {
+    const client = {
+      createChatCompletionStream: async function* () {
+        yield { choices: [{ delta: { content: 'Done.' } }] };
+      },
+      createChatCompletion: async () => ({
+        choices: [{ message: { role: 'assistant', content: 'I cannot tell.' } }]
+      })
+    };
+    const agent = new AgentCommunicationProtocol(client, createRegistry(extractTool()), {
+      toolCallingMode: 'react',
+      verification: { enabled: true }
+    });
+
+    const events = [];
+    for await (const event of agent.processInstructionStream('Do it')) {
+      events.push(event);
+    }
+
+    expect(events.filter(event => event.type === 'verification')).toHaveLength(1);
+    expect(events[events.length - 1]).toEqual({
+      type: 'complete',
+      content: 'Done.',
+      verification: { status: 'unverified', confidence: null, feedback: '', attempt: 1 },
+      stopReason: { reason: 'answer' }
+    });
+  });
+});
@@ -0,0 +1,34 @@
+/**
+ * Tests for ApprovalPolicy
+ */
+
+import { ApprovalPolicy } from '../src/agent/approvalPolicy.js';
+
+describe('ApprovalPolicy', () => {
+  test('should flag sensitive clicks and form submissions with the default rules', () => {
+    const policy = new ApprovalPolicy({ enabled: true });
+
+    expect(policy.evaluate('browser.click', { selector: 'the Buy now button' }).rule).toBe('sensitive-action');
+    expect(policy.evaluate('browser.click', { selector: 'Submit' }).rule).toBe('form-submission');
+    expect(policy.evaluate('browser.type', { selector: 'Search box', text: 'cats\n' }).rule).toBe('form-submission');
+    expect(policy.evaluate('browser.click', { selector: 'Sign in button' })).toBeNull();
+    expect(policy.evaluate('browser.search', { query: 'buy a laptop' })).toBeNull();
+  });
+
+  test('should match domains against the target URL and the current page', () => {
+    const policy = new ApprovalPolicy({
+      enabled: true,
+      rules: [{ name: 'bank', tools: ['browser.*'], domains: ['bank.example'] }]
+    });
+
+    expect(policy.needsPageUrl()).toBe(true);
+    expect(policy.evaluate('browser.open', { url: 'https://www.bank.example/login' }).rule).toBe('bank');
+    expect(policy.evaluate('browser.click', { selector: 'Accounts' }, { pageUrl: 'https://bank.example/' }).rule).toBe('bank');
+    expect(policy.evaluate('browser.click', { selector: 'Accounts' }, { pageUrl: 'https://notbank.example/' })).toBeNull();
+  });
+
+  test('should approve everything when disabled and reject invalid rules', () => {
+    expect(new ApprovalPolicy({ enabled: false }).evaluate('browser.click', { selector: 'Delete account' })).toBeNull();
+    expect(() => new ApprovalPolicy({ rules: [{ name: 'empty' }] })).toThrow('needs at least one of');
+  });
+});
@@ -0,0 +1,79 @@
+/**
+ * Tests for stopping browser actions of cancelled tasks
+ */
+
+import { BrowserAutomation } from '../src/services/browserAutomation.js';
+import { PlaywrightBackend } from '../src/services/browserBackends/playwrightBackend.js';
+
+// Backend whose clicks wait until they are interrupted
+const createSlowBackend = (log) => {
+  let interruptClick = null;
+  return {
+    initialize: async () => {},
+    click: (selector) => new Promise((resolve, reject) => {
+      log.push(`click ${selector}`);
+      interruptClick = () => reject(new Error('Target page has been closed'));
+    }),
+    interrupt: async () => {
+      log.push('interrupt');
+      await new Promise(resolve => setImmediate(resolve));
+      interruptClick();
+      log.push('interrupted');
+    }
+  };
+};
+
+// Playwright page that records what is done to it
+const createFakePage = (log, name) => ({
+  name,
+  close: async () => log.push(`close ${name}`),
+  setDefaultTimeout: (ms) => log.push(`${name} timeout ${ms}`),
+  setDefaultNavigationTimeout: (ms) => log.push(`${name} navigation timeout ${ms}`)
+});
+
+describe('Cancelled browser actions', () => {
+  test('should not start an action once the task is cancelled', async () => {
+    const log = [];
+    const browser = new BrowserAutomation({ backend: 'mock' });
+    browser.backend = createSlowBackend(log);
+    const controller = new AbortController();
+    controller.abort();
+
+    await expect(browser.click('Buy', { signal: controller.signal })).rejects.toThrow('aborted');
+    expect(log).toEqual([]);
+  });
+
+  test('should interrupt the action in flight and settle once the backend is done', async () => {
+    const log = [];
+    const browser = new BrowserAutomation({ backend: 'mock' });
+    browser.backend = createSlowBackend(log);
+    const controller = new AbortController();
+
+    const click = browser.click('Buy', { signal: controller.signal }).catch(error => {
+      log.push('settled');
+      throw error;
+    });
+    await new Promise(resolve => setImmediate(resolve));
+    controller.abort();
+
+    await expect(click).rejects.toMatchObject({ cause: { name: 'AbortError' } });
+    expect(log).toEqual(['click Buy', 'interrupt', 'interrupted', 'settled']);
+  });
+
+  test('should replace the Playwright page to stop its operation in flight', async () => {
+    const log = [];
+    const backend = new PlaywrightBackend({ actionTimeout: 1000, navigationTimeout: 2000 });
+    const pages = [createFakePage(log, 'first'), createFakePage(log, 'second')];
+    backend.context = { newPage: async () => pages.shift() };
+    await backend.openPage();
+
+    await backend.interrupt();
+
+    expect(backend.page.name).toBe('second');
+    expect(log).toEqual([
+      'first timeout 1000', 'first navigation timeout 2000',
+      'close first',
+      'second timeout 1000', 'second navigation timeout 2000'
+    ]);
+  });
+});
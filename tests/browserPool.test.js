@@ -0,0 +1,47 @@
+/**
+ * Tests for BrowserPool service
+ */
+
+import { BrowserPool } from '../src/services/browserPool.js';
+
+const createFakeBrowser = () => ({
+  closed: false,
+  initialize: async () => {},
+  getPageInfo: async () => ({ initialized: true, url: 'https://www.example.com', title: 'Example' }),
+  close: async function () {
+    this.closed = true;
+  }
+});
+
+describe('BrowserPool', () => {
+  let pool;
+
+  beforeEach(() => {
+    pool = new BrowserPool({ maxBrowsers: 2, createBrowser: createFakeBrowser });
+  });
+
+  test('should give each owner its own browser', async () => {
+    const first = await pool.acquire('session-a');
+    const second = await pool.acquire('session-b');
+
+    expect(first).not.toBe(second);
+    expect(await pool.acquire('session-a')).toBe(first);
+    expect(pool.size).toBe(2);
+  });
+
+  test('should enforce the pool limit', async () => {
+    await pool.acquire('session-a');
+    await pool.acquire('session-b');
+
+    await expect(pool.acquire('session-c')).rejects.toThrow('Browser pool limit reached');
+  });
+
+  test('should close browsers on release', async () => {
+    const browser = await pool.acquire('session-a');
+    await pool.release('session-a');
+
+    expect(browser.closed).toBe(true);
+    expect(pool.has('session-a')).toBe(false);
+    expect(await pool.getInfo('session-a')).toBeNull();
+  });
+});
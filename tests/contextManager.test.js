@@ -0,0 +1,87 @@
+/**
+ * Tests for ContextManager
+ */
+
+import { ContextManager } from '../src/agent/contextManager.js';
+
+const observation = (id, length) => ({
+  role: 'tool',
+  tool_call_id: `call_${id}`,
+  content: 'x'.repeat(length)
+});
+
+const toolCallMessage = (id) => ({
+  role: 'assistant',
+  content: '',
+  tool_calls: [{ id: `call_${id}`, type: 'function', function: { name: 'browser_open', arguments: '{}' } }]
+});
+
+describe('ContextManager', () => {
+  test('should truncate long observations keeping the beginning and the end', () => {
+    const manager = new ContextManager({ maxObservationTokens: 100 });
+    const text = `START${'a'.repeat(2000)}END`;
+
+    const prepared = manager.prepareObservation(text);
+
+    expect(prepared.length).toBeLessThan(500);
+    expect(prepared.startsWith('START')).toBe(true);
+    expect(prepared.endsWith('END')).toBe(true);
+    expect(prepared).toContain('[... truncated');
+  });
+
+  test('should reduce HTML observations to text', () => {
+    const manager = new ContextManager({ maxObservationTokens: 100 });
+    const html = `<html><head><title>Example</title><style>${'.a{}'.repeat(200)}</style></head><body><p>Hello world</p></body></html>`;
+
+    const prepared = manager.prepareObservation(html);
+
+    expect(prepared).toContain('Title: Example');
+    expect(prepared).toContain('Hello world');
+    expect(prepared).not.toContain('<p>');
+  });
+
+  test('should compact all but the most recent observations', () => {
+    const manager = new ContextManager({ keepFullObservations: 1 });
+    const messages = [
+      { role: 'system', content: 'System' },
+      toolCallMessage(1),
+      observation(1, 2000),
+      toolCallMessage(2),
+      observation(2, 2000)
+    ];
+
+    const compacted = manager.compact(messages);
+
+    expect(compacted[2].content).toMatch(/^\[Compacted observation/);
+    expect(compacted[4].content).toBe(messages[4].content);
+    expect(messages[2].content).toHaveLength(2000);
+  });
+
+  test('should drop replayed turns before touching the current task', () => {
+    const manager = new ContextManager({ maxContextTokens: 200, keepFullObservations: 5 });
+    const messages = [
+      { role: 'system', content: 'System' },
+      { role: 'user', content: 'Earlier instruction' },
+      toolCallMessage(1),
+      observation(1, 1000),
+      { role: 'assistant', content: 'Earlier answer' },
+      { role: 'user', content: 'Current instruction' }
+    ];
+
+    const result = manager.fitToBudget(messages, 5);
+
+    expect(result.fits).toBe(true);
+    expect(result.messages[result.protectedIndex].content).toBe('Current instruction');
+    expect(result.messages.some(message => message.role === 'tool')).toBe(false);
+  });
+
+  test('should report when the current task alone exceeds the budget', () => {
+    const manager = new ContextManager({ maxContextTokens: 50 });
+    const messages = [
+      { role: 'system', content: 'System' },
+      { role: 'user', content: 'y'.repeat(1000) }
+    ];
+
+    expect(manager.fitToBudget(messages, 1).fits).toBe(false);
+  });
+});
@@ -0,0 +1,60 @@
+/**
+ * Tests for ConversationMemory
+ */
+
+import { ConversationMemory } from '../src/agent/conversationMemory.js';
+
+const addTurns = (memory, count) => {
+  for (let i = 1; i <= count; i++) {
+    memory.addTurn({
+      instruction: `Instruction ${i}`,
+      messages: [
+        { role: 'user', content: `Instruction ${i}` },
+        { role: 'assistant', content: `Response ${i}` }
+      ],
+      response: `Response ${i}`
+    });
+  }
+};
+
+describe('ConversationMemory', () => {
+  test('should replay every turn with the full policy', async () => {
+    const memory = new ConversationMemory({ policy: 'full' });
+    addTurns(memory, 3);
+
+    expect(await memory.buildContext()).toHaveLength(6);
+  });
+
+  test('should replay only the most recent turns with the window policy', async () => {
+    const memory = new ConversationMemory({ policy: 'window', windowSize: 2 });
+    addTurns(memory, 3);
+
+    const context = await memory.buildContext();
+    expect(context.map(msg => msg.content)).toEqual(['Instruction 2', 'Response 2', 'Instruction 3', 'Response 3']);
+  });
+
+  test('should summarize turns that fall out of the window', async () => {
+    let summarizeCalls = 0;
+    const summarize = async (turns, previousSummary) => {
+      summarizeCalls++;
+      return [previousSummary, ...turns.map(turn => turn.instruction)].filter(Boolean).join('; ');
+    };
+    const memory = new ConversationMemory({ policy: 'summary', windowSize: 1, summarize });
+    addTurns(memory, 3);
+
+    const context = await memory.buildContext();
+    expect(context[0]).toEqual({
+      role: 'system',
+      content: 'Summary of the earlier conversation in this session:\nInstruction 1; Instruction 2'
+    });
+    expect(context.slice(1).map(msg => msg.content)).toEqual(['Instruction 3', 'Response 3']);
+
+    // Already summarized turns are not summarized again
+    await memory.buildContext();
+    expect(summarizeCalls).toBe(1);
+  });
+
+  test('should reject unknown policies', () => {
+    expect(() => new ConversationMemory({ policy: 'forever' })).toThrow('Unknown memory policy');
+  });
+});
@@ -0,0 +1,34 @@
+/**
+ * Tests for the natural-language element resolver used by the local browser backend
+ */
+
+import { describeElement, resolveElement } from '../src/services/browserBackends/elementResolver.js';
+
+const elements = [
+  { ref: '0', tag: 'a', role: '', type: '', name: '', label: '', text: 'Home', placeholder: '', title: '', nameAttribute: '', href: '/', editable: false },
+  { ref: '1', tag: 'input', role: '', type: 'email', name: '', label: 'Email address', text: '', placeholder: 'you@example.com', title: '', nameAttribute: 'email', href: '', editable: true },
+  { ref: '2', tag: 'input', role: '', type: 'password', name: '', label: 'Password', text: '', placeholder: '', title: '', nameAttribute: 'password', href: '', editable: true },
+  { ref: '3', tag: 'button', role: '', type: 'submit', name: '', label: '', text: 'Sign in', placeholder: '', title: '', nameAttribute: '', href: '', editable: false },
+  { ref: '4', tag: 'a', role: '', type: '', name: '', label: '', text: 'Sign in with SSO', placeholder: '', title: '', nameAttribute: '', href: '/sso', editable: false }
+];
+
+describe('elementResolver', () => {
+  test('should prefer the exact accessible name', () => {
+    expect(resolveElement('Sign in button', elements).ref).toBe('3');
+    expect(resolveElement('the "Sign in with SSO" link', elements).ref).toBe('4');
+  });
+
+  test('should only type into editable elements', () => {
+    expect(resolveElement('Email field', elements, { editableOnly: true }).ref).toBe('1');
+    expect(resolveElement('password', elements, { editableOnly: true }).ref).toBe('2');
+  });
+
+  test('should return null when nothing matches', () => {
+    expect(resolveElement('Checkout button', elements)).toBeNull();
+  });
+
+  test('should describe elements in resolvable terms', () => {
+    expect(describeElement(elements[3])).toBe('"Sign in" button');
+    expect(resolveElement(describeElement(elements[1]), elements).ref).toBe('1');
+  });
+});
@@ -2,6 +2,7 @@
  * Tests for FireworksClient service
  */
 
+import http from 'http';
 import { FireworksClient } from '../src/services/fireworksClient.js';
 
 // Set mock mode explicitly for tests
@@ -54,4 +55,222 @@ describe('FireworksClient', () => {
     const unknownBuffer = Buffer.from([0x00, 0x01, 0x02, 0x03]);
     expect(client.detectMimeType(unknownBuffer)).toBe('application/octet-stream');
   });
-}); 
\ No newline at end of file
+});
+
+describe('FireworksClient streaming', () => {
+  let server;
+  let baseUrl;
+  // Handler for the next request: (req, res) => void
+  let respond;
+
+  const chunk = (content) => `data: ${JSON.stringify({ choices: [{ index: 0, delta: { content } }] })}\n\n`;
+
+  const collect = async (stream, onChunk = () => {}) => {
+    const contents = [];
+    for await (const part of stream) {
+      contents.push(part.choices[0].delta.content);
+      onChunk(part);
+    }
+    return contents;
+  };
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      req.resume();
+      req.on('end', () => respond(req, res));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  const createClient = () => new FireworksClient({ apiKey: 'test-key', baseUrl, useMock: false });
+
+  test('should yield chunks as they arrive, before the response ends', async () => {
+    let release;
+    const released = new Promise(resolve => { release = resolve; });
+
+    respond = async (req, res) => {
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      res.write(chunk('Hello'));
+      // The rest of the completion is only sent once the client has seen the first chunk
+      await released;
+      res.write(chunk(' world'));
+      res.end('data: [DONE]\n\n');
+    };
+
+    const contents = await collect(createClient().createChatCompletionStream({ messages: [] }), release);
+
+    expect(contents).toEqual(['Hello', ' world']);
+  });
+
+  test('should reassemble events split across network chunks', async () => {
+    respond = async (req, res) => {
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      const body = Buffer.from(`: keep-alive\n\n${chunk('Grüße')}${chunk('two')}data: [DONE]\n\n${chunk('ignored')}`);
+      // Send a few bytes at a time so events and the multi-byte "ü" are split
+      for (let i = 0; i < body.length; i += 7) {
+        res.write(body.subarray(i, i + 7));
+        await new Promise(resolve => setImmediate(resolve));
+      }
+      res.end();
+    };
+
+    const contents = await collect(createClient().createChatCompletionStream({ messages: [] }));
+
+    expect(contents).toEqual(['Grüße', 'two']);
+  });
+
+  test('should throw on error events and error responses', async () => {
+    respond = (req, res) => {
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      res.write(chunk('partial'));
+      res.end(`event: error\ndata: ${JSON.stringify({ error: { message: 'model overloaded' } })}\n\n`);
+    };
+
+    await expect(collect(createClient().createChatCompletionStream({ messages: [] }))).rejects.toThrow('model overloaded');
+
+    respond = (req, res) => {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: { message: 'invalid model' } }));
+    };
+
+    await expect(collect(createClient().createChatCompletionStream({ messages: [] }))).rejects.toThrow('invalid model');
+  });
+
+  test('should stop streaming when the signal aborts', async () => {
+    respond = (req, res) => {
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      res.write(chunk('first'));
+      // Never finishes on its own
+      res.on('close', () => res.end());
+    };
+
+    const controller = new AbortController();
+    const stream = createClient().createChatCompletionStream({ messages: [], signal: controller.signal });
+
+    await expect(collect(stream, () => controller.abort())).rejects.toThrow(/abort/i);
+  });
+});
+
+describe('FireworksClient retries', () => {
+  let server;
+  let baseUrl;
+  let requests;
+  // Responses for the next requests, in order: (req, res) => void
+  let responders;
+
+  const completion = { choices: [{ index: 0, message: { role: 'assistant', content: 'ok' } }] };
+  const reply = (status, body, headers = {}) => (req, res) => {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(typeof body === 'string' ? body : JSON.stringify(body));
+  };
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      req.resume();
+      req.on('end', () => {
+        requests++;
+        responders.shift()(req, res);
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    requests = 0;
+  });
+
+  const createClient = (config = {}) => new FireworksClient({
+    apiKey: 'test-key',
+    baseUrl,
+    useMock: false,
+    retryBaseDelay: 1,
+    ...config
+  });
+
+  test('should retry 429 and 5xx responses with backoff', async () => {
+    responders = [
+      reply(503, { error: { message: 'overloaded' } }),
+      reply(429, 'Too many requests', { 'Retry-After': '0' }),
+      reply(200, completion)
+    ];
+    const client = createClient();
+
+    const result = await client.createChatCompletion({ messages: [] });
+
+    expect(result.choices[0].message.content).toBe('ok');
+    expect(requests).toBe(3);
+    expect(client.getMetrics()).toMatchObject({ requests: 1, successes: 1, retries: 2, failures: 0 });
+  });
+
+  test('should not retry client errors and should read non-JSON error bodies', async () => {
+    responders = [reply(400, 'Bad request: model not found')];
+
+    await expect(createClient().createChatCompletion({ messages: [] })).rejects.toThrow('(400): Bad request: model not found');
+    expect(requests).toBe(1);
+  });
+
+  test('should time out each attempt', async () => {
+    // Never answer; the client gives up on its own
+    responders = [() => {}, () => {}];
+    const client = createClient({ timeout: 50, maxRetries: 1 });
+
+    await expect(client.createChatCompletion({ messages: [] })).rejects.toThrow('timed out after 50ms (after 2 attempts)');
+    expect(client.getMetrics().timeouts).toBe(2);
+  });
+
+  test('should honor Retry-After and cap it at the maximum delay', () => {
+    const client = createClient({ retryMaxDelay: 5000 });
+
+    expect(client.getRetryDelay(0, '2')).toBe(2000);
+    expect(client.getRetryDelay(0, '120')).toBe(5000);
+    expect(client.getRetryDelay(3, null)).toBeLessThanOrEqual(8);
+  });
+
+  test('should open the circuit after repeated failures and fail fast', async () => {
+    responders = [reply(500, {}), reply(500, {}), reply(200, completion)];
+    const client = createClient({ maxRetries: 0, circuitThreshold: 2, circuitCooldown: 60000 });
+
+    await expect(client.createChatCompletion({ messages: [] })).rejects.toThrow('(500)');
+    await expect(client.createChatCompletion({ messages: [] })).rejects.toThrow('(500)');
+    await expect(client.createChatCompletion({ messages: [] })).rejects.toThrow('Fireworks API is unavailable');
+
+    expect(requests).toBe(2);
+    expect(client.getMetrics()).toMatchObject({ circuitOpens: 1, circuitRejections: 1, circuit: { state: 'open' } });
+
+    // After the cooldown a single trial request goes through and closes the circuit again
+    client.circuit.openedAt -= 60000;
+    const trial = client.createChatCompletion({ messages: [] });
+    await expect(client.createChatCompletion({ messages: [] })).rejects.toThrow('A trial request is checking');
+    await trial;
+    expect(requests).toBe(3);
+    expect(client.getMetrics().circuit).toMatchObject({ state: 'closed', trialInFlight: false });
+  });
+
+  test('should let another trial through when the trial is aborted', async () => {
+    responders = [reply(500, {}), (req, res) => setTimeout(reply(200, completion), 200, req, res), reply(200, completion)];
+    const client = createClient({ maxRetries: 0, circuitThreshold: 1, circuitCooldown: 60000 });
+
+    await expect(client.createChatCompletion({ messages: [] })).rejects.toThrow('(500)');
+    client.circuit.openedAt -= 60000;
+
+    const controller = new AbortController();
+    const trial = client.createChatCompletion({ messages: [], signal: controller.signal });
+    await new Promise(resolve => setTimeout(resolve, 50));
+    controller.abort();
+    await expect(trial).rejects.toThrow(/abort/i);
+
+    await client.createChatCompletion({ messages: [] });
+    expect(client.getMetrics().circuit.state).toBe('closed');
+  });
+});
@@ -0,0 +1,54 @@
+/**
+ * Shared fixtures for the agent loop tests
+ */
+
+import { z } from 'zod';
+import { ToolRegistry } from '../../src/agent/toolRegistry.js';
+
+// LLM client that answers each request (sync or streamed) with the next reply
+export const createClient = (replies, requests = []) => ({
+  createChatCompletion: async (request) => {
+    requests.push(request);
+    return { choices: [{ message: { role: 'assistant', content: replies.shift() } }] };
+  },
+  createChatCompletionStream: async function* (request) {
+    requests.push(request);
+    yield { choices: [{ delta: { content: replies.shift() } }] };
+  }
+});
+
+// Browser tools that record their main argument in `calls`; overrides replace fields such as the handler
+export const clickTool = (calls = [], overrides = {}) => ({
+  name: 'browser.click',
+  description: 'Click an element',
+  parameters: z.object({ selector: z.string() }),
+  handler: async ({ selector }) => {
+    calls.push(selector);
+    return { success: true };
+  },
+  ...overrides
+});
+
+export const openTool = (calls = [], overrides = {}) => ({
+  name: 'browser.open',
+  description: 'Navigate the browser to a URL',
+  parameters: z.object({ url: z.string().url() }),
+  handler: async ({ url }) => {
+    calls.push(url);
+    return { success: true, url };
+  },
+  ...overrides
+});
+
+export const extractTool = (calls = [], overrides = {}) => ({
+  name: 'browser.extract',
+  description: 'Extract content from the page',
+  parameters: z.object({ instruction: z.string() }),
+  handler: async ({ instruction }) => {
+    calls.push(instruction);
+    return { title: 'Example Domain' };
+  },
+  ...overrides
+});
+
+export const createRegistry = (...tools) => new ToolRegistry(tools);
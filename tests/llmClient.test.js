@@ -0,0 +1,96 @@
+/**
+ * Tests for LLMClient and the OpenAI-compatible provider
+ */
+
+import http from 'http';
+import { LLMClient } from '../src/services/llmClient.js';
+import { AgentCommunicationProtocol } from '../src/agent/agentCommunicationProtocol.js';
+import { ToolRegistry } from '../src/agent/toolRegistry.js';
+
+describe('LLMClient', () => {
+  let server;
+  let baseUrl;
+  // Captured requests: { headers, body }
+  let requests;
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', data => { body += data; });
+      req.on('end', () => {
+        requests.push({ headers: req.headers, body: JSON.parse(body) });
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ choices: [{ index: 0, message: { role: 'assistant', content: 'local answer' } }] }));
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/v1`;
+  });
+
+  afterAll(async () => {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    requests = [];
+  });
+
+  const createClient = (config = {}) => new LLMClient({
+    provider: 'openai-compatible',
+    providers: {
+      'openai-compatible': { baseUrl, model: 'llama3.1:8b' }
+    },
+    ...config
+  });
+
+  test('should send requests to an OpenAI-compatible server without Fireworks-specific parameters', async () => {
+    const result = await createClient().createChatCompletion({ messages: [{ role: 'user', content: 'Hi' }] });
+
+    expect(result.choices[0].message.content).toBe('local answer');
+    expect(requests).toHaveLength(1);
+    expect(requests[0].body.model).toBe('llama3.1:8b');
+    expect(requests[0].body).not.toHaveProperty('reasoning_effort');
+    expect(requests[0].body).not.toHaveProperty('provider');
+    expect(requests[0].headers).not.toHaveProperty('authorization');
+  });
+
+  test('should send the API key when one is configured', async () => {
+    const client = createClient({
+      providers: { 'openai-compatible': { baseUrl, model: 'llama3.1:8b', apiKey: 'local-key' } }
+    });
+
+    await client.createChatCompletion({ messages: [] });
+
+    expect(requests[0].headers.authorization).toBe('Bearer local-key');
+  });
+
+  test('should route a request to another provider and model', async () => {
+    const client = createClient();
+
+    const result = await client.createChatCompletion({ provider: 'mock', model: 'test-model', messages: [{ role: 'user', content: 'search' }] });
+
+    expect(result.model).toBe('test-model');
+    expect(requests).toHaveLength(0);
+    expect(client.resolve()).toEqual({ provider: 'openai-compatible', model: 'llama3.1:8b' });
+    expect(client.resolve({ model: 'qwen2.5' })).toEqual({ provider: 'openai-compatible', model: 'qwen2.5' });
+  });
+
+  test('should reject unknown providers', () => {
+    expect(() => new LLMClient({ provider: 'nope' })).toThrow('Unknown LLM provider "nope"');
+    expect(() => createClient().getProvider('nope')).toThrow('Unknown LLM provider');
+  });
+
+  test('should use the session selection unless the task overrides it', async () => {
+    const agent = new AgentCommunicationProtocol(createClient(), new ToolRegistry(), {
+      toolCallingMode: 'react',
+      llm: { model: 'session-model' }
+    });
+
+    await agent.processUserInstruction('Say hi');
+    await agent.processUserInstruction('Say hi again', { llm: { model: 'task-model' } });
+
+    expect(requests.map(request => request.body.model)).toEqual(['session-model', 'task-model']);
+    expect(agent.getLLMSelection()).toEqual({ model: 'session-model' });
+  });
+});
@@ -0,0 +1,100 @@
+/**
+ * Tests for LoopGuard and loop limits in the agent loop
+ */
+
+import { LoopGuard } from '../src/agent/loopGuard.js';
+import { AgentCommunicationProtocol } from '../src/agent/agentCommunicationProtocol.js';
+import { createClient, createRegistry, clickTool } from './helpers/agentFixtures.js';
+
+describe('LoopGuard', () => {
+  test('should stop repeated calls regardless of argument order', () => {
+    const guard = new LoopGuard({ maxRepeats: 2 });
+
+    expect(guard.checkToolCall('browser.type', { selector: '#q', text: 'shoes' })).toBeNull();
+    expect(guard.checkToolCall('browser.type', { text: 'shoes', selector: '#q' })).toBeNull();
+    expect(guard.checkToolCall('browser.type', { selector: '#q', text: 'boots' })).toBeNull();
+    expect(guard.checkToolCall('browser.type', { selector: '#q', text: 'shoes' })).toMatchObject({
+      reason: 'repeatedAction',
+      tool: 'browser.type',
+      limit: 2
+    });
+  });
+
+  test('should limit calls per tool with a fallback for other tools', () => {
+    const guard = new LoopGuard({ maxToolCalls: { 'browser.click': 1, '*': 2 }, maxRepeats: null });
+
+    expect(guard.checkToolCall('browser.click', { selector: '#a' })).toBeNull();
+    expect(guard.checkToolCall('browser.click', { selector: '#b' })).toMatchObject({ reason: 'maxToolCalls', tool: 'browser.click', limit: 1 });
+    expect(guard.checkToolCall('browser.scroll', {})).toBeNull();
+    expect(guard.checkToolCall('browser.scroll', {})).toBeNull();
+    expect(guard.checkToolCall('browser.scroll', {})).toMatchObject({ reason: 'maxToolCalls', limit: 2 });
+    expect(guard.getInfo().toolCalls).toEqual({ 'browser.click': 1, 'browser.scroll': 2 });
+  });
+
+  test('should stop on steps, elapsed time and pages that do not change', () => {
+    expect(new LoopGuard({ maxTurns: 2 }).checkStep(2)).toMatchObject({ reason: 'maxTurns', limit: 2 });
+
+    const slow = new LoopGuard({ maxDurationMs: 1000 });
+    slow.startedAt -= 1500;
+    expect(slow.checkStep(0)).toMatchObject({ reason: 'maxDuration', limit: 1000 });
+
+    const stuck = new LoopGuard({ maxUnchangedSteps: 2 });
+    const page = { url: 'https://example.com/', title: 'Example' };
+    expect(stuck.notePage(page)).toBeNull();
+    expect(stuck.notePage(page)).toBeNull();
+    expect(stuck.notePage(page)).toMatchObject({ reason: 'noPageChange', url: 'https://example.com/' });
+    expect(stuck.notePage({ ...page, url: 'https://example.com/next' })).toBeNull();
+  });
+
+  test('should reject invalid limits', () => {
+    expect(() => new LoopGuard({ maxTurns: 0 })).toThrow('maxTurns');
+    expect(() => new LoopGuard({ maxRepeats: 1.5 })).toThrow('maxRepeats');
+    expect(() => new LoopGuard({ maxToolCalls: [] })).toThrow('maxToolCalls');
+    expect(() => new LoopGuard({ maxToolCalls: { 'browser.click': -1 } })).toThrow('maxToolCalls["browser.click"]');
+  });
+});
+
+describe('Loop limits in the agent loop', () => {
+  test('should stop a repeated action before it runs again', async () => {
+    const calls = [];
+    const client = createClient(Array(5).fill('Let me try again.\nAction: browser.click(selector="#next")'));
+    const agent = new AgentCommunicationProtocol(client, createRegistry(clickTool(calls)), { toolCallingMode: 'react' });
+
+    const response = await agent.processUserInstruction('Go to the last page', { limits: { maxRepeats: 2 } });
+
+    expect(calls).toEqual(['#next', '#next']);
+    expect(response).toBe('Let me try again.\nAction: browser.click(selector="#next")\n\n' +
+      '[Note: Stopped: the agent repeated browser.click with the same arguments 3 times.]');
+    expect(agent.getTaskInfo().stopReason).toMatchObject({ reason: 'repeatedAction', tool: 'browser.click', limit: 2 });
+  });
+
+  test('should end the stream with stopped and complete events when out of turns', async () => {
+    const calls = [];
+    const client = createClient([
+      'Action: browser.click(selector="#a")',
+      'Action: browser.click(selector="#b")',
+      'Action: browser.click(selector="#c")'
+    ]);
+    const agent = new AgentCommunicationProtocol(client, createRegistry(clickTool(calls)), { toolCallingMode: 'react' });
+
+    const events = [];
+    for await (const event of agent.processInstructionStream('Click around', { limits: { maxTurns: 2 } })) {
+      events.push(event);
+    }
+
+    const stopReason = { reason: 'maxTurns', limit: 2, message: 'Stopped: the task reached its limit of 2 steps.' };
+    expect(calls).toEqual(['#a', '#b']);
+    expect(events.slice(-2)).toEqual([
+      { type: 'stopped', stopReason },
+      { type: 'complete', content: `Action: browser.click(selector="#b")\n\n[Note: ${stopReason.message}]`, stopReason }
+    ]);
+  });
+
+  test('should report answers and invalid limits', async () => {
+    const agent = new AgentCommunicationProtocol(createClient(['All done.']), createRegistry(clickTool()), { toolCallingMode: 'react' });
+
+    await expect(agent.processUserInstruction('Do it', { limits: { maxTurns: -1 } })).rejects.toThrow('maxTurns');
+    expect(await agent.processUserInstruction('Do it')).toBe('All done.');
+    expect(agent.getTaskInfo().stopReason).toEqual({ reason: 'answer' });
+  });
+});
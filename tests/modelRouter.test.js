@@ -0,0 +1,102 @@
+/**
+ * Tests for ModelRouter and role-based model selection
+ */
+
+import { z } from 'zod';
+import { ModelRouter } from '../src/agent/modelRouter.js';
+import { AgentCommunicationProtocol } from '../src/agent/agentCommunicationProtocol.js';
+import { ToolRegistry } from '../src/agent/toolRegistry.js';
+
+const toolCall = (id, url) => ({
+  choices: [{
+    message: {
+      role: 'assistant',
+      content: '',
+      tool_calls: [{ id, type: 'function', function: { name: 'browser_open', arguments: JSON.stringify({ url }) } }]
+    }
+  }]
+});
+
+const answer = (content) => ({ choices: [{ message: { role: 'assistant', content } }] });
+
+const createRegistry = () => new ToolRegistry([
+  {
+    name: 'browser.open',
+    description: 'Navigate the browser to a URL',
+    parameters: z.object({ url: z.string().url() }),
+    handler: async ({ url }) => {
+      if (url.includes('broken')) {
+        throw new Error('Navigation failed');
+      }
+      return { success: true, url };
+    }
+  }
+]);
+
+describe('ModelRouter', () => {
+  test('should merge routes over the defaults', () => {
+    const router = new ModelRouter({ actor: { model: 'small', params: { max_tokens: 512 } } });
+
+    expect(router.resolve('actor')).toEqual({ model: 'small', max_tokens: 512, temperature: 0.2 });
+    expect(router.resolve('planner', { model: 'session-model' })).toEqual({ model: 'session-model', max_tokens: 4096, temperature: 0.2 });
+  });
+
+  test('should let an explicit override win over the route', () => {
+    const router = new ModelRouter({ actor: { provider: 'mock', model: 'small' } });
+
+    expect(router.resolve('actor', {}, { model: 'chosen' })).toMatchObject({ provider: 'mock', model: 'chosen' });
+  });
+
+  test('should reject unknown roles and malformed routes', () => {
+    expect(() => new ModelRouter({ critic: { model: 'x' } })).toThrow('Unknown model role "critic"');
+    expect(() => new ModelRouter({ actor: { model: 42 } })).toThrow('The "actor" route');
+  });
+
+  test('should route planning, routine steps, recovery and the final answer', async () => {
+    const requests = [];
+    const responses = [
+      toolCall('call-1', 'https://example.com'),
+      toolCall('call-2', 'https://broken.example.com'),
+      toolCall('call-3', 'https://example.org'),
+      answer('draft'),
+      answer('Final answer')
+    ];
+    const client = {
+      createChatCompletion: async (options) => {
+        requests.push(options);
+        return responses.shift();
+      }
+    };
+
+    const agent = new AgentCommunicationProtocol(client, createRegistry(), {
+      toolCallingMode: 'native',
+      routing: {
+        planner: { model: 'reasoner' },
+        actor: { model: 'fast', params: { max_tokens: 1024 } },
+        answer: { model: 'writer' }
+      }
+    });
+    const result = await agent.processUserInstruction('Open a few pages');
+
+    expect(requests.map(request => request.model)).toEqual(['reasoner', 'fast', 'reasoner', 'fast', 'writer']);
+    expect(requests[1].max_tokens).toBe(1024);
+    expect(requests[4].tools).toBeUndefined();
+    expect(result).toBe('Final answer');
+    expect(agent.getMessageHistory().pop().content).toBe('Final answer');
+  });
+
+  test('should keep the draft when the answer route uses the same model', async () => {
+    const requests = [];
+    const client = {
+      createChatCompletion: async (options) => {
+        requests.push(options);
+        return answer('Only answer');
+      }
+    };
+
+    const agent = new AgentCommunicationProtocol(client, createRegistry(), { routing: { planner: { model: 'same' }, answer: { model: 'same' } } });
+
+    expect(await agent.processUserInstruction('Say hi')).toBe('Only answer');
+    expect(requests).toHaveLength(1);
+  });
+});
@@ -0,0 +1,92 @@
+/**
+ * Tests for OutputSchema and structured results in the agent loop
+ */
+
+import { OutputSchema } from '../src/agent/outputSchema.js';
+import { AgentCommunicationProtocol } from '../src/agent/agentCommunicationProtocol.js';
+import { ToolRegistry } from '../src/agent/toolRegistry.js';
+
+const priceSchema = {
+  type: 'object',
+  properties: {
+    price: { type: 'number' },
+    currency: { type: 'string', enum: ['USD', 'EUR'] }
+  },
+  required: ['price']
+};
+
+describe('OutputSchema', () => {
+  test('should extract the result and the prose from an answer', () => {
+    const output = new OutputSchema({ schema: priceSchema });
+
+    expect(output.parse('The book costs $12.\n\n```json\n{"price": 12, "currency": "USD"}\n```')).toEqual({
+      success: true,
+      result: { price: 12, currency: 'USD' },
+      prose: 'The book costs $12.'
+    });
+    expect(output.parse('{"price": 3}')).toEqual({ success: true, result: { price: 3 }, prose: '' });
+  });
+
+  test('should report why a result is invalid', () => {
+    const output = new OutputSchema({ schema: priceSchema });
+
+    expect(output.parse('It costs 12 dollars.')).toMatchObject({ success: false, error: expect.stringContaining('no ```json block') });
+    expect(output.parse('```json\n{"price": "12", "currency": "GBP"}\n```').error).toMatch(/price: Expected number.*currency/);
+  });
+
+  test('should resolve templates and reject malformed requests', () => {
+    expect(new OutputSchema({ template: 'links' }).parse('```json\n{"links":[{"title":"A","url":"https://a.example"}]}\n```').success).toBe(true);
+    expect(() => new OutputSchema({ template: 'poem' })).toThrow('Unknown output template "poem"');
+    expect(() => new OutputSchema({ schema: { properties: {} } })).toThrow('"type"');
+    expect(() => new OutputSchema({ schema: priceSchema, template: 'links' })).toThrow('not both');
+  });
+});
+
+describe('Structured results in the agent loop', () => {
+  test('should ask for a corrected result when the answer does not match the schema', async () => {
+    const requests = [];
+    const replies = [
+      'The book costs twelve dollars.\n```json\n{"price": "twelve"}\n```',
+      '```json\n{"price": 12, "currency": "USD"}\n```'
+    ];
+    const client = {
+      createChatCompletion: async (request) => {
+        requests.push(request);
+        return { choices: [{ message: { role: 'assistant', content: replies.shift() } }] };
+      }
+    };
+    const agent = new AgentCommunicationProtocol(client, new ToolRegistry(), { toolCallingMode: 'react' });
+
+    const response = await agent.processUserInstruction('How much is the book?', { output: { schema: priceSchema } });
+
+    expect(response).toBe('The book costs twelve dollars.');
+    expect(agent.getTaskInfo()).toMatchObject({ result: { price: 12, currency: 'USD' }, resultError: null });
+    expect(requests[0].messages[0].content).toContain('"price"');
+    expect(requests[1].messages[requests[1].messages.length - 1].content).toContain('price: Expected number');
+  });
+
+  test('should report a missing result in the complete event once retries run out', async () => {
+    const client = {
+      createChatCompletionStream: async function* () {
+        yield { choices: [{ delta: { content: 'About twelve dollars.' } }] };
+      },
+      createChatCompletion: async () => ({
+        choices: [{ message: { role: 'assistant', content: 'Sorry, I do not know.' } }]
+      })
+    };
+    const agent = new AgentCommunicationProtocol(client, new ToolRegistry(), { toolCallingMode: 'react' });
+
+    const events = [];
+    for await (const event of agent.processInstructionStream('How much?', { output: { schema: priceSchema, maxRetries: 1 } })) {
+      events.push(event);
+    }
+
+    expect(events[events.length - 1]).toEqual({
+      type: 'complete',
+      content: 'About twelve dollars.',
+      result: null,
+      resultError: 'The final answer has no valid result: the answer has no ```json block',
+      stopReason: { reason: 'answer' }
+    });
+  });
+});
@@ -0,0 +1,114 @@
+/**
+ * Tests for running the tool calls of one step concurrently
+ */
+
+import { z } from 'zod';
+import { AgentCommunicationProtocol } from '../src/agent/agentCommunicationProtocol.js';
+import { ToolRegistry } from '../src/agent/toolRegistry.js';
+import { createClient } from './helpers/agentFixtures.js';
+
+// Tools record how many calls run at the same time; browser tools share the "browser" resource
+const createRegistry = (log) => {
+  let running = 0;
+  const track = (name, delayMs) => async (params) => {
+    running++;
+    log.maxRunning = Math.max(log.maxRunning || 0, running);
+    log.started.push(`${name}:${params.id}`);
+    await new Promise(resolve => setTimeout(resolve, delayMs));
+    running--;
+    return { name, id: params.id };
+  };
+
+  return new ToolRegistry([
+    {
+      name: 'document.analyze',
+      description: 'Analyze a document',
+      parameters: z.object({ id: z.string() }),
+      handler: async (params) => track('document.analyze', params.id === 'slow' ? 30 : 5)(params)
+    },
+    {
+      name: 'browser.extract',
+      description: 'Extract content from the page',
+      parameters: z.object({ id: z.string() }),
+      resource: 'browser',
+      handler: track('browser.extract', 5)
+    }
+  ]);
+};
+
+const createAgent = (log, options = {}) => {
+  const agent = new AgentCommunicationProtocol(createClient([]), createRegistry(log), { toolCallingMode: 'react', ...options });
+  agent.beginTaskControl();
+  return agent;
+};
+
+describe('Parallel tool calls', () => {
+  test('should run independent calls concurrently and return them in call order', async () => {
+    const log = { started: [] };
+    const agent = createAgent(log);
+
+    const results = await agent.executeToolCalls([
+      { toolName: 'document.analyze', params: { id: 'slow' } },
+      { toolName: 'document.analyze', params: { id: 'a' } },
+      { toolName: 'document.analyze', params: { id: 'b' } }
+    ]);
+
+    expect(log.maxRunning).toBe(3);
+    expect(results.map(({ observation }) => JSON.parse(observation).id)).toEqual(['slow', 'a', 'b']);
+  });
+
+  test('should run calls on a shared resource one after another and respect the concurrency cap', async () => {
+    const log = { started: [] };
+    const agent = createAgent(log);
+
+    await agent.executeToolCalls([
+      { toolName: 'browser.extract', params: { id: '1' } },
+      { toolName: 'browser.extract', params: { id: '2' } },
+      { toolName: 'browser.extract', params: { id: '3' } }
+    ]);
+    expect(log.maxRunning).toBe(1);
+    expect(log.started).toEqual(['browser.extract:1', 'browser.extract:2', 'browser.extract:3']);
+
+    const capped = { started: [] };
+    await createAgent(capped, { toolConcurrency: 2 }).executeToolCalls(
+      ['a', 'b', 'c', 'd'].map(id => ({ toolName: 'document.analyze', params: { id } }))
+    );
+    expect(capped.maxRunning).toBe(2);
+    expect(() => createAgent(capped, { toolConcurrency: 0 })).toThrow('Tool concurrency');
+  });
+
+  test('should stop at the first call over a loop limit', async () => {
+    const log = { started: [] };
+    const agent = new AgentCommunicationProtocol(createClient([]), createRegistry(log), { toolCallingMode: 'react' });
+    agent.beginTaskControl({ limits: { maxToolCalls: { 'document.analyze': 2 } } });
+
+    const results = await agent.executeToolCalls(['a', 'b', 'c'].map(id => ({ toolName: 'document.analyze', params: { id } })));
+
+    expect(results).toHaveLength(2);
+    expect(agent.getTaskInfo().stopReason).toMatchObject({ reason: 'maxToolCalls', tool: 'document.analyze' });
+  });
+
+  test('should parse several actions in one step and stream each call as its own pair', async () => {
+    const log = { started: [] };
+    const client = createClient([
+      'Thought: Both documents are needed.\nAction: document.analyze(id="slow")\nAction: document.analyze(id="a")',
+      'Both are analyzed.'
+    ]);
+    const agent = new AgentCommunicationProtocol(client, createRegistry(log), { toolCallingMode: 'react' });
+    // The note on parallel actions follows the format block instead of splitting it
+    expect(agent.getSystemPrompt()).toContain('as needed)\nThought: I now know the final answer\nAnswer:');
+
+    const events = [];
+    for await (const event of agent.processInstructionStream('Analyze both documents')) {
+      events.push(event);
+    }
+
+    const pairs = events.filter(event => event.type === 'toolCall' || event.type === 'observation')
+      .map(event => `${event.type}:${event.callId}`);
+    expect(pairs).toEqual(['toolCall:call-1-1', 'toolCall:call-1-2', 'observation:call-1-2', 'observation:call-1-1']);
+
+    const observations = agent.getMessageHistory().filter(msg => msg.content.startsWith('Observation:'));
+    expect(observations.map(msg => JSON.parse(msg.content.replace('Observation: ', '')).id)).toEqual(['slow', 'a']);
+    expect(events[events.length - 1]).toMatchObject({ type: 'complete', content: 'Both are analyzed.' });
+  });
+});
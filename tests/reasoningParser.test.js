@@ -0,0 +1,116 @@
+/**
+ * Tests for the reasoning parser and reasoning handling in the agent loop
+ */
+
+import { ReasoningParser, splitReasoning } from '../src/agent/reasoningParser.js';
+import { AgentCommunicationProtocol } from '../src/agent/agentCommunicationProtocol.js';
+import { createRegistry, openTool } from './helpers/agentFixtures.js';
+
+describe('ReasoningParser', () => {
+  test('should split reasoning from content when tags are cut across chunks', () => {
+    const parser = new ReasoningParser();
+    const pieces = ['<th', 'ink>Let me ', 'think</th', 'ink>\n\nThe ', 'answer <b>'];
+
+    const segments = [...pieces.flatMap(piece => parser.push(piece)), ...parser.flush()];
+
+    expect(segments.filter(s => s.type === 'reasoning').map(s => s.text).join('')).toBe('Let me think');
+    expect(segments.filter(s => s.type === 'content').map(s => s.text).join('')).toBe('\n\nThe answer <b>');
+  });
+
+  test('should treat output with only a closing tag as reasoning up to the tag', () => {
+    expect(splitReasoning('Planning...\n</think>\n\nFinal')).toEqual({ reasoning: 'Planning...', content: 'Final' });
+  });
+
+  test('should hold streamed text back until the first tag decides what it is', () => {
+    const parser = new ReasoningParser({ awaitFirstTag: true });
+
+    expect(parser.push('Plan the ')).toEqual([]);
+    expect(parser.push('step</th')).toEqual([]);
+    expect(parser.push('ink>\nDone')).toEqual([{ type: 'reasoning', text: 'Plan the step' }, { type: 'content', text: '\nDone' }]);
+    expect(parser.flush()).toEqual([]);
+  });
+
+  test('should emit held text as content when the stream has no tag', () => {
+    const parser = new ReasoningParser({ awaitFirstTag: true });
+
+    expect(parser.push('Plain answer')).toEqual([]);
+    expect(parser.flush()).toEqual([{ type: 'content', text: 'Plain answer' }]);
+  });
+
+  test('should keep an unclosed block as reasoning', () => {
+    expect(splitReasoning('<think>Still thinking')).toEqual({ reasoning: 'Still thinking', content: '' });
+  });
+
+  test('should leave output without reasoning untouched', () => {
+    expect(splitReasoning(' Plain answer\n')).toEqual({ reasoning: '', content: ' Plain answer\n' });
+  });
+});
+
+describe('Reasoning in the agent loop', () => {
+  test('should not execute actions mentioned in the reasoning', async () => {
+    const calls = [];
+    const client = {
+      createChatCompletion: async () => ({
+        choices: [{
+          message: {
+            role: 'assistant',
+            content: '<think>Maybe Action: browser.open(url="https://evil.example.com")</think>\nThe answer is 42.'
+          }
+        }]
+      })
+    };
+    const agent = new AgentCommunicationProtocol(client, createRegistry(openTool(calls)), { toolCallingMode: 'react' });
+
+    const response = await agent.processUserInstruction('What is the answer?');
+
+    expect(response).toBe('The answer is 42.');
+    expect(calls).toEqual([]);
+    expect(agent.getMessageHistory().pop().content).toBe('The answer is 42.');
+  });
+
+  test('should stream reasoning as separate events and keep it when configured', async () => {
+    const client = {
+      createChatCompletionStream: async function* () {
+        for (const content of ['<think>Check', ' the page</thi', 'nk>', '\n\nDone']) {
+          yield { choices: [{ delta: { content } }] };
+        }
+      }
+    };
+    const agent = new AgentCommunicationProtocol(client, createRegistry(openTool()), {
+      toolCallingMode: 'react',
+      context: { keepReasoning: true }
+    });
+
+    const events = [];
+    for await (const event of agent.processInstructionStream('Check the page')) {
+      events.push(event);
+    }
+
+    expect(events.filter(e => e.type === 'reasoning').map(e => e.content).join('')).toBe('Check the page');
+    expect(events.filter(e => e.type === 'assistant').map(e => e.content).join('')).toBe('\n\nDone');
+    expect(events.find(e => e.type === 'complete').content).toBe('Done');
+    expect(agent.getMessageHistory().pop().content).toBe('<think>Check the page</think>\nDone');
+  });
+
+  test('should stream output with only a closing tag as reasoning up to the tag', async () => {
+    const calls = [];
+    const client = {
+      createChatCompletionStream: async function* () {
+        for (const content of ['Maybe Action: browser.open', '(url="https://evil.example.com")</th', 'ink>\nFinal Answer: done']) {
+          yield { choices: [{ delta: { content } }] };
+        }
+      }
+    };
+    const agent = new AgentCommunicationProtocol(client, createRegistry(openTool(calls)), { toolCallingMode: 'react' });
+
+    const events = [];
+    for await (const event of agent.processInstructionStream('Open the page')) {
+      events.push(event);
+    }
+
+    expect(events.filter(e => e.type === 'reasoning').map(e => e.content).join('')).toBe('Maybe Action: browser.open(url="https://evil.example.com")');
+    expect(events.filter(e => e.type === 'assistant').map(e => e.content).join('')).toBe('\nFinal Answer: done');
+    expect(events.some(e => e.content?.includes('</think>'))).toBe(false);
+    expect(calls).toEqual([]);
+  });
+});
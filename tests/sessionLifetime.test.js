@@ -0,0 +1,85 @@
+/**
+ * Tests for session idle timeouts, maximum lifetimes and the session limit
+ */
+
+import { AgentService } from '../src/agent/agentService.js';
+import { MemorySessionStore } from '../src/services/sessionStores/memoryStore.js';
+
+const createService = (config = {}) => new AgentService({
+  llmProvider: 'mock',
+  browserBackend: 'mock',
+  sessionStore: new MemorySessionStore(),
+  // Eviction runs are triggered by the tests
+  sessionEvictionIntervalMs: 0,
+  ...config
+});
+
+describe('Session lifetimes', () => {
+  let service;
+
+  afterEach(async () => {
+    await service.cleanup();
+  });
+
+  test('should evict idle sessions and close their browsers', async () => {
+    service = createService({ sessionIdleTimeoutMs: 1000 });
+    await service.initialize();
+    const idle = service.createSession();
+    const active = service.createSession();
+    await service.getBrowser(idle);
+    const start = Date.now();
+
+    expect(await service.evictSessions(start)).toEqual([]);
+
+    service.sessionActivity.set(idle, start - 2000);
+    expect(await service.evictSessions(start)).toEqual([{ sessionId: idle, reason: 'idleTimeout' }]);
+    expect(service.sessions.has(idle)).toBe(false);
+    expect(service.sessions.has(active)).toBe(true);
+    expect(service.browserPool.has(idle)).toBe(false);
+    expect(await service.sessionStore.load(idle)).toBeNull();
+  });
+
+  test('should evict sessions past their maximum lifetime even when active', async () => {
+    service = createService({ sessionIdleTimeoutMs: 0, sessionMaxLifetimeMs: 60000 });
+    await service.initialize();
+    const sessionId = service.createSession();
+    const { createdAt } = service.getAgent(sessionId);
+
+    expect((await service.getSessionInfo(sessionId)).expiresAt).toBe(new Date(Date.parse(createdAt) + 60000).toISOString());
+    expect(await service.evictSessions(Date.parse(createdAt) + 59999)).toEqual([]);
+    expect(await service.evictSessions(Date.parse(createdAt) + 60000)).toEqual([{ sessionId, reason: 'maxLifetime' }]);
+  });
+
+  test('should refuse new sessions beyond the session limit with status 429', async () => {
+    service = createService({ maxSessions: 1 });
+    await service.initialize();
+    const sessionId = service.createSession();
+
+    expect(() => service.createSession()).toThrow(expect.objectContaining({ status: 429, message: expect.stringContaining('Session limit reached') }));
+
+    await service.cleanupSession(sessionId);
+    expect(service.createSession()).toEqual(expect.any(String));
+  });
+
+  test('should list sessions with their age, idle time and resource usage', async () => {
+    service = createService({ sessionIdleTimeoutMs: 1000 });
+    await service.initialize();
+    const sessionId = service.createSession();
+    await (await service.getBrowser(sessionId)).open('https://example.com');
+    service.sessionActivity.set(sessionId, Date.now() - 500);
+
+    const { sessions, limits, browsers } = await service.listSessions();
+
+    expect(limits).toEqual({ idleTimeoutMs: 1000, maxLifetimeMs: 0, maxSessions: 100 });
+    expect(browsers).toEqual({ open: 1, max: 5 });
+    expect(sessions).toHaveLength(1);
+    expect(sessions[0]).toMatchObject({
+      sessionId,
+      task: { status: 'idle' },
+      resources: { messages: 0, usage: { calls: 0 }, runningSubAgents: 0, browser: { url: 'https://example.com' } }
+    });
+    expect(sessions[0].idleMs).toBeGreaterThanOrEqual(500);
+    expect(sessions[0].ageMs).toBeGreaterThanOrEqual(0);
+    expect(Date.parse(sessions[0].expiresAt)).toBe(Date.parse(sessions[0].lastActiveAt) + 1000);
+  });
+});
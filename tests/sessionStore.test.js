@@ -0,0 +1,124 @@
+/**
+ * Tests for session stores and restart-safe session recovery
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { FileSessionStore } from '../src/services/sessionStores/fileStore.js';
+import { SqliteSessionStore } from '../src/services/sessionStores/sqliteStore.js';
+import { MemorySessionStore } from '../src/services/sessionStores/memoryStore.js';
+import { AgentCommunicationProtocol } from '../src/agent/agentCommunicationProtocol.js';
+import { AgentService } from '../src/agent/agentService.js';
+import { createClient, createRegistry, clickTool } from './helpers/agentFixtures.js';
+
+describe('Session stores', () => {
+  let directory;
+
+  beforeEach(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'intellibrowse-sessions-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  test.each([
+    ['file', () => new FileSessionStore({ path: path.join(directory, 'sessions') })],
+    ['sqlite', () => new SqliteSessionStore({ path: path.join(directory, 'sessions.db') })]
+  ])('%s store should save, reload and delete records across instances', async (type, createStore) => {
+    const store = createStore();
+    await store.initialize();
+    await store.save({ sessionId: 'session-1', updatedAt: '2024-01-01T00:00:00.000Z', state: { step: 1 } });
+    await store.save({ sessionId: 'session-2', updatedAt: '2024-01-01T00:00:01.000Z', state: { step: 1 } });
+    await store.save({ sessionId: 'session-1', updatedAt: '2024-01-01T00:00:02.000Z', state: { step: 2 } });
+    await store.close();
+
+    const reopened = createStore();
+    await reopened.initialize();
+    expect(await reopened.load('session-1')).toMatchObject({ state: { step: 2 } });
+    expect((await reopened.loadAll()).map(record => record.sessionId).sort()).toEqual(['session-1', 'session-2']);
+
+    await reopened.delete('session-2');
+    expect(await reopened.load('session-2')).toBeNull();
+    await reopened.close();
+  });
+
+  test('file store should refuse session IDs that are not plain file names', async () => {
+    const store = new FileSessionStore({ path: directory });
+    await store.initialize();
+
+    await expect(store.load('../secrets')).rejects.toThrow('Invalid session ID');
+  });
+});
+
+describe('Session recovery', () => {
+  // Runs a task to the end and returns the state saved after its first completed step
+  const runAndSnapshot = async () => {
+    const snapshots = [];
+    const agent = new AgentCommunicationProtocol(
+      createClient(['Action: browser.click(selector="#a")', 'Action: browser.click(selector="#b")', 'Both clicked.']),
+      createRegistry(clickTool()),
+      { toolCallingMode: 'react', approval: { enabled: false }, persist: (saved) => snapshots.push(JSON.parse(JSON.stringify(saved.exportState()))) }
+    );
+    await agent.processUserInstruction('Click both buttons', { limits: { maxTurns: 5 } });
+
+    return { agent, snapshot: snapshots.find(state => state.task.step === 1) };
+  };
+
+  test('should resume an interrupted task from its last completed step', async () => {
+    const { agent, snapshot } = await runAndSnapshot();
+    expect(snapshot.task).toMatchObject({ status: 'running', instruction: 'Click both buttons', limits: { maxTurns: 5 } });
+
+    const clicks = [];
+    const restored = new AgentCommunicationProtocol(
+      createClient(['Action: browser.click(selector="#b")', 'Both clicked.']),
+      createRegistry(clickTool(clicks)),
+      { toolCallingMode: 'react', approval: { enabled: false } }
+    );
+    restored.restoreState(snapshot);
+
+    expect(restored.getSessionId()).toBe(agent.getSessionId());
+    expect(restored.getTaskInfo()).toMatchObject({ status: 'interrupted' });
+
+    expect(await restored.resumeInterruptedTask()).toBe('Both clicked.');
+    expect(clicks).toEqual(['#b']);
+    expect(restored.getTaskInfo()).toMatchObject({ status: 'finished', stopReason: { reason: 'answer' } });
+    expect(restored.getUsageInfo().task.calls).toBe(3);
+    expect(restored.getMessageHistory().filter(msg => msg.content.startsWith('Observation:'))).toHaveLength(2);
+    expect(restored.getMemoryInfo().turns).toBe(1);
+    await expect(restored.resumeInterruptedTask()).rejects.toThrow('no interrupted task');
+  });
+
+  test('should keep an interrupted turn in memory when a new instruction replaces it', async () => {
+    const { snapshot } = await runAndSnapshot();
+    const restored = new AgentCommunicationProtocol(createClient(['Hello again.']), createRegistry(clickTool()), { toolCallingMode: 'react' });
+    restored.restoreState(snapshot);
+
+    expect(await restored.processUserInstruction('Say hello')).toBe('Hello again.');
+    expect(restored.getMemoryInfo().turns).toBe(2);
+    expect(restored.memory.turns[0]).toMatchObject({ instruction: 'Click both buttons', response: '' });
+  });
+
+  test('should reload saved sessions on startup and reopen their last page', async () => {
+    const store = new MemorySessionStore();
+    const service = new AgentService({ llmProvider: 'mock', browserBackend: 'mock', sessionStore: store });
+    await service.initialize();
+    const sessionId = service.createSession({ memory: { policy: 'window', windowSize: 2 } });
+    const browser = await service.getBrowser(sessionId);
+    await browser.open('https://example.com/account');
+    await service.persistSession(service.getAgent(sessionId));
+    await service.cleanup();
+
+    const restarted = new AgentService({ llmProvider: 'mock', browserBackend: 'mock', sessionStore: store });
+    await restarted.initialize();
+    const info = await restarted.getSessionInfo(sessionId);
+
+    expect(info.memory).toMatchObject({ policy: 'window', windowSize: 2 });
+    expect(info.browser).toBeNull();
+    expect((await (await restarted.getBrowser(sessionId)).getPageInfo()).url).toBe('https://example.com/account');
+    await restarted.cleanupSession(sessionId);
+    expect(await store.load(sessionId)).toBeNull();
+    await restarted.cleanup();
+  });
+});
@@ -0,0 +1,115 @@
+/**
+ * Tests for delegating subtasks to sub-agents
+ */
+
+import { z } from 'zod';
+import { AgentCommunicationProtocol } from '../src/agent/agentCommunicationProtocol.js';
+import { createClient, createRegistry, clickTool } from './helpers/agentFixtures.js';
+
+// Clicks are recorded with the session that made them
+const createDelegateRegistry = (clicks = []) => createRegistry(
+  {
+    name: 'agent.delegate',
+    description: 'Hand a subtask to a sub-agent',
+    parameters: z.object({ task: z.string().min(1), maxTurns: z.number().int().positive().optional() }),
+    handler: async ({ task, maxTurns }, { delegate }) => delegate(task, { maxTurns })
+  },
+  clickTool(clicks, {
+    handler: async ({ selector }, { sessionId }) => {
+      clicks.push({ selector, sessionId });
+      return { success: true };
+    }
+  })
+);
+
+// Children get the replies of childReplies in turn and are released by ID
+const createParent = (replies, childReplies, { released = [], childOptions = {}, ...options } = {}) => {
+  const registry = createDelegateRegistry(options.clicks);
+  const createAgent = (client, agentOptions) => new AgentCommunicationProtocol(client, registry, {
+    toolCallingMode: 'react',
+    approval: { enabled: false },
+    ...agentOptions,
+    createSubAgent: (child) => createAgent(createClient(childReplies), { ...childOptions, ...child }),
+    releaseSubAgent: async (sessionId) => { released.push(sessionId); }
+  });
+  return createAgent(createClient(replies), options.parent);
+};
+
+describe('Sub-agents', () => {
+  test('should run the subtask in a child session and return its report', async () => {
+    const released = [];
+    const parent = createParent(
+      ['Action: agent.delegate(task="Find the price of the X1")', 'The X1 costs $499.'],
+      ['The X1 costs $499 on acme.example.'],
+      { released }
+    );
+
+    const events = [];
+    for await (const event of parent.processInstructionStream('Compare prices')) {
+      events.push(event);
+    }
+
+    const [child] = parent.getSubAgentInfo();
+    const subAgent = { sessionId: child.sessionId, parentSessionId: parent.getSessionId(), depth: 1 };
+    expect(events.find(event => event.type === 'subAgentStarted')).toEqual({
+      type: 'subAgentStarted',
+      subAgent: { ...subAgent, task: 'Find the price of the X1', maxTurns: 10 }
+    });
+    expect(events.find(event => event.type === 'subAgentEvent' && event.event.type === 'complete')).toMatchObject({
+      subAgent,
+      event: { content: 'The X1 costs $499 on acme.example.', stopReason: { reason: 'answer' } }
+    });
+    expect(events.find(event => event.type === 'subAgentFinished')).toMatchObject({ subAgent, status: 'finished' });
+
+    expect(JSON.parse(events.find(event => event.type === 'observation').content)).toEqual({
+      success: true,
+      subAgent: child.sessionId,
+      stopReason: 'answer',
+      result: 'The X1 costs $499 on acme.example.'
+    });
+    expect(child).toMatchObject({ status: 'finished', depth: 1, step: 1, subAgents: [] });
+    expect(child.sessionId).not.toBe(parent.getSessionId());
+    expect(released).toEqual([child.sessionId]);
+
+    // The child's calls count towards the parent's totals
+    expect(parent.getUsageInfo().task.calls).toBe(3);
+    expect(events[events.length - 1]).toMatchObject({ type: 'complete', content: 'The X1 costs $499.' });
+  });
+
+  test('should cap the turn budget and refuse to nest deeper than maxDepth', async () => {
+    const parent = createParent([], ['Action: browser.click(selector="#a")', 'Action: browser.click(selector="#b")']);
+    parent.beginTaskControl();
+
+    const report = await parent.delegateTask('Click around', { maxTurns: 1 });
+    expect(report).toMatchObject({ success: false, stopReason: 'maxTurns', result: 'Action: browser.click(selector="#a")\n\n[Note: Stopped: the task reached its limit of 1 step.]' });
+
+    const child = parent.subAgents[0].agent;
+    await expect(child.delegateTask('Go deeper')).rejects.toMatchObject({ type: 'blockedByPolicy' });
+    await expect(new AgentCommunicationProtocol(createClient([]), createDelegateRegistry()).delegateTask('Anything'))
+      .rejects.toMatchObject({ type: 'toolFailed' });
+    expect(() => createParent([], [], { parent: { delegation: { maxTurns: 0 } } })).toThrow('maxTurns');
+  });
+
+  test('should relay approval requests of a sub-agent and resolve them through the parent', async () => {
+    const clicks = [];
+    const parent = createParent(
+      ['Action: agent.delegate(task="Buy the X1")', 'Bought.'],
+      ['Action: browser.click(selector="Buy now")', 'Clicked buy.'],
+      { clicks, childOptions: { approval: { rules: [{ name: 'ask', tools: ['browser.click'] }] } } }
+    );
+
+    const events = [];
+    for await (const event of parent.processInstructionStream('Buy the X1')) {
+      events.push(event);
+      if (event.type === 'approvalRequired') {
+        expect(parent.getPendingApprovals()).toEqual([{ ...event.approval, subAgent: event.subAgent }]);
+        expect(parent.resolveApproval(event.approval.id, { decision: 'approve' })).toEqual({ success: true });
+      }
+    }
+
+    const [child] = parent.getSubAgentInfo();
+    expect(events.find(event => event.type === 'approvalRequired').subAgent).toMatchObject({ sessionId: child.sessionId, depth: 1 });
+    expect(events.some(event => event.type === 'approvalResolved' && event.subAgent)).toBe(true);
+    expect(clicks).toEqual([{ selector: 'Buy now', sessionId: child.sessionId }]);
+  });
+});
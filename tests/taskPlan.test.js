@@ -0,0 +1,128 @@
+/**
+ * Tests for TaskPlan and the planning phase of the agent loop
+ */
+
+import { TaskPlan, parsePlan } from '../src/agent/taskPlan.js';
+import { AgentCommunicationProtocol } from '../src/agent/agentCommunicationProtocol.js';
+import { createClient, createRegistry, openTool } from './helpers/agentFixtures.js';
+
+// Opening a URL that contains "broken" fails
+const createOpenRegistry = (calls) => createRegistry(openTool(calls, {
+  handler: async ({ url }) => {
+    calls.push(url);
+    if (url.includes('broken')) {
+      throw new Error('Navigation failed');
+    }
+    return { success: true, url };
+  }
+}));
+
+describe('TaskPlan', () => {
+  test('should parse numbered lists, bullets and JSON arrays', () => {
+    expect(parsePlan('Plan:\n1. Open the site\n2) Search for shoes\n\nThat is all.')).toEqual(['Open the site', 'Search for shoes']);
+    expect(parsePlan('- Open the site\n* Read the title')).toEqual(['Open the site', 'Read the title']);
+    expect(parsePlan('```json\n["Open the site", "Read the title"]\n```')).toEqual(['Open the site', 'Read the title']);
+    expect(parsePlan('I will just do it.')).toEqual([]);
+  });
+
+  test('should reorder, rewrite and add steps while keeping their status', () => {
+    const plan = new TaskPlan(['Open the site', 'Search', 'Read results']);
+    plan.getCurrentStep();
+    plan.applyProgress('Step 1 done');
+
+    plan.update([{ id: 1, description: 'Open the site' }, { id: 3, description: 'Read the first result' }, 'Compare prices']);
+
+    expect(plan.steps.map(step => [step.description, step.status])).toEqual([
+      ['Open the site', 'done'],
+      ['Read the first result', 'pending'],
+      ['Compare prices', 'pending']
+    ]);
+    expect(plan.getCurrentStep().description).toBe('Read the first result');
+  });
+
+  test('should reject malformed edits', () => {
+    const plan = new TaskPlan(['Open the site']);
+
+    expect(() => plan.update([])).toThrow('non-empty');
+    expect(() => plan.update([{ id: 42, description: 'Nope' }])).toThrow('Unknown plan step id 42');
+    expect(() => plan.update(['  '])).toThrow('Plan step 1 needs a description');
+  });
+
+  test('should replace open steps and keep completed ones', () => {
+    const plan = new TaskPlan(['Open the site', 'Search', 'Read results']);
+    plan.getCurrentStep();
+    plan.applyProgress('Step 1 is complete. Step 2 failed: no search box.');
+
+    expect(plan.hasFailedStep()).toBe(true);
+    plan.replaceOpenSteps(['Use the site menu', 'Read results']);
+
+    expect(plan.format()).toBe('1. [done] Open the site\n2. [pending] Use the site menu\n3. [pending] Read results');
+  });
+});
+
+describe('Planning in the agent loop', () => {
+  test('should plan, track progress and replan after a failed step', async () => {
+    const calls = [];
+    const requests = [];
+    const client = createClient([
+      '1. Open the page\n2. Read the title',
+      'Action: browser.open(url="https://broken.example.com")',
+      '1. Open the mirror\n2. Read the title',
+      'Step 1 done.\nAction: browser.open(url="https://mirror.example.com")',
+      'Step 2 done. The title is Example.'
+    ], requests);
+    const agent = new AgentCommunicationProtocol(client, createOpenRegistry(calls), {
+      toolCallingMode: 'react',
+      planning: { enabled: true }
+    });
+
+    const response = await agent.processUserInstruction('Read the title of the page');
+
+    expect(response).toBe('Step 2 done. The title is Example.');
+    expect(calls).toEqual(['https://broken.example.com', 'https://mirror.example.com']);
+    expect(agent.getTaskInfo().plan).toMatchObject({
+      replans: 1,
+      steps: [
+        { description: 'Open the mirror', status: 'done' },
+        { description: 'Read the title', status: 'done' }
+      ]
+    });
+    // The plan is shown to the model without changing the history
+    expect(requests[1].messages[0].content).toContain('1. [running] Open the page');
+    expect(agent.getMessageHistory()[0].content).not.toContain('Open the page');
+  });
+
+  test('should wait for review and let the user edit the plan', async () => {
+    const requests = [];
+    const client = {
+      createChatCompletionStream: async function* (request) {
+        requests.push(request);
+        yield { choices: [{ delta: { content: 'Done.' } }] };
+      },
+      createChatCompletion: async () => ({
+        choices: [{ message: { role: 'assistant', content: '1. Open the page\n2. Read the title' } }]
+      })
+    };
+    const agent = new AgentCommunicationProtocol(client, createOpenRegistry([]), {
+      toolCallingMode: 'react',
+      planning: { enabled: true, review: true }
+    });
+
+    const events = [];
+    let reviewed = false;
+    for await (const event of agent.processInstructionStream('Read the title')) {
+      events.push(event);
+      if (event.type === 'plan' && event.plan.awaitingReview && !reviewed) {
+        reviewed = true;
+        const { steps } = event.plan;
+        expect(agent.updatePlan([{ id: steps[1].id, description: 'Read the heading' }]).success).toBe(true);
+        expect(agent.confirmPlan().success).toBe(true);
+      }
+    }
+
+    expect(requests).toHaveLength(1);
+    expect(requests[0].messages[0].content).toContain('1. [running] Read the heading');
+    expect(events[events.length - 1]).toEqual({ type: 'complete', content: 'Done.', stopReason: { reason: 'answer' } });
+    expect(agent.confirmPlan()).toMatchObject({ success: false });
+  });
+});
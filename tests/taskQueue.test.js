@@ -0,0 +1,213 @@
+/**
+ * Tests for background tasks and their webhooks
+ */
+
+import { TaskQueue } from '../src/agent/taskQueue.js';
+import { AgentService } from '../src/agent/agentService.js';
+import { MemorySessionStore } from '../src/services/sessionStores/memoryStore.js';
+import { WebhookNotifier, verifyWebhookSignature } from '../src/services/webhookNotifier.js';
+
+// Runs that finish when the test resolves them
+const createRunner = () => {
+  const runs = new Map();
+  return {
+    runs,
+    run: (task) => new Promise((resolve, reject) => runs.set(task.taskId, { resolve, reject })),
+    finish: async (taskId, result = { response: 'Done.' }) => {
+      // Runs begin on the next tick
+      await new Promise(resolve => setImmediate(resolve));
+      runs.get(taskId).resolve(result);
+      await new Promise(resolve => setImmediate(resolve));
+    }
+  };
+};
+
+// Resolves every host to a public address, so tests do not need DNS
+const publicLookup = async () => [{ address: '93.184.215.14', family: 4 }];
+
+const waitFor = async (check) => {
+  for (let attempt = 0; attempt < 200 && !check(); attempt++) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+};
+
+describe('TaskQueue', () => {
+  test('should run at most one task per session and queue the rest in order', async () => {
+    const runner = createRunner();
+    const queue = new TaskQueue({ run: runner.run, workers: 2 });
+
+    const first = queue.submit({ sessionId: 'a', request: { instruction: 'One' } });
+    const second = queue.submit({ sessionId: 'a', request: { instruction: 'Two' } });
+    const third = queue.submit({ sessionId: 'b', request: { instruction: 'Three' } });
+    const fourth = queue.submit({ sessionId: 'c', request: { instruction: 'Four' } });
+
+    expect(queue.get(first.taskId).status).toBe('running');
+    expect(queue.get(second.taskId)).toMatchObject({ status: 'queued', position: 1 });
+    expect(queue.get(third.taskId).status).toBe('running');
+    expect(queue.get(fourth.taskId)).toMatchObject({ status: 'queued', position: 2 });
+    expect(queue.getStats()).toEqual({ queued: 2, running: 2, workers: 2 });
+
+    await runner.finish(first.taskId);
+    expect(queue.get(first.taskId)).toMatchObject({ status: 'finished', result: { response: 'Done.' } });
+    expect(queue.get(second.taskId).status).toBe('running');
+    expect(queue.get(fourth.taskId)).toMatchObject({ status: 'queued', position: 1 });
+    expect(queue.list({ status: 'queued' }).map(task => task.taskId)).toEqual([fourth.taskId]);
+  });
+
+  test('should keep tasks queued while they cannot start', async () => {
+    const runner = createRunner();
+    let browsersFree = false;
+    const queue = new TaskQueue({ run: runner.run, canStart: () => browsersFree, workers: 2 });
+
+    const { taskId } = queue.submit({ sessionId: 'a', request: { instruction: 'One' } });
+    expect(queue.get(taskId).status).toBe('queued');
+
+    browsersFree = true;
+    queue.dispatch();
+    expect(queue.get(taskId).status).toBe('running');
+  });
+
+  test('should cancel queued and running tasks and record failures', async () => {
+    const runner = createRunner();
+    const cancelled = [];
+    const queue = new TaskQueue({ run: runner.run, cancel: (task) => cancelled.push(task.taskId), workers: 1 });
+
+    const running = queue.submit({ sessionId: 'a', request: { instruction: 'One' } });
+    const queued = queue.submit({ sessionId: 'b', request: { instruction: 'Two' } });
+
+    expect(queue.cancel(queued.taskId)).toMatchObject({ changed: true, task: { status: 'cancelled' } });
+    expect(queue.cancel(running.taskId)).toMatchObject({ changed: true, task: { status: 'running' } });
+    expect(cancelled).toEqual([running.taskId]);
+    await runner.finish(running.taskId, { response: '', cancelled: true });
+    expect(queue.get(running.taskId).status).toBe('cancelled');
+    expect(queue.cancel(running.taskId).changed).toBe(false);
+    expect(queue.cancel('task-unknown')).toBeNull();
+
+    const failing = queue.submit({ sessionId: 'a', request: { instruction: 'Three' } });
+    await waitFor(() => runner.runs.has(failing.taskId));
+    runner.runs.get(failing.taskId).reject(new Error('Session a not found'));
+    await waitFor(() => queue.get(failing.taskId).status !== 'running');
+    expect(queue.get(failing.taskId)).toMatchObject({ status: 'failed', error: 'Session a not found' });
+  });
+});
+
+describe('WebhookNotifier', () => {
+  test('should sign payloads and retry server errors', async () => {
+    const requests = [];
+    const notifier = new WebhookNotifier({
+      secret: 'shh',
+      retryDelayMs: 1,
+      lookup: publicLookup,
+      fetch: async (url, request) => {
+        requests.push(request);
+        return { ok: requests.length > 1, status: requests.length > 1 ? 200 : 503 };
+      }
+    });
+
+    const delivery = await notifier.send('https://example.com/hook', { type: 'task.finished', task: { taskId: 'task-1' } });
+
+    expect(delivery).toEqual({ status: 'delivered', attempts: 2, responseStatus: 200, error: null });
+    const { headers, body } = requests[1];
+    expect(headers['X-IntelliBrowse-Event']).toBe('task.finished');
+    expect(verifyWebhookSignature('shh', headers['X-IntelliBrowse-Timestamp'], body, headers['X-IntelliBrowse-Signature'])).toBe(true);
+    expect(verifyWebhookSignature('other', headers['X-IntelliBrowse-Timestamp'], body, headers['X-IntelliBrowse-Signature'])).toBe(false);
+  });
+
+  test('should refuse webhooks without a secret or an http URL', async () => {
+    await expect(new WebhookNotifier({ secret: '' }).validate('https://example.com/hook')).rejects.toThrow('WEBHOOK_SECRET');
+    await expect(new WebhookNotifier({ secret: 'shh' }).validate('file:///etc/passwd')).rejects.toThrow('Invalid webhook URL');
+  });
+
+  test('should refuse hosts that resolve to non-public addresses unless they are allowed', async () => {
+    const requests = [];
+    const notifier = new WebhookNotifier({
+      secret: 'shh',
+      lookup: async (hostname) => hostname === 'rebound.example.com'
+        ? [{ address: '93.184.215.14', family: 4 }, { address: '10.0.0.5', family: 4 }]
+        : publicLookup(),
+      fetch: async (url, request) => {
+        requests.push(request);
+        return { ok: true, status: 200 };
+      }
+    });
+
+    for (const url of ['http://127.0.0.1:3001/api', 'http://169.254.169.254/latest/meta-data', 'http://[::1]/', 'http://[::ffff:192.168.1.1]/']) {
+      await expect(notifier.validate(url)).rejects.toThrow('non-public address');
+    }
+    await expect(notifier.validate('https://rebound.example.com/hook')).rejects.toThrow('(10.0.0.5)');
+    await expect(notifier.validate('https://example.com/hook')).resolves.toBeUndefined();
+    expect(await notifier.send('https://rebound.example.com/hook', { type: 'task.finished' })).toMatchObject({ status: 'failed', attempts: 0 });
+    expect(requests).toEqual([]);
+
+    const allowlisted = new WebhookNotifier({ secret: 'shh', allowedHosts: ['hooks.internal', '*.example.com'] });
+    await expect(allowlisted.validate('http://hooks.internal/task')).resolves.toBeUndefined();
+    await expect(allowlisted.validate('https://api.example.com/hook')).resolves.toBeUndefined();
+    await expect(allowlisted.validate('https://example.org/hook')).rejects.toThrow('WEBHOOK_ALLOWED_HOSTS');
+  });
+});
+
+describe('Background tasks', () => {
+  test('should return a task right away, run it and report it by webhook', async () => {
+    const deliveries = [];
+    const service = new AgentService({
+      llmProvider: 'mock',
+      browserBackend: 'mock',
+      sessionStore: new MemorySessionStore(),
+      sessionEvictionIntervalMs: 0,
+      webhookNotifier: new WebhookNotifier({
+        secret: 'shh',
+        lookup: publicLookup,
+        fetch: async (url, { body }) => {
+          deliveries.push({ url, event: JSON.parse(body) });
+          return { ok: true, status: 200 };
+        }
+      })
+    });
+
+    const submitted = await service.submitTask({ instruction: 'Say hello', limits: { maxTurns: 2 }, webhookUrl: 'https://example.com/hook' });
+    expect(submitted).toMatchObject({ status: 'running', instruction: 'Say hello', sessionId: expect.stringMatching(/^session-/) });
+    await expect(service.submitTask({ sessionId: 'session-unknown', instruction: 'Hi' })).rejects.toThrow('not found');
+
+    await waitFor(() => service.getQueuedTask(submitted.taskId).webhook?.status === 'delivered');
+    const task = service.getQueuedTask(submitted.taskId);
+    expect(task).toMatchObject({
+      status: 'finished',
+      result: { sessionId: submitted.sessionId, response: expect.any(String) },
+      progress: { taskStatus: 'finished' },
+      webhook: { url: 'https://example.com/hook', status: 'delivered', attempts: 1 }
+    });
+    expect(deliveries[0].event).toMatchObject({ type: 'task.finished', task: { taskId: submitted.taskId, status: 'finished' } });
+
+    await service.cleanup();
+  });
+
+  test('should hold the session of a started task and honour a cancel that comes before its run begins', async () => {
+    const service = new AgentService({
+      llmProvider: 'mock',
+      browserBackend: 'mock',
+      sessionStore: new MemorySessionStore(),
+      sessionEvictionIntervalMs: 0
+    });
+    await service.ensureInitialized();
+    const sessionId = service.createSession();
+
+    // Runs wait for initialization until the test lets them through
+    let initialize;
+    const initialization = new Promise(resolve => { initialize = resolve; });
+    service.ensureInitialized = () => initialization;
+
+    const { taskId } = service.taskQueue.submit({ sessionId, request: { instruction: 'Say hello' } });
+    expect(service.getQueuedTask(taskId).status).toBe('running');
+    expect(() => service.startLoggedInstruction({ sessionId, instruction: 'Say hi' })).toThrow('already running a task');
+
+    expect(service.cancelQueuedTask(taskId).changed).toBe(true);
+    initialize();
+    await waitFor(() => service.getQueuedTask(taskId).status !== 'running');
+
+    expect(service.getQueuedTask(taskId)).toMatchObject({ status: 'cancelled', result: null, error: null });
+    expect(service.getAgent(sessionId).getMessageHistory()).toEqual([]);
+    await expect(service.processInstruction({ sessionId, instruction: 'Say hi' })).resolves.toMatchObject({ sessionId });
+
+    await service.cleanup();
+  });
+});
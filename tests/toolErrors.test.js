@@ -0,0 +1,181 @@
+/**
+ * Tests for typed tool errors and tool retries in the agent loop
+ */
+
+import { ToolError, ToolRetryPolicy, classifyToolError, toNavigationError } from '../src/agent/toolErrors.js';
+import { AgentCommunicationProtocol } from '../src/agent/agentCommunicationProtocol.js';
+import { createClient, createRegistry, clickTool } from './helpers/agentFixtures.js';
+
+const notFound = () => new ToolError('elementNotFound', 'No element matching found');
+
+// Clicks fail with the given errors in turn, then succeed; only missing elements are retried
+const createFlakyRegistry = (calls, failures, recover) => createRegistry(clickTool(calls, {
+  handler: async ({ selector }) => {
+    calls.push(selector);
+    const failure = failures.shift();
+    if (failure) {
+      throw failure;
+    }
+    return { success: true, target: selector };
+  },
+  retryOn: ['elementNotFound'],
+  recover
+}));
+
+describe('Tool errors', () => {
+  test('should type errors by their class and keep the type through wrapping layers', () => {
+    const timeout = Object.assign(new Error('locator.click: Timeout 10000ms exceeded.'), { name: 'TimeoutError' });
+    const wrap = (error) => new Error(`Failed to click on "Next": ${error.message}`, { cause: error });
+
+    expect(classifyToolError(wrap(new ToolError('elementNotFound', 'No element matching "Next" found on the page'))))
+      .toMatchObject({ type: 'elementNotFound', message: 'Failed to click on "Next": No element matching "Next" found on the page' });
+    expect(classifyToolError(wrap(timeout)).type).toBe('timeout');
+    // Text from the model in a message does not decide the type
+    expect(classifyToolError(new Error('No element matching "timeout" found on the page')).type).toBe('toolFailed');
+    expect(classifyToolError(new Error('Failed to click on "net::ERR_FAILED"')).type).toBe('toolFailed');
+  });
+
+  test('should type failed navigations', () => {
+    const timeout = Object.assign(new Error('page.goto: Timeout 30000ms exceeded.'), { name: 'TimeoutError' });
+
+    expect(toNavigationError(timeout).type).toBe('navigationTimeout');
+    expect(toNavigationError(new Error('page.goto: net::ERR_NAME_NOT_RESOLVED at https://nope.example/')).type).toBe('network');
+    expect(toNavigationError(new Error('page.goto: Navigation to "https://a.example/net::ERR_X" is interrupted')).type).toBeUndefined();
+  });
+
+  test('should only retry retryable failures, with a growing delay', () => {
+    const policy = new ToolRetryPolicy({ maxRetries: 2, retryDelayMs: 100 });
+    const missing = Object.assign(new ToolError('elementNotFound', 'missing'), { retryable: true });
+
+    expect(policy.getRetry(missing, 1)).toEqual({ delayMs: 100 });
+    expect(policy.getRetry(missing, 2)).toEqual({ delayMs: 200 });
+    expect(policy.getRetry(missing, 3)).toBeNull();
+    expect(policy.getRetry(new ToolError('elementNotFound', 'missing'), 1)).toBeNull();
+    expect(() => new ToolRetryPolicy({ maxRetries: -1 })).toThrow('maxRetries');
+  });
+});
+
+describe('Tool errors in the agent loop', () => {
+  test('should retry with the alternate strategy and announce each failure', async () => {
+    const calls = [];
+    const recover = (params, toolError, attempt) => attempt === 2 ? { selector: 'Sign in' } : null;
+    const registry = createFlakyRegistry(calls, [notFound(), notFound()], recover);
+    const agent = new AgentCommunicationProtocol(createClient([]), registry, { toolRetries: { retryDelayMs: 0 } });
+    const events = [];
+    agent.emitTaskEvent = (event) => events.push(event);
+    agent.beginTaskControl();
+
+    const observation = await agent.executeToolCall({ toolName: 'browser.click', params: { selector: 'the "Sign in" link' } });
+
+    expect(calls).toEqual(['the "Sign in" link', 'the "Sign in" link', 'Sign in']);
+    expect(JSON.parse(observation)).toEqual({ success: true, target: 'Sign in' });
+    expect(events.map(event => [event.type, event.error.type, event.attempt, event.retry.strategy])).toEqual([
+      ['toolError', 'elementNotFound', 1, 'repeat'],
+      ['toolError', 'elementNotFound', 2, 'alternate']
+    ]);
+  });
+
+  test('should give the model a typed error with a hint once retries are exhausted', async () => {
+    const calls = [];
+    const registry = createFlakyRegistry(calls, [notFound(), notFound()]);
+    const agent = new AgentCommunicationProtocol(createClient([]), registry, { toolRetries: { maxRetries: 1, retryDelayMs: 0 } });
+    const events = [];
+    agent.emitTaskEvent = (event) => events.push(event);
+    agent.beginTaskControl();
+
+    const observation = await agent.executeToolCall({ toolName: 'browser.click', params: { selector: 'Next' } });
+
+    expect(calls).toHaveLength(2);
+    expect(observation).toMatch(/^Error \(elementNotFound\): No element matching found \(after 2 attempts\)\nLook at the page/);
+    expect(events[events.length - 1]).toMatchObject({ type: 'toolError', attempt: 2, retry: null });
+  });
+
+  test('should only use alternates that no approval rule applies to', async () => {
+    const calls = [];
+    const recover = (params) => ({ selector: params.selector.replace(/^the "(.*)" button$/, '$1') });
+    const failures = Array.from({ length: 5 }, notFound);
+    const agent = new AgentCommunicationProtocol(createClient([]), createFlakyRegistry(calls, failures, recover), {
+      toolRetries: { maxRetries: 2, retryDelayMs: 0 },
+      approval: {
+        rules: [
+          { name: 'checkout', tools: ['browser.click'], targetPatterns: ['checkout'] },
+          { name: 'orders', tools: ['browser.click'], targetPatterns: ['^Place order$'] }
+        ]
+      }
+    });
+    const events = [];
+    agent.emitTaskEvent = (event) => {
+      events.push(event);
+      if (event.type === 'approvalRequired') {
+        agent.resolveApproval(event.approval.id, { decision: 'approve' });
+      }
+    };
+    agent.beginTaskControl();
+
+    // The user approved these exact arguments, so retries repeat them
+    await agent.executeToolCall({ toolName: 'browser.click', params: { selector: 'the "Go to checkout" button' } });
+    // The alternate ("Place order") would need approval, so retries repeat the original
+    await agent.executeToolCall({ toolName: 'browser.click', params: { selector: 'the "Place order" button' } });
+
+    expect(calls).toEqual([...Array(3).fill('the "Go to checkout" button'), ...Array(3).fill('the "Place order" button')]);
+    expect(events.filter(event => event.type === 'approvalRequired')).toHaveLength(1);
+    expect(events.filter(event => event.retry).map(event => event.retry.strategy)).toEqual(['repeat', 'repeat', 'repeat', 'repeat']);
+  });
+
+  test('should not repeat a call after a failure its tool does not retry', async () => {
+    const calls = [];
+    const failure = new ToolError('network', 'net::ERR_CONNECTION_RESET');
+    const agent = new AgentCommunicationProtocol(createClient([]), createFlakyRegistry(calls, [failure]), {
+      toolRetries: { retryDelayMs: 0 },
+      approval: { enabled: false }
+    });
+    agent.beginTaskControl();
+
+    const observation = await agent.executeToolCall({ toolName: 'browser.click', params: { selector: 'Next' } });
+
+    expect(calls).toEqual(['Next']);
+    expect(observation).toMatch(/^Error \(network\): net::ERR_CONNECTION_RESET\n/);
+  });
+
+  test('should block calls matching a block rule without running them', async () => {
+    const calls = [];
+    const agent = new AgentCommunicationProtocol(createClient([]), createFlakyRegistry(calls, []), {
+      approval: {
+        rules: [
+          { name: 'ask', tools: ['browser.click'] },
+          { name: 'no-ads', tools: ['browser.click'], targetPatterns: ['\\bad\\b'], action: 'block', reason: 'Ads are off limits' }
+        ]
+      }
+    });
+    agent.beginTaskControl();
+
+    const observation = await agent.executeToolCall({ toolName: 'browser.click', params: { selector: 'the ad banner' } });
+
+    expect(calls).toEqual([]);
+    expect(observation).toMatch(/^Error \(blockedByPolicy\): Blocked by rule "no-ads": Ads are off limits/);
+    expect(() => new AgentCommunicationProtocol(createClient([]), createFlakyRegistry([], []), {
+      approval: { rules: [{ tools: ['browser.click'], action: 'deny' }] }
+    })).toThrow('invalid action "deny"');
+  });
+
+  test('should stream tool errors without ending the task', async () => {
+    const client = createClient(['Action: browser.click(selector="Buy")', 'The button is broken.']);
+    const agent = new AgentCommunicationProtocol(client, createFlakyRegistry([], [new Error('Something broke')]), {
+      toolCallingMode: 'react',
+      approval: { enabled: false }
+    });
+
+    const events = [];
+    for await (const event of agent.processInstructionStream('Click buy')) {
+      events.push(event);
+    }
+
+    expect(events.filter(event => event.type === 'error')).toEqual([]);
+    expect(events.find(event => event.type === 'toolError')).toMatchObject({
+      tool: 'browser.click',
+      error: { type: 'toolFailed', message: 'Something broke', retryable: false },
+      retry: null
+    });
+    expect(events[events.length - 1]).toMatchObject({ type: 'complete', content: 'The button is broken.' });
+  });
+});
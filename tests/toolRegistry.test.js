@@ -0,0 +1,65 @@
+/**
+ * Tests for ToolRegistry
+ */
+
+import { z } from 'zod';
+import { ToolRegistry } from '../src/agent/toolRegistry.js';
+
+describe('ToolRegistry', () => {
+  let registry;
+
+  beforeEach(() => {
+    registry = new ToolRegistry();
+    registry.register({
+      name: 'browser.type',
+      description: 'Type text into an element',
+      parameters: z.object({
+        selector: z.string().describe('Element description'),
+        text: z.string()
+      }),
+      returns: '{ success }',
+      tags: ['browser'],
+      handler: async ({ selector, text }) => ({ success: true, selector, text })
+    });
+  });
+
+  test('should register and unregister tools', () => {
+    expect(registry.names()).toEqual(['browser.type']);
+    expect(() => registry.register({ name: 'browser.type', description: 'Duplicate', handler: async () => {} }))
+      .toThrow('already registered');
+
+    expect(() => registry.register({ name: 'browser.click', description: 'Click', retryOn: ['flaky'], handler: async () => {} }))
+      .toThrow('retryOn of tool "browser.click" must list error types');
+
+    expect(registry.unregister('browser.type')).toBe(true);
+    expect(registry.has('browser.type')).toBe(false);
+  });
+
+  test('should generate function definitions and prompt descriptions from schemas', () => {
+    const [definition] = registry.getToolDefinitions(name => name.replace('.', '_'));
+
+    expect(definition.function.name).toBe('browser_type');
+    expect(definition.function.parameters.required).toEqual(['selector', 'text']);
+    expect(definition.function.parameters.properties.selector.description).toBe('Element description');
+
+    const description = registry.describeTools();
+    expect(description).toContain('Tool: browser.type');
+    expect(description).toContain('- selector (string, required) - Element description');
+    expect(description).toContain('Returns: { success }');
+  });
+
+  test('should filter tools by tag', () => {
+    registry.register({ name: 'document.analyze', description: 'Analyze a document', tags: ['document'], handler: async () => '' });
+
+    expect(registry.list({ tags: ['document'] }).map(tool => tool.name)).toEqual(['document.analyze']);
+  });
+
+  test('should validate arguments before executing', async () => {
+    const validation = registry.validate('browser.type', { selector: 'Email field' });
+
+    expect(validation.success).toBe(false);
+    expect(validation.error).toContain('- text: Required');
+    await expect(registry.execute('browser.type', { selector: 'Email field', text: 'hi' }))
+      .resolves.toEqual({ success: true, selector: 'Email field', text: 'hi' });
+  });
+});
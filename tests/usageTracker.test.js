@@ -0,0 +1,98 @@
+/**
+ * Tests for UsageTracker and usage accounting in the agent loop
+ */
+
+import { z } from 'zod';
+import { UsageTracker } from '../src/agent/usageTracker.js';
+import { AgentCommunicationProtocol } from '../src/agent/agentCommunicationProtocol.js';
+import { ToolRegistry } from '../src/agent/toolRegistry.js';
+
+const usage = (prompt, completion) => ({ prompt_tokens: prompt, completion_tokens: completion, total_tokens: prompt + completion });
+
+describe('UsageTracker', () => {
+  test('should price calls and aggregate them per step, task and session', () => {
+    const tracker = new UsageTracker({ prices: { 'small-model': { input: 1, output: 2 } } });
+    tracker.startTask();
+
+    tracker.record({ step: 1, role: 'planner', model: 'accounts/fireworks/models/deepseek-r1', usage: usage(1000, 500) });
+    tracker.record({ step: 2, role: 'actor', model: 'org/small-model', usage: usage(2000, 1000) });
+    tracker.recordTool(2, 'browser.open');
+    tracker.record({ step: 2, role: 'actor', model: 'unknown-model', usage: usage(10, 10) });
+
+    const { session, task } = tracker.getInfo();
+    expect(task.cost).toBeCloseTo((1000 * 3 + 500 * 8 + 2000 * 1 + 1000 * 2) / 1e6);
+    expect(task.totalTokens).toBe(4520);
+    expect(task.unpricedCalls).toBe(1);
+    expect(task.steps[1]).toMatchObject({ step: 2, calls: 2, tools: ['browser.open'] });
+    expect(session.calls).toBe(3);
+
+    tracker.startTask();
+    expect(tracker.getInfo().task.calls).toBe(0);
+    expect(tracker.getInfo().session.calls).toBe(3);
+  });
+
+  test('should report the first limit reached', () => {
+    const tracker = new UsageTracker({ maxTokens: 100 });
+    tracker.startTask();
+    expect(tracker.checkLimits()).toBeNull();
+
+    tracker.record({ step: 1, role: 'actor', model: 'mock', usage: usage(90, 20) });
+
+    expect(tracker.checkLimits()).toMatchObject({ limit: 'maxTokens', value: 100, used: 110 });
+  });
+
+  test('should reject invalid limits', () => {
+    expect(() => new UsageTracker({ maxCost: -1 })).toThrow('maxCost');
+  });
+
+  test('should stop the agent cleanly once the spend limit is reached', async () => {
+    let calls = 0;
+    const client = {
+      createChatCompletion: async () => {
+        calls++;
+        return {
+          model: 'accounts/fireworks/models/deepseek-r1',
+          usage: usage(100000, 10000),
+          choices: [{
+            message: {
+              role: 'assistant',
+              content: '',
+              tool_calls: [{ id: `call-${calls}`, type: 'function', function: { name: 'browser_search', arguments: '{"query":"news"}' } }]
+            }
+          }]
+        };
+      }
+    };
+    const registry = new ToolRegistry([
+      { name: 'browser.search', description: 'Search the web', parameters: z.object({ query: z.string() }), handler: async () => ({ results: [] }) }
+    ]);
+    const agent = new AgentCommunicationProtocol(client, registry, { toolCallingMode: 'native', usage: { maxCost: 0.5 } });
+
+    const response = await agent.processUserInstruction('Search the news');
+
+    // Each call costs $0.38, so the limit stops the loop before the third call
+    expect(calls).toBe(2);
+    expect(response).toMatch(/spend limit of \$0.5/);
+    expect(agent.getTaskInfo().limitReached).toMatchObject({ limit: 'maxCost', value: 0.5 });
+    expect(agent.getUsageInfo().task.steps).toHaveLength(2);
+  });
+
+  test('should estimate usage for streams that report none', async () => {
+    const client = {
+      createChatCompletionStream: async function* () {
+        yield { model: 'mock', choices: [{ delta: { content: 'Final answer' } }] };
+      }
+    };
+    const agent = new AgentCommunicationProtocol(client, new ToolRegistry(), { toolCallingMode: 'react' });
+
+    const events = [];
+    for await (const event of agent.processInstructionStream('Say hi')) {
+      events.push(event);
+    }
+
+    const usageEvent = events.find(event => event.type === 'usage');
+    expect(usageEvent.call).toMatchObject({ role: 'planner', model: 'mock', estimated: true, cost: 0 });
+    expect(usageEvent.call.promptTokens).toBeGreaterThan(0);
+    expect(events[events.length - 1].type).toBe('complete');
+  });
+});